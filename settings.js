@@ -35,6 +35,13 @@ let settings = {
 	],
 	showIncludedSourceFiles: true,
 
+	// used by `particle compile --local-toolchain` instead of the compile server
+	deviceOsPath: envValue('PARTICLE_DEVICE_OS_PATH', null),
+	gccArmPath: envValue('PARTICLE_GCC_ARM_PATH', null),
+
+	// where `particle device-os download` and `flash --local` keep the Device OS binaries, ~/.particle/device-os-flash/binaries by default
+	deviceOsBinariesPath: envValue('PARTICLE_DEVICE_OS_BINARIES_PATH', null),
+
 	cloudKnownApps: {
 		'tinker': true
 	}
@@ -48,6 +48,18 @@ module.exports = class CLI {
 						count: true,
 						description: 'Decreases how much logging to display'
 					},
+					offline: {
+						boolean: true,
+						description: 'Use cached cloud responses instead of contacting the cloud'
+					},
+					refresh: {
+						boolean: true,
+						description: 'Ignore cached cloud responses and fetch them again'
+					},
+					json: {
+						boolean: true,
+						description: 'Output JSON formatted data instead of human friendly text'
+					},
 					/*
 					 interactive: {
 					 boolean: true,
@@ -57,10 +69,6 @@ module.exports = class CLI {
 					 boolean: true,
 					 description: 'Run in non-interactive mode. This means all required data must be passed as command line arguments.'
 					 },
-					 'json': {
-					 boolean: true,
-					 description: 'Output in JSON format instead of human friendly'
-					 },
 					 */
 				}
 			},
@@ -102,6 +110,8 @@ module.exports = class CLI {
 				global.isInteractive = process.stdin.isTTY && process.stdout.isTTY;
 				global.verboseLevel = argv.verbose+1-argv.quiet;
 				global.outputJson = argv.json;
+				global.offline = argv.offline;
+				global.refreshCache = argv.refresh;
 			}
 		});
 	}
@@ -447,9 +447,10 @@ function consoleErrorLogger(console, yargs, exit, error){
 	}
 
 	if (error){
-		if (error.asJSON){
+		// `--json` renders every error as JSON so scripts always get a parseable result
+		if (error.asJSON || global.outputJson){
 			console.log(
-				new JSONErrorResult(error).toString()
+				new JSONErrorResult(_.isString(error) ? new Error(error) : error).toString()
 			);
 		} else {
 			console.log(
@@ -451,6 +451,24 @@ describe('command-line parsing', () => {
 			expect(json.error).to.have.property('stack').that.is.a('string');
 		});
 
+		it('logs the error as JSON when the `--json` flag is set', () => {
+			const error = 'nope!';
+
+			try {
+				global.outputJson = true;
+				consoleErrorLogger(fakeConsole, fakeYargs, false, error);
+			} finally {
+				delete global.outputJson;
+			}
+
+			expect(fakeConsole.log).to.have.property('callCount', 1);
+
+			const json = JSON.parse(fakeConsole.log.firstCall.args[0]);
+
+			expect(json).to.have.all.keys('meta', 'error');
+			expect(json.error.message).to.equal('nope!');
+		});
+
 		it('logs the stack trace to the console when verbose mode is enabled', () => {
 			const error = new Error('hey');
 
@@ -1,8 +1,10 @@
 const settings = require('../../settings');
+const createApiCache = require('../lib/api-cache');
 
 // todo - this is a bad coupling since it calls back up to the enclosing app (via settings)
 // the access token and other contextual items should be passed to the command as exteranl context (injection)
 
 module.exports.buildAPIClient = (apiJS) => {
-	return apiJS.client({ auth: settings.access_token });
+	// library lookups go through the response cache, see api-cache.js
+	return apiJS.client({ auth: settings.access_token, api: createApiCache(apiJS) });
 };
@@ -3,12 +3,18 @@ module.exports = ({ commandProcessor, root }) => {
 
 	commandProcessor.createCommand(binary, 'inspect', 'Describe binary contents', {
 		params: '<filename>',
+		options: {
+			'manifest': {
+				description: 'Check the binary against the build manifest saved by `particle compile --manifest`'
+			}
+		},
 		handler: (args) => {
 			const BinaryCommand = require('../cmd/binary');
-			return new BinaryCommand().inspectBinary(args.params.filename);
+			return new BinaryCommand().inspectBinary(args.params.filename, args);
 		},
 		examples: {
-			'$0 $command firmware.bin': 'Describe contents of firmware.bin'
+			'$0 $command firmware.bin': 'Describe contents of firmware.bin',
+			'$0 $command firmware.bin --manifest firmware.build-manifest.json': 'Check that firmware.bin is the binary described by its build manifest'
 		}
 	});
 
@@ -0,0 +1,30 @@
+module.exports = ({ commandProcessor, root }) => {
+	const cache = commandProcessor.createCategory(root, 'cache', 'Manage the cached cloud responses used when offline');
+
+	commandProcessor.createCommand(cache, 'status', 'Shows what is stored in the cache', {
+		handler: (args) => {
+			const CacheCommand = require('../cmd/cache');
+			return new CacheCommand(args).status(args);
+		}
+	});
+
+	commandProcessor.createCommand(cache, 'clear', 'Removes the cached cloud responses', {
+		options: {
+			'expired': {
+				boolean: true,
+				default: false,
+				description: 'Only remove the responses that need to be refreshed'
+			}
+		},
+		handler: (args) => {
+			const CacheCommand = require('../cmd/cache');
+			return new CacheCommand(args).clear(args);
+		},
+		examples: {
+			'$0 $command': 'removes every cached response',
+			'$0 $command --expired': 'removes the cached responses that are out of date'
+		}
+	});
+
+	return cache;
+};
@@ -1,25 +1,52 @@
 const utilities = require('../lib/utilities');
+const { COLUMNS } = require('../lib/device-inventory');
+const { describeDeviceFilter } = require('../lib/device-filter');
 
 module.exports = ({ commandProcessor, root }) => {
 	const cloud = commandProcessor.createCategory(root, 'cloud', 'Access Particle cloud functionality');
 
 	const compileOptions = {
 		'target': {
-			description: 'The firmware version to compile against. Defaults to latest version, or version on device for cellular.'
+			description: 'The firmware version to compile against: a version, a semver range like ^5.5, latest or lts. Defaults to latest version, or version on device for cellular.'
+		},
+		'all-targets': {
+			boolean: true,
+			description: 'Let --target pick prerelease and non featured firmware versions'
 		},
 		'followSymlinks': {
 			boolean: true,
 			description: 'Follow symlinks when collecting files'
+		},
+		'cache': {
+			boolean: true,
+			default: true,
+			description: 'Reuse the binary of an earlier compile of the same sources, platform and target. Use --no-cache to always compile in the cloud'
 		}
 	};
 
 	commandProcessor.createCommand(cloud, 'list', 'Display a list of your devices, as well as their variables and functions', {
 		params: '[filter]',
+		options: {
+			'format': {
+				description: 'Export the devices as csv, json or yaml'
+			},
+			'output': {
+				description: 'Save the export to a file instead of printing it. The format defaults to the file extension'
+			},
+			'columns': {
+				description: `Comma separated columns to export: ${Object.keys(COLUMNS).join(', ')}`
+			}
+		},
 		handler: (args) => {
 			const CloudCommands = require('../cmd/cloud');
 			return new CloudCommands(args).listDevices(args);
 		},
-		epilogue: `Param filter can be: online, offline, a platform name (${Object.keys(utilities.knownPlatformIds()).join(', ')}), a device ID or name`
+		examples: {
+			'$0 $command': 'Shows your devices with their variables and functions',
+			'$0 $command --format csv --output fleet.csv': 'Saves an inventory of your devices to fleet.csv',
+			'$0 $command online --format yaml --columns id,name,os_version': 'Prints the id, name and Device OS version of your online devices as YAML'
+		},
+		epilogue: describeDeviceFilter()
 	});
 
 	commandProcessor.createCommand(cloud, 'claim', 'Register a device with your user account with the cloud', {
@@ -62,10 +89,30 @@ module.exports = ({ commandProcessor, root }) => {
 	});
 
 	commandProcessor.createCommand(cloud, 'flash', 'Pass a binary, source file, or source directory to a device!', {
-		params: '<device> [files...]',
+		params: '[device] [files...]',
 		options: Object.assign({}, compileOptions, {
 			'product': {
 				description: 'Target a device within the given Product ID or Slug'
+			},
+			'watch': {
+				boolean: true,
+				description: 'Compile and flash again every time the source files change'
+			},
+			'filter': {
+				description: 'Flash every device matching a filter instead of a single device. See `particle help cloud list`'
+			},
+			'devices-file': {
+				description: 'Flash the devices listed in a file, one device ID or name per line'
+			},
+			'parallel': {
+				number: true,
+				default: 5,
+				description: 'How many devices are flashed at the same time when flashing many devices'
+			},
+			'retry-offline': {
+				number: true,
+				default: 0,
+				description: 'Seconds to wait for the offline devices to come online when flashing many devices'
 			}
 		}),
 		handler: (args) => {
@@ -77,15 +124,42 @@ module.exports = ({ commandProcessor, root }) => {
 			'$0 $command green tinker': 'Flash the default `tinker` app to device `green`',
 			'$0 $command red blink.ino': 'Compile `blink.ino` in the cloud and flash to device `red`',
 			'$0 $command orange firmware.bin': 'Flash a pre-compiled `firmware.bin` binary to device `orange`',
-			'$0 $command 0123456789abcdef01234567 --product 12345': 'Compile the source code in the current directory in the cloud and flash to device `0123456789abcdef01234567` within product `12345`'
-		}
+			'$0 $command 0123456789abcdef01234567 --product 12345': 'Compile the source code in the current directory in the cloud and flash to device `0123456789abcdef01234567` within product `12345`',
+			'$0 $command blue project --watch': 'Compile the project directory and flash it to device `blue` every time a source file changes',
+			'$0 $command blue,green,red project': 'Compile the project directory once and flash it to devices `blue`, `green` and `red`',
+			'$0 $command project --filter "platform=boron and name~^lab-" --retry-offline 600': 'Flash the project directory to the Boron devices whose name starts with `lab-`, waiting up to 10 minutes for the offline ones',
+			'$0 $command firmware.bin --devices-file fleet.txt --json': 'Flash `firmware.bin` to the devices listed in `fleet.txt` and show the result of each device as JSON'
+		},
+		epilogue: 'Separate devices with commas to flash many devices. With `--filter` or `--devices-file` the first param is a file, not a device'
 	});
 
 	commandProcessor.createCommand(cloud, 'compile', 'Compile a source file, or directory using the cloud compiler', {
-		params: '<deviceType> [files...]',
+		params: '[deviceType] [files...]',
 		options: Object.assign({}, compileOptions, {
 			'saveTo': {
 				description: 'Filename for the compiled binary'
+			},
+			'platforms': {
+				description: 'Comma separated platforms to compile for at the same time. Each binary is saved with the platform added to its name'
+			},
+			'format': {
+				description: 'How to show compiler errors: pretty or gcc (file:line:column: severity: message for editor problem matchers)'
+			},
+			'dry-run': {
+				boolean: true,
+				description: 'Show the files that would be uploaded and why, without compiling'
+			},
+			'watch': {
+				boolean: true,
+				description: 'Compile again every time the source files change'
+			},
+			'local-toolchain': {
+				boolean: true,
+				description: 'Compile with the Device OS source tree and gcc-arm installed on this computer instead of the cloud compiler'
+			},
+			'manifest': {
+				boolean: true,
+				description: 'Save a build manifest describing the sources, libraries, assets and firmware version next to the binary'
 			}
 		}),
 		handler: (args) => {
@@ -95,15 +169,29 @@ module.exports = ({ commandProcessor, root }) => {
 		examples: {
 			'$0 $command photon': 'Compile the source code in the current directory in the cloud for a `photon`',
 			'$0 $command electron project --saveTo electron.bin': 'Compile the source code in the project directory in the cloud for an `electron` and save it to a file named `electron.bin`',
+			'$0 $command boron,argon,p2 project --saveTo app.bin': 'Compile the project directory for `boron`, `argon` and `p2` and save the binaries to `app_boron.bin`, `app_argon.bin` and `app_p2.bin`',
+			'$0 $command boron --format gcc': 'Compile for a `boron` and show compiler errors the way GCC does',
+			'$0 $command boron project --target ^5.5': 'Compile the project directory for a `boron` against the newest 5.x firmware version from 5.5 on',
+			'$0 $command boron project --dry-run': 'Show the files of the project directory that would be uploaded to the compile server',
+			'$0 $command boron project --no-cache': 'Compile the project directory in the cloud even when it was compiled before without changes',
+			'$0 $command boron project --watch': 'Compile the project directory for a `boron` every time a source file changes',
+			'$0 $command boron project --local-toolchain': 'Compile the project directory for a `boron` without the cloud, using the deviceOsPath and gccArmPath settings',
+			'$0 $command boron project --saveTo app.bin --manifest': 'Compile the project directory for a `boron` and describe the build in `app.build-manifest.json`'
 		},
-		epilogue: `Param deviceType can be: ${Object.keys(utilities.knownPlatformIdsWithAliases()).join(', ')}`
+		epilogue: `Param deviceType can be: ${Object.keys(utilities.knownPlatformIdsWithAliases()).join(', ')}. ` +
+			'Set flashBudget and ramBudget in project.properties (bytes like 200K, or a percentage of the platform limit like 90% for flashBudget) to fail when the firmware gets too big. ' +
+			'RAM is only checked against ramBudget since the RAM limit of the platforms is not known. ' +
+			'The local toolchain uses the Device OS source tree set with `particle config set deviceOsPath <path>` and gcc-arm from the PATH or `particle config set gccArmPath <path>`'
 	});
 
 	commandProcessor.createCommand(cloud, 'nyan', 'Make your device shout rainbows', {
-		params: '<device> [onOff]',
+		params: '[device] [onOff]',
 		options: {
 			'product': {
 				description: 'Target a device within the given Product ID or Slug'
+			},
+			'filter': {
+				description: 'Signal every online device matching a filter instead of a single device. See `particle help cloud list`'
 			}
 		},
 		handler: (args) => {
@@ -113,7 +201,8 @@ module.exports = ({ commandProcessor, root }) => {
 		examples: {
 			'$0 $command blue': 'Make the device named `blue` start signaling',
 			'$0 $command blue off': 'Make the device named `blue` stop signaling',
-			'$0 $command blue --product 12345': 'Make the device named `blue` within product `12345` start signaling'
+			'$0 $command blue --product 12345': 'Make the device named `blue` within product `12345` start signaling',
+			'$0 $command off --filter "platform=boron and name~^lab-"': 'Make the Boron devices whose name starts with `lab-` stop signaling'
 		}
 	});
 
@@ -64,7 +64,17 @@ describe('Cloud Command-Line Interface', () => {
 					'Display a list of your devices, as well as their variables and functions',
 					'Usage: particle cloud list [options] [filter]',
 					'',
-					'Param filter can be: online, offline, a platform name (core, photon, p1, electron, argon, boron, xenon, esomx, bsom, b5som, tracker, trackerm, p2, msom), a device ID or name',
+					'Options:',
+					'  --format   Export the devices as csv, json or yaml  [string]',
+					'  --output   Save the export to a file instead of printing it. The format defaults to the file extension  [string]',
+					'  --columns  Comma separated columns to export: id, name, platform, os_version, last_heard, ip, iccid, serial, functions, variables  [string]',
+					'',
+					'Examples:',
+					'  particle cloud list                                                    Shows your devices with their variables and functions',
+					'  particle cloud list --format csv --output fleet.csv                    Saves an inventory of your devices to fleet.csv',
+					'  particle cloud list online --format yaml --columns id,name,os_version  Prints the id, name and Device OS version of your online devices as YAML',
+					'',
+					'Param filter can be: online, offline, a platform name (core, photon, p1, electron, argon, boron, xenon, esomx, bsom, b5som, tracker, trackerm, p2, msom), a device ID or name, or an expression combining comparisons with and, or, not and parentheses like `platform=boron and online and name~^lab-`. Fields are id, name, platform, online, os, lastHeard, product, iccid, serial. os compares Device OS versions (os<4.0.0) and lastHeard compares how long ago a device was heard from (lastHeard<7d) or a date (lastHeard<2024-01-31)',
 					''
 				].join('\n'));
 			});
@@ -197,15 +207,15 @@ describe('Cloud Command-Line Interface', () => {
 			expect(argv.target).to.equal(undefined);
 		});
 
-		it('Errors when required `device` argument is missing', () => {
-			const argv = commandProcessor.parse(root, ['cloud', 'flash']);
-			expect(argv.clierror).to.be.an.instanceof(Error);
-			expect(argv.clierror).to.have.property('message', 'Parameter \'device\' is required.');
-			expect(argv.clierror).to.have.property('data', 'device');
-			expect(argv.clierror).to.have.property('isUsageError', true);
-			expect(argv.params).to.eql({});
-			expect(argv.followSymlinks).to.equal(false);
-			expect(argv.target).to.equal(undefined);
+		it('Parses the fleet options without `device`', () => {
+			const args = ['cloud', 'flash', '--filter', 'platform=boron', '--devices-file', 'fleet.txt', '--parallel', '10', '--retry-offline', '600'];
+			const argv = commandProcessor.parse(root, args);
+			expect(argv.clierror).to.equal(undefined);
+			expect(argv.params).to.eql({ device: undefined, files: [] });
+			expect(argv.filter).to.equal('platform=boron');
+			expect(argv['devices-file']).to.equal('fleet.txt');
+			expect(argv.parallel).to.equal(10);
+			expect(argv['retry-offline']).to.equal(600);
 		});
 
 		it('Parses optional params', () => {
@@ -232,19 +242,32 @@ describe('Cloud Command-Line Interface', () => {
 			commandProcessor.showHelp((helpText) => {
 				expect(helpText).to.equal([
 					'Pass a binary, source file, or source directory to a device!',
-					'Usage: particle cloud flash [options] <device> [files...]',
+					'Usage: particle cloud flash [options] [device] [files...]',
 					'',
 					'Options:',
-					'  --target          The firmware version to compile against. Defaults to latest version, or version on device for cellular.  [string]',
+					'  --target          The firmware version to compile against: a version, a semver range like ^5.5, latest or lts. Defaults to latest version, or version on device for cellular.  [string]',
+					'  --all-targets     Let --target pick prerelease and non featured firmware versions  [boolean]',
 					'  --followSymlinks  Follow symlinks when collecting files  [boolean]',
+					'  --cache           Reuse the binary of an earlier compile of the same sources, platform and target. Use --no-cache to always compile in the cloud  [boolean] [default: true]',
 					'  --product         Target a device within the given Product ID or Slug  [string]',
+					'  --watch           Compile and flash again every time the source files change  [boolean]',
+					'  --filter          Flash every device matching a filter instead of a single device. See `particle help cloud list`  [string]',
+					'  --devices-file    Flash the devices listed in a file, one device ID or name per line  [string]',
+					'  --parallel        How many devices are flashed at the same time when flashing many devices  [number] [default: 5]',
+					'  --retry-offline   Seconds to wait for the offline devices to come online when flashing many devices  [number] [default: 0]',
 					'',
 					'Examples:',
-					'  particle cloud flash blue                                      Compile the source code in the current directory in the cloud and flash to device `blue`',
-					'  particle cloud flash green tinker                              Flash the default `tinker` app to device `green`',
-					'  particle cloud flash red blink.ino                             Compile `blink.ino` in the cloud and flash to device `red`',
-					'  particle cloud flash orange firmware.bin                       Flash a pre-compiled `firmware.bin` binary to device `orange`',
-					'  particle cloud flash 0123456789abcdef01234567 --product 12345  Compile the source code in the current directory in the cloud and flash to device `0123456789abcdef01234567` within product `12345`',
+					'  particle cloud flash blue                                                                  Compile the source code in the current directory in the cloud and flash to device `blue`',
+					'  particle cloud flash green tinker                                                          Flash the default `tinker` app to device `green`',
+					'  particle cloud flash red blink.ino                                                         Compile `blink.ino` in the cloud and flash to device `red`',
+					'  particle cloud flash orange firmware.bin                                                   Flash a pre-compiled `firmware.bin` binary to device `orange`',
+					'  particle cloud flash 0123456789abcdef01234567 --product 12345                              Compile the source code in the current directory in the cloud and flash to device `0123456789abcdef01234567` within product `12345`',
+					'  particle cloud flash blue project --watch                                                  Compile the project directory and flash it to device `blue` every time a source file changes',
+					'  particle cloud flash blue,green,red project                                                Compile the project directory once and flash it to devices `blue`, `green` and `red`',
+					'  particle cloud flash project --filter "platform=boron and name~^lab-" --retry-offline 600  Flash the project directory to the Boron devices whose name starts with `lab-`, waiting up to 10 minutes for the offline ones',
+					'  particle cloud flash firmware.bin --devices-file fleet.txt --json                          Flash `firmware.bin` to the devices listed in `fleet.txt` and show the result of each device as JSON',
+					'',
+					'Separate devices with commas to flash many devices. With `--filter` or `--devices-file` the first param is a file, not a device',
 					''
 				].join('\n'));
 			});
@@ -261,16 +284,11 @@ describe('Cloud Command-Line Interface', () => {
 			expect(argv.saveTo).to.equal(undefined);
 		});
 
-		it('Errors when required `device` argument is missing', () => {
-			const argv = commandProcessor.parse(root, ['cloud', 'compile']);
-			expect(argv.clierror).to.be.an.instanceof(Error);
-			expect(argv.clierror).to.have.property('message', 'Parameter \'deviceType\' is required.');
-			expect(argv.clierror).to.have.property('data', 'deviceType');
-			expect(argv.clierror).to.have.property('isUsageError', true);
-			expect(argv.params).to.eql({});
-			expect(argv.target).to.equal(undefined);
-			expect(argv.followSymlinks).to.equal(false);
-			expect(argv.saveTo).to.equal(undefined);
+		it('Parses the `platforms` option', () => {
+			const argv = commandProcessor.parse(root, ['cloud', 'compile', '--platforms', 'boron,argon', 'project']);
+			expect(argv.clierror).to.equal(undefined);
+			expect(argv.params).to.eql({ deviceType: 'project', files: [] });
+			expect(argv.platforms).to.equal('boron,argon');
 		});
 
 		it('Parses optional params', () => {
@@ -297,18 +315,34 @@ describe('Cloud Command-Line Interface', () => {
 			commandProcessor.showHelp((helpText) => {
 				expect(helpText).to.equal([
 					'Compile a source file, or directory using the cloud compiler',
-					'Usage: particle cloud compile [options] <deviceType> [files...]',
+					'Usage: particle cloud compile [options] [deviceType] [files...]',
 					'',
 					'Options:',
-					'  --target          The firmware version to compile against. Defaults to latest version, or version on device for cellular.  [string]',
-					'  --followSymlinks  Follow symlinks when collecting files  [boolean]',
-					'  --saveTo          Filename for the compiled binary  [string]',
+					'  --target           The firmware version to compile against: a version, a semver range like ^5.5, latest or lts. Defaults to latest version, or version on device for cellular.  [string]',
+					'  --all-targets      Let --target pick prerelease and non featured firmware versions  [boolean]',
+					'  --followSymlinks   Follow symlinks when collecting files  [boolean]',
+					'  --cache            Reuse the binary of an earlier compile of the same sources, platform and target. Use --no-cache to always compile in the cloud  [boolean] [default: true]',
+					'  --saveTo           Filename for the compiled binary  [string]',
+					'  --platforms        Comma separated platforms to compile for at the same time. Each binary is saved with the platform added to its name  [string]',
+					'  --format           How to show compiler errors: pretty or gcc (file:line:column: severity: message for editor problem matchers)  [string]',
+					'  --dry-run          Show the files that would be uploaded and why, without compiling  [boolean]',
+					'  --watch            Compile again every time the source files change  [boolean]',
+					'  --local-toolchain  Compile with the Device OS source tree and gcc-arm installed on this computer instead of the cloud compiler  [boolean]',
+					'  --manifest         Save a build manifest describing the sources, libraries, assets and firmware version next to the binary  [boolean]',
 					'',
 					'Examples:',
-					'  particle cloud compile photon                                  Compile the source code in the current directory in the cloud for a `photon`',
-					'  particle cloud compile electron project --saveTo electron.bin  Compile the source code in the project directory in the cloud for an `electron` and save it to a file named `electron.bin`',
+					'  particle cloud compile photon                                     Compile the source code in the current directory in the cloud for a `photon`',
+					'  particle cloud compile electron project --saveTo electron.bin     Compile the source code in the project directory in the cloud for an `electron` and save it to a file named `electron.bin`',
+					'  particle cloud compile boron,argon,p2 project --saveTo app.bin    Compile the project directory for `boron`, `argon` and `p2` and save the binaries to `app_boron.bin`, `app_argon.bin` and `app_p2.bin`',
+					'  particle cloud compile boron --format gcc                         Compile for a `boron` and show compiler errors the way GCC does',
+					'  particle cloud compile boron project --target ^5.5                Compile the project directory for a `boron` against the newest 5.x firmware version from 5.5 on',
+					'  particle cloud compile boron project --dry-run                    Show the files of the project directory that would be uploaded to the compile server',
+					'  particle cloud compile boron project --no-cache                   Compile the project directory in the cloud even when it was compiled before without changes',
+					'  particle cloud compile boron project --watch                      Compile the project directory for a `boron` every time a source file changes',
+					'  particle cloud compile boron project --local-toolchain            Compile the project directory for a `boron` without the cloud, using the deviceOsPath and gccArmPath settings',
+					'  particle cloud compile boron project --saveTo app.bin --manifest  Compile the project directory for a `boron` and describe the build in `app.build-manifest.json`',
 					'',
-					'Param deviceType can be: core, c, photon, p, p1, electron, e, argon, a, boron, b, xenon, x, esomx, bsom, b5som, tracker, assettracker, trackerm, p2, photon2, msom, muon',
+					'Param deviceType can be: core, c, photon, p, p1, electron, e, argon, a, boron, b, xenon, x, esomx, bsom, b5som, tracker, assettracker, trackerm, p2, photon2, msom, muon. Set flashBudget and ramBudget in project.properties (bytes like 200K, or a percentage of the platform limit like 90% for flashBudget) to fail when the firmware gets too big. RAM is only checked against ramBudget since the RAM limit of the platforms is not known. The local toolchain uses the Device OS source tree set with `particle config set deviceOsPath <path>` and gcc-arm from the PATH or `particle config set gccArmPath <path>`',
 					''
 				].join('\n'));
 			});
@@ -322,13 +356,11 @@ describe('Cloud Command-Line Interface', () => {
 			expect(argv.params).to.eql({ device: 'my-device', onOff: undefined });
 		});
 
-		it('Errors when required `device` argument is missing', () => {
-			const argv = commandProcessor.parse(root, ['cloud', 'nyan']);
-			expect(argv.clierror).to.be.an.instanceof(Error);
-			expect(argv.clierror).to.have.property('message', 'Parameter \'device\' is required.');
-			expect(argv.clierror).to.have.property('data', 'device');
-			expect(argv.clierror).to.have.property('isUsageError', true);
-			expect(argv.params).to.eql({});
+		it('Parses the `filter` option without a device', () => {
+			const argv = commandProcessor.parse(root, ['cloud', 'nyan', 'off', '--filter', 'platform=boron']);
+			expect(argv.clierror).to.equal(undefined);
+			expect(argv.params).to.eql({ device: 'off', onOff: undefined });
+			expect(argv.filter).to.equal('platform=boron');
 		});
 
 		it('Parses optional params', () => {
@@ -350,15 +382,17 @@ describe('Cloud Command-Line Interface', () => {
 			commandProcessor.showHelp((helpText) => {
 				expect(helpText).to.equal([
 					'Make your device shout rainbows',
-					'Usage: particle cloud nyan [options] <device> [onOff]',
+					'Usage: particle cloud nyan [options] [device] [onOff]',
 					'',
 					'Options:',
 					'  --product  Target a device within the given Product ID or Slug  [string]',
+					'  --filter   Signal every online device matching a filter instead of a single device. See `particle help cloud list`  [string]',
 					'',
 					'Examples:',
-					'  particle cloud nyan blue                  Make the device named `blue` start signaling',
-					'  particle cloud nyan blue off              Make the device named `blue` stop signaling',
-					'  particle cloud nyan blue --product 12345  Make the device named `blue` within product `12345` start signaling',
+					'  particle cloud nyan blue                                          Make the device named `blue` start signaling',
+					'  particle cloud nyan blue off                                      Make the device named `blue` stop signaling',
+					'  particle cloud nyan blue --product 12345                          Make the device named `blue` within product `12345` start signaling',
+					'  particle cloud nyan off --filter "platform=boron and name~^lab-"  Make the Boron devices whose name starts with `lab-` stop signaling',
 					''
 				].join('\n'));
 			});
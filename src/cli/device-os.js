@@ -0,0 +1,50 @@
+module.exports = ({ commandProcessor, root }) => {
+	const deviceOs = commandProcessor.createCategory(root, 'device-os', 'Manage the Device OS binaries stored for flashing without internet');
+
+	commandProcessor.createCommand(deviceOs, 'download', 'Stores the binaries of a Device OS version in the local store', {
+		params: '<platform> <version>',
+		handler: (args) => {
+			const DeviceOsCommand = require('../cmd/device-os');
+			return new DeviceOsCommand(args).download(args);
+		},
+		examples: {
+			'$0 $command boron 5.6.0': 'Stores Device OS 5.6.0 for a `boron`',
+			'$0 $command p2 latest': 'Stores the latest Device OS version for a `p2`'
+		},
+		epilogue: 'flash --local and update use the stored binaries without contacting the cloud when passing --offline. ' +
+			'The store is in ~/.particle unless `particle config set deviceOsBinariesPath <path>` points it at a shared directory'
+	});
+
+	commandProcessor.createCommand(deviceOs, 'list', 'Shows the Device OS versions in the local store', {
+		params: '[platform]',
+		handler: (args) => {
+			const DeviceOsCommand = require('../cmd/device-os');
+			return new DeviceOsCommand(args).list(args);
+		},
+		examples: {
+			'$0 $command': 'Shows every stored Device OS version',
+			'$0 $command boron': 'Shows the stored Device OS versions of a `boron`'
+		}
+	});
+
+	commandProcessor.createCommand(deviceOs, 'prune', 'Removes the older Device OS versions from the local store', {
+		params: '[platform]',
+		options: {
+			'keep': {
+				number: true,
+				default: 1,
+				description: 'How many of the newest versions of each platform to keep'
+			}
+		},
+		handler: (args) => {
+			const DeviceOsCommand = require('../cmd/device-os');
+			return new DeviceOsCommand(args).prune(args);
+		},
+		examples: {
+			'$0 $command': 'Keeps only the newest Device OS version of each platform',
+			'$0 $command boron --keep 2': 'Keeps the 2 newest Device OS versions of a `boron`'
+		}
+	});
+
+	return deviceOs;
+};
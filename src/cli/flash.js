@@ -35,6 +35,31 @@ module.exports = ({ commandProcessor, root }) => {
 				boolean: true,
 				description: 'Do not update Device OS when flashing locally'
 			},
+			'watch': {
+				boolean: true,
+				description: 'Compile and flash again every time the source files change'
+			},
+			'all': {
+				boolean: true,
+				description: 'Flash locally to every device connected over USB at the same time'
+			},
+			'devices': {
+				array: true,
+				description: 'Flash locally to these devices connected over USB at the same time'
+			},
+			'dry-run': {
+				boolean: true,
+				description: 'Show the steps of a local flash, after downloading any Device OS binaries it needs, without writing to the device'
+			},
+			'verify': {
+				boolean: true,
+				description: 'After a local flash, read the modules back from the device and fail if they do not match the flashed ones'
+			},
+			'cache': {
+				boolean: true,
+				default: true,
+				description: 'Reuse the binary of an earlier compile of the same sources, platform and target. Use --no-cache to always compile in the cloud'
+			},
 			'port': {
 				describe: 'Use this serial port instead of auto-detecting. Useful if there are more than 1 connected device. Only available for serial'
 			}
@@ -54,12 +79,21 @@ module.exports = ({ commandProcessor, root }) => {
 			'$0 $command --local application.bin': 'Flash the pre-compiled binary to the device connected over USB',
 			'$0 $command --local application.zip': 'Flash the pre-compiled binary and assets from the bundle to the device connected over USB',
 			'$0 $command --local tinker': 'Flash the default Tinker app to the device connected over USB',
+			'$0 $command --local application.bin --all': 'Flash the pre-compiled binary to every device connected over USB',
+			'$0 $command --local application.zip --devices <deviceId> <deviceId>': 'Flash the pre-compiled binary and assets from the bundle to two of the devices connected over USB',
+			'$0 $command --local application.zip --dry-run': 'Show in which order and mode the modules of the bundle would be flashed to the device connected over USB',
+			'$0 $command --local application.bin --all --verify': 'Flash the pre-compiled binary to every device connected over USB and check that each device runs it',
+			'$0 $command --local application.bin --offline': 'Flash the pre-compiled binary to the device connected over USB using the Device OS binaries stored on this computer',
+			'$0 $command --local --watch': 'Compile the source code in the current directory and flash it to the device connected over USB every time a source file changes',
 			'$0 $command --usb firmware.bin': 'Flash the binary over USB'
 		},
 		epilogue: unindent(`
 		  When passing the --local flag, Device OS will be updated if the version on the device is outdated.
 		  When passing both the --local and --target flash, Device OS will be updated to the target version.
 		  To avoid this behavior, pass the --application-only flag.
+		  When passing --all or --devices, the code is compiled once per platform and the devices are flashed at the same time.
+		  When a local flash is interrupted, the next local flash of the same files to that device alone offers to resume it. --all and --devices flash every module again.
+		  When passing both the --local and --offline flags, Device OS is only taken from the binaries stored by \`particle device-os download\`.
 		`)
 	});
 };
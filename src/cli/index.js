@@ -2,12 +2,15 @@ const help = require('./help');
 const alias = require('./alias');
 const binary = require('./binary');
 const bundle = require('./bundle');
+const cache = require('./cache');
 const cloud = require('./cloud');
 const config = require('./config');
+const deviceOs = require('./device-os');
 const doctor = require('./doctor');
 const flash = require('./flash');
 const func = require('./function');
 const keys = require('./keys');
+const ledger = require('./ledger');
 const library = require('./library');
 const logicFunction = require('./logic-function');
 const preprocess = require('./preprocess');
@@ -17,6 +20,7 @@ const publish = require('./publish');
 const serial = require('./serial');
 const setup = require('./setup');
 const subscribe = require('./subscribe');
+const targets = require('./targets');
 const token = require('./token');
 const udp = require('./udp');
 const updateCli = require('./update-cli');
@@ -41,34 +45,39 @@ const usb = require('./usb');
  * @param {object} context  The context for configuring the command.
  */
 module.exports = function registerAllCommands(context) {
-	// help must come first
-	help(context);
-
-	binary(context);
-	bundle(context);
-	cloud(context);
-	config(context);
-	doctor(context);
-	flash(context);
-	func(context);
-	keys(context);
-	library(context);
-	logicFunction(context);
-	preprocess(context);
-	product(context);
-	project(context);
-	publish(context);
-	serial(context);
-	setup(context);
-	subscribe(context);
-	token(context);
-	udp(context);
-	updateCli(context);
-	update(context);
-	variable(context);
-	version(context);
-	webhook(context);
-	whoami(context);
-	usb(context);
-	alias(context);
+	// help must come first and alias last
+	[
+		help,
+		binary,
+		bundle,
+		cache,
+		cloud,
+		config,
+		deviceOs,
+		doctor,
+		flash,
+		func,
+		keys,
+		ledger,
+		library,
+		logicFunction,
+		preprocess,
+		product,
+		project,
+		publish,
+		serial,
+		setup,
+		subscribe,
+		targets,
+		token,
+		udp,
+		updateCli,
+		update,
+		variable,
+		version,
+		webhook,
+		whoami,
+		usb,
+		alias
+	].forEach(register => register(context));
 };
@@ -0,0 +1,116 @@
+module.exports = ({ commandProcessor, root }) => {
+	const ledger = commandProcessor.createCategory(root, 'ledger', 'Manage the data stored in Ledgers');
+
+	const scopeOptions = {
+		'org': {
+			description: 'Specify the organization'
+		},
+		'device': {
+			description: 'Device ID of a device scoped Ledger'
+		},
+		'product': {
+			description: 'Product ID of a product scoped Ledger'
+		}
+	};
+
+	commandProcessor.createCommand(ledger, 'list', 'Lists the Ledgers', {
+		options: {
+			'org': scopeOptions.org
+		},
+		handler: (args) => {
+			const LedgerCommand = require('../cmd/ledger');
+			return new LedgerCommand(args).list(args);
+		},
+		examples: {
+			'$0 $command': 'lists the Ledgers of your Sandbox',
+			'$0 $command --org <org>': 'lists the Ledgers of an organization'
+		}
+	});
+
+	commandProcessor.createCommand(ledger, 'get', 'Shows the data of a Ledger', {
+		params: '<name>',
+		options: scopeOptions,
+		handler: (args) => {
+			const LedgerCommand = require('../cmd/ledger');
+			return new LedgerCommand(args).get(args);
+		},
+		examples: {
+			'$0 $command config': 'shows the data of the `config` Ledger of your Sandbox',
+			'$0 $command status --device <deviceId>': 'shows the data of the `status` Ledger of a device'
+		}
+	});
+
+	commandProcessor.createCommand(ledger, 'set', 'Sets the data of a Ledger', {
+		params: '<name> [data]',
+		options: Object.assign({}, scopeOptions, {
+			'file': {
+				description: 'Read the data from a JSON file'
+			},
+			'merge': {
+				boolean: true,
+				default: false,
+				description: 'Merge the data with the current data instead of replacing it'
+			}
+		}),
+		handler: (args) => {
+			const LedgerCommand = require('../cmd/ledger');
+			return new LedgerCommand(args).set(args);
+		},
+		examples: {
+			'$0 $command config \'{ "threshold": 20 }\'': 'replaces the data of the `config` Ledger',
+			'$0 $command config \'{ "threshold": 20 }\' --merge': 'updates the `threshold` of the `config` Ledger',
+			'$0 $command status --product <productId> --file status.json': 'sets the data of a product scoped Ledger from a file'
+		}
+	});
+
+	commandProcessor.createCommand(ledger, 'delete', 'Deletes the data of a Ledger', {
+		params: '<name>',
+		options: Object.assign({}, scopeOptions, {
+			'force': {
+				boolean: true,
+				default: false,
+				description: 'Deletes without asking for confirmation'
+			}
+		}),
+		handler: (args) => {
+			const LedgerCommand = require('../cmd/ledger');
+			return new LedgerCommand(args).delete(args);
+		},
+		examples: {
+			'$0 $command status --device <deviceId>': 'deletes the data of the `status` Ledger of a device'
+		}
+	});
+
+	commandProcessor.createCommand(ledger, 'export', 'Exports the data of a Ledger to JSON', {
+		params: '<name> [file]',
+		options: scopeOptions,
+		handler: (args) => {
+			const LedgerCommand = require('../cmd/ledger');
+			return new LedgerCommand(args).export(args);
+		},
+		examples: {
+			'$0 $command status status.json': 'saves the data of every instance of the `status` Ledger to status.json',
+			'$0 $command status --device <deviceId>': 'prints the data of the `status` Ledger of a device'
+		}
+	});
+
+	commandProcessor.createCommand(ledger, 'import', 'Imports the data of a Ledger from JSON', {
+		params: '<file>',
+		options: {
+			'org': scopeOptions.org,
+			'name': {
+				description: 'Import into this Ledger instead of the one in the file'
+			}
+		},
+		handler: (args) => {
+			const LedgerCommand = require('../cmd/ledger');
+			return new LedgerCommand(args).import(args);
+		},
+		examples: {
+			'$0 $command status.json': 'sets the data of every instance in a file created with `ledger export`',
+			'$0 $command status.json --name status-copy': 'copies the exported data into another Ledger'
+		}
+	});
+
+	return ledger;
+};
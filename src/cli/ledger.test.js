@@ -0,0 +1,76 @@
+const { expect } = require('../../test/setup');
+const commandProcessor = require('../app/command-processor');
+const ledger = require('./ledger');
+
+
+describe('Ledger Command-Line Interface', () => {
+	let root;
+
+	beforeEach(() => {
+		root = commandProcessor.createAppCategory();
+		ledger({ root, commandProcessor });
+	});
+
+	describe('Top-Level `ledger` Namespace', () => {
+		it('Handles `ledger` command', () => {
+			const argv = commandProcessor.parse(root, ['ledger']);
+			expect(argv.clierror).to.equal(undefined);
+			expect(argv.params).to.equal(undefined);
+		});
+
+		it('Includes help with examples', () => {
+			commandProcessor.parse(root, ['ledger', '--help']);
+			commandProcessor.showHelp((helpText) => {
+				expect(helpText).to.equal([
+					'Manage the data stored in Ledgers',
+					'Usage: particle ledger <command>',
+					'Help:  particle help ledger <command>',
+					'',
+					'Commands:',
+					'  list    Lists the Ledgers',
+					'  get     Shows the data of a Ledger',
+					'  set     Sets the data of a Ledger',
+					'  delete  Deletes the data of a Ledger',
+					'  export  Exports the data of a Ledger to JSON',
+					'  import  Imports the data of a Ledger from JSON',
+					''
+				].join('\n'));
+			});
+		});
+	});
+
+	describe('Handles `ledger get` Command', () => {
+		it('Parses arguments and scope options', () => {
+			const argv = commandProcessor.parse(root, ['ledger', 'get', 'config', '--device', '0123456789abcdef01234567']);
+			expect(argv.clierror).to.equal(undefined);
+			expect(argv.params).to.eql({ name: 'config' });
+			expect(argv.device).to.equal('0123456789abcdef01234567');
+		});
+
+		it('Errors when required `name` argument is missing', () => {
+			const argv = commandProcessor.parse(root, ['ledger', 'get']);
+			expect(argv.clierror).to.be.an.instanceof(Error);
+			expect(argv.clierror).to.have.property('message', 'Parameter \'name\' is required.');
+		});
+	});
+
+	describe('Handles `ledger set` Command', () => {
+		it('Parses arguments and options', () => {
+			const argv = commandProcessor.parse(root, ['ledger', 'set', 'config', '{"threshold":20}', '--product', '1234', '--merge']);
+			expect(argv.clierror).to.equal(undefined);
+			expect(argv.params).to.eql({ name: 'config', data: '{"threshold":20}' });
+			expect(argv.product).to.equal('1234');
+			expect(argv.merge).to.equal(true);
+		});
+	});
+
+	describe('Handles `ledger import` Command', () => {
+		it('Parses arguments and options', () => {
+			const argv = commandProcessor.parse(root, ['ledger', 'import', 'config.json', '--name', 'config-copy', '--org', 'my-org']);
+			expect(argv.clierror).to.equal(undefined);
+			expect(argv.params).to.eql({ file: 'config.json' });
+			expect(argv.name).to.equal('config-copy');
+			expect(argv.org).to.equal('my-org');
+		});
+	});
+});
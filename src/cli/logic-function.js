@@ -101,6 +101,11 @@ module.exports = ({ commandProcessor, root }) => {
 			},
 			'payload': {
 				description: 'Payload to send to the device could be a string or a file path'
+			},
+			'local': {
+				boolean: true,
+				default: false,
+				description: 'Executes the Logic Function on this machine instead of the cloud'
 			}
 		},
 		handler: (args) => {
@@ -113,9 +118,63 @@ module.exports = ({ commandProcessor, root }) => {
 			'$0 $command --deviceId <deviceId>': 'executes the local Logic Function for an specific device',
 			'$0 $command --payload { "event": { "product_id": <productId>, "device_id": "<deviceId>", "event_data": "<test data>", "event_name":"<event_test_name>"}}' : 'executes the local Logic Function with the payload',
 			'$0 $command --payload /path/payload.json' : 'executes the local Logic Function with the payload',
+			'$0 $command --local --payload /path/payload.json' : 'executes the local Logic Function on this machine without contacting the cloud',
 		}
 	});
 
+	commandProcessor.createCommand(logicFunction, 'test', `Runs the test fixtures of the local Logic Functions. ${os.EOL}${aliasDescription} test [options]`, {
+		params: '[filepath]',
+		options: {
+			'org': {
+				description: 'Specify the organization',
+				hidden: true
+			},
+			'name': {
+				description: 'Name of the Logic Function'
+			},
+			'id': {
+				description: 'Id of the Logic Function'
+			},
+			'junit': {
+				description: 'Path of a JUnit XML report to generate'
+			}
+		},
+		handler: (args) => {
+			const LogicFunctionsCmd = require('../cmd/logic-function');
+			return new LogicFunctionsCmd(args).test(args);
+		},
+		examples: {
+			'$0 $command': 'runs the <name>.test.json fixtures of every Logic Function in your current directory',
+			'$0 $command --name <name>': 'runs the fixtures of the Logic Function with the given name',
+			'$0 $command --junit report.xml': 'runs the fixtures and saves a JUnit XML report',
+		}
+	});
+
+	commandProcessor.createCommand(logicFunction, 'diff', `Shows the differences between a local and a deployed Logic Function. ${os.EOL}${aliasDescription} diff [options]`, {
+		params: '[filepath]',
+		options: {
+			'org': {
+				description: 'Specify the organization',
+				hidden: true
+			},
+			'name': {
+				description: 'Name of the Logic Function'
+			},
+			'id': {
+				description: 'Id of the Logic Function'
+			}
+		},
+		handler: (args) => {
+			const LogicFunctionsCmd = require('../cmd/logic-function');
+			return new LogicFunctionsCmd(args).diff(args);
+		},
+		examples: {
+			'$0 $command': 'compares the Logic Function in your current directory with the one deployed to the cloud',
+			'$0 $command --name <name>': 'compares the Logic Function with the given name with the one deployed to the cloud',
+		},
+		epilogue: 'When the local copy was deployed or downloaded with `get` on this computer, the local changes and the ones deployed to the cloud since are shown separately'
+	});
+
 	commandProcessor.createCommand(logicFunction, 'deploy', `Deploys a Logic Function to the cloud. ${os.EOL}${aliasDescription} deploy [options]`, {
 		params: '[filepath]',
 		options: {
@@ -148,6 +207,16 @@ module.exports = ({ commandProcessor, root }) => {
 				boolean: true,
 				default: false,
 				description: 'Overwrites all the prompts',
+			},
+			'diff': {
+				boolean: true,
+				default: false,
+				description: 'Shows the differences with the deployed Logic Function before confirming'
+			},
+			'skip-tests': {
+				boolean: true,
+				default: false,
+				description: 'Deploys without running the <name>.test.json tests of the Logic Function first'
 			}
 		},
 		handler: (args) => {
@@ -160,6 +229,8 @@ module.exports = ({ commandProcessor, root }) => {
 			'$0 $command --deviceId <deviceId>': 'executes and deploys the local Logic Function for an specific device',
 			'$0 $command --payload { "event": { "product_id": <productId>, "device_id": "<deviceId>", "event_data": "<test data>", "event_name":"<event_test_name>"}}' : 'executes and deploys the local Logic Function with the payload',
 			'$0 $command --payload /path/payload.json' : 'executes and deploys the local Logic Function with the payload',
+			'$0 $command --diff': 'shows the changes that will be deployed before executing and deploying the local Logic Function',
+			'$0 $command --skip-tests': 'executes and deploys the local Logic Function without running its tests',
 		}
 	});
 
@@ -256,6 +327,17 @@ module.exports = ({ commandProcessor, root }) => {
 			},
 			'saveTo': {
 				description: 'File name to save the logs'
+			},
+			'follow': {
+				boolean: true,
+				default: false,
+				description: 'Keeps waiting for new runs and shows their logs'
+			},
+			'since': {
+				description: 'Only shows runs started after a duration (30m, 2h, 7d) or a date'
+			},
+			'status': {
+				description: 'Only shows runs with the given status: error or success'
 			}
 		},
 		handler: (args) => {
@@ -267,6 +349,101 @@ module.exports = ({ commandProcessor, root }) => {
 			'$0 $command --name <name>': 'Shows logs from a Logic Function with the given name',
 			'$0 $command --id <id>': 'Shows logs from a Logic Function with the given id',
 			'$0 $command --name <name> --saveTo /path/to/file.txt': 'Downloads logs from a Logic Function with the given name to the path',
+			'$0 $command --name <name> --follow': 'Shows logs from a Logic Function and waits for new runs',
+			'$0 $command --name <name> --since 2h --status error': 'Shows logs from the failed runs of the last 2 hours',
+			'$0 $command --name <name> --json': 'Shows logs from a Logic Function as JSON',
+		}
+	});
+
+	const triggers = commandProcessor.createCategory(logicFunction, 'triggers', 'Manage the triggers of a local Logic Function');
+
+	commandProcessor.createCommand(triggers, 'list', `Lists the triggers of a local Logic Function. ${os.EOL}${aliasDescription} triggers list [options]`, {
+		params: '[filepath]',
+		options: {
+			'org': {
+				description: 'Specify the organization',
+				hidden: true
+			},
+			'name': {
+				description: 'Name of the Logic Function'
+			},
+			'id': {
+				description: 'Id of the Logic Function'
+			}
+		},
+		handler: (args) => {
+			const LogicFunctionsCmd = require('../cmd/logic-function');
+			return new LogicFunctionsCmd(args).listTriggers(args);
+		},
+		examples: {
+			'$0 $command': 'lists the triggers of the Logic Function in your current directory',
+			'$0 $command --name <name>': 'lists the triggers of the Logic Function with the given name',
+		}
+	});
+
+	commandProcessor.createCommand(triggers, 'add', `Adds a trigger to a local Logic Function. ${os.EOL}${aliasDescription} triggers add [options]`, {
+		params: '[filepath]',
+		options: {
+			'org': {
+				description: 'Specify the organization',
+				hidden: true
+			},
+			'name': {
+				description: 'Name of the Logic Function'
+			},
+			'id': {
+				description: 'Id of the Logic Function'
+			},
+			'event': {
+				description: 'Name of the event that triggers the Logic Function'
+			},
+			'product': {
+				description: 'Id of the product whose events trigger the Logic Function'
+			},
+			'cron': {
+				description: 'Cron expression (minute hour day-of-month month day-of-week) that schedules the Logic Function'
+			},
+			'start-at': {
+				description: 'Date when the schedule starts'
+			},
+			'end-at': {
+				description: 'Date when the schedule ends'
+			}
+		},
+		handler: (args) => {
+			const LogicFunctionsCmd = require('../cmd/logic-function');
+			return new LogicFunctionsCmd(args).addTrigger(args);
+		},
+		examples: {
+			'$0 $command --event temperature --product 12345': 'runs the Logic Function when a device of product 12345 publishes the temperature event',
+			'$0 $command --cron "*/15 * * * *"': 'runs the Logic Function every 15 minutes',
+			'$0 $command --cron "0 8 * * MON-FRI" --end-at 2025-01-01': 'runs the Logic Function every weekday at 8:00 UTC until 2025',
+		}
+	});
+
+	commandProcessor.createCommand(triggers, 'remove', `Removes a trigger from a local Logic Function. ${os.EOL}${aliasDescription} triggers remove [options]`, {
+		params: '[filepath]',
+		options: {
+			'org': {
+				description: 'Specify the organization',
+				hidden: true
+			},
+			'name': {
+				description: 'Name of the Logic Function'
+			},
+			'id': {
+				description: 'Id of the Logic Function'
+			},
+			'trigger': {
+				description: 'Number shown by triggers list or id of the trigger to remove'
+			}
+		},
+		handler: (args) => {
+			const LogicFunctionsCmd = require('../cmd/logic-function');
+			return new LogicFunctionsCmd(args).removeTrigger(args);
+		},
+		examples: {
+			'$0 $command --trigger 2': 'removes the second trigger of the Logic Function in your current directory',
 		}
 	});
 
@@ -1,3 +1,5 @@
+const { describeDeviceFilter } = require('../lib/device-filter');
+
 module.exports = ({ commandProcessor, root }) => {
 	const product = commandProcessor.createCategory(root, 'product', 'Access Particle Product functionality [BETA]');
 	const device = commandProcessor.createCategory(product, 'device', 'Manage the devices associated with your product');
@@ -24,20 +26,21 @@ module.exports = ({ commandProcessor, root }) => {
 				array: true,
 				description: 'Space separated list of groups to include'
 			},
-			json: {
-				boolean: true,
-				description: 'Output JSON formatted data (experimental)'
+			filter: {
+				description: 'Only list the devices that match this filter expression, searching every page'
 			}
 		},
 		examples: {
 			'$0 $command 12345': 'Lists devices in product `12345`',
 			'$0 $command 12345 0123456789abcdef01234567': 'Get details for device with id `0123456789abcdef01234567` within in product `12345`',
-			'$0 $command 12345 --groups foo bar': 'Lists devices in product which are assigned the `foo` or `bar` groups'
+			'$0 $command 12345 --groups foo bar': 'Lists devices in product which are assigned the `foo` or `bar` groups',
+			'$0 $command 12345 --filter "offline and os<4.0.0"': 'Lists offline devices in product `12345` running a Device OS older than 4.0.0'
 		},
 		handler: (args) => {
 			const ProdCmd = require('../cmd/product');
 			return new ProdCmd(args).showDeviceList(args);
-		}
+		},
+		epilogue: describeDeviceFilter('Option --filter')
 	});
 
 	commandProcessor.createCommand(device, 'add', 'Adds one or more devices into a Product', {
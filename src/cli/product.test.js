@@ -88,12 +88,15 @@ describe('Product Command-Line Interface', () => {
 					'  --page, -p    Start listing at the given page number  [number]',
 					'  --limit, -l   The number of items to show per page  [number]',
 					'  --groups, -g  Space separated list of groups to include  [array]',
-					'  --json        Output JSON formatted data (experimental)  [boolean]',
+					'  --filter      Only list the devices that match this filter expression, searching every page  [string]',
 					'',
 					'Examples:',
-					'  particle product device list 12345                           Lists devices in product `12345`',
-					'  particle product device list 12345 0123456789abcdef01234567  Get details for device with id `0123456789abcdef01234567` within in product `12345`',
-					'  particle product device list 12345 --groups foo bar          Lists devices in product which are assigned the `foo` or `bar` groups',
+					'  particle product device list 12345                                  Lists devices in product `12345`',
+					'  particle product device list 12345 0123456789abcdef01234567         Get details for device with id `0123456789abcdef01234567` within in product `12345`',
+					'  particle product device list 12345 --groups foo bar                 Lists devices in product which are assigned the `foo` or `bar` groups',
+					'  particle product device list 12345 --filter "offline and os<4.0.0"  Lists offline devices in product `12345` running a Device OS older than 4.0.0',
+					'',
+					'Option --filter can be: online, offline, a platform name (core, photon, p1, electron, argon, boron, xenon, esomx, bsom, b5som, tracker, trackerm, p2, msom), a device ID or name, or an expression combining comparisons with and, or, not and parentheses like `platform=boron and online and name~^lab-`. Fields are id, name, platform, online, os, lastHeard, product, iccid, serial. os compares Device OS versions (os<4.0.0) and lastHeard compares how long ago a device was heard from (lastHeard<7d) or a date (lastHeard<2024-01-31)',
 					''
 				].join('\n'));
 			});
@@ -11,5 +11,24 @@ module.exports = ({ commandProcessor, root }) => {
 		handler: (...args) => require('./project_init').command(...args)
 	});
 
+	commandProcessor.createCommand(project, 'files', 'Show the files uploaded to the compile server and the rules that include or exclude them', {
+		params: '[files...]',
+		options: {
+			'followSymlinks': {
+				boolean: true,
+				description: 'Follow symlinks when collecting files'
+			}
+		},
+		handler: (args) => {
+			const CloudCommands = require('../cmd/cloud');
+			return new CloudCommands(args).listProjectFiles(args);
+		},
+		examples: {
+			'$0 $command': 'Show the files of the project in the current directory',
+			'$0 $command project --json': 'Show the files of the project directory as JSON'
+		},
+		epilogue: 'Files come from the default source patterns, minus library examples, plus particle.include and minus particle.ignore rules'
+	});
+
 	return project;
 };
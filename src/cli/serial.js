@@ -11,9 +11,9 @@ module.exports = ({ commandProcessor, root }) => {
 	};
 
 	commandProcessor.createCommand(serial, 'list', 'Show devices connected via serial to your computer', {
-		handler: () => {
+		handler: (args) => {
 			const SerialCommands = require('../cmd/serial');
-			return new SerialCommands().listDevices();
+			return new SerialCommands().listDevices(args);
 		}
 	});
 
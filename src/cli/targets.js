@@ -0,0 +1,26 @@
+module.exports = ({ commandProcessor, root }) => {
+	const targets = commandProcessor.createCategory(root, 'targets', 'List the firmware versions available to compile against');
+
+	commandProcessor.createCommand(targets, 'list', 'Shows the firmware versions available for each platform', {
+		params: '[platform]',
+		options: {
+			'all': {
+				boolean: true,
+				default: false,
+				description: 'Include the prerelease and non featured versions'
+			}
+		},
+		handler: (args) => {
+			const TargetsCommand = require('../cmd/targets');
+			return new TargetsCommand(args).list(args);
+		},
+		examples: {
+			'$0 $command': 'Shows the firmware versions of every platform',
+			'$0 $command boron --all': 'Shows every firmware version available for a `boron`, prereleases included'
+		},
+		epilogue: 'Use one of the versions, a semver range like ^5.5, latest or lts with `particle compile --target`. ' +
+			'lts is the newest version of the long term support releases, the even major versions like 4.x and 6.x'
+	});
+
+	return targets;
+};
@@ -2,9 +2,9 @@ module.exports = ({ commandProcessor, root }) => {
 	const token = commandProcessor.createCategory(root, 'token', 'Manage access tokens (require username/password)');
 
 	commandProcessor.createCommand(token, 'list', 'List all access tokens for your account', {
-		handler: () => {
+		handler: (args) => {
 			const AccessTokenCommands = require('../cmd/token');
-			return new AccessTokenCommands().listAccessTokens();
+			return new AccessTokenCommands().listAccessTokens(args);
 		}
 	});
 
@@ -13,7 +13,9 @@ module.exports = ({ commandProcessor, root }) => {
 		examples: {
 			'$0 $command': 'Update Device OS on the device connected over USB',
 			'$0 $command red': 'Update Device OS on device red',
-			'$0 $command --target 5.0.0 blue': 'Update Device OS on device blue to version 5.0.0'
-		}
+			'$0 $command --target 5.0.0 blue': 'Update Device OS on device blue to version 5.0.0',
+			'$0 $command --target 5.0.0 --offline': 'Update Device OS to version 5.0.0 using the binaries stored by `particle device-os download`'
+		},
+		epilogue: 'When passing --offline, the Device OS binaries are only taken from the local store. Without --target the newest stored version is used'
 	});
 };
@@ -62,7 +62,7 @@ describe('USB Command-Line Interface', () => {
 					'  --exclude-dfu  Do not list devices which are in DFU mode  [boolean]',
 					'  --ids-only     Print only device IDs  [boolean]',
 					'',
-					'Param filter can be: online, offline, a platform name (core, photon, p1, electron, argon, boron, xenon, esomx, bsom, b5som, tracker, trackerm, p2, msom), a device ID or name',
+					'Param filter can be: online, offline, a platform name (core, photon, p1, electron, argon, boron, xenon, esomx, bsom, b5som, tracker, trackerm, p2, msom), a device ID or name, or an expression combining comparisons with and, or, not and parentheses like `platform=boron and online and name~^lab-`. Fields are id, name, platform, online, os, lastHeard, product, iccid, serial. os compares Device OS versions (os<4.0.0) and lastHeard compares how long ago a device was heard from (lastHeard<7d) or a date (lastHeard<2024-01-31)',
 					''
 				].join('\n'));
 			});
@@ -35,9 +35,9 @@ module.exports = ({ commandProcessor, root }) => {
 	});
 
 	commandProcessor.createCommand(webhook, 'list', 'Show your current Webhooks', {
-		handler: () => {
+		handler: (args) => {
 			const WebhookCommand = require('../cmd/webhook');
-			return new WebhookCommand().listHooks();
+			return new WebhookCommand().listHooks(args);
 		}
 	});
 
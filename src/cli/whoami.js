@@ -1,8 +1,8 @@
 module.exports = ({ commandProcessor, root }) => {
 	commandProcessor.createCommand(root, 'whoami', 'prints signed-in username', {
-		handler: () => {
+		handler: (args) => {
 			const WhoAmICommand = require('../cmd/whoami');
-			return new WhoAmICommand().getUsername();
+			return new WhoAmICommand().getUsername(args);
 		}
 	});
 };
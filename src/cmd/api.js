@@ -282,6 +282,66 @@ module.exports = class ParticleApi {
 		}));
 	}
 
+	listLogicFunctionRuns({ org, id }) {
+		return this._wrap(this.api.listLogicRuns({
+			org,
+			logicFunctionId: id,
+			auth: this.accessToken
+		}));
+	}
+
+	getLogicFunctionRunLogs({ org, id, runId }) {
+		return this._wrap(this.api.getLogicRunLogs({
+			org,
+			logicFunctionId: id,
+			logicRunId: runId,
+			auth: this.accessToken
+		}));
+	}
+
+	listLedgers({ org }) {
+		return this._wrap(this.api.listLedgers({
+			org,
+			auth: this.accessToken
+		}));
+	}
+
+	listLedgerInstances({ org, name }) {
+		return this._wrap(this.api.listLedgerInstances({
+			org,
+			ledgerName: name,
+			auth: this.accessToken
+		}));
+	}
+
+	getLedgerInstance({ org, name, scopeValue }) {
+		return this._wrap(this.api.getLedgerInstance({
+			org,
+			ledgerName: name,
+			scopeValue,
+			auth: this.accessToken
+		}));
+	}
+
+	setLedgerInstance({ org, name, scopeValue, data }) {
+		return this._wrap(this.api.setLedgerInstance({
+			org,
+			ledgerName: name,
+			scopeValue,
+			data,
+			auth: this.accessToken
+		}));
+	}
+
+	deleteLedgerInstance({ org, name, scopeValue }) {
+		return this._wrap(this.api.deleteLedgerInstance({
+			org,
+			ledgerName: name,
+			scopeValue,
+			auth: this.accessToken
+		}));
+	}
+
 	_wrap(promise){
 		return Promise.resolve(promise)
 			.then(result => result.body || result)
@@ -1,5 +1,6 @@
 const { errors: { usageError } } = require('../app/command-processor');
 const UI = require('../lib/ui');
+const utilities = require('../lib/utilities');
 
 const DEVICE_ID_PTN = /^[0-9a-f]{24}$/i;
 
@@ -22,6 +23,18 @@ module.exports = class CLICommandBase {
 		return DEVICE_ID_PTN.test(x);
 	}
 
+	// accepts a platform name, an alias like `b` or a platform id
+	parsePlatform(platform){
+		const platforms = utilities.knownPlatformIdsWithAliases();
+		if (platform in platforms) {
+			return platforms[platform];
+		}
+		if (Object.values(platforms).includes(Number(platform))) {
+			return Number(platform);
+		}
+		throw usageError(`Unknown platform: ${platform}. Platform can be: ${Object.keys(utilities.knownPlatformIds()).join(', ')}`);
+	}
+
 	async showUsageError(msg){
 		throw usageError(msg);
 	}
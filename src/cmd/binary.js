@@ -25,6 +25,7 @@ License along with this program; if not, see <http://www.gnu.org/licenses/>.
  ******************************************************************************
  */
 
+const _ = require('lodash');
 const fs = require('fs-extra');
 const path = require('path');
 const VError = require('verror');
@@ -32,18 +33,65 @@ const chalk = require('chalk');
 const { HalModuleParser: Parser, unpackApplicationAndAssetBundle, isAssetValid } = require('binary-version-reader');
 const utilities = require('../lib/utilities');
 const ensureError = utilities.ensureError;
+const { JSONResult } = require('../lib/json-result');
+const { verifyBuildManifest } = require('../lib/build-manifest');
 
 const INVALID_SUFFIX_SIZE = 65535;
 const DEFAULT_PRODUCT_ID = 65535;
 const DEFAULT_PRODUCT_VERSION = 65535;
 
 class BinaryCommand {
-	async inspectBinary(file) {
+	async inspectBinary(file, { json, manifest } = {}) {
 		await this._checkFile(file);
+		const buildManifest = manifest ? await this._readManifest(manifest) : null;
 		const extractedFiles = await this._extractFiles(file);
-		const parsedAppInfo = await this._parseApplicationBinary(extractedFiles.application);
 		const assets = extractedFiles.assets;
+		if (json) {
+			const fileInfo = await this._parseBinary(extractedFiles.application);
+			const description = this._describeBinary(fileInfo, assets);
+			if (buildManifest) {
+				description.manifest = this._checkManifest(manifest, buildManifest, fileInfo, assets);
+				if (!description.manifest.ok) {
+					const error = new Error(`${description.filename} does not match the build manifest ${manifest}`);
+					error.details = description;
+					throw error;
+				}
+			}
+			console.log(new JSONResult(null, description).toString());
+			return;
+		}
+		const parsedAppInfo = await this._parseApplicationBinary(extractedFiles.application);
 		await this._verifyBundle(parsedAppInfo, assets);
+		if (buildManifest) {
+			this._verifyManifest(manifest, buildManifest, parsedAppInfo, assets);
+		}
+	}
+
+	async _readManifest(manifest) {
+		try {
+			return await fs.readJson(manifest);
+		} catch (error) {
+			throw new VError(ensureError(error), `Could not read the build manifest ${manifest}`);
+		}
+	}
+
+	_checkManifest(manifest, buildManifest, fileInfo, assets) {
+		const checks = verifyBuildManifest(buildManifest, fileInfo, assets);
+		return { filename: manifest, ok: checks.every(check => check.ok), checks };
+	}
+
+	_verifyManifest(manifest, buildManifest, fileInfo, assets) {
+		const { ok, checks } = this._checkManifest(manifest, buildManifest, fileInfo, assets);
+		if (ok) {
+			console.log(chalk.green(' It matches the build manifest ' + path.basename(manifest)
+				+ ' (built on ' + buildManifest.createdAt + ' with Device OS ' + buildManifest.targetVersion + ')'));
+			return;
+		}
+		for (const { name, expected, actual } of checks.filter(check => !check.ok)) {
+			console.log(chalk.red(' ' + name + ' does not match the build manifest (should be ' + expected
+				+ (actual === null ? ' but is not in the bundle)' : ' but is ' + actual + ')')));
+		}
+		throw new Error(`${path.basename(fileInfo.filename)} does not match the build manifest ${manifest}`);
 	}
 
 	async _checkFile(file) {
@@ -66,7 +114,7 @@ class BinaryCommand {
 		}
 	}
 
-	async _parseApplicationBinary(applicationBinary) {
+	async _parseBinary(applicationBinary) {
 		const parser = new Parser();
 		let fileInfo;
 		try {
@@ -75,11 +123,15 @@ class BinaryCommand {
 			throw new VError(ensureError(err), `Could not parse ${applicationBinary.name}`);
 		}
 
-		const filename = path.basename(fileInfo.filename);
 		if (fileInfo.suffixInfo.suffixSize === INVALID_SUFFIX_SIZE){
-			throw new VError(`${filename} does not contain inspection information`);
+			throw new VError(`${path.basename(fileInfo.filename)} does not contain inspection information`);
 		}
-		console.log(chalk.bold(filename));
+		return fileInfo;
+	}
+
+	async _parseApplicationBinary(applicationBinary) {
+		const fileInfo = await this._parseBinary(applicationBinary);
+		console.log(chalk.bold(path.basename(fileInfo.filename)));
 		this._showCrc(fileInfo);
 		this._showPlatform(fileInfo);
 		this._showModuleInfo(fileInfo);
@@ -90,24 +142,74 @@ class BinaryCommand {
 		const appAssets = appInfo.assets;
 		if (appAssets && assets.length > 0) {
 			console.log('It depends on assets:');
-			for (const appAsset of appAssets) {
-				const asset = assets.find((bundleAsset) => bundleAsset.name === appAsset.name);
-				if (asset) {
-					const valid = isAssetValid(asset.data, appAsset);
-
-					if (valid) {
-						console.log(' ' + chalk.bold(appAsset.name) + ' (hash ' + appAsset.hash + ')');
-					} else {
-						console.log(chalk.red(' ' + appAsset.name + ' failed' + ' (hash should be ' + appAsset.hash + ')'));
-					}
+			for (const { name, hash, inBundle, valid } of this._checkAssets(appAssets, assets)) {
+				if (valid) {
+					console.log(' ' + chalk.bold(name) + ' (hash ' + hash + ')');
+				} else if (inBundle) {
+					console.log(chalk.red(' ' + name + ' failed' + ' (hash should be ' + hash + ')'));
 				} else {
-					console.log(chalk.red(' ' + appAsset.name + ' failed' + ' (hash should be ' + appAsset.hash + ' but is not in the bundle)'));
+					console.log(chalk.red(' ' + name + ' failed' + ' (hash should be ' + hash + ' but is not in the bundle)'));
 				}
 			}
 		}
 		return true;
 	}
 
+	_checkAssets(appAssets, assets) {
+		return appAssets.map((appAsset) => {
+			const asset = assets.find((bundleAsset) => bundleAsset.name === appAsset.name);
+			return {
+				name: appAsset.name,
+				hash: appAsset.hash,
+				inBundle: !!asset,
+				valid: !!asset && isAssetValid(asset.data, appAsset)
+			};
+		});
+	}
+
+	_describeBinary(fileInfo, assets) {
+		const { prefixInfo, suffixInfo } = fileInfo;
+		const platformName = _.findKey(utilities.knownPlatformIds(), (id) => id === prefixInfo.platformID);
+		const dependencies = [];
+
+		if (prefixInfo.depModuleFunction){
+			dependencies.push({
+				moduleFunction: prefixInfo.depModuleFunction,
+				moduleIndex: prefixInfo.depModuleIndex,
+				moduleVersion: prefixInfo.depModuleVersion
+			});
+		}
+		if (prefixInfo.dep2ModuleFunction){
+			dependencies.push({
+				moduleFunction: prefixInfo.dep2ModuleFunction,
+				moduleIndex: prefixInfo.dep2ModuleIndex,
+				moduleVersion: prefixInfo.dep2ModuleVersion
+			});
+		}
+
+		const description = {
+			filename: path.basename(fileInfo.filename),
+			crc: {
+				ok: !!fileInfo.crc.ok,
+				storedCrc: fileInfo.crc.storedCrc,
+				actualCrc: fileInfo.crc.actualCrc
+			},
+			platformId: prefixInfo.platformID,
+			platform: platformName || null,
+			moduleFunction: prefixInfo.moduleFunction,
+			moduleIndex: prefixInfo.moduleIndex,
+			moduleVersion: prefixInfo.moduleVersion,
+			dependencies,
+			assets: fileInfo.assets && assets.length > 0 ? this._checkAssets(fileInfo.assets, assets) : []
+		};
+
+		if (suffixInfo.productId !== DEFAULT_PRODUCT_ID && suffixInfo.productVersion !== DEFAULT_PRODUCT_VERSION) {
+			description.productId = suffixInfo.productId;
+			description.productVersion = suffixInfo.productVersion;
+		}
+		return description;
+	}
+
 	_showCrc(fileInfo){
 		if (fileInfo.crc.ok){
 			console.log(chalk.green(' CRC is ok (' + fileInfo.crc.actualCrc + ')'));
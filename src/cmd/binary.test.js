@@ -1,8 +1,9 @@
 const BinaryCommand = require('../cmd/binary');
-const { expect } = require('../../test/setup');
+const { expect, sinon } = require('../../test/setup');
 const path = require('path');
 const fs = require('fs-extra');
-const { PATH_FIXTURES_THIRDPARTY_OTA_DIR, PATH_FIXTURES_BINARIES_DIR } = require('../../test/lib/env');
+const { PATH_FIXTURES_THIRDPARTY_OTA_DIR, PATH_FIXTURES_BINARIES_DIR, PATH_TMP_DIR } = require('../../test/lib/env');
+const { createBuildManifest } = require('../lib/build-manifest');
 describe('Binary Inspect', () => {
 	let binaryCommand;
 
@@ -124,5 +125,83 @@ describe('Binary Inspect', () => {
 			expect(verify).to.equal(true);
 		});
 	});
+
+	describe('_describeBinary', () => {
+		it('describes a bundle with its assets', async () => {
+			const zipPath = path.join(PATH_FIXTURES_THIRDPARTY_OTA_DIR, 'bundle.zip');
+			const res = await binaryCommand._extractFiles(zipPath);
+			const fileInfo = await binaryCommand._parseBinary(res.application);
+
+			const description = binaryCommand._describeBinary(fileInfo, res.assets);
+
+			expect(description).to.include({ filename: 'app.bin', platform: 'argon', moduleFunction: 5, productId: 12, productVersion: 3 });
+			expect(description.crc.ok).to.equal(true);
+			expect(description.dependencies).to.eql([{ moduleFunction: 4, moduleIndex: 1, moduleVersion: 4006 }]);
+			expect(description.assets.map(a => a.name)).to.eql(['cat.txt', 'house.txt', 'water.txt']);
+			expect(description.assets.every(a => a.inBundle && a.valid)).to.equal(true);
+		});
+	});
+
+	describe('inspectBinary with a build manifest', () => {
+		const binaryPath = path.join(PATH_FIXTURES_BINARIES_DIR, 'argon_stroby.bin');
+		const manifestPath = path.join(PATH_TMP_DIR, 'argon_stroby.build-manifest.json');
+		let manifest;
+
+		beforeEach(async () => {
+			await fs.outputFile(path.join(PATH_TMP_DIR, 'project', 'src', 'app.cpp'), 'void setup() {}\n');
+			const fileMapping = { basePath: PATH_TMP_DIR, map: { 'src/app.cpp': 'project/src/app.cpp' } };
+			manifest = await createBuildManifest({ binary: await fs.readFile(binaryPath), fileMapping, platformId: 12, targetVersion: '1.2.1', cliVersion: '3.22.0' });
+			sinon.stub(console, 'log');
+		});
+
+		afterEach(async () => {
+			sinon.restore();
+			await fs.emptyDir(PATH_TMP_DIR);
+		});
+
+		it('shows that the binary matches the manifest', async () => {
+			await fs.writeJson(manifestPath, manifest);
+
+			await binaryCommand.inspectBinary(binaryPath, { manifest: manifestPath });
+
+			expect(console.log.lastCall.args[0]).to.include('It matches the build manifest argon_stroby.build-manifest.json');
+		});
+
+		it('fails when the binary does not match the manifest', async () => {
+			await fs.writeJson(manifestPath, Object.assign(manifest, { platformId: 13 }));
+			let error;
+
+			try {
+				await binaryCommand.inspectBinary(binaryPath, { manifest: manifestPath });
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(console.log.lastCall.args[0]).to.include('platform does not match the build manifest (should be 13 but is 12)');
+			expect(error).to.have.property('message', `argon_stroby.bin does not match the build manifest ${manifestPath}`);
+		});
+
+		it('adds the checks to the JSON description', async () => {
+			await fs.writeJson(manifestPath, manifest);
+
+			await binaryCommand.inspectBinary(binaryPath, { json: true, manifest: manifestPath });
+
+			const { data } = JSON.parse(console.log.lastCall.args[0]);
+			expect(data.manifest).to.include({ filename: manifestPath, ok: true });
+			expect(data.manifest.checks.map(check => check.name)).to.eql(['platform', 'crc', 'sha256']);
+		});
+
+		it('errors when the manifest can not be read', async () => {
+			let error;
+
+			try {
+				await binaryCommand.inspectBinary(binaryPath, { manifest: manifestPath });
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(error.message).to.match(/^Could not read the build manifest /);
+		});
+	});
 });
 
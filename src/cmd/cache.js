@@ -0,0 +1,54 @@
+const os = require('os');
+const _ = require('lodash');
+const CLICommandBase = require('./base');
+const ParticleCache = require('../lib/particle-cache');
+const { JSONResult } = require('../lib/json-result');
+
+
+module.exports = class CacheCommand extends CLICommandBase {
+	constructor(...args) {
+		super(...args);
+		this.cache = new ParticleCache();
+	}
+
+	async status({ json }) {
+		const entries = this.cache.list();
+
+		if (json) {
+			this.ui.stdout.write(new JSONResult({ path: this.cache.path }, entries).toString() + os.EOL);
+			return;
+		}
+
+		this.ui.stdout.write(`Cache directory: ${this.cache.path}${os.EOL}`);
+		if (!entries.length) {
+			this.ui.stdout.write(`The cache is empty.${os.EOL}`);
+			return;
+		}
+
+		const rows = _.map(_.groupBy(entries, 'request'), (requestEntries, request) => [
+			request,
+			`${requestEntries.length} ${requestEntries.length === 1 ? 'entry' : 'entries'}`,
+			formatSize(_.sumBy(requestEntries, 'size')),
+			`${requestEntries.filter(entry => !entry.fresh).length} out of date`
+		]);
+		const widths = rows[0].map((cell, column) => _.max(rows.map(row => row[column].length)));
+		this.ui.stdout.write(os.EOL);
+		_.sortBy(rows, row => row[0]).forEach(row => {
+			this.ui.stdout.write(`  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}${os.EOL}`);
+		});
+		this.ui.stdout.write(os.EOL);
+		this.ui.stdout.write(`Total: ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}, ${formatSize(_.sumBy(entries, 'size'))}${os.EOL}`);
+	}
+
+	async clear({ expired }) {
+		const removed = this.cache.clear({ expired });
+		this.ui.stdout.write(`Removed ${removed} ${expired ? 'out of date ' : ''}cached ${removed === 1 ? 'response' : 'responses'}.${os.EOL}`);
+	}
+};
+
+function formatSize(bytes) {
+	if (bytes < 1024) {
+		return `${bytes} B`;
+	}
+	return `${(bytes / 1024).toFixed(1)} kB`;
+}
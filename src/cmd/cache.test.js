@@ -0,0 +1,93 @@
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { expect, sinon } = require('../../test/setup');
+const { PATH_TMP_DIR } = require('../../test/lib/env');
+const CacheCommand = require('./cache');
+
+
+describe('Cache Command', () => {
+	const originalEnv = process.env;
+	let cacheCommand;
+
+	beforeEach(() => {
+		process.env = {
+			...originalEnv,
+			home: PATH_TMP_DIR,
+		};
+		cacheCommand = new CacheCommand();
+		cacheCommand.ui = {
+			stdout: {
+				write: sinon.stub()
+			}
+		};
+	});
+
+	afterEach(async () => {
+		process.env = originalEnv;
+		sinon.restore();
+		await fs.remove(path.join(PATH_TMP_DIR, '.particle/'));
+	});
+
+	function getOutput() {
+		return cacheCommand.ui.stdout.write.args.map(([text]) => text).join('');
+	}
+
+	function populateCache() {
+		const { cache } = cacheCommand;
+		cache.set(cache._generateKey('device', { deviceIdOrName: 'abc' }), { id: 'abc' });
+		cache.set(cache._generateKey('device', { deviceIdOrName: 'def' }), { id: 'def' });
+		cache.set(cache._generateKey('build_targets', { onlyFeatured: true }), { targets: [] }, { ttl: 60000 });
+	}
+
+	describe('status', () => {
+		it('shows the cached responses by request', async () => {
+			populateCache();
+
+			await cacheCommand.status({});
+
+			const output = getOutput().split(os.EOL);
+			expect(output[0]).to.equal(`Cache directory: ${path.join(PATH_TMP_DIR, '.particle', 'cli-cache')}`);
+			expect(output[2]).to.match(/^ {2}build_targets +1 entry +\d+ B +0 out of date$/);
+			expect(output[3]).to.match(/^ {2}device +2 entries +\d+ B +2 out of date$/);
+			expect(output[5]).to.match(/^Total: 3 entries, \d+ B$/);
+		});
+
+		it('shows when the cache is empty', async () => {
+			await cacheCommand.status({});
+
+			expect(cacheCommand.ui.stdout.write).to.have.been.calledWith(`The cache is empty.${os.EOL}`);
+		});
+
+		it('shows the cached responses as JSON', async () => {
+			populateCache();
+
+			await cacheCommand.status({ json: true });
+
+			const { meta, data } = JSON.parse(getOutput());
+			expect(meta.path).to.equal(cacheCommand.cache.path);
+			expect(data).to.have.lengthOf(3);
+			expect(data[0]).to.have.all.keys('key', 'request', 'size', 'createdAt', 'expiresAt', 'fresh');
+		});
+	});
+
+	describe('clear', () => {
+		it('removes every cached response', async () => {
+			populateCache();
+
+			await cacheCommand.clear({});
+
+			expect(getOutput()).to.equal(`Removed 3 cached responses.${os.EOL}`);
+			expect(cacheCommand.cache.list()).to.eql([]);
+		});
+
+		it('removes the out of date responses', async () => {
+			populateCache();
+
+			await cacheCommand.clear({ expired: true });
+
+			expect(getOutput()).to.equal(`Removed 2 out of date cached responses.${os.EOL}`);
+			expect(cacheCommand.cache.list().map(entry => entry.request)).to.eql(['build_targets']);
+		});
+	});
+});
@@ -4,12 +4,15 @@ const VError = require('verror');
 const prompt = require('inquirer').prompt;
 
 const settings = require('../../settings');
+const pkg = require('../../package.json');
+const { errors: { usageError } } = require('../app/command-processor');
 const deviceSpecs = require('../lib/device-specs');
 const ApiClient = require('../lib/api-client'); // TODO (mirande): remove in favor of `ParticleAPI`
 const { normalizedApiError } = require('../lib/api-client');
 const utilities = require('../lib/utilities');
 const ensureError = require('../lib/utilities').ensureError;
 const ParticleAPI = require('./api');
+const createApiCache = require('../lib/api-cache');
 const prompts = require('../lib/prompts');
 const CLICommandBase = require('./base');
 
@@ -21,6 +24,17 @@ const temp = require('temp').track();
 const { ssoLogin, waitForLogin, getLoginMessage } = require('../lib/sso');
 const BundleCommands  = require('./bundle');
 const { sourcePatterns } = require('../lib/file-types');
+const { JSONResult } = require('../lib/json-result');
+const { FORMATS, parseColumns, formatForFile, createInventory, formatInventory } = require('../lib/device-inventory');
+const { parseDeviceFilter } = require('../lib/device-filter');
+const { FORMATS: DIAGNOSTIC_FORMATS, parseDiagnostics, formatDiagnostics } = require('../lib/compiler-diagnostics');
+const { platformMemoryLimits, readMemoryBudgets, checkMemoryUsage, readLastBuild, saveLastBuild } = require('../lib/memory-budget');
+const ParticleCache = require('../lib/particle-cache');
+const { hashCompileInputs, readCachedCompile, writeCachedCompile } = require('../lib/compile-cache');
+const { watchSources } = require('../lib/source-watcher');
+const LocalToolchain = require('../lib/local-toolchain');
+const { platformTargets, resolveTarget } = require('../lib/build-targets');
+const { createBuildManifest, buildManifestPath } = require('../lib/build-manifest');
 
 const arrow = chalk.green('>');
 const alert = chalk.yellow('!');
@@ -28,15 +42,26 @@ const alert = chalk.yellow('!');
 // Use known platforms and add shortcuts
 const PLATFORMS = utilities.knownPlatformIdsWithAliases();
 const PLATFORMS_ID_TO_NAME = _.invert(utilities.knownPlatformIds());
+const MAX_PARALLEL_COMPILES = 3;
+const MAX_PARALLEL_FLASHES = 5;
+const RETRY_OFFLINE_INTERVAL = 15000;
 
 module.exports = class CloudCommand extends CLICommandBase {
 	constructor(...args){
 		super(...args);
 	}
 
-	listDevices({ params: { filter } }){
-		return this.getAllDeviceAttributes(filter)
+	listDevices({ json, format, output, columns, params: { filter } }){
+		if (format || output || columns){
+			return this.exportDevices({ json, format, output, columns, params: { filter } });
+		}
+
+		return this.getAllDeviceAttributes(filter, { silent: json })
 			.then((devices) => {
+				if (json){
+					this.ui.stdout.write(`${new JSONResult(null, devices || []).toString()}${os.EOL}`);
+					return;
+				}
 				if (!devices){
 					return;
 				}
@@ -47,6 +72,35 @@ module.exports = class CloudCommand extends CLICommandBase {
 			});
 	}
 
+	async exportDevices({ json, format, output, columns, params: { filter } }){
+		format = format || formatForFile(output) || (json ? 'json' : 'csv');
+		if (!FORMATS.includes(format)){
+			throw usageError(`Unknown format: ${format}. Format can be: ${FORMATS.join(', ')}`);
+		}
+		try {
+			columns = parseColumns(columns);
+		} catch (error){
+			throw usageError(error.message);
+		}
+		createDeviceFilter(filter);
+
+		let devices;
+		try {
+			devices = await this.getAllDeviceAttributes(filter, { silent: !output });
+		} catch (err){
+			throw new VError(ensureError(err), 'Failed to export devices');
+		}
+
+		const inventory = formatInventory(createInventory(devices || [], columns), { format, columns });
+		if (!output){
+			this.ui.stdout.write(inventory);
+			return;
+		}
+		await fs.outputFile(output, inventory);
+		const count = (devices || []).length;
+		this.ui.stdout.write(`Exported ${count} ${count === 1 ? 'device' : 'devices'} to ${output}${os.EOL}`);
+	}
+
 	claimDevice({ params: { deviceID } }){
 		const api = createAPI();
 
@@ -128,13 +182,21 @@ module.exports = class CloudCommand extends CLICommandBase {
 			});
 	}
 
-	async flashDevice({ target, followSymlinks, product, params: { device, files } }){
+	async flashDevice({ target, followSymlinks, product, cache, watch, 'all-targets': allTargets, filter, 'devices-file': devicesFile, parallel, 'retry-offline': retryOffline, json, params: { device, files } }){
+		if (!device || filter || devicesFile || device.includes(',')) {
+			return this._flashDevices({ devices: device, filter, devicesFile, product, files, target, followSymlinks, cache, allTargets, watch, parallel, retryOffline, json });
+		}
+
 		if (product){
 			if (!this.isDeviceId(device)){
 				await this.showProductDeviceNameUsageError(device);
 			}
 		}
 
+		if (watch) {
+			return this._watchFlash({ target, followSymlinks, product, cache, allTargets, device, files });
+		}
+
 		try {
 			if (files.length === 0) {
 				// default to current directory
@@ -161,7 +223,7 @@ module.exports = class CloudCommand extends CLICommandBase {
 				const deviceType = PLATFORMS_ID_TO_NAME[platformId];
 				const saveTo = temp.path({ suffix: '.zip' }); // compileCodeImpl will pick between .bin and .zip as appropriate
 
-				const { filename } = await this.compileCodeImpl({ target, followSymlinks, saveTo, deviceType, platformId, files });
+				const { filename } = await this.compileCodeImpl({ target, followSymlinks, saveTo, deviceType, platformId, files, cache, allTargets });
 
 				fileMapping = { map: { [filename]: filename } };
 			}
@@ -175,22 +237,219 @@ module.exports = class CloudCommand extends CLICommandBase {
 		}
 	}
 
-	async _doFlash({ product, deviceId, fileMapping, targetVersion }){
+	// compiles and flashes again every time the sources change
+	async _watchFlash({ target, followSymlinks, product, cache, allTargets, device, files }){
+		if (files.length === 0) {
+			files.push('.');
+		}
+		if (!await fs.exists(files[0]) || ['.bin', '.zip'].includes(path.extname(files[0]))) {
+			throw usageError('`--watch` needs source files to compile');
+		}
+
+		let platformId;
+		try {
+			platformId = (await createAPI().getDeviceAttributes(device)).platform_id;
+		} catch (error) {
+			throw createAPIErrorResult({ error, message: `Failed to flash ${device}` });
+		}
+		const deviceType = PLATFORMS_ID_TO_NAME[platformId];
+		const saveTo = temp.path({ suffix: '.zip' }); // compileCodeImpl will pick between .bin and .zip as appropriate
+
+		return watchSources({
+			paths: files,
+			followSymlinks,
+			ui: this.ui,
+			collect: () => this._handleMultiFileArgs(files, { followSymlinks }),
+			run: async () => {
+				const { filename } = await this._compileWatched({ target, followSymlinks, saveTo, deviceType, platformId, files, cache, allTargets });
+				await this._doFlash({ product, deviceId: device, fileMapping: { map: { [filename]: filename } } });
+				return `Compiled for ${deviceType} and flashed ${device}`;
+			}
+		});
+	}
+
+	// flashes the same firmware to many devices, compiling the sources once per platform
+	async _flashDevices({ devices, filter, devicesFile, product, files, target, followSymlinks, cache, allTargets, watch, parallel = MAX_PARALLEL_FLASHES, retryOffline = 0, json, retryInterval = RETRY_OFFLINE_INTERVAL }){
+		if (!devices && !filter && !devicesFile) {
+			return this.showUsageError('`device` parameter, `--filter` or `--devices-file` option is required');
+		}
+		if (watch) {
+			return this.showUsageError('`--watch` flashes a single device');
+		}
+		if (!Number.isInteger(parallel) || parallel < 1) {
+			return this.showUsageError('`--parallel` must be 1 or more');
+		}
+		if (!Number.isInteger(retryOffline) || retryOffline < 0) {
+			return this.showUsageError('`--retry-offline` must be 0 or more seconds');
+		}
+		// with a filter or a devices file the first param is a file: `particle cloud flash project --filter online`
+		if ((filter || devicesFile) && devices) {
+			files.unshift(devices);
+			devices = undefined;
+		}
+		if (files.length === 0) {
+			files.push('.');
+		}
+		createDeviceFilter(filter);
+
+		// the product devices marked as development devices, by id, with their product
+		const marked = new Map();
+		let targets, flash;
+		try {
+			targets = await this._resolveFleet({ devices, filter, devicesFile, product });
+			if (!targets.length) {
+				this.ui.stdout.write(json ? `${new JSONResult(null, []).toString()}${os.EOL}` : `No devices found.${os.EOL}`);
+				return;
+			}
+			flash = await this._prepareFleetFlash({ targets, files, product, target, followSymlinks, cache, allTargets, json, marked });
+		} catch (error) {
+			throw createAPIErrorResult({ error, message: 'Failed to flash devices', json });
+		}
+
+		if (!json) {
+			this.ui.stdout.write(`Flashing ${targets.length} ${targets.length === 1 ? 'device' : 'devices'}${os.EOL}`);
+		}
+		const results = await utilities.asyncMapLimit(targets, parallel, async (device) => {
+			try {
+				await this._flashFleetDevice({ device, flash, product, retryOffline, retryInterval });
+				return { device };
+			} catch (error) {
+				return { device, error };
+			}
+		});
+		this._showFleetResults(results, { json, marked });
+	}
+
+	// finds the devices named in the list or the file and the ones matching the filter
+	async _resolveFleet({ devices, filter, devicesFile, product }){
+		const names = devices ? parseDeviceList(devices) : [];
+		if (devicesFile) {
+			names.push(...parseDeviceList(await fs.readFile(devicesFile, 'utf8')));
+		}
+
+		const api = createAPI();
+		const all = (await (product ? listAllProductDevices(api, product) : api.listDevices())) || [];
+		const targets = filter ? all.filter(createDeviceFilter(filter)) : [];
+		for (const name of names) {
+			targets.push(all.find(device => device.id === name || device.name === name) || { id: name, missing: true });
+		}
+		return _.uniqBy(targets, 'id');
+	}
+
+	// resolves to a function flashing a device with the binary, the known app or the sources compiled for its platform
+	async _prepareFleetFlash({ targets, files, product, target, followSymlinks, cache, allTargets, json, marked }){
+		const [filePath] = files;
+		const onMarked = (deviceId, deviceProduct) => marked.set(deviceId, deviceProduct);
+		if (!await fs.exists(filePath)) {
+			return (device) => this._flashKnownApp({ product, deviceId: device.id, filePath, quiet: true, onMarked });
+		}
+		if (['.bin', '.zip'].includes(path.extname(filePath))) {
+			const fileMapping = { map: { [filePath]: filePath } };
+			return (device) => this._doFlash({ product, deviceId: device.id, fileMapping, quiet: true, onMarked });
+		}
+
+		const fileMappings = {};
+		for (const platformId of _.uniq(targets.filter(device => !device.missing).map(device => device.platform_id))) {
+			const deviceType = PLATFORMS_ID_TO_NAME[platformId];
+			if (!json) {
+				this.ui.stdout.write(`Compiling code for ${deviceType}${os.EOL}`);
+			}
+			const saveTo = temp.path({ suffix: '.zip' }); // compileCodeImpl will pick between .bin and .zip as appropriate
+			const { filename } = await this.compileCodeImpl({ target, followSymlinks, saveTo, deviceType, platformId, files, quiet: json, cache, allTargets });
+			fileMappings[platformId] = { map: { [filename]: filename } };
+		}
+		return (device) => this._doFlash({ product, deviceId: device.id, fileMapping: fileMappings[device.platform_id], quiet: true, onMarked });
+	}
+
+	// offline devices are checked again until they come online or the retry window is over
+	async _flashFleetDevice({ device, flash, product, retryOffline, retryInterval }){
+		if (device.missing) {
+			throw new Error('Device not found');
+		}
+		const until = Date.now() + retryOffline * 1000;
+		let online = device.online || device.connected;
+		while (!online && Date.now() < until) {
+			await utilities.delay(Math.min(retryInterval, Math.max(until - Date.now(), 0)));
+			const attrs = await createAPI().getDeviceAttributes(device.id, product);
+			online = attrs.online || attrs.connected;
+		}
+		if (!online) {
+			throw new Error('Device is offline');
+		}
+		await flash(device);
+	}
+
+	_showFleetResults(results, { json, marked }){
+		const failed = results.filter(result => result.error);
+		const data = results.map(({ device, error }) => {
+			const result = {
+				id: device.id,
+				name: device.name || null,
+				platform: PLATFORMS_ID_TO_NAME[device.platform_id] || null,
+				ok: !error,
+				markedDevelopment: marked.has(device.id)
+			};
+			return error ? Object.assign(result, { error: formatAPIErrorMessage(error).message }) : result;
+		});
+
+		if (json) {
+			if (failed.length) {
+				const error = new Error(`Failed to flash ${failed.length} of ${results.length} devices`);
+				error.details = { results: data };
+				error.asJSON = true;
+				throw error;
+			}
+			this.ui.stdout.write(`${new JSONResult(null, data).toString()}${os.EOL}`);
+			return;
+		}
+
+		this.ui.stdout.write(os.EOL);
+		for (const { id, name, ok, error } of data) {
+			const label = name ? `${name} (${id})` : id;
+			this.ui.stdout.write(ok ? `${arrow} ${label}: Flash success!${os.EOL}` : `${alert} ${label}: ${error}${os.EOL}`);
+		}
+		this.ui.stdout.write(`${os.EOL}Flashed ${results.length - failed.length} of ${results.length} ${results.length === 1 ? 'device' : 'devices'}${os.EOL}`);
+		this._showMarkedDevelopmentDevices(marked);
+
+		if (failed.length) {
+			throw new Error(`Failed to flash ${failed.map(({ device }) => device.name || device.id).join(', ')}`);
+		}
+	}
+
+	_showMarkedDevelopmentDevices(marked){
+		if (!marked.size) {
+			return;
+		}
+		this.ui.stdout.write(`${os.EOL}${marked.size} product ${marked.size === 1 ? 'device is' : 'devices are'} now marked as development devices and will NOT receive automatic product firmware updates.${os.EOL}`);
+		this.ui.stdout.write(`To resume normal updates, please visit:${os.EOL}`);
+		for (const [deviceId, product] of marked) {
+			this.ui.stdout.write(`  https://console.particle.io/${product}/devices/unmark-development/${deviceId}${os.EOL}`);
+		}
+	}
+
+	async _doFlash({ product, deviceId, fileMapping, targetVersion, quiet = false, onMarked }){
 		try {
 			if (product) {
-				this.ui.stdout.write(`Marking device ${deviceId} as a development device${os.EOL}`);
+				if (!quiet) {
+					this.ui.stdout.write(`Marking device ${deviceId} as a development device${os.EOL}`);
+				}
 				await createAPI().markAsDevelopmentDevice(deviceId, true, product);
+				if (onMarked) {
+					onMarked(deviceId, product);
+				}
 			}
 
-			this.ui.logFirstTimeFlashWarning();
-			this.ui.stdout.write(`Flashing firmware to your device ${deviceId}${os.EOL}`);
+			if (!quiet) {
+				this.ui.logFirstTimeFlashWarning();
+				this.ui.stdout.write(`Flashing firmware to your device ${deviceId}${os.EOL}`);
+			}
 
 			const resp = await createAPI().flashDevice(deviceId, fileMapping, targetVersion, product);
 			if (!resp.status && !resp.message) {
 				throw normalizedApiError(resp);
 			}
 
-			if (product) {
+			if (product && !quiet) {
 				[
 					`Device ${deviceId} is now marked as a developement device and will NOT receive automatic product firmware updates.`,
 					'To resume normal updates, please visit:',
@@ -204,7 +463,7 @@ module.exports = class CloudCommand extends CLICommandBase {
 		}
 	}
 
-	async _flashKnownApp({ product, deviceId, filePath }){
+	async _flashKnownApp({ product, deviceId, filePath, quiet = false, onMarked }){
 		if (!settings.cloudKnownApps[filePath]){
 			throw new VError(`I couldn't find that file: ${filePath}`);
 		}
@@ -236,7 +495,7 @@ module.exports = class CloudCommand extends CLICommandBase {
 			throw new Error(`Unable to find ${filePath} for platform ${platformId}`);
 		}
 
-		await this._doFlash({ product, deviceId, fileMapping });
+		await this._doFlash({ product, deviceId, fileMapping, quiet, onMarked });
 	}
 
 	_getDownloadPathForBin(deviceType, saveTo){
@@ -260,62 +519,249 @@ module.exports = class CloudCommand extends CLICommandBase {
 	}
 
 	// create a new function that handles errors from compileCode function
-	async compileCode({ target, followSymlinks, saveTo, params: { deviceType, files } }){
+	async compileCode({ target, followSymlinks, saveTo, platforms, format, json, cache, watch, 'dry-run': dryRun, 'local-toolchain': localToolchain, 'all-targets': allTargets, manifest, params: { deviceType, files } }){
+		deviceType = platforms ? usePlatformsOption(platforms, deviceType, files) : deviceType;
+
+		if (!deviceType) {
+			return this.showUsageError('`deviceType` parameter or `--platforms` option is required');
+		}
+
+		if (format && !DIAGNOSTIC_FORMATS.includes(format)) {
+			return this.showUsageError(`Unknown format: ${format}. Format can be: ${DIAGNOSTIC_FORMATS.join(', ')}`);
+		}
+		// JSON output replaces the progress messages and carries the diagnostics in the error
+		format = json ? 'json' : format;
+
 		try {
 			if (files.length === 0) {
 				files.push('.'); // default to current directory
 			}
 
-			let platformId;
-			if (deviceType in PLATFORMS) {
-				platformId = PLATFORMS[deviceType];
-			} else {
-				throw new Error([
-					`Target device ${deviceType} is not valid`,
-					'	eg. particle compile boron xxx',
-					'	eg. particle compile p2 xxx'
-				].join('\n'));
+			const deviceTypes = parseDeviceTypes(deviceType);
+			if (dryRun) {
+				return await this.listProjectFiles({ followSymlinks, json, params: { files } });
 			}
-
-			this.ui.stdout.write(`Compiling code for ${deviceType}${os.EOL}`);
-
-			const { filename, isBundle } = await this.compileCodeImpl({ target, followSymlinks, saveTo, deviceType, platformId, files });
-
-			this.ui.stdout.write(`Saved ${isBundle ? 'bundle' : 'firmware' } to: ${filename}${os.EOL}`);
+			if (watch) {
+				return await this._watchCompile({ target, followSymlinks, saveTo, deviceTypes, files, format, cache, localToolchain, allTargets, manifest });
+			}
+			if (deviceTypes.length > 1) {
+				return await this._compileForPlatforms({ target, followSymlinks, saveTo, deviceTypes, files, format, cache, localToolchain, allTargets, manifest });
+			}
+			return await this._compileForPlatform({ target, followSymlinks, saveTo, deviceType: deviceTypes[0], files, format, json, cache, localToolchain, allTargets, manifest });
 		} catch (error) {
 			const message = 'Compile failed';
-			throw createAPIErrorResult({ error, message });
+			const result = createAPIErrorResult({ error, message, json });
+			if (error.details) {
+				result.details = error.details;
+			}
+			throw result;
 		}
 	}
 
-	async compileCodeImpl({ target, followSymlinks, saveTo, deviceType, platformId, files }) {
-		let targetVersion, assets;
+	async _compileForPlatform({ target, followSymlinks, saveTo, deviceType, files, format, json, cache, localToolchain, allTargets, manifest }){
+		const platformId = PLATFORMS[deviceType];
 
-		ensureAPIToken();
+		if (json) {
+			const result = await this.compileCodeImpl({ target, followSymlinks, saveTo, deviceType, platformId, files, quiet: true, format, cache, localToolchain, allTargets, manifest });
+			this.ui.stdout.write(`${new JSONResult(null, Object.assign({ platform: deviceType }, result)).toString()}${os.EOL}`);
+			return;
+		}
 
-		if (target) {
-			if (target === 'latest') {
-				return;
+		this.ui.stdout.write(`Compiling code for ${deviceType}${os.EOL}`);
+
+		const { filename, isBundle, manifest: manifestFilename } = await this.compileCodeImpl({ target, followSymlinks, saveTo, deviceType, platformId, files, format, cache, localToolchain, allTargets, manifest });
+
+		this.ui.stdout.write(`Saved ${isBundle ? 'bundle' : 'firmware' } to: ${filename}${os.EOL}`);
+		if (manifestFilename) {
+			this.ui.stdout.write(`Saved build manifest to: ${manifestFilename}${os.EOL}`);
+		}
+	}
+
+	// compiles again every time the sources change, overwriting the same binary instead of adding a timestamped one per build
+	_watchCompile({ target, followSymlinks, saveTo, deviceTypes, files, format, cache, localToolchain, allTargets, manifest }){
+		return watchSources({
+			paths: files,
+			followSymlinks,
+			ui: this.ui,
+			collect: () => this._handleMultiFileArgs(files, { followSymlinks }),
+			run: async () => {
+				if (deviceTypes.length > 1) {
+					await this._compileForPlatforms({ target, followSymlinks, saveTo: saveTo || 'firmware.zip', deviceTypes, files, format, cache, localToolchain, allTargets, manifest });
+					return `Compiled for ${deviceTypes.join(', ')}`;
+				}
+				const [deviceType] = deviceTypes;
+				const { filename } = await this._compileWatched({
+					target,
+					followSymlinks,
+					saveTo: saveTo || `${deviceType}_firmware.zip`,
+					deviceType,
+					platformId: PLATFORMS[deviceType],
+					files,
+					format,
+					cache,
+					localToolchain,
+					allTargets,
+					manifest
+				});
+				return `Compiled for ${deviceType}: ${filename}`;
 			}
+		});
+	}
 
-			let data;
+	// a build in watch mode only prints a status line, the quiet compile adds the compiler errors to the error message
+	async _compileWatched(options){
+		const result = await this.compileCodeImpl(Object.assign({}, options, { quiet: true }));
+		if (!result) {
+			throw new Error('No source to compile!');
+		}
+		return result;
+	}
+
+	/**
+	 * Shows the files a compile uploads and which rule included or excluded them, without contacting the compile server
+	 */
+	async listProjectFiles({ followSymlinks, json, params: { files = [] } }){
+		if (files.length === 0) {
+			files.push('.'); // default to current directory
+		}
+
+		const rules = new Map();
+		const fileMapping = await this._handleMultiFileArgs(files, { followSymlinks, rules });
+		if (!fileMapping) {
+			throw new VError('Unable to list the files to compile');
+		}
+
+		const uploaded = Object.keys(fileMapping.map).sort().map(target => {
+			const source = fileMapping.map[target];
+			// files added by the library example logic don't go through the include rules
+			const { rule } = rules.get(path.resolve(source)) || { rule: 'library example' };
+			return { source, target, size: fs.statSync(source).size, rule };
+		});
+		const notUploaded = Array.from(rules.entries())
+			.filter(([, { status }]) => status !== 'included')
+			.map(([file, { status, rule }]) => ({ file: path.relative(fileMapping.basePath, file), status, rule }));
+		const excluded = notUploaded.filter(({ status }) => status === 'excluded').map(({ file, rule }) => ({ file, rule }));
+		const skipped = notUploaded.filter(({ status }) => status === 'skipped').map(({ file, rule }) => ({ file, rule }));
+		const totalSize = _.sumBy(uploaded, 'size');
+
+		if (json) {
+			const data = { files: uploaded, excluded, skipped, totalSize };
+			this.ui.stdout.write(`${new JSONResult({ basePath: fileMapping.basePath }, data).toString()}${os.EOL}`);
+			return;
+		}
+
+		const column = (values) => Math.max(0, ...values.map(value => value.length));
+		const mappings = uploaded.map(({ source, target }) => source === target ? source : `${source} -> ${target}`);
+		const sizes = uploaded.map(({ size }) => `${size} bytes`);
+		const mappingWidth = column(mappings);
+		const sizeWidth = column(sizes);
+
+		this.ui.stdout.write(`Files uploaded to the compile server from ${fileMapping.basePath}:${os.EOL}`);
+		uploaded.forEach(({ rule }, index) => {
+			this.ui.stdout.write(`  ${mappings[index].padEnd(mappingWidth)}  ${sizes[index].padStart(sizeWidth)}  ${rule}${os.EOL}`);
+		});
+		if (excluded.length) {
+			const fileWidth = column(excluded.map(({ file }) => file));
+			this.ui.stdout.write(`Excluded:${os.EOL}`);
+			excluded.forEach(({ file, rule }) => this.ui.stdout.write(`  ${file.padEnd(fileWidth)}  ${rule}${os.EOL}`));
+		}
+		skipped.forEach(({ file, rule }) => this.ui.stdout.write(`${alert} Skipped ${file}: ${rule}${os.EOL}`));
+		this.ui.stdout.write(`${os.EOL}${uploaded.length} ${uploaded.length === 1 ? 'file' : 'files'}, ${totalSize} bytes${os.EOL}`);
+	}
+
+	async _compileForPlatforms({ target, followSymlinks, saveTo, deviceTypes, files, format, cache, localToolchain, allTargets, manifest }){
+		const json = format === 'json';
+		if (!json) {
+			this.ui.stdout.write(`Compiling code for ${deviceTypes.join(', ')}${os.EOL}`);
+		}
+
+		// one file per platform: `<saveTo>_<platform>` or `<platform>_firmware_<timestamp>`, with .bin or .zip when the project has assets
+		const timestamp = Date.now();
+		const results = await utilities.asyncMapLimit(deviceTypes, MAX_PARALLEL_COMPILES, async (deviceType) => {
+			const platformSaveTo = saveTo
+				? `${utilities.filenameNoExt(saveTo)}_${deviceType}.zip`
+				: `${deviceType}_firmware_${timestamp}.zip`;
 			try {
-				data = await createAPI().listBuildTargets(true /* onlyFeatured */);
+				const result = await this.compileCodeImpl({
+					target,
+					followSymlinks,
+					saveTo: platformSaveTo,
+					deviceType,
+					platformId: PLATFORMS[deviceType],
+					files,
+					quiet: true,
+					format,
+					cache,
+					localToolchain,
+					allTargets,
+					manifest
+				});
+				if (!result) {
+					throw new Error('No source to compile!');
+				}
+				return Object.assign({ deviceType }, result);
 			} catch (error) {
-				throw normalizedApiError(error);
+				return { deviceType, error };
 			}
+		});
 
-			const validTargets = data.targets.filter((t) => t.platforms.includes(platformId));
-			const validTarget = validTargets.filter((t) => t.version === target);
-			if (!validTarget.length) {
-				throw new VError(['Invalid build target version.', 'Valid targets:'].concat(_.map(validTargets, 'version')).join('\n'));
+		const failed = results.filter(result => result.error);
+		if (json) {
+			const data = results.map(({ deviceType, error, filename, isBundle, stats, memory, manifest }) => {
+				return error
+					? Object.assign({ platform: deviceType, error: formatAPIErrorMessage(error).message }, error.details)
+					: { platform: deviceType, filename, isBundle, stats, memory, manifest };
+			});
+			if (failed.length) {
+				const error = new Error(`Errors compiling for ${failed.map(result => result.deviceType).join(', ')}`);
+				error.details = { results: data };
+				throw error;
 			}
-			targetVersion = validTarget[0].version;
-			this.ui.stdout.write(`Targeting version: ${targetVersion}${os.EOL}`);
+			this.ui.stdout.write(`${new JSONResult(null, data).toString()}${os.EOL}`);
+			return;
 		}
 
-		const filePath = files[0];
 		this.ui.stdout.write(os.EOL);
+		for (const { deviceType, error, filename, isBundle, manifest } of results) {
+			if (error) {
+				this.ui.stdout.write(`${alert} ${deviceType}: ${formatAPIErrorMessage(error).message}${os.EOL}`);
+			} else {
+				this.ui.stdout.write(`${arrow} ${deviceType}: Saved ${isBundle ? 'bundle' : 'firmware'} to: ${filename}${os.EOL}`);
+				if (manifest) {
+					this.ui.stdout.write(`${arrow} ${deviceType}: Saved build manifest to: ${manifest}${os.EOL}`);
+				}
+			}
+		}
+		this.ui.stdout.write(os.EOL);
+
+		this._showPlatformsMemoryStats(results.filter(result => result.stats));
+
+		if (failed.length) {
+			throw new Error(`Errors compiling for ${failed.map(result => result.deviceType).join(', ')}`);
+		}
+	}
+
+	async compileCodeImpl({ target, followSymlinks, saveTo, deviceType, platformId, files, quiet = false, format, cache = true, localToolchain = false, allTargets = false, manifest = false }) {
+		let targetVersion, assets;
+
+		if (localToolchain && target) {
+			throw new VError('--target can\'t be used with --local-toolchain, the Device OS version is the one in deviceOsPath');
+		}
+		if (!localToolchain) {
+			ensureAPIToken();
+		}
+
+		if (target && target !== 'latest') {
+			targetVersion = await this._resolveTargetVersion({ target, platformId, allTargets });
+			if (!quiet) {
+				this.ui.stdout.write(`Targeting version: ${targetVersion}${target === targetVersion ? '' : ` (${target})`}${os.EOL}`);
+			}
+		}
+
+		const filePath = files[0];
+		if (!quiet) {
+			this.ui.stdout.write(os.EOL);
+		}
 
 		if (!await fs.exists(filePath)) {
 			throw new VError(`I couldn't find that: ${filePath}`);
@@ -335,7 +781,7 @@ module.exports = class CloudCommand extends CLICommandBase {
 			throw new VError('No source to compile!');
 		}
 
-		if (settings.showIncludedSourceFiles) {
+		if (settings.showIncludedSourceFiles && !quiet) {
 			this.ui.stdout.write(`Including:${os.EOL}`);
 
 			for (const sourceFile of list) {
@@ -350,17 +796,129 @@ module.exports = class CloudCommand extends CLICommandBase {
 			this.ui.stdout.write(os.EOL);
 		}
 
+		const memoryBudget = await this._loadMemoryBudget(files, platformId);
 		let filename = this._getDownloadPathForBin(deviceType, saveTo);
 		const bundleFilename = this._getBundleSavePath(deviceType, saveTo, assets);
-		return this._compileAndDownload({ fileMapping, platformId, filename, targetVersion, assets, bundleFilename });
+		return this._compileAndDownload({ fileMapping, platformId, filename, targetVersion, assets, bundleFilename, quiet, format, memoryBudget, cache, localToolchain, manifest });
+	}
+
+	async _resolveTargetVersion({ target, platformId, allTargets }){
+		let data;
+		try {
+			data = await createApiCache(createAPI()).listBuildTargets(!allTargets /* onlyFeatured */);
+		} catch (error) {
+			throw normalizedApiError(error);
+		}
+
+		const targets = platformTargets(data, platformId);
+		const targetVersion = resolveTarget(target, targets, { prerelease: allTargets });
+		if (!targetVersion) {
+			const validTargets = targets.filter(t => allTargets || !t.prerelease);
+			const lines = ['Invalid build target version.', 'Valid targets:'].concat(_.map(validTargets, 'version'));
+			if (!allTargets) {
+				lines.push('Use --all-targets to pick prerelease and non featured versions');
+			}
+			throw new VError(lines.join('\n'));
+		}
+		return targetVersion;
+	}
+
+	async _compileAndDownload({ fileMapping, platformId, filename, targetVersion, assets, bundleFilename, quiet = false, format, memoryBudget, cache = true, localToolchain = false, manifest = false }){
+		let bundle;
+
+		const { binary, sizeInfo: respSizeInfo, cached } = await this._compileWithCache({ fileMapping, platformId, targetVersion, quiet, format, cache, localToolchain });
+		await fs.writeFile(filename, binary);
+
+		let message = cached ? 'Sources unchanged, using the cached compile result.' : 'Compile succeeded.';
+		if (assets) {
+			bundle = await new BundleCommands()._generateBundle({ assetsList: assets, appBinary: filename, bundleFilename: bundleFilename });
+			message = cached ? 'Sources unchanged, created the bundle from the cached compile result.' : 'Compile succeeded and bundle created.';
+		}
+
+		let manifestFilename = null;
+		if (manifest) {
+			manifestFilename = buildManifestPath(path.resolve(bundle ? bundleFilename : filename));
+			const buildManifest = await createBuildManifest({ binary, fileMapping, platformId, targetVersion, assets, cliVersion: pkg.version });
+			await fs.writeJson(manifestFilename, buildManifest, { spaces: 2 });
+		}
+
+		const stats = this._parseMemoryStats(respSizeInfo);
+		const memory = (stats && memoryBudget) ? this._checkMemoryBudget(stats, memoryBudget) : null;
+
+		if (!quiet) {
+			this.ui.stdout.write(`${message}${os.EOL}${os.EOL}`);
+			this._showMemoryUse(respSizeInfo, memory);
+		}
+
+		if (bundle && await fs.exists(filename)) {
+			await fs.unlink(filename);
+		}
+
+		if (memory && memory.errors.length) {
+			throw new Error(['Memory budget exceeded:'].concat(memory.errors).join(os.EOL));
+		}
+
+		return {
+			isBundle: !!bundle,
+			filename: path.resolve(bundle ? bundleFilename : filename),
+			stats,
+			memory: memory ? memory.usage : null,
+			cached,
+			manifest: manifestFilename
+		};
 	}
 
-	async _compileAndDownload({ fileMapping, platformId, filename, targetVersion, assets, bundleFilename }){
-		let respSizeInfo, bundle, resp;
+	// the same sources, platform and target always build the same binary so the last result is reused
+	async _compileWithCache({ fileMapping, platformId, targetVersion, quiet, format, cache, localToolchain }){
+		const backend = this._createCompileBackend({ localToolchain });
+		if (!backend.cacheable) {
+			return Object.assign({ cached: false }, await backend.compile({ fileMapping, platformId, targetVersion, quiet, format }));
+		}
+
+		const particleCache = new ParticleCache();
+		const hash = await hashCompileInputs({ fileMapping, platformId, targetVersion });
+		const cachedResult = cache ? readCachedCompile(particleCache, hash) : null;
+		if (cachedResult) {
+			return Object.assign({ cached: true }, cachedResult);
+		}
+
+		const result = await backend.compile({ fileMapping, platformId, targetVersion, quiet, format });
+		writeCachedCompile(particleCache, hash, Object.assign({ targetVersion }, result));
+		return Object.assign({ cached: false }, result);
+	}
+
+	// a backend compiles a file mapping for a platform into { binary, sizeInfo }
+	_createCompileBackend({ localToolchain }){
+		if (!localToolchain) {
+			return { cacheable: true, compile: (options) => this._cloudCompile(options) };
+		}
+		// the Device OS tree can change between builds so its results are not cached
+		const toolchain = new LocalToolchain({ deviceOsPath: settings.deviceOsPath, gccArmPath: settings.gccArmPath });
+		return { cacheable: false, compile: (options) => this._localCompile(toolchain, options) };
+	}
+
+	async _localCompile(toolchain, { fileMapping, platformId, quiet, format }){
+		try {
+			return await toolchain.compile({ fileMapping, platformId });
+		} catch (error) {
+			if (error.compilerOutput !== undefined) {
+				throw this._createCompilerError(error.compilerOutput, fileMapping, { quiet, format });
+			}
+			throw error;
+		}
+	}
+
+	async _cloudCompile({ fileMapping, platformId, targetVersion, quiet, format }){
+		let resp;
 
 		try {
 			resp = await createAPI().compileCode(fileMapping, platformId, targetVersion);
 		} catch (error) {
+			// the compile server answers with an error status and the compiler output in `errors`
+			const output = error && error.body && Array.isArray(error.body.errors) && error.body.errors[0];
+			if (typeof output === 'string' && parseDiagnostics(output).length) {
+				throw this._createCompilerError(output, fileMapping, { quiet, format });
+			}
 			throw normalizedApiError(error);
 		}
 
@@ -371,56 +929,89 @@ module.exports = class CloudCommand extends CLICommandBase {
 			} catch (error) {
 				throw normalizedApiError(error);
 			}
-
-			await fs.writeFile(filename, data);
-			respSizeInfo = resp.sizeInfo;
+			return { binary: Buffer.from(data), sizeInfo: resp.sizeInfo };
 		} else if (resp && resp.output === 'Compiler timed out or encountered an error'){
-			this.ui.stdout.write(`${os.EOL}${(resp && resp.errors && resp.errors[0])}${os.EOL}`);
-			throw new Error('Compiler encountered an error');
-		} else {
-			throw normalizedApiError(resp);
+			throw this._createCompilerError(resp.errors && resp.errors[0], fileMapping, { quiet, format });
 		}
+		throw normalizedApiError(resp);
+	}
 
-		let message = 'Compile succeeded.';
-		if (assets) {
-			bundle = await new BundleCommands()._generateBundle({ assetsList: assets, appBinary: filename, bundleFilename: bundleFilename });
-			message = 'Compile succeeded and bundle created.';
+	_showMemoryUse(sizeInfo, memory){
+		if (sizeInfo){
+			this._showMemoryStats(sizeInfo, memory && memory.usage);
+		}
+		if (memory && memory.warnings.length) {
+			memory.warnings.forEach(warning => this.ui.stdout.write(`${alert} ${warning}${os.EOL}`));
+			this.ui.stdout.write(os.EOL);
 		}
+	}
 
-		this.ui.stdout.write(`${message}${os.EOL}${os.EOL}`);
+	// budgets come from the project.properties of the compiled project
+	async _loadMemoryBudget(files, platformId){
+		const projectDir = files.find(file => fs.existsSync(path.join(file, 'project.properties')));
+		const properties = projectDir ? await utilities.parsePropertyFile(path.join(projectDir, 'project.properties')) : {};
+		const limits = platformMemoryLimits(platformId);
+		const budgets = readMemoryBudgets(properties, limits);
+		return { limits, budgets, project: path.resolve(projectDir || files[0]), platformId };
+	}
 
-		if (respSizeInfo){
-			this._showMemoryStats(respSizeInfo);
-		}
+	// compares the build to the budgets and the last build of the project for the platform, then records it
+	_checkMemoryBudget(stats, { limits, budgets, project, platformId }){
+		const result = checkMemoryUsage(stats, { limits, budgets, previous: readLastBuild({ project, platformId }) });
+		saveLastBuild({ project, platformId }, stats);
+		return result;
+	}
 
-		if (bundle) {
-			if (await fs.exists(filename)){
-				await fs.unlink(filename);
-			}
-			return {
-				isBundle: true,
-				filename: path.resolve(bundleFilename)
-			};
+	// prints the diagnostics of the compiler or, when quiet, adds them to the error for the caller to show
+	_createCompilerError(output, fileMapping, { quiet, format }){
+		const diagnostics = parseDiagnostics(output, { fileMap: fileMapping.map });
+		const error = new Error('Compiler encountered an error');
+		error.details = { diagnostics };
+
+		if (format === 'json') {
+			return error;
+		}
+		const details = diagnostics.length ? formatDiagnostics(diagnostics, { format }) : `${output}${os.EOL}`;
+		if (quiet) {
+			error.message += `${os.EOL}${details}`;
 		} else {
-			return {
-				isBundle: false,
-				filename: path.resolve(filename)
-			};
+			this.ui.stdout.write(`${os.EOL}${details}`);
 		}
+		return error;
 	}
 
-	_showMemoryStats(sizeInfo) {
+	_showMemoryStats(sizeInfo, usage) {
 		const stats = this._parseMemoryStats(sizeInfo);
 		if (stats) {
 			const rightAlign = (str, len) => `${' '.repeat(len - str.length)}${str}`;
+			const percent = (value) => value === null ? '' : `${value}%`;
 
 			this.ui.stdout.write(`Memory use:${os.EOL}`);
 			this.ui.stdout.write(rightAlign('Flash', 9) + rightAlign('RAM', 9) + os.EOL);
 			this.ui.stdout.write(rightAlign(stats.flash.toString(), 9) + rightAlign(stats.ram.toString(), 9) + os.EOL);
+			// percentages of the budget, or of the platform limit when there is no budget
+			if (usage && (usage.flash.percent !== null || usage.ram.percent !== null)) {
+				this.ui.stdout.write((rightAlign(percent(usage.flash.percent), 9) + rightAlign(percent(usage.ram.percent), 9)).trimEnd() + os.EOL);
+			}
 			this.ui.stdout.write(os.EOL);
 		}
 	}
 
+	_showPlatformsMemoryStats(results) {
+		if (!results.length) {
+			return;
+		}
+		const rightAlign = (str, len) => `${' '.repeat(Math.max(0, len - str.length))}${str}`;
+		const width = Math.max(...results.map(({ deviceType }) => deviceType.length), 'Platform'.length);
+
+		this.ui.stdout.write(`Memory use:${os.EOL}`);
+		this.ui.stdout.write('Platform'.padEnd(width) + rightAlign('Flash', 9) + rightAlign('RAM', 9) + os.EOL);
+		for (const { deviceType, stats } of results) {
+			this.ui.stdout.write(deviceType.padEnd(width) + rightAlign(stats.flash.toString(), 9) + rightAlign(stats.ram.toString(), 9) + os.EOL);
+		}
+		this.ui.stdout.write(os.EOL);
+	}
+
 	_parseMemoryStats(sizeInfo) {
 		if (!sizeInfo) {
 			return null;
@@ -610,18 +1201,18 @@ module.exports = class CloudCommand extends CLICommandBase {
 	}
 
 
-	getAllDeviceAttributes(filter) {
-		const { buildDeviceFilter } = utilities;
-		const api = new ApiClient();
+	getAllDeviceAttributes(filter, { silent = false } = {}) {
+		const filterFunc = createDeviceFilter(filter);
+		const api = createApiCache(new ApiClient());
 		api.ensureToken();
 
-		let filterFunc = buildDeviceFilter(filter);
-
 		return Promise.resolve()
-			.then(() => api.listDevices())
+			.then(() => api.listDevices({ silent }))
 			.then(devices => {
 				if (!devices || (devices.length === 0) || (typeof devices === 'string')){
-					this.ui.stdout.write(`No devices found.${os.EOL}`);
+					if (!silent){
+						this.ui.stdout.write(`No devices found.${os.EOL}`);
+					}
 				} else {
 					const msg = 'Retrieving device functions and variables...';
 					const promises = [];
@@ -642,7 +1233,8 @@ module.exports = class CloudCommand extends CLICommandBase {
 						}
 					});
 
-					return this.ui.showBusySpinnerUntilResolved(msg, Promise.all(promises))
+					const fetchAttributes = Promise.all(promises);
+					return (silent ? fetchAttributes : this.ui.showBusySpinnerUntilResolved(msg, fetchAttributes))
 						.then(fullDevices => fullDevices.sort((a, b) => {
 							if (a.connected && !b.connected){
 								return 1;
@@ -656,13 +1248,28 @@ module.exports = class CloudCommand extends CLICommandBase {
 			});
 	}
 
-	nyanMode({ product, params: { device, onOff } }){
-		if (product){
+	nyanMode({ product, filter, params: { device, onOff } }){
+		// with a filter the device can be left out: `particle nyan off --filter offline`
+		if (filter && !onOff && (device === 'on' || device === 'off')){
+			onOff = device;
+			device = undefined;
+		}
+
+		if (!device && !filter){
+			return this.showUsageError('`device` parameter or `--filter` option is required');
+		}
+
+		if (device && filter){
+			return this.showUsageError('Use either the `device` parameter or the `--filter` option');
+		}
+
+		if (product && device){
 			if (!this.isDeviceId(device)){
 				return this.showProductDeviceNameUsageError(device);
 			}
 		}
 
+		const filterFunc = createDeviceFilter(filter);
 		const api = createAPI();
 
 		if (!onOff || (onOff === '') || (onOff === 'on')){
@@ -677,21 +1284,24 @@ module.exports = class CloudCommand extends CLICommandBase {
 					return api.signalDevice(device, onOff, product);
 				} else {
 					return Promise.resolve()
-						.then(() => api.listDevices())
+						.then(() => product ? listAllProductDevices(api, product) : api.listDevices())
 						.then(devices => {
-							if (!devices || (devices.length === 0)){
+							devices = (devices || []).filter(filterFunc);
+							if (devices.length === 0){
 								this.ui.stdout.write(`No devices found.${os.EOL}`);
 								return;
 							} else {
 								const promises = [];
+								const online = devices.filter(device => device.connected || device.online);
 								devices.forEach((device) => {
-									if (!device.connected){
+									if (!device.connected && !device.online){
 										promises.push(Promise.resolve(device));
 										return;
 									}
 									promises.push(api.signalDevice(device.id, onOff, product));
 								});
-								return Promise.all(promises);
+								return Promise.all(promises)
+									.then(() => this.ui.stdout.write(`Sent the signal to ${online.length} online ${online.length === 1 ? 'device' : 'devices'}${os.EOL}`));
 							}
 						});
 				}
@@ -736,7 +1346,7 @@ module.exports = class CloudCommand extends CLICommandBase {
 	 * compile File1 File2 File3 --saveTo anotherPlace.bin
 	 * TODO: Rework this to be async
 	 */
-	_handleMultiFileArgs(filenames, { followSymlinks } = {}){
+	_handleMultiFileArgs(filenames, { followSymlinks, rules } = {}){
 		const fileMapping = {
 			basePath: process.cwd(),
 			map: {}
@@ -761,21 +1371,27 @@ module.exports = class CloudCommand extends CLICommandBase {
 			}
 
 			if (filestats.isDirectory()){
-				this._processDirIncludes(fileMapping, filename, { followSymlinks });
+				this._processDirIncludes(fileMapping, filename, { followSymlinks, rules });
 				continue;
 			}
 
 			if (!alwaysIncludeThisFile && settings.notSourceExtensions.includes(ext)){
+				markFile(rules, filename, 'skipped', `${ext} files are not source files`);
 				continue;
 			}
 
 			if (!alwaysIncludeThisFile && filestats.size > settings.MAX_FILE_SIZE){
-				console.log('Skipping ' + filename + " it's too big! " + filestats.size);
+				if (rules){
+					markFile(rules, filename, 'skipped', `larger than the ${settings.MAX_FILE_SIZE} bytes limit`);
+				} else {
+					console.log('Skipping ' + filename + " it's too big! " + filestats.size);
+				}
 				continue;
 			}
 
 			const relative = path.basename(filename);
 			fileMapping.map[relative] = filename;
+			markFile(rules, filename, 'included', 'command line');
 		}
 
 		return this._handleLibraryExample(fileMapping).then(() => {
@@ -793,14 +1409,14 @@ module.exports = class CloudCommand extends CLICommandBase {
 	 * @private
 	 * @returns {nothing} nothing
 	 */
-	_processDirIncludes(fileMapping, dirname, { followSymlinks } = {}){
+	_processDirIncludes(fileMapping, dirname, { followSymlinks, rules } = {}){
 		dirname = path.resolve(dirname);
 		let files = new Set();
 
-		this._getDefaultIncludes(files, dirname, { followSymlinks });
-		this._getDefaultIgnores(files, dirname, { followSymlinks });
-		this._getCustomIncludes(files, dirname, { followSymlinks });
-		this._getCustomIgnores(files, dirname, { followSymlinks });
+		this._getDefaultIncludes(files, dirname, { followSymlinks, rules });
+		this._getDefaultIgnores(files, dirname, { followSymlinks, rules });
+		this._getCustomIncludes(files, dirname, { followSymlinks, rules });
+		this._getCustomIgnores(files, dirname, { followSymlinks, rules });
 
 		// Add files to fileMapping
 		const sortedFiles = Array.from(files.values()).sort();
@@ -812,13 +1428,18 @@ module.exports = class CloudCommand extends CLICommandBase {
 		});
 	}
 
-	_getDefaultIncludes(files, dirname, { followSymlinks }) {
+	_getDefaultIncludes(files, dirname, { followSymlinks, rules }) {
 		// Recursively find source files
-		const result = utilities.globList(dirname, sourcePatterns, { followSymlinks });
-		result.forEach((file) => files.add(file));
+		for (const pattern of sourcePatterns) {
+			const result = utilities.globList(dirname, [pattern], { followSymlinks });
+			result.forEach((file) => {
+				files.add(file);
+				markFile(rules, file, 'included', `default ${pattern}`);
+			});
+		}
 	}
 
-	_getCustomIncludes(files, dirname, { followSymlinks }) {
+	_getCustomIncludes(files, dirname, { followSymlinks, rules }) {
 		const includeFiles = utilities.globList(dirname, ['**/particle.include'], { followSymlinks });
 
 		for (const includeFile of includeFiles) {
@@ -827,22 +1448,33 @@ module.exports = class CloudCommand extends CLICommandBase {
 			if (!globsToInclude || !globsToInclude.length) {
 				continue;
 			}
-			const includePaths = utilities.globList(includeDir, globsToInclude, { followSymlinks });
-			includePaths.forEach((file) => files.add(file));
+			for (const glob of globsToInclude) {
+				const includePaths = utilities.globList(includeDir, [glob], { followSymlinks });
+				includePaths.forEach((file) => {
+					files.add(file);
+					markFile(rules, file, 'included', `${path.relative(dirname, includeFile)} ${glob}`);
+				});
+			}
 		}
 	}
 
-	_getDefaultIgnores(files, dirname, { followSymlinks }) {
+	_getDefaultIgnores(files, dirname, { followSymlinks, rules }) {
 		// Recursively find default ignore files
 		let ignores = [
 			'lib/*/examples/**/*.*'
 		];
 
-		const result = utilities.globList(dirname, ignores, { followSymlinks });
-		result.forEach((file) => files.delete(file));
+		for (const pattern of ignores) {
+			const result = utilities.globList(dirname, [pattern], { followSymlinks });
+			result.forEach((file) => {
+				if (files.delete(file)) {
+					markFile(rules, file, 'excluded', `default ignore ${pattern}`);
+				}
+			});
+		}
 	}
 
-	_getCustomIgnores(files, dirname, { followSymlinks }) {
+	_getCustomIgnores(files, dirname, { followSymlinks, rules }) {
 		const ignoreFiles = utilities.globList(dirname, ['**/particle.ignore'], { followSymlinks });
 
 		for (const ignoreFile of ignoreFiles) {
@@ -851,9 +1483,14 @@ module.exports = class CloudCommand extends CLICommandBase {
 			if (!globsToIgnore || !globsToIgnore.length) {
 				continue;
 			}
-			const globList = globsToIgnore.map(g => g);
-			const ignoredPaths = utilities.globList(ignoreDir, globList, { followSymlinks });
-			ignoredPaths.forEach((file) => files.delete(file));
+			for (const glob of globsToIgnore) {
+				const ignoredPaths = utilities.globList(ignoreDir, [glob], { followSymlinks });
+				ignoredPaths.forEach((file) => {
+					if (files.delete(file)) {
+						markFile(rules, file, 'excluded', `${path.relative(dirname, ignoreFile)} ${glob}`);
+					}
+				});
+			}
 		}
 	}
 
@@ -879,12 +1516,66 @@ module.exports = class CloudCommand extends CLICommandBase {
 
 
 // UTILS //////////////////////////////////////////////////////////////////////
+// `particle compile --platforms boron,argon project` has no deviceType so the first param is a file
+function usePlatformsOption(platforms, deviceType, files){
+	if (deviceType) {
+		files.unshift(deviceType);
+	}
+	return platforms;
+}
+
+// accepts `blue,green`, or the content of a file with one device per line and # comments
+function parseDeviceList(list){
+	return _.uniq(list.split(/[\r\n,]+/).map(line => line.replace(/#.*$/, '').trim()).filter(Boolean));
+}
+
+// remembers why a file is uploaded or not to explain it with `compile --dry-run`
+function markFile(rules, file, status, rule){
+	if (rules){
+		rules.set(path.resolve(file), { status, rule });
+	}
+}
+
 function createAPI(){
 	return new ParticleAPI(settings.apiUrl, {
 		accessToken: settings.access_token
 	});
 }
 
+// accepts `boron`, `boron,argon,p2` or an array of them
+function parseDeviceTypes(deviceTypes){
+	const names = _.uniq([].concat(deviceTypes).join(',').split(',').map(name => name.trim()).filter(Boolean));
+	const invalid = names.filter(name => !(name in PLATFORMS));
+	if (!names.length || invalid.length) {
+		throw new Error([
+			`Target device ${invalid.join(', ') || deviceTypes} is not valid`,
+			'	eg. particle compile boron xxx',
+			'	eg. particle compile p2 xxx',
+			'	eg. particle compile boron,argon,p2 xxx'
+		].join('\n'));
+	}
+	return names;
+}
+
+function createDeviceFilter(filter){
+	try {
+		return parseDeviceFilter(filter) || (() => true);
+	} catch (error){
+		throw usageError(error.message);
+	}
+}
+
+async function listAllProductDevices(api, product){
+	const devices = [];
+	for (let page = 1; ; page++){
+		const { devices: pageDevices = [], meta = {} } = await api.listDevices({ product, page, perPage: 100 });
+		devices.push(...pageDevices);
+		if (!meta.total_pages || page >= meta.total_pages){
+			return devices;
+		}
+	}
+}
+
 function createAPIErrorResult({ error: e, message, json }){
 	const error = new VError(formatAPIErrorMessage(e), message);
 	error.asJSON = json;
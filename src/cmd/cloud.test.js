@@ -2,9 +2,14 @@ const proxyquire = require('proxyquire');
 const os = require('os');
 const path = require('path');
 const fs = require('fs-extra');
-const { expect } = require('../../test/setup');
-const sandbox = require('sinon').createSandbox();
-const { PATH_FIXTURES_THIRDPARTY_OTA_DIR, PATH_TMP_DIR } = require('../../test/lib/env');
+const chalk = require('chalk');
+const { expect, sinon } = require('../../test/setup');
+const sandbox = sinon.createSandbox();
+const { PATH_FIXTURES_THIRDPARTY_OTA_DIR, PATH_FIXTURES_BINARIES_DIR, PATH_TMP_DIR } = require('../../test/lib/env');
+const ParticleAPI = require('./api');
+const ParticleCache = require('../lib/particle-cache');
+const { readLastBuild, saveLastBuild } = require('../lib/memory-budget');
+const LocalToolchain = require('../lib/local-toolchain');
 
 const stubs = {
 	api: {
@@ -915,6 +920,710 @@ describe('Cloud Commands', () => {
 		});
 	});
 
+	describe('exportDevices', () => {
+		const devices = [
+			{ id: '0123456789abcdef01234567', name: 'kitchen', platform_id: 12, system_firmware_version: '5.6.0', functions: ['toggle'], variables: { temp: 'double' } },
+			{ id: '1123456789abcdef01234567', name: 'garage', platform_id: 13, functions: [], variables: {} }
+		];
+		let cloud;
+
+		beforeEach(async () => {
+			cloud = new CloudCommands();
+			cloud.ui = { stdout: { write: sandbox.stub() } };
+			sandbox.stub(cloud, 'getAllDeviceAttributes').resolves(devices);
+			await fs.emptyDir(PATH_TMP_DIR);
+		});
+
+		afterEach(async () => {
+			await fs.emptyDir(PATH_TMP_DIR);
+		});
+
+		it('saves the selected columns to a file in the format of its extension', async () => {
+			const output = path.join(PATH_TMP_DIR, 'fleet.csv');
+
+			await cloud.listDevices({ output, columns: 'id,name,os_version', params: {} });
+
+			expect(cloud.getAllDeviceAttributes).to.have.been.calledWith(undefined, { silent: false });
+			expect(await fs.readFile(output, 'utf8')).to.equal([
+				'id,name,os_version',
+				'0123456789abcdef01234567,kitchen,5.6.0',
+				'1123456789abcdef01234567,garage,',
+				''
+			].join(os.EOL));
+			expect(cloud.ui.stdout.write).to.have.been.calledWith(`Exported 2 devices to ${output}${os.EOL}`);
+		});
+
+		it('prints the inventory without a spinner', async () => {
+			await cloud.listDevices({ format: 'json', columns: 'id,platform', params: { filter: 'online' } });
+
+			expect(cloud.getAllDeviceAttributes).to.have.been.calledWith('online', { silent: true });
+			expect(JSON.parse(cloud.ui.stdout.write.firstCall.args[0])).to.eql([
+				{ id: '0123456789abcdef01234567', platform: 'argon' },
+				{ id: '1123456789abcdef01234567', platform: 'boron' }
+			]);
+		});
+
+		it('throws a usage error for unknown formats and columns', async () => {
+			let error;
+			try {
+				await cloud.listDevices({ format: 'xml', params: {} });
+			} catch (e) {
+				error = e;
+			}
+			expect(error).to.have.property('message', 'Unknown format: xml. Format can be: csv, json, yaml');
+			expect(error).to.have.property('isUsageError', true);
+
+			error = undefined;
+			try {
+				await cloud.listDevices({ format: 'csv', columns: 'id,owner', params: {} });
+			} catch (e) {
+				error = e;
+			}
+			expect(error.message).to.match(/^Unknown column: owner\. Columns can be: id, name/);
+			expect(error).to.have.property('isUsageError', true);
+		});
+
+		it('throws a usage error for invalid filters', async () => {
+			let error;
+			try {
+				await cloud.listDevices({ format: 'csv', params: { filter: 'os<<4' } });
+			} catch (e) {
+				error = e;
+			}
+			expect(error).to.have.property('message', 'Invalid device filter `os<<4`: expected a value after "<" at position 4');
+			expect(error).to.have.property('isUsageError', true);
+			expect(cloud.getAllDeviceAttributes).to.have.property('callCount', 0);
+		});
+	});
+
+	describe('compileCode', () => {
+		let cloud, output;
+
+		beforeEach(() => {
+			output = '';
+			cloud = new CloudCommands();
+			cloud.ui = { stdout: { write: (text) => (output += text) } };
+			sandbox.stub(cloud, 'compileCodeImpl').callsFake(async ({ deviceType, saveTo }) => {
+				if (deviceType === 'p2') {
+					throw new Error('Compiler encountered an error');
+				}
+				return { isBundle: false, filename: path.resolve(saveTo.replace(/\.zip$/, '.bin')), stats: { flash: 1000, ram: deviceType.length } };
+			});
+		});
+
+		it('compiles every platform with its own file name', async () => {
+			let error;
+			try {
+				await cloud.compileCode({ saveTo: 'out/app.bin', params: { deviceType: 'boron,argon,p2', files: ['project'] } });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(cloud.compileCodeImpl).to.have.property('callCount', 3);
+			expect(cloud.compileCodeImpl.firstCall.args[0]).to.include({ deviceType: 'boron', platformId: 13, saveTo: 'out/app_boron.zip', quiet: true });
+			expect(cloud.compileCodeImpl.firstCall.args[0].files).to.eql(['project']);
+			expect(output).to.include(`boron: Saved firmware to: ${path.resolve('out/app_boron.bin')}`);
+			expect(output).to.include(`argon: Saved firmware to: ${path.resolve('out/app_argon.bin')}`);
+			expect(output).to.include('p2: Compiler encountered an error');
+			expect(output).to.include([
+				'Memory use:',
+				'Platform    Flash      RAM',
+				'boron        1000        5',
+				'argon        1000        5',
+				''
+			].join(os.EOL));
+			expect(error).to.have.property('message', 'Compile failed: Errors compiling for p2');
+		});
+
+		it('takes the first param as a file with the `platforms` option', async () => {
+			await cloud.compileCode({ platforms: 'boron,argon', params: { deviceType: 'project', files: [] } });
+
+			expect(cloud.compileCodeImpl).to.have.property('callCount', 2);
+			expect(cloud.compileCodeImpl.secondCall.args[0]).to.include({ deviceType: 'argon', platformId: 12 });
+			expect(cloud.compileCodeImpl.secondCall.args[0].saveTo).to.match(/^argon_firmware_\d+\.zip$/);
+			expect(cloud.compileCodeImpl.secondCall.args[0].files).to.eql(['project']);
+		});
+
+		it('rejects unknown platforms', async () => {
+			let error;
+			try {
+				await cloud.compileCode({ params: { deviceType: 'boron,toaster', files: [] } });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error.message).to.match(/^Compile failed: Target device toaster is not valid/);
+			expect(cloud.compileCodeImpl).to.have.property('callCount', 0);
+		});
+
+		it('lists the files without compiling with the `dry-run` option', async () => {
+			sandbox.stub(cloud, 'listProjectFiles').resolves();
+
+			await cloud.compileCode({ 'dry-run': true, followSymlinks: true, params: { deviceType: 'boron', files: ['project'] } });
+
+			expect(cloud.listProjectFiles).to.have.been.calledWith({ followSymlinks: true, json: undefined, params: { files: ['project'] } });
+			expect(cloud.compileCodeImpl).to.have.property('callCount', 0);
+		});
+
+		it('compiles every time the sources change with the `watch` option', async () => {
+			sandbox.stub(cloud, '_watchCompile').resolves({ close: () => {} });
+
+			await cloud.compileCode({ watch: true, params: { deviceType: 'boron,argon', files: ['project'] } });
+
+			expect(cloud._watchCompile.firstCall.args[0]).to.include({ saveTo: undefined, format: undefined });
+			expect(cloud._watchCompile.firstCall.args[0].deviceTypes).to.eql(['boron', 'argon']);
+			expect(cloud.compileCodeImpl).to.have.property('callCount', 0);
+		});
+
+		it('adds the compiler errors to the error of a build in watch mode', async () => {
+			cloud.compileCodeImpl.restore();
+			const fileMapping = { basePath: process.cwd(), map: { 'src/app.cpp': 'project/src/app.cpp' } };
+			const compilerOutput = '/workspace/src/app.cpp:12:5: error: \'foo\' was not declared in this scope';
+			sandbox.stub(cloud, 'compileCodeImpl').callsFake(async ({ quiet, format }) => {
+				throw cloud._createCompilerError(compilerOutput, fileMapping, { quiet, format });
+			});
+
+			let error;
+			try {
+				await cloud._compileWatched({ deviceType: 'boron', platformId: 13, files: ['project'], format: 'gcc' });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(output).to.equal('');
+			expect(error.message).to.equal(`Compiler encountered an error${os.EOL}project/src/app.cpp:12:5: error: 'foo' was not declared in this scope${os.EOL}`);
+		});
+	});
+
+	describe('listProjectFiles', () => {
+		const files = [
+			'project.properties',
+			'particle.ignore',
+			'src/app.cpp',
+			'src/secret.h',
+			'lib/spi/src/spi.h',
+			'lib/spi/examples/sensor/sensor.cpp',
+			'logo.png'
+		];
+		const fileContents = {
+			'project.properties': 'name=app\n',
+			'particle.ignore': 'src/secret.h\n',
+			'src/app.cpp': 'void setup() {}\n'
+		};
+		let cloud, output;
+
+		beforeEach(() => {
+			output = '';
+			cloud = new CloudCommands();
+			cloud.ui = { stdout: { write: (text) => (output += text) } };
+		});
+
+		afterEach(() => {
+			chalk.enabled = true;
+		});
+
+		it('lists the uploaded, excluded and skipped files as JSON', async () => {
+			await createTmpDir(files, fileContents, async (dir) => {
+				const project = path.relative(process.cwd(), dir);
+
+				await cloud.listProjectFiles({ json: true, params: { files: [project, path.join(project, 'logo.png')] } });
+
+				const { meta, data } = JSON.parse(output);
+				expect(meta.basePath).to.equal(process.cwd());
+				expect(data.files).to.eql([
+					{ source: path.join(project, 'lib/spi/src/spi.h'), target: path.join('lib/spi/src/spi.h'), size: 0, rule: 'default **/*.h' },
+					{ source: path.join(project, 'project.properties'), target: 'project.properties', size: 9, rule: 'default project.properties' },
+					{ source: path.join(project, 'src/app.cpp'), target: path.join('src/app.cpp'), size: 16, rule: 'default **/*.cpp' }
+				]);
+				expect(data.excluded).to.eql([
+					{ file: path.join(project, 'src/secret.h'), rule: 'particle.ignore src/secret.h' },
+					{ file: path.join(project, 'lib/spi/examples/sensor/sensor.cpp'), rule: 'default ignore lib/*/examples/**/*.*' }
+				]);
+				expect(data.skipped).to.eql([
+					{ file: path.join(project, 'logo.png'), rule: '.png files are not source files' }
+				]);
+				expect(data.totalSize).to.equal(25);
+			});
+		});
+
+		it('shows the files with their size and rule', async () => {
+			chalk.enabled = false;
+			await createTmpDir(files, fileContents, async (dir) => {
+				const project = path.relative(process.cwd(), dir);
+
+				await cloud.listProjectFiles({ params: { files: [project] } });
+
+				expect(output).to.include(`Files uploaded to the compile server from ${process.cwd()}:`);
+				expect(output).to.match(/src[\\/]app\.cpp -> src[\\/]app\.cpp +16 bytes {2}default \*\*\/\*\.cpp/);
+				expect(output).to.match(/Excluded:\r?\n {2}\S+secret\.h +particle\.ignore src\/secret\.h/);
+				expect(output).to.include(`${os.EOL}3 files, 25 bytes${os.EOL}`);
+			});
+		});
+	});
+
+	describe('_compileAndDownload', () => {
+		const fileMapping = { basePath: PATH_TMP_DIR, map: { 'src/app.cpp': 'project/src/app.cpp' } };
+		let cloud, output;
+
+		beforeEach(async () => {
+			output = '';
+			cloud = new CloudCommands();
+			cloud.ui = { stdout: { write: (text) => (output += text) } };
+			const error = new Error('Compiler timed out or encountered an error');
+			error.body = { errors: ['make -C ../modules/boron/user-part all\n/workspace/src/app.cpp:12:5: error: \'foo\' was not declared in this scope\n'] };
+			sandbox.stub(ParticleAPI.prototype, 'compileCode').rejects(error);
+			sandbox.stub(ParticleCache.prototype, 'getEntry').returns(null);
+			await fs.outputFile(path.join(PATH_TMP_DIR, 'project/src/app.cpp'), 'void setup() { foo(); }\n');
+		});
+
+		afterEach(async () => {
+			await fs.emptyDir(PATH_TMP_DIR);
+		});
+
+		it('shows the compiler errors with local paths', async () => {
+			let error;
+			try {
+				await cloud._compileAndDownload({ fileMapping, platformId: 13, filename: 'app.bin', format: 'gcc' });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(output).to.equal(`${os.EOL}project/src/app.cpp:12:5: error: 'foo' was not declared in this scope${os.EOL}`);
+			expect(error).to.have.property('message', 'Compiler encountered an error');
+			expect(error.details.diagnostics).to.have.lengthOf(1);
+		});
+
+		it('only adds the compiler errors to the error for JSON output', async () => {
+			let error;
+			try {
+				await cloud._compileAndDownload({ fileMapping, platformId: 13, filename: 'app.bin', quiet: true, format: 'json' });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(output).to.equal('');
+			expect(error.details).to.eql({
+				diagnostics: [{ file: 'project/src/app.cpp', line: 12, column: 5, severity: 'error', message: '\'foo\' was not declared in this scope' }]
+			});
+		});
+	});
+
+	describe('memory budgets', () => {
+		const originalEnv = process.env;
+		const fileMapping = { basePath: PATH_TMP_DIR, map: { 'src/app.cpp': 'project/src/app.cpp' } };
+		const sizeInfo = '   text\t   data\t    bss\t    dec\t    hex\tfilename\n   4000\t   1000\t   2000\t   7000\t   1b58\t/workspace/target/app.elf\n';
+		let cloud, output, filename;
+
+		beforeEach(async () => {
+			output = '';
+			filename = path.join(PATH_TMP_DIR, 'app.bin');
+			cloud = new CloudCommands();
+			cloud.ui = { stdout: { write: (text) => (output += text) } };
+			sandbox.stub(ParticleAPI.prototype, 'compileCode').resolves({ binary_url: '/v1/binaries/1', binary_id: '1', sizeInfo });
+			sandbox.stub(ParticleAPI.prototype, 'downloadFirmwareBinary').resolves(Buffer.from('firmware'));
+			sandbox.stub(ParticleCache.prototype, 'getEntry').returns(null);
+			sandbox.stub(ParticleCache.prototype, 'set');
+			process.env = {
+				...originalEnv,
+				home: PATH_TMP_DIR,
+			};
+			await fs.emptyDir(PATH_TMP_DIR);
+			await fs.outputFile(path.join(PATH_TMP_DIR, 'project/src/app.cpp'), 'void setup() {}\n');
+			saveLastBuild({ project: '/project', platformId: 13 }, { flash: 4500, ram: 3000 });
+		});
+
+		afterEach(async () => {
+			process.env = originalEnv;
+			await fs.emptyDir(PATH_TMP_DIR);
+		});
+
+		it('shows the percentage used and warns when the build grew', async () => {
+			const memoryBudget = { limits: { flash: 10000, ram: null }, budgets: { flash: null, ram: 6000 }, project: '/project', platformId: 13 };
+
+			const result = await cloud._compileAndDownload({ fileMapping, platformId: 13, filename, memoryBudget });
+
+			expect(result.memory.flash).to.include({ used: 5000, percent: 50 });
+			expect(output).to.include([
+				'Memory use:',
+				'    Flash      RAM',
+				'     5000     3000',
+				'      50%      50%',
+				'',
+				'! Flash use grew by 500 bytes since the last build (4500 bytes)',
+				''
+			].join(os.EOL));
+			expect(readLastBuild({ project: '/project', platformId: 13 })).to.eql({ flash: 5000, ram: 3000 });
+			expect(ParticleCache.prototype.set).to.not.have.been.calledWith(sinon.match.string, { flash: 5000, ram: 3000 });
+		});
+
+		it('fails when a budget is exceeded', async () => {
+			const memoryBudget = { limits: { flash: 10000, ram: null }, budgets: { flash: 4096, ram: null }, project: '/project', platformId: 13 };
+			let error;
+			try {
+				await cloud._compileAndDownload({ fileMapping, platformId: 13, filename, memoryBudget });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.have.property('message', `Memory budget exceeded:${os.EOL}Flash use of 5000 bytes exceeds the budget of 4096 bytes set in project.properties`);
+			expect(await fs.exists(filename)).to.equal(true);
+		});
+
+		it('reads the budgets from project.properties', async () => {
+			const projectDir = path.join(PATH_TMP_DIR, 'project');
+			await fs.outputFile(path.join(projectDir, 'project.properties'), 'name=app\nflashBudget=50%\nramBudget=32K\n');
+
+			const memoryBudget = await cloud._loadMemoryBudget([projectDir], 13);
+
+			expect(memoryBudget).to.eql({
+				limits: { flash: 262144, ram: null },
+				budgets: { flash: 131072, ram: 32768 },
+				project: path.resolve(projectDir),
+				platformId: 13
+			});
+		});
+	});
+
+	describe('compile cache', () => {
+		const fileMapping = { basePath: PATH_TMP_DIR, map: { 'src/app.cpp': 'project/src/app.cpp' } };
+		const originalEnv = process.env;
+		let cloud, output, filename;
+
+		beforeEach(async () => {
+			output = '';
+			filename = path.join(PATH_TMP_DIR, 'app.bin');
+			process.env = { ...originalEnv, home: PATH_TMP_DIR };
+			cloud = new CloudCommands();
+			cloud.ui = { stdout: { write: (text) => (output += text) } };
+			sandbox.stub(ParticleAPI.prototype, 'compileCode').resolves({ binary_url: '/v1/binaries/1', binary_id: '1', sizeInfo: '' });
+			sandbox.stub(ParticleAPI.prototype, 'downloadFirmwareBinary').resolves(Buffer.from('firmware'));
+			await fs.emptyDir(PATH_TMP_DIR);
+			await fs.outputFile(path.join(PATH_TMP_DIR, 'project/src/app.cpp'), 'void setup() {}\n');
+		});
+
+		afterEach(async () => {
+			process.env = originalEnv;
+			await fs.emptyDir(PATH_TMP_DIR);
+		});
+
+		it('reuses the binary when the sources did not change', async () => {
+			const first = await cloud._compileAndDownload({ fileMapping, platformId: 13, filename });
+			await fs.remove(filename);
+			const second = await cloud._compileAndDownload({ fileMapping, platformId: 13, filename });
+
+			expect(first.cached).to.equal(false);
+			expect(second.cached).to.equal(true);
+			expect(ParticleAPI.prototype.compileCode).to.have.property('callCount', 1);
+			expect(await fs.readFile(filename, 'utf8')).to.equal('firmware');
+			expect(output).to.include('Sources unchanged, using the cached compile result.');
+		});
+
+		it('compiles again when the sources changed', async () => {
+			await cloud._compileAndDownload({ fileMapping, platformId: 13, filename });
+			await fs.outputFile(path.join(PATH_TMP_DIR, 'project/src/app.cpp'), 'void setup() { Serial.begin(); }\n');
+			const result = await cloud._compileAndDownload({ fileMapping, platformId: 13, filename });
+
+			expect(result.cached).to.equal(false);
+			expect(ParticleAPI.prototype.compileCode).to.have.property('callCount', 2);
+		});
+
+		it('compiles with the local toolchain instead of the cloud', async () => {
+			sandbox.stub(LocalToolchain.prototype, 'compile').resolves({ binary: Buffer.from('local firmware'), sizeInfo: '' });
+
+			await cloud._compileAndDownload({ fileMapping, platformId: 13, filename, localToolchain: true });
+			const result = await cloud._compileAndDownload({ fileMapping, platformId: 13, filename, localToolchain: true });
+
+			expect(result.cached).to.equal(false);
+			expect(LocalToolchain.prototype.compile).to.have.property('callCount', 2);
+			expect(LocalToolchain.prototype.compile.firstCall.args[0]).to.eql({ fileMapping, platformId: 13 });
+			expect(ParticleAPI.prototype.compileCode).to.have.property('callCount', 0);
+			expect(await fs.readFile(filename, 'utf8')).to.equal('local firmware');
+		});
+
+		it('shows the errors of the local toolchain like the ones of the cloud compiler', async () => {
+			const error = new Error('make failed');
+			error.compilerOutput = `${PATH_TMP_DIR}/build/app/src/app.cpp:12:5: error: 'foo' was not declared in this scope`;
+			sandbox.stub(LocalToolchain.prototype, 'compile').rejects(error);
+
+			let result;
+			try {
+				await cloud._compileAndDownload({ fileMapping, platformId: 13, filename, localToolchain: true, format: 'gcc' });
+			} catch (e) {
+				result = e;
+			}
+
+			expect(result).to.have.property('message', 'Compiler encountered an error');
+			expect(output).to.equal(`${os.EOL}project/src/app.cpp:12:5: error: 'foo' was not declared in this scope${os.EOL}`);
+		});
+
+		it('saves a build manifest next to the binary with `manifest`', async () => {
+			const binary = await fs.readFile(path.join(PATH_FIXTURES_BINARIES_DIR, 'argon_stroby.bin'));
+			ParticleAPI.prototype.downloadFirmwareBinary.resolves(binary);
+
+			const result = await cloud._compileAndDownload({ fileMapping, platformId: 12, filename, targetVersion: '5.6.0', manifest: true });
+
+			expect(result.manifest).to.equal(path.join(PATH_TMP_DIR, 'app.build-manifest.json'));
+			const manifest = await fs.readJson(result.manifest);
+			expect(manifest).to.include({ platform: 'argon', platformId: 12, targetVersion: '5.6.0' });
+			expect(manifest.binary).to.include({ size: binary.length, crc: 'da140931' });
+			expect(manifest.sources.map(source => source.file)).to.eql(['src/app.cpp']);
+		});
+
+		it('compiles again without the cache', async () => {
+			await cloud._compileAndDownload({ fileMapping, platformId: 13, filename });
+			const result = await cloud._compileAndDownload({ fileMapping, platformId: 13, filename, cache: false });
+
+			expect(result.cached).to.equal(false);
+			expect(ParticleAPI.prototype.compileCode).to.have.property('callCount', 2);
+		});
+	});
+
+	describe('_resolveTargetVersion', () => {
+		const originalEnv = process.env;
+		const targets = [
+			{ version: '4.2.0', platforms: [13], prereleases: [] },
+			{ version: '5.5.0', platforms: [12, 13], prereleases: [] },
+			{ version: '5.6.0', platforms: [13], prereleases: [] },
+			{ version: '6.0.0', platforms: [13], prereleases: [13] }
+		];
+		let cloud;
+
+		beforeEach(() => {
+			process.env = { ...originalEnv, home: PATH_TMP_DIR };
+			cloud = new CloudCommands();
+			sandbox.stub(ParticleAPI.prototype, 'listBuildTargets').resolves({ targets });
+		});
+
+		afterEach(async () => {
+			process.env = originalEnv;
+			await fs.remove(path.join(PATH_TMP_DIR, '.particle/'));
+		});
+
+		it('resolves semver ranges, latest and lts against the featured targets of the platform', async () => {
+			expect(await cloud._resolveTargetVersion({ target: '^5.5', platformId: 13 })).to.equal('5.6.0');
+			expect(await cloud._resolveTargetVersion({ target: '>=4.2 <5', platformId: 13 })).to.equal('4.2.0');
+			expect(await cloud._resolveTargetVersion({ target: 'lts', platformId: 13 })).to.equal('4.2.0');
+			expect(await cloud._resolveTargetVersion({ target: '^5.5', platformId: 12 })).to.equal('5.5.0');
+			expect(ParticleAPI.prototype.listBuildTargets).to.have.been.calledWith(true);
+		});
+
+		it('picks prereleases and non featured targets with `allTargets`', async () => {
+			expect(await cloud._resolveTargetVersion({ target: 'lts', platformId: 13, allTargets: true })).to.equal('6.0.0');
+			expect(ParticleAPI.prototype.listBuildTargets).to.have.been.calledWith(false);
+		});
+
+		it('accepts an exact prerelease target', async () => {
+			expect(await cloud._resolveTargetVersion({ target: '6.0.0', platformId: 13 })).to.equal('6.0.0');
+		});
+
+		it('lists the valid targets when none matches', async () => {
+			let error;
+			try {
+				await cloud._resolveTargetVersion({ target: '^6', platformId: 13 });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error.message).to.equal([
+				'Invalid build target version.',
+				'Valid targets:',
+				'5.6.0',
+				'5.5.0',
+				'4.2.0',
+				'Use --all-targets to pick prerelease and non featured versions'
+			].join('\n'));
+		});
+	});
+
+	describe('flashDevice to many devices', () => {
+		const devices = [
+			{ id: '0123456789abcdef01234567', name: 'lab-1', platform_id: 13, online: true },
+			{ id: '1123456789abcdef01234567', name: 'lab-2', platform_id: 13, online: false },
+			{ id: '2123456789abcdef01234567', name: 'lab-3', platform_id: 12, online: true }
+		];
+		const projectDir = path.join(PATH_TMP_DIR, 'project');
+		let cloud, output;
+
+		beforeEach(async () => {
+			output = '';
+			cloud = new CloudCommands();
+			cloud.ui = { stdout: { write: (text) => (output += text) } };
+			sandbox.stub(ParticleAPI.prototype, 'listDevices').resolves(devices);
+			sandbox.stub(ParticleAPI.prototype, 'flashDevice').resolves({ status: 'Update started' });
+			sandbox.stub(ParticleAPI.prototype, 'getDeviceAttributes').resolves({ online: false });
+			sandbox.stub(cloud, 'compileCodeImpl').callsFake(async ({ deviceType }) => ({ filename: `${deviceType}.bin` }));
+			await fs.ensureDir(projectDir);
+		});
+
+		afterEach(async () => {
+			await fs.emptyDir(PATH_TMP_DIR);
+		});
+
+		it('compiles once per platform and flashes every listed device', async () => {
+			await cloud.flashDevice({ params: { device: 'lab-1,lab-3', files: [projectDir] } });
+
+			expect(cloud.compileCodeImpl).to.have.property('callCount', 2);
+			expect(cloud.compileCodeImpl.firstCall.args[0]).to.include({ deviceType: 'boron', platformId: 13 });
+			expect(ParticleAPI.prototype.flashDevice).to.have.property('callCount', 2);
+			expect(ParticleAPI.prototype.flashDevice.firstCall.args.slice(0, 2)).to.eql([devices[0].id, { map: { 'boron.bin': 'boron.bin' } }]);
+			expect(ParticleAPI.prototype.flashDevice.secondCall.args.slice(0, 2)).to.eql([devices[2].id, { map: { 'argon.bin': 'argon.bin' } }]);
+			expect(output).to.include(`> lab-1 (${devices[0].id}): Flash success!`);
+			expect(output).to.include(`> lab-3 (${devices[2].id}): Flash success!`);
+			expect(output).to.include('Flashed 2 of 2 devices');
+		});
+
+		it('flashes the devices matching a filter and reports the ones that failed', async () => {
+			let error;
+			try {
+				await cloud.flashDevice({ filter: 'platform=boron', params: { device: projectDir, files: [] } });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(cloud.compileCodeImpl).to.have.property('callCount', 1);
+			expect(cloud.compileCodeImpl.firstCall.args[0].files).to.eql([projectDir]);
+			expect(ParticleAPI.prototype.flashDevice).to.have.property('callCount', 1);
+			expect(output).to.include(`! lab-2 (${devices[1].id}): Device is offline`);
+			expect(output).to.include('Flashed 1 of 2 devices');
+			expect(error).to.have.property('message', 'Failed to flash lab-2');
+		});
+
+		it('reads the devices from a file', async () => {
+			const devicesFile = path.join(PATH_TMP_DIR, 'fleet.txt');
+			await fs.writeFile(devicesFile, `# lab devices${os.EOL}lab-3${os.EOL}${os.EOL}toaster # not claimed yet${os.EOL}`);
+			let error;
+			try {
+				await cloud.flashDevice({ 'devices-file': devicesFile, params: { device: projectDir, files: [] } });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(ParticleAPI.prototype.flashDevice).to.have.property('callCount', 1);
+			expect(output).to.include('! toaster: Device not found');
+			expect(error).to.have.property('message', 'Failed to flash toaster');
+		});
+
+		it('waits for offline devices to come online', async () => {
+			ParticleAPI.prototype.getDeviceAttributes.onSecondCall().resolves({ online: true });
+
+			await cloud._flashDevices({ devices: 'lab-2', files: [projectDir], retryOffline: 60, retryInterval: 1 });
+
+			expect(ParticleAPI.prototype.getDeviceAttributes).to.have.property('callCount', 2);
+			expect(ParticleAPI.prototype.flashDevice).to.have.property('callCount', 1);
+			expect(output).to.include('Flashed 1 of 1 device');
+		});
+
+		it('requires a device, a filter or a devices file', async () => {
+			let error;
+			try {
+				await cloud.flashDevice({ params: { files: [] } });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.have.property('message', '`device` parameter, `--filter` or `--devices-file` option is required');
+			expect(error).to.have.property('isUsageError', true);
+		});
+
+		it('rejects an invalid number of parallel flashes or retry seconds', async () => {
+			for (const [options, message] of [
+				[{ parallel: NaN }, '`--parallel` must be 1 or more'],
+				[{ parallel: 0 }, '`--parallel` must be 1 or more'],
+				[{ 'retry-offline': NaN }, '`--retry-offline` must be 0 or more seconds'],
+				[{ 'retry-offline': 1.5 }, '`--retry-offline` must be 0 or more seconds']
+			]) {
+				let error;
+				try {
+					await cloud.flashDevice({ ...options, params: { device: 'lab-1,lab-3', files: [projectDir] } });
+				} catch (e) {
+					error = e;
+				}
+
+				expect(error).to.have.property('message', message);
+				expect(error).to.have.property('isUsageError', true);
+			}
+			expect(ParticleAPI.prototype.flashDevice).to.not.have.been.called;
+		});
+
+		it('shows the result of every device as JSON', async () => {
+			let error;
+			try {
+				await cloud.flashDevice({ json: true, params: { device: 'lab-1,lab-2', files: [projectDir] } });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(output).to.equal('');
+			expect(error).to.have.property('asJSON', true);
+			expect(error.details.results).to.eql([
+				{ id: devices[0].id, name: 'lab-1', platform: 'boron', ok: true, markedDevelopment: false },
+				{ id: devices[1].id, name: 'lab-2', platform: 'boron', ok: false, markedDevelopment: false, error: 'Device is offline' }
+			]);
+		});
+
+		it('shows the product devices marked as development devices', async () => {
+			ParticleAPI.prototype.listDevices.withArgs(sinon.match({ product: '1234' })).resolves({ devices, meta: { total_pages: 1 } });
+			sandbox.stub(ParticleAPI.prototype, 'markAsDevelopmentDevice').resolves({});
+
+			await cloud.flashDevice({ product: '1234', filter: 'online', params: { device: projectDir, files: [] } });
+
+			expect(ParticleAPI.prototype.markAsDevelopmentDevice).to.have.property('callCount', 2);
+			expect(output).to.include('2 product devices are now marked as development devices and will NOT receive automatic product firmware updates.');
+			expect(output).to.include(`https://console.particle.io/1234/devices/unmark-development/${devices[0].id}`);
+			expect(output).to.include(`https://console.particle.io/1234/devices/unmark-development/${devices[2].id}`);
+		});
+
+		it('includes the development marking in the JSON results', async () => {
+			ParticleAPI.prototype.listDevices.withArgs(sinon.match({ product: '1234' })).resolves({ devices, meta: { total_pages: 1 } });
+			sandbox.stub(ParticleAPI.prototype, 'markAsDevelopmentDevice').resolves({});
+
+			await cloud.flashDevice({ json: true, product: '1234', params: { device: 'lab-1,lab-3', files: [projectDir] } });
+
+			const { data } = JSON.parse(output);
+			expect(data).to.eql([
+				{ id: devices[0].id, name: 'lab-1', platform: 'boron', ok: true, markedDevelopment: true },
+				{ id: devices[2].id, name: 'lab-3', platform: 'argon', ok: true, markedDevelopment: true }
+			]);
+		});
+	});
+
+	describe('nyanMode', () => {
+		const devices = [
+			{ id: '0123456789abcdef01234567', name: 'lab-1', platform_id: 13, connected: true },
+			{ id: '1123456789abcdef01234567', name: 'lab-2', platform_id: 13, connected: false },
+			{ id: '2123456789abcdef01234567', name: 'lab-3', platform_id: 12, connected: true },
+			{ id: '3123456789abcdef01234567', name: 'home', platform_id: 13, connected: true }
+		];
+		let cloud;
+
+		beforeEach(() => {
+			cloud = new CloudCommands();
+			cloud.ui = { stdout: { write: sandbox.stub() } };
+			sandbox.stub(ParticleAPI.prototype, 'listDevices').resolves(devices);
+			sandbox.stub(ParticleAPI.prototype, 'signalDevice').resolves({});
+		});
+
+		it('signals the online devices matching the filter', async () => {
+			await cloud.nyanMode({ filter: 'platform=boron and name~^lab-', params: { device: 'off' } });
+
+			expect(ParticleAPI.prototype.signalDevice).to.have.property('callCount', 1);
+			expect(ParticleAPI.prototype.signalDevice.firstCall.args).to.eql([devices[0].id, false, undefined]);
+			expect(cloud.ui.stdout.write).to.have.been.calledWith(`Sent the signal to 1 online device${os.EOL}`);
+		});
+
+		it('requires a device or a filter', async () => {
+			let error;
+			try {
+				await cloud.nyanMode({ params: {} });
+			} catch (e) {
+				error = e;
+			}
+			expect(error).to.have.property('message', '`device` parameter or `--filter` option is required');
+			expect(error).to.have.property('isUsageError', true);
+			expect(ParticleAPI.prototype.signalDevice).to.have.property('callCount', 0);
+		});
+	});
+
 	async function createTmpDir(files, fileContents, handler) {
 		const tmpDir = path.join(PATH_TMP_DIR, 'tmpDir');
 		await fs.mkdir(tmpDir);
@@ -0,0 +1,82 @@
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const semver = require('semver');
+const settings = require('../../settings');
+const ParticleApi = require('./api');
+const CLICommandBase = require('./base');
+const deviceOsUtils = require('../lib/device-os-version-util');
+const createApiCache = require('../lib/api-cache');
+const { platformForId } = require('../lib/platform');
+const { JSONResult } = require('../lib/json-result');
+const { errors: { usageError } } = require('../app/command-processor');
+
+
+module.exports = class DeviceOsCommand extends CLICommandBase {
+	constructor(...args) {
+		super(...args);
+	}
+
+	async download({ params: { platform, version } }) {
+		const platformId = this.parsePlatform(platform);
+		if (version !== 'latest' && !semver.valid(version)) {
+			throw usageError(`Invalid version: ${version}`);
+		}
+		const api = createApiCache(new ParticleApi(settings.apiUrl, { accessToken: settings.access_token }));
+		const files = await deviceOsUtils.downloadDeviceOsVersionBinaries({ api, platformId, version, ui: this.ui, offline: false });
+		this.ui.stdout.write(`Device OS ${version} for ${platformForId(platformId).name} is stored in ${path.dirname(files[0])}${os.EOL}`);
+	}
+
+	async list({ json, params: { platform } }) {
+		const platformName = platform && platformForId(this.parsePlatform(platform)).name;
+		const entries = await deviceOsUtils.listStoredDeviceOsVersions({ platformName });
+		const storePath = deviceOsUtils.getStorePath();
+
+		if (json) {
+			this.ui.stdout.write(new JSONResult({ path: storePath }, entries).toString() + os.EOL);
+			return;
+		}
+
+		this.ui.stdout.write(`Device OS store: ${storePath}${os.EOL}`);
+		if (!entries.length) {
+			this.ui.stdout.write(`No Device OS versions are stored. Add one with \`particle device-os download <platform> <version>\`${os.EOL}`);
+			return;
+		}
+
+		const rows = [['Version', 'Platform', 'Modules', 'Size']].concat(entries.map(entry => [
+			entry.version,
+			entry.platform,
+			String(entry.files.length),
+			formatSize(entry.size)
+		]));
+		const widths = rows[0].map((cell, column) => _.max(rows.map(row => row[column].length)));
+		this.ui.stdout.write(os.EOL);
+		rows.forEach(row => {
+			this.ui.stdout.write(`  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}${os.EOL}`);
+		});
+	}
+
+	async prune({ keep, params: { platform } }) {
+		if (!Number.isInteger(keep) || keep < 0) {
+			throw usageError('`--keep` must be 0 or more');
+		}
+		const platformName = platform && platformForId(this.parsePlatform(platform)).name;
+		const removed = await deviceOsUtils.pruneStoredDeviceOsVersions({ platformName, keep });
+
+		if (!removed.length) {
+			this.ui.stdout.write(`Nothing to prune.${os.EOL}`);
+			return;
+		}
+		removed.forEach(entry => {
+			this.ui.stdout.write(`Removed Device OS ${entry.version} for ${entry.platform}${os.EOL}`);
+		});
+		this.ui.stdout.write(`Freed ${formatSize(_.sumBy(removed, 'size'))}${os.EOL}`);
+	}
+};
+
+function formatSize(bytes) {
+	if (bytes < 1024 * 1024) {
+		return `${(bytes / 1024).toFixed(1)} kB`;
+	}
+	return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -0,0 +1,129 @@
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { expect, sinon } = require('../../test/setup');
+const { PATH_TMP_DIR, PATH_FIXTURES_BINARIES_DIR } = require('../../test/lib/env');
+const deviceOsUtils = require('../lib/device-os-version-util');
+const DeviceOsCommand = require('./device-os');
+
+
+describe('Device OS Command', () => {
+	const originalEnv = process.env;
+	const storePath = path.join(PATH_TMP_DIR, '.particle', 'device-os-flash', 'binaries');
+	let deviceOsCommand;
+
+	beforeEach(() => {
+		process.env = {
+			...originalEnv,
+			home: PATH_TMP_DIR,
+		};
+		deviceOsCommand = new DeviceOsCommand();
+		deviceOsCommand.ui = {
+			stdout: {
+				write: sinon.stub()
+			}
+		};
+	});
+
+	afterEach(async () => {
+		process.env = originalEnv;
+		sinon.restore();
+		await fs.remove(path.join(PATH_TMP_DIR, '.particle/'));
+	});
+
+	function getOutput() {
+		return deviceOsCommand.ui.stdout.write.args.map(([text]) => text).join('');
+	}
+
+	async function store(version, platform) {
+		const systemPart = path.join(PATH_FIXTURES_BINARIES_DIR, 'argon-system-part1@4.1.0.bin');
+		await fs.copy(systemPart, path.join(storePath, version, platform, `${platform}-system-part1@${version}.bin`));
+	}
+
+	describe('download', () => {
+		it('downloads the binaries into the store even when offline', async () => {
+			const files = [path.join(storePath, '5.6.0', 'boron', 'boron-system-part1@5.6.0.bin')];
+			sinon.stub(deviceOsUtils, 'downloadDeviceOsVersionBinaries').resolves(files);
+
+			await deviceOsCommand.download({ params: { platform: 'boron', version: '5.6.0' } });
+
+			expect(deviceOsUtils.downloadDeviceOsVersionBinaries).to.have.been.calledWithMatch({ platformId: 13, version: '5.6.0', offline: false });
+			expect(getOutput()).to.equal(`Device OS 5.6.0 for boron is stored in ${path.join(storePath, '5.6.0', 'boron')}${os.EOL}`);
+		});
+
+		it('fails for an invalid version', async () => {
+			let error;
+			try {
+				await deviceOsCommand.download({ params: { platform: 'boron', version: 'newest' } });
+			} catch (_error) {
+				error = _error;
+			}
+			expect(error).to.have.property('message', 'Invalid version: newest');
+		});
+	});
+
+	describe('list', () => {
+		it('shows the stored versions', async () => {
+			await store('4.1.0', 'argon');
+			await store('5.6.0', 'boron');
+
+			await deviceOsCommand.list({ params: {} });
+
+			const output = getOutput().split(os.EOL);
+			expect(output[0]).to.equal(`Device OS store: ${storePath}`);
+			expect(output.slice(2, 5)).to.eql([
+				'  Version  Platform  Modules  Size',
+				'  4.1.0    argon     1        458.4 kB',
+				'  5.6.0    boron     1        458.4 kB'
+			]);
+		});
+
+		it('shows the versions of a platform as JSON', async () => {
+			await store('4.1.0', 'argon');
+			await store('5.6.0', 'boron');
+
+			await deviceOsCommand.list({ json: true, params: { platform: 'b' } });
+
+			const { meta, data } = JSON.parse(getOutput());
+			expect(meta).to.include({ path: storePath });
+			expect(data.map(({ platform, version }) => `${platform}@${version}`)).to.eql(['boron@5.6.0']);
+		});
+
+		it('explains how to fill an empty store', async () => {
+			await deviceOsCommand.list({ params: {} });
+
+			expect(getOutput()).to.include('No Device OS versions are stored. Add one with `particle device-os download <platform> <version>`');
+		});
+	});
+
+	describe('prune', () => {
+		it('removes the older versions', async () => {
+			await store('4.1.0', 'argon');
+			await store('5.6.0', 'argon');
+
+			await deviceOsCommand.prune({ keep: 1, params: {} });
+
+			expect(getOutput()).to.include(`Removed Device OS 4.1.0 for argon${os.EOL}`);
+			expect(fs.existsSync(path.join(storePath, '4.1.0'))).to.be.false;
+			expect(fs.existsSync(path.join(storePath, '5.6.0', 'argon'))).to.be.true;
+		});
+
+		it('says when there is nothing to prune', async () => {
+			await store('5.6.0', 'argon');
+
+			await deviceOsCommand.prune({ keep: 1, params: { platform: 'argon' } });
+
+			expect(getOutput()).to.equal(`Nothing to prune.${os.EOL}`);
+		});
+
+		it('fails for a negative --keep', async () => {
+			let error;
+			try {
+				await deviceOsCommand.prune({ keep: -1, params: {} });
+			} catch (_error) {
+				error = _error;
+			}
+			expect(error).to.have.property('message', '`--keep` must be 0 or more');
+		});
+	});
+});
@@ -1,4 +1,6 @@
+const os = require('os');
 const fs = require('fs-extra');
+const chalk = require('chalk');
 const ParticleApi = require('./api');
 const { ModuleInfo } = require('binary-version-reader');
 const { errors: { usageError } } = require('../app/command-processor');
@@ -17,6 +19,9 @@ const deviceOsUtils = require('../lib/device-os-version-util');
 const semver = require('semver');
 const {
 	createFlashSteps,
+	describeFlashSteps,
+	verifyFlashedModules,
+	checkFlashedModules,
 	filterModulesToFlash,
 	parseModulesToFlash,
 	flashFiles,
@@ -24,6 +29,12 @@ const {
 	getFileFlashInfo
 } = require('../lib/flash-helper');
 const createApiCache = require('../lib/api-cache');
+const { watchSources } = require('../lib/source-watcher');
+const { JSONResult } = require('../lib/json-result');
+const FlashJournal = require('../lib/flash-journal');
+
+const arrow = chalk.green('>');
+const alert = chalk.yellow('!');
 
 module.exports = class FlashCommand extends CLICommandBase {
 	constructor(...args) {
@@ -38,14 +49,26 @@ module.exports = class FlashCommand extends CLICommandBase {
 		target,
 		port,
 		yes,
+		cache,
+		watch,
+		all,
+		devices,
+		json,
+		verify,
+		'dry-run': dryRun,
 		'application-only': applicationOnly
 	}) {
 		if (!device && !binary && !local) {
 			// if no device nor files are passed, show help
 			throw usageError('You must specify a device or a file');
 		}
+		if (dryRun && (!local || all || devices || watch)) {
+			throw usageError('`--dry-run` previews flashing a single device with --local');
+		}
 
-		this.ui.logFirstTimeFlashWarning();
+		if (!dryRun) {
+			this.ui.logFirstTimeFlashWarning();
+		}
 
 		if (usb) {
 			await this.flashOverUsb({ binary, factory });
@@ -53,9 +76,18 @@ module.exports = class FlashCommand extends CLICommandBase {
 			await this.flashSerialDeprecated({ binary, port, yes });
 		} else if (local) {
 			let allFiles = binary ? [binary, ...files] : files;
-			await this.flashLocal({ files: allFiles, applicationOnly, target });
+			if (all || devices) {
+				if (watch) {
+					throw usageError('`--watch` flashes a single device');
+				}
+				return this.flashLocalDevices({ files: allFiles, ids: devices, applicationOnly, target, cache, verify });
+			}
+			if (watch) {
+				return this._watchLocal({ files: allFiles, applicationOnly, target, cache });
+			}
+			await this.flashLocal({ files: allFiles, applicationOnly, target, cache, dryRun, json, verify });
 		} else {
-			await this.flashCloud({ device, files, target });
+			await this.flashCloud({ device, files, target, cache, watch });
 		}
 	}
 
@@ -104,9 +136,9 @@ module.exports = class FlashCommand extends CLICommandBase {
 		}
 	}
 
-	flashCloud({ device, files, target }) {
+	flashCloud({ device, files, target, cache, watch }) {
 		const CloudCommands = require('../cmd/cloud');
-		const args = { target, params: { device, files } };
+		const args = { target, cache, watch, params: { device, files } };
 		return new CloudCommands().flashDevice(args);
 	}
 
@@ -115,52 +147,287 @@ module.exports = class FlashCommand extends CLICommandBase {
 		return new SerialCommands().flashDevice(binary, { port, yes });
 	}
 
-	async flashLocal({ files, applicationOnly, target }) {
+	async flashLocal({ files, applicationOnly, target, cache, dryRun, json, verify }) {
 		const { files: parsedFiles, deviceIdOrName, knownApp } = await this._analyzeFiles(files);
 		const { api, auth } = this._particleApi();
 		const device = await usbUtils.getOneUsbDevice({ idOrName: deviceIdOrName, api, auth, ui: this.ui });
 
-		const platformId = device.platformId;
-		const platformName = platformForId(platformId).name;
-		const currentDeviceOsVersion = device.firmwareVersion;
+		const platformName = platformForId(device.platformId).name;
+		if (!dryRun) {
+			this.ui.write(`Flashing ${platformName} ${deviceIdOrName || device.id}`);
+		}
 
-		this.ui.write(`Flashing ${platformName} ${deviceIdOrName || device.id}`);
+		const { flashSteps, modules } = await this._createLocalFlashSteps({ device, knownApp, parsedFiles, applicationOnly, target, cache, quiet: dryRun && json });
 
-		validateDFUSupport({ device, ui: this.ui });
+		if (dryRun) {
+			try {
+				const plan = await describeFlashSteps({ flashSteps, modules, platformId: device.platformId, device });
+				this._showFlashPlan({ plan, device, platformName, json });
+			} finally {
+				await device.close();
+			}
+			return;
+		}
+		const journal = new FlashJournal();
+		const stepsToFlash = await this._resumeInterruptedFlash({ device, flashSteps, modules, journal });
+		await flashFiles({ device, flashSteps: stepsToFlash, ui: this.ui, journal });
+
+		if (verify) {
+			this.ui.write('Verifying the modules on the device');
+			const checks = await verifyFlashedModules({ device, flashSteps, modules });
+			const failed = checks.filter(check => !check.ok);
+			if (failed.length) {
+				failed.forEach(check => this.ui.write(chalk.red(formatFailedCheck(check))));
+				throw new Error(`The modules on ${deviceIdOrName || device.id} do not match the flashed ones`);
+			}
+			this.ui.write(`Verified ${checks.length} ${checks.length === 1 ? 'check' : 'checks'} of the flashed modules`);
+		}
+	}
 
-		let { skipDeviceOSFlash, files: filesToFlash } = await this._prepareFilesToFlash({
-			knownApp,
-			parsedFiles,
-			platformId,
-			platformName,
-			target
-		});
+	// offers to resume a flash of the device that was interrupted, once the device is known to have the modules it flashed
+	async _resumeInterruptedFlash({ device, flashSteps, modules, journal }) {
+		const session = journal.find(device.id);
+		const remaining = session && FlashJournal.remainingSteps(session, flashSteps);
+		if (remaining && remaining.length < flashSteps.length && this.ui.isInteractive) {
+			const flashed = flashSteps.filter(step => !remaining.includes(step));
+			if (await this._hasFlashedModules({ device, flashed, modules })) {
+				const question = {
+					type: 'confirm',
+					name: 'resume',
+					message: `A flash of ${device.id} was interrupted after ${flashed.length} of ${flashSteps.length} steps. Resume it?`,
+					default: true
+				};
+				const { resume } = await this.ui.prompt([question]);
+				if (resume) {
+					return remaining;
+				}
+			}
+		}
+		journal.start(device.id, flashSteps);
+		return flashSteps;
+	}
 
-		filesToFlash = await this._processBundle({ filesToFlash });
+	// a device in DFU mode is reset to read its module table, the flash reopens it in the mode each step needs
+	async _hasFlashedModules({ device, flashed, modules }) {
+		const inDfuMode = device.isInDfuMode;
+		try {
+			if (inDfuMode) {
+				device = await usbUtils.reopenInNormalMode(device, { reset: true });
+			}
+			const checks = await checkFlashedModules({ device, flashSteps: flashed, modules });
+			if (checks.every(check => check.ok)) {
+				return true;
+			}
+		} catch (error) {
+			// the module table can't be read so don't trust the journal
+		} finally {
+			if (inDfuMode && device.isOpen) {
+				await device.close();
+			}
+		}
+		this.ui.write('The device doesn\'t have the modules flashed before the interruption. Flashing all the modules again');
+		return false;
+	}
+
+	_showFlashPlan({ plan, device, platformName, json }) {
+		if (json) {
+			const data = { device: { id: device.id, platform: platformName }, steps: plan };
+			this.ui.stdout.write(`${new JSONResult({ dryRun: true }, data).toString()}${os.EOL}`);
+			return;
+		}
+
+		let step = 0;
+		const rows = [['#', 'File', 'Module', 'Version', 'Mode', 'Address', 'Size', 'Skip']].concat(plan.map(({ name, module, version, mode, address, size, skip }) => [
+			mode ? String(++step) : '',
+			name,
+			module || '',
+			version === null ? '' : String(version),
+			mode === 'dfu' ? 'DFU' : (mode || ''),
+			address || '',
+			String(size),
+			skip || ''
+		]));
+		const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => row[column].length)));
+		this.ui.write(`Flash plan for ${platformName} ${device.id}:`);
+		this.ui.write('');
+		for (const row of rows) {
+			this.ui.write(`  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}`);
+		}
+		this.ui.write('');
+		this.ui.write('Dry run: nothing was written to the device.');
+	}
+
+	// flashes every device connected over USB, or the ones in `ids`, at the same time
+	async flashLocalDevices({ files, ids, applicationOnly, target, cache, verify }) {
+		const { files: parsedFiles, deviceIdOrName, knownApp } = await this._analyzeFiles(files);
+		if (deviceIdOrName) {
+			throw usageError(`I couldn't find that: ${deviceIdOrName}. Use --devices to pick the devices to flash`);
+		}
+
+		const entries = await this._findLocalDevices(ids);
+		const platformFiles = {};
+		for (const entry of entries.filter(entry => entry.device)) {
+			try {
+				const { flashSteps, modules } = await this._createLocalFlashSteps({
+					device: entry.device,
+					knownApp,
+					parsedFiles,
+					applicationOnly,
+					target,
+					cache,
+					platformFiles
+				});
+				entry.flashSteps = flashSteps;
+				entry.modules = modules;
+			} catch (error) {
+				entry.error = error;
+				await entry.device.close();
+			}
+		}
+
+		this.ui.write(`Flashing ${entries.filter(entry => entry.flashSteps).length} devices`);
+		const journal = new FlashJournal();
+		const multiBar = this.ui.isInteractive ? this.ui.createMultiProgressBar() : null;
+		try {
+			await Promise.all(entries.filter(entry => entry.flashSteps).map(async (entry) => {
+				try {
+					journal.start(entry.id, entry.flashSteps);
+					await flashFiles({ device: entry.device, flashSteps: entry.flashSteps, ui: this.ui, multiBar, label: entry.id, journal });
+					if (verify) {
+						const checks = await verifyFlashedModules({ device: entry.device, flashSteps: entry.flashSteps, modules: entry.modules });
+						const failed = checks.filter(check => !check.ok);
+						if (failed.length) {
+							throw new Error(`Verification failed: ${failed.map(formatFailedCheck).join(', ')}`);
+						}
+					}
+				} catch (error) {
+					entry.error = error;
+				}
+			}));
+		} finally {
+			if (multiBar) {
+				multiBar.stop();
+			}
+		}
+
+		this._showLocalFlashResults(entries);
+	}
+
+	// opens the connected devices that should be flashed. Devices that can't be opened or are listed in `ids` but not connected are reported as failed
+	async _findLocalDevices(ids) {
+		const wanted = ids && ids.map(id => id.toLowerCase());
+		const entries = [];
+		for (const usbDevice of await usbUtils.getUsbDevices({ dfuMode: true })) {
+			try {
+				await usbUtils.openUsbDevice(usbDevice, { dfuMode: true });
+			} catch (error) {
+				if (!wanted || wanted.includes(usbDevice.id)) {
+					entries.push({ id: usbDevice.id, platformName: platformForId(usbDevice.platformId).name, error });
+				}
+				continue;
+			}
+			if (!wanted || wanted.includes(usbDevice.id)) {
+				entries.push({ id: usbDevice.id, platformName: platformForId(usbDevice.platformId).name, device: usbDevice });
+			} else {
+				await usbDevice.close();
+			}
+		}
+		if (!entries.length) {
+			throw new Error('No devices found');
+		}
+
+		for (const id of wanted || []) {
+			if (!entries.some(entry => entry.id === id)) {
+				entries.push({ id, error: new Error('Device not found over USB') });
+			}
+		}
+		return entries;
+	}
+
+	_showLocalFlashResults(entries) {
+		const failed = entries.filter(entry => entry.error);
 
-		const fileModules = await parseModulesToFlash({ files: filesToFlash });
+		this.ui.write('');
+		for (const { id, platformName, error } of entries) {
+			const label = platformName ? `${id} (${platformName})` : id;
+			this.ui.write(error ? `${alert} ${label}: ${error.message}` : `${arrow} ${label}: Flash success!`);
+		}
+		this.ui.write(`${os.EOL}Flashed ${entries.length - failed.length} of ${entries.length} ${entries.length === 1 ? 'device' : 'devices'}`);
 
-		await this._validateModulesForPlatform({ modules: fileModules, platformId, platformName });
+		if (failed.length) {
+			throw new Error(`Failed to flash ${failed.map(entry => entry.id).join(', ')}`);
+		}
+	}
+
+	// the files are compiled or extracted once per platform and shared through `platformFiles` when flashing many devices
+	async _createLocalFlashSteps({ device, knownApp, parsedFiles, applicationOnly, target, cache, quiet, platformFiles = {} }) {
+		const platformId = device.platformId;
+		const platformName = platformForId(platformId).name;
+
+		validateDFUSupport({ device, ui: this.ui });
+
+		if (!platformFiles[platformId]) {
+			platformFiles[platformId] = this._prepareModulesToFlash({ knownApp, parsedFiles, platformId, platformName, target, cache, quiet });
+		}
+		const { skipDeviceOSFlash, modules: fileModules } = await platformFiles[platformId];
 
 		const deviceOsBinaries = await this._getDeviceOsBinaries({
-			currentDeviceOsVersion,
+			currentDeviceOsVersion: device.firmwareVersion,
 			skipDeviceOSFlash,
 			target,
 			modules: fileModules,
 			platformId,
-			applicationOnly
+			applicationOnly,
+			quiet
 		});
 		const deviceOsModules = await parseModulesToFlash({ files: deviceOsBinaries });
-		let modulesToFlash = [...fileModules, ...deviceOsModules];
-		modulesToFlash = filterModulesToFlash({ modules: modulesToFlash, platformId });
+		const modules = [...fileModules, ...deviceOsModules];
 
 		const flashSteps = await createFlashSteps({
-			modules: modulesToFlash,
+			modules: filterModulesToFlash({ modules, platformId }),
 			isInDfuMode: device.isInDfuMode,
 			platformId
 		});
+		return { flashSteps, modules };
+	}
+
+	async _prepareModulesToFlash({ knownApp, parsedFiles, platformId, platformName, target, cache, quiet }) {
+		let { skipDeviceOSFlash, files: filesToFlash } = await this._prepareFilesToFlash({
+			knownApp,
+			parsedFiles,
+			platformId,
+			platformName,
+			target,
+			cache,
+			quiet
+		});
+
+		filesToFlash = await this._processBundle({ filesToFlash });
 
-		await flashFiles({ device, flashSteps, ui: this.ui });
+		const modules = await parseModulesToFlash({ files: filesToFlash });
+
+		await this._validateModulesForPlatform({ modules, platformId, platformName });
+
+		return { skipDeviceOSFlash, modules };
+	}
+
+	// flashes again every time the sources change. The device is looked up for every build since flashing resets it
+	async _watchLocal({ files, applicationOnly, target, cache }) {
+		const { files: parsedFiles, deviceIdOrName, knownApp } = await this._analyzeFiles(files);
+		if (knownApp) {
+			throw usageError('`--watch` needs source files to compile');
+		}
+
+		const cloudCommand = new CloudCommand();
+		return watchSources({
+			paths: parsedFiles,
+			ui: this.ui,
+			collect: () => cloudCommand._handleMultiFileArgs(parsedFiles),
+			run: async () => {
+				await this.flashLocal({ files, applicationOnly, target, cache });
+				return `Flashed ${deviceIdOrName || 'the device connected over USB'}`;
+			}
+		});
 	}
 
 	async _analyzeFiles(files) {
@@ -224,7 +491,7 @@ module.exports = class FlashCommand extends CLICommandBase {
 		return { api: apiCache, auth };
 	}
 
-	async _prepareFilesToFlash({ knownApp, parsedFiles, platformId, platformName, target }) {
+	async _prepareFilesToFlash({ knownApp, parsedFiles, platformId, platformName, target, cache, quiet }) {
 		if (knownApp) {
 			const knownAppPath = knownAppsForPlatform(platformName)[knownApp];
 			if (knownAppPath) {
@@ -254,7 +521,7 @@ module.exports = class FlashCommand extends CLICommandBase {
 				return { skipDeviceOSFlash: false, files: binaries };
 			} else if (sources.length > 0) {
 				// this is a source directory so compile it
-				const compileResult = await this._compileCode({ parsedFiles, platformId, target });
+				const compileResult = await this._compileCode({ parsedFiles, platformId, target, cache, quiet });
 				return { skipDeviceOSFlash: false, files: compileResult };
 			} else {
 				throw new Error('No files found to flash');
@@ -266,16 +533,16 @@ module.exports = class FlashCommand extends CLICommandBase {
 				const binaries = await this._findBinaries(parsedFiles);
 				return { skipDeviceOSFlash: false, files: binaries };
 			} else {
-				const compileResult = await this._compileCode({ parsedFiles, platformId, target });
+				const compileResult = await this._compileCode({ parsedFiles, platformId, target, cache, quiet });
 				return { skipDeviceOSFlash: false, files: compileResult };
 			}
 		}
 	}
 
-	async _compileCode({ parsedFiles, platformId, target }) {
+	async _compileCode({ parsedFiles, platformId, target, cache, quiet }) {
 		const cloudCommand = new CloudCommand();
 		const saveTo = temp.path({ suffix: '.zip' }); // compileCodeImpl will pick between .bin and .zip as appropriate
-		const { filename } = await cloudCommand.compileCodeImpl({ target, saveTo, platformId, files: parsedFiles });
+		const { filename } = await cloudCommand.compileCodeImpl({ target, saveTo, platformId, files: parsedFiles, cache, quiet });
 		return [filename];
 	}
 
@@ -324,7 +591,7 @@ module.exports = class FlashCommand extends CLICommandBase {
 		}
 	}
 
-	async _getDeviceOsBinaries({ skipDeviceOSFlash, target, modules, currentDeviceOsVersion, platformId, applicationOnly }) {
+	async _getDeviceOsBinaries({ skipDeviceOSFlash, target, modules, currentDeviceOsVersion, platformId, applicationOnly, quiet }) {
 		const { api } = this._particleApi();
 		const { module: application, applicationDeviceOsVersion } = await this._pickApplicationBinary(modules, api);
 
@@ -352,7 +619,8 @@ module.exports = class FlashCommand extends CLICommandBase {
 				platformId,
 				version: target,
 				ui: this.ui,
-				omitUserPart: true
+				omitUserPart: true,
+				quiet
 			});
 		}
 
@@ -368,6 +636,7 @@ module.exports = class FlashCommand extends CLICommandBase {
 				platformId,
 				version: applicationDeviceOsVersion,
 				ui: this.ui,
+				quiet
 			});
 		} else {
 			// Device OS is up to date or we don't know the current Device OS version, so no need to download binaries
@@ -384,7 +653,10 @@ module.exports = class FlashCommand extends CLICommandBase {
 				try {
 					applicationDeviceOsVersionData = await api.getDeviceOsVersions(module.prefixInfo.platformID, internalVersion);
 				} catch (error) {
-					// ignore if Device OS version from the application cannot be identified
+					// offline the version can still be found in the local store, otherwise ignore it
+					const version = await deviceOsUtils.findStoredDeviceOsVersion({ platformId: module.prefixInfo.platformID, moduleVersion: internalVersion })
+						.catch(() => null);
+					applicationDeviceOsVersionData = { version };
 				}
 				return { module, applicationDeviceOsVersion: applicationDeviceOsVersionData.version };
 			}
@@ -392,3 +664,10 @@ module.exports = class FlashCommand extends CLICommandBase {
 		return { module: null, applicationDeviceOsVersion: null };
 	}
 };
+
+function formatFailedCheck({ name, module, check, expected, actual }) {
+	if (actual === null) {
+		return `${module} (${name}) is not on the device`;
+	}
+	return `${module} (${name}) ${check} does not match (should be ${expected} but is ${actual})`;
+}
@@ -7,6 +7,10 @@ const FlashCommand = require('./flash');
 const BundleCommand = require('./bundle');
 const { PATH_TMP_DIR } = require('../../test/lib/env');
 const deviceOsUtils = require('../lib/device-os-version-util');
+const usbUtils = require('./usb-util');
+const FlashJournal = require('../lib/flash-journal');
+const UI = require('../lib/ui');
+const settings = require('../../settings');
 const { firmwareTestHelper, createAssetModule, ModuleInfo, HalModuleParser } = require('binary-version-reader');
 
 describe('FlashCommand', () => {
@@ -93,8 +97,9 @@ describe('FlashCommand', () => {
 		flash = new FlashCommand();
 	});
 
-	afterEach(() => {
+	afterEach(async () => {
 		sinon.restore();
+		await fs.remove(path.join(PATH_TMP_DIR, '.particle/'));
 	});
 
 	describe('_analyzeFiles', () => {
@@ -142,6 +147,33 @@ describe('FlashCommand', () => {
 		});
 	});
 
+	describe('_watchLocal', () => {
+		it('flashes the sources and keeps watching them', async () => {
+			const dir = await temp.mkdir();
+			await fs.writeFile(path.join(dir, 'app.cpp'), 'void setup() {}');
+			let output = '';
+			flash.ui = { stdout: { write: (text) => (output += text) } };
+			sinon.stub(flash, 'flashLocal').resolves();
+
+			const watcher = await flash._watchLocal({ files: [dir], target: '5.0.0' });
+			watcher.close();
+
+			expect(flash.flashLocal).to.have.been.calledWith({ files: [dir], applicationOnly: undefined, target: '5.0.0', cache: undefined });
+			expect(output).to.include('Flashed the device connected over USB');
+		});
+
+		it('needs source files', async () => {
+			let error;
+			try {
+				await flash._watchLocal({ files: ['tinker'] });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.have.property('message', '`--watch` needs source files to compile');
+		});
+	});
+
 	describe('_prepareFilesToFlash', () => {
 		it('returns the known app binary if it exists', async () => {
 			const knownApp = 'tinker';
@@ -396,6 +428,27 @@ describe('FlashCommand', () => {
 			expect(stub).to.have.been.calledOnce;
 		});
 
+		it('finds the Device OS version of the user-part dependency in the local store when the cloud cannot be reached', async () => {
+			const modules = await createModules();
+			const userPart = modules.find(m => m.filename === 'userPart1.bin');
+			nock('https://api.particle.io')
+				.intercept('/v1/device-os/versions/4100?platform_id=6', 'GET')
+				.replyWithError('offline');
+			sinon.stub(deviceOsUtils, 'findStoredDeviceOsVersion').resolves('4.1.0');
+			const stub = sinon.stub(deviceOsUtils, 'downloadDeviceOsVersionBinaries').returns([
+				'photon-bootloader@4.1.0+lto.bin',
+				'photon-system-part1@4.1.0.bin'
+			]);
+			const binaries = await flash._getDeviceOsBinaries({
+				platformId: 6,
+				currentDeviceOsVersion: '0.7.0',
+				modules: [userPart],
+			});
+			expect(deviceOsUtils.findStoredDeviceOsVersion).to.have.been.calledWith({ platformId: 6, moduleVersion: 4100 });
+			expect(stub).to.have.been.calledWithMatch({ platformId: 6, version: '4.1.0' });
+			expect(binaries).to.have.lengthOf(2);
+		});
+
 		it('returns empty if Device OS is up to date based on the user-part dependency binary', async () => {
 			const modules = await createModules();
 			const userPart = modules.find(m => m.filename === 'userPart1.bin');
@@ -418,4 +471,340 @@ describe('FlashCommand', () => {
 			expect(binaries).to.eql([]);
 		});
 	});
+
+	describe('flashLocal with --dry-run', () => {
+		let output, device;
+
+		beforeEach(async () => {
+			output = '';
+			flash.ui = { write: (text) => (output += `${text}\n`), stdout: { write: (text) => (output += text) } };
+			device = { id: '0123456789abcdef01234567', platformId: 6, isInDfuMode: true, writeOverDfu: sinon.stub(), close: sinon.stub().resolves() };
+			sinon.stub(usbUtils, 'getOneUsbDevice').resolves(device);
+			const modules = await createModules();
+			sinon.stub(flash, '_createLocalFlashSteps').resolves({
+				flashSteps: [{ name: 'userPart1.bin', flashMode: 'dfu', address: 0x80a0000, data: modules[4].fileBuffer }],
+				modules
+			});
+		});
+
+		it('shows the planned steps without flashing', async () => {
+			await flash.flashLocal({ files: ['tinker'], dryRun: true });
+
+			expect(output).to.include('Flash plan for photon 0123456789abcdef01234567:');
+			expect(output).to.include([
+				'  #  File           Module      Version  Mode  Address    Size  Skip',
+				'  1  userPart1.bin  userPart 1  4100     DFU   0x80a0000  1092'
+			].join('\n'));
+			expect(output).to.include('Dry run: nothing was written to the device.');
+			expect(output).to.not.include('Flashing');
+			expect(device.writeOverDfu).to.not.have.been.called;
+			expect(device.close).to.have.been.calledOnce;
+		});
+
+		it('shows the planned steps as JSON', async () => {
+			await flash.flashLocal({ files: ['tinker'], dryRun: true, json: true });
+
+			const { meta, data } = JSON.parse(output);
+			expect(meta).to.include({ dryRun: true });
+			expect(data.device).to.eql({ id: '0123456789abcdef01234567', platform: 'photon' });
+			expect(data.steps).to.eql([{ name: 'userPart1.bin', module: 'userPart 1', version: 4100, mode: 'dfu', address: '0x80a0000', size: 1092, skip: null }]);
+			expect(flash._createLocalFlashSteps.firstCall.args[0]).to.include({ quiet: true });
+		});
+
+		it('keeps the JSON output clean on the first flash with a profile', async () => {
+			const { flashWarningShownOn } = settings;
+			delete settings.flashWarningShownOn;
+			sinon.stub(settings, 'override');
+			flash.ui = new UI({ stdout: { write: (text) => (output += text) } });
+
+			try {
+				await flash.flash(undefined, 'tinker', [], { local: true, json: true, 'dry-run': true });
+			} finally {
+				settings.flashWarningShownOn = flashWarningShownOn;
+			}
+
+			const { data } = JSON.parse(output);
+			expect(data.steps).to.have.lengthOf(1);
+			expect(settings.override).to.not.have.been.called;
+		});
+
+		it('previews a single device flashed locally', async () => {
+			let error;
+			try {
+				await flash.flash(undefined, 'app.bin', [], { local: true, all: true, 'dry-run': true });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.have.property('isUsageError', true);
+			expect(error.message).to.equal('`--dry-run` previews flashing a single device with --local');
+		});
+	});
+
+	describe('flashLocal with --verify', () => {
+		let output, device, modules;
+
+		beforeEach(async () => {
+			output = '';
+			flash.ui = { isInteractive: false, write: (text) => (output += `${text}\n`), stdout: { write: (text) => (output += text) } };
+			modules = await createModules();
+			device = {
+				id: '0123456789abcdef01234567',
+				platformId: 6,
+				isInDfuMode: true,
+				isOpen: true,
+				writeOverDfu: sinon.stub().resolves(),
+				reset: sinon.stub().resolves(),
+				close: sinon.stub().resolves(),
+				getFirmwareModuleInfo: sinon.stub().resolves([{ type: 'USER_PART', index: 1, version: 4100, hash: modules[4].suffixInfo.fwUniqueId }])
+			};
+			sinon.stub(usbUtils, 'getOneUsbDevice').resolves(device);
+			sinon.stub(usbUtils, 'reopenDevice').callsFake(async (device) => device);
+			sinon.stub(usbUtils, 'reopenInNormalMode').resolves(device);
+			sinon.stub(flash, '_createLocalFlashSteps').resolves({
+				flashSteps: [{ name: 'userPart1.bin', flashMode: 'dfu', address: 0x80a0000, data: modules[4].fileBuffer }],
+				modules
+			});
+		});
+
+		it('reads the modules back after flashing', async () => {
+			await flash.flashLocal({ files: ['tinker'], verify: true });
+
+			expect(device.writeOverDfu).to.have.been.calledOnce;
+			expect(device.getFirmwareModuleInfo).to.have.been.calledOnce;
+			expect(output).to.include('Verified 2 checks of the flashed modules');
+		});
+
+		it('fails when the device does not run the flashed modules', async () => {
+			device.getFirmwareModuleInfo.resolves([{ type: 'USER_PART', index: 1, version: 3, hash: modules[4].suffixInfo.fwUniqueId }]);
+			let error;
+
+			try {
+				await flash.flashLocal({ files: ['tinker'], verify: true });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(output).to.include('userPart 1 (userPart1.bin) version does not match (should be 4100 but is 3)');
+			expect(error).to.have.property('message', 'The modules on 0123456789abcdef01234567 do not match the flashed ones');
+		});
+
+		it('fails the devices that do not run the flashed modules', async () => {
+			device.getFirmwareModuleInfo.resolves([]);
+			sinon.stub(usbUtils, 'getUsbDevices').resolves([device]);
+			sinon.stub(usbUtils, 'openUsbDevice').resolves();
+			let error;
+
+			try {
+				await flash.flashLocalDevices({ files: ['tinker'], verify: true });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(output).to.include('! 0123456789abcdef01234567 (photon): Verification failed: userPart 1 (userPart1.bin) is not on the device');
+			expect(error).to.have.property('message', 'Failed to flash 0123456789abcdef01234567');
+		});
+	});
+
+	describe('_resumeInterruptedFlash', () => {
+		const deviceId = '0123456789abcdef01234567';
+		let output, modules, flashSteps, journal;
+
+		beforeEach(async () => {
+			output = '';
+			flash.ui = { isInteractive: true, write: (text) => (output += `${text}\n`), prompt: sinon.stub().resolves({ resume: true }) };
+			modules = await createModules();
+			flashSteps = modules.slice(2).map((m, index) => ({ name: m.filename, flashMode: 'dfu', address: index, data: m.fileBuffer }));
+			journal = new FlashJournal();
+			journal.start(deviceId, flashSteps);
+			journal.stepDone(deviceId, flashSteps[0]);
+			journal.stepDone(deviceId, flashSteps[1]);
+		});
+
+		it('resumes from the steps left when the device has the flashed modules', async () => {
+			const device = {
+				id: deviceId,
+				isInDfuMode: false,
+				getFirmwareModuleInfo: sinon.stub().resolves([
+					{ type: 'SYSTEM_PART', index: 1, version: 4100 },
+					{ type: 'SYSTEM_PART', index: 2, version: 4100 }
+				])
+			};
+
+			const steps = await flash._resumeInterruptedFlash({ device, flashSteps, modules, journal });
+
+			expect(steps.map(step => step.name)).to.eql(['userPart1.bin']);
+			expect(flash.ui.prompt.firstCall.args[0][0]).to.include({ message: `A flash of ${deviceId} was interrupted after 2 of 3 steps. Resume it?` });
+		});
+
+		it('checks the modules of a device in DFU mode in normal mode', async () => {
+			const dfuDevice = { id: deviceId, isInDfuMode: true, isOpen: false };
+			const device = {
+				id: deviceId,
+				isInDfuMode: false,
+				isOpen: true,
+				close: sinon.stub().callsFake(async () => (device.isOpen = false)),
+				getFirmwareModuleInfo: sinon.stub().resolves([
+					{ type: 'SYSTEM_PART', index: 1, version: 4100 },
+					{ type: 'SYSTEM_PART', index: 2, version: 4100 }
+				])
+			};
+			sinon.stub(usbUtils, 'reopenInNormalMode').resolves(device);
+
+			const steps = await flash._resumeInterruptedFlash({ device: dfuDevice, flashSteps, modules, journal });
+
+			expect(usbUtils.reopenInNormalMode).to.have.been.calledWith(dfuDevice, { reset: true });
+			expect(device.getFirmwareModuleInfo).to.have.been.calledOnce;
+			expect(device.close).to.have.been.calledOnce;
+			expect(steps).to.have.lengthOf(1);
+		});
+
+		it('starts over when a device in DFU mode can not be checked', async () => {
+			sinon.stub(usbUtils, 'reopenInNormalMode').rejects(new Error('Unable to reconnect to the device'));
+
+			const steps = await flash._resumeInterruptedFlash({ device: { id: deviceId, isInDfuMode: true, isOpen: false }, flashSteps, modules, journal });
+
+			expect(steps).to.equal(flashSteps);
+			expect(flash.ui.prompt).to.not.have.been.called;
+			expect(output).to.include('Flashing all the modules again');
+		});
+
+		it('starts over when the device does not have the flashed modules', async () => {
+			const device = { id: deviceId, isInDfuMode: false, getFirmwareModuleInfo: sinon.stub().resolves([]) };
+
+			const steps = await flash._resumeInterruptedFlash({ device, flashSteps, modules, journal });
+
+			expect(steps).to.equal(flashSteps);
+			expect(flash.ui.prompt).to.not.have.been.called;
+			expect(output).to.include('Flashing all the modules again');
+			expect(journal.find(deviceId).steps.every(step => !step.done)).to.equal(true);
+		});
+
+		it('starts over when the user does not resume', async () => {
+			flash.ui.prompt.resolves({ resume: false });
+			const device = {
+				id: deviceId,
+				isInDfuMode: false,
+				getFirmwareModuleInfo: sinon.stub().resolves([
+					{ type: 'SYSTEM_PART', index: 1, version: 4100 },
+					{ type: 'SYSTEM_PART', index: 2, version: 4100 }
+				])
+			};
+
+			const steps = await flash._resumeInterruptedFlash({ device, flashSteps, modules, journal });
+
+			expect(steps).to.equal(flashSteps);
+		});
+	});
+
+	describe('flashLocalDevices', () => {
+		let output;
+
+		const createUsbDevice = (id, platformId, writeOverDfu = sinon.stub().resolves()) => ({
+			id,
+			platformId,
+			isInDfuMode: true,
+			isOpen: true,
+			writeOverDfu,
+			reset: sinon.stub().resolves(),
+			close: sinon.stub().resolves()
+		});
+
+		beforeEach(() => {
+			output = '';
+			flash.ui = { isInteractive: false, write: (text) => (output += `${text}\n`), stdout: { write: (text) => (output += text) } };
+			sinon.stub(usbUtils, 'openUsbDevice').resolves();
+			sinon.stub(usbUtils, 'reopenDevice').callsFake(async (device) => device);
+			sinon.stub(flash, '_createLocalFlashSteps').resolves({
+				flashSteps: [{ name: 'app.bin', flashMode: 'dfu', address: 0x30000, data: Buffer.from('app') }],
+				modules: []
+			});
+		});
+
+		it('flashes every connected device at the same time', async () => {
+			const devices = [createUsbDevice('0123456789abcdef01234567', 12), createUsbDevice('abcdef0123456789abcdef01', 13)];
+			sinon.stub(usbUtils, 'getUsbDevices').resolves(devices);
+
+			await flash.flashLocalDevices({ files: ['tinker'] });
+
+			expect(devices[0].writeOverDfu).to.have.been.calledOnce;
+			expect(devices[1].writeOverDfu).to.have.been.calledOnce;
+			expect(flash._createLocalFlashSteps.firstCall.args[0]).to.include({ device: devices[0], knownApp: 'tinker' });
+			expect(output).to.include('0123456789abcdef01234567: Flashing app.bin');
+			expect(output).to.include('> 0123456789abcdef01234567 (argon): Flash success!');
+			expect(output).to.include('> abcdef0123456789abcdef01 (boron): Flash success!');
+			expect(output).to.include('Flashed 2 of 2 devices');
+		});
+
+		it('only flashes the listed devices and fails for the missing ones', async () => {
+			const devices = [
+				createUsbDevice('0123456789abcdef01234567', 12),
+				createUsbDevice('abcdef0123456789abcdef01', 13, sinon.stub().rejects(new Error('USB error')))
+			];
+			sinon.stub(usbUtils, 'getUsbDevices').resolves(devices);
+			let error;
+
+			try {
+				await flash.flashLocalDevices({ files: ['tinker'], ids: ['ABCDEF0123456789ABCDEF01', '89abcdef0123456789abcdef'] });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(devices[0].writeOverDfu).to.not.have.been.called;
+			expect(devices[0].close).to.have.been.calledOnce;
+			expect(output).to.include('! abcdef0123456789abcdef01 (boron): Writing over DFU failed: USB error');
+			expect(output).to.include('! 89abcdef0123456789abcdef: Device not found over USB');
+			expect(output).to.include('Flashed 0 of 2 devices');
+			expect(error).to.have.property('message', 'Failed to flash abcdef0123456789abcdef01, 89abcdef0123456789abcdef');
+		});
+
+		it('flashes the other devices when one can\'t be opened', async () => {
+			const devices = [createUsbDevice('0123456789abcdef01234567', 12), createUsbDevice('abcdef0123456789abcdef01', 13)];
+			sinon.stub(usbUtils, 'getUsbDevices').resolves(devices);
+			usbUtils.openUsbDevice.withArgs(devices[0]).rejects(new Error('Access denied'));
+			let error;
+
+			try {
+				await flash.flashLocalDevices({ files: ['tinker'] });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(devices[0].writeOverDfu).to.not.have.been.called;
+			expect(devices[1].writeOverDfu).to.have.been.calledOnce;
+			expect(output).to.include('! 0123456789abcdef01234567 (argon): Access denied');
+			expect(output).to.include('> abcdef0123456789abcdef01 (boron): Flash success!');
+			expect(output).to.include('Flashed 1 of 2 devices');
+			expect(error).to.have.property('message', 'Failed to flash 0123456789abcdef01234567');
+		});
+
+		it('needs files instead of a device', async () => {
+			let error;
+			try {
+				await flash.flashLocalDevices({ files: ['my-device', 'app.bin'] });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.have.property('isUsageError', true);
+			expect(error.message).to.match(/^I couldn't find that: my-device/);
+		});
+	});
+
+	describe('_createLocalFlashSteps', () => {
+		it('prepares the files once per platform', async () => {
+			const modules = await createModules();
+			const platformFiles = {};
+			sinon.stub(flash, '_prepareModulesToFlash').resolves({ skipDeviceOSFlash: false, modules });
+			sinon.stub(flash, '_getDeviceOsBinaries').resolves([]);
+			const device = { platformId: 6, isInDfuMode: true, firmwareVersion: '4.1.0' };
+
+			const { flashSteps } = await flash._createLocalFlashSteps({ device, parsedFiles: ['.'], platformFiles });
+			await flash._createLocalFlashSteps({ device, parsedFiles: ['.'], platformFiles });
+
+			expect(flashSteps.map(step => step.name)).to.include('userPart1.bin');
+			expect(flash._prepareModulesToFlash).to.have.been.calledOnce;
+			expect(flash._getDeviceOsBinaries).to.have.been.calledTwice;
+		});
+	});
 });
@@ -4,6 +4,7 @@ const ParticleAPI = require('./api');
 const LegacyApiClient = require('../lib/api-client');
 const settings = require('../../settings');
 const CLICommandBase = require('./base');
+const { JSONResult } = require('../lib/json-result');
 
 const { normalizedApiError } = LegacyApiClient;
 
@@ -24,7 +25,7 @@ module.exports = class FunctionCommand extends CLICommandBase {
 			});
 	}
 
-	callFunction({ product, params: { device, function: fn, argument: arg } }){
+	callFunction({ product, json, params: { device, function: fn, argument: arg } }){
 		if (product){
 			if (!this.isDeviceId(device)){
 				return this.showProductDeviceNameUsageError(device);
@@ -38,12 +39,16 @@ module.exports = class FunctionCommand extends CLICommandBase {
 		}
 
 		const fetchVar = createAPI().callFunction(device, fn, arg, product);
-		return this.ui.showBusySpinnerUntilResolved(msg, fetchVar)
+		return (json ? fetchVar : this.ui.showBusySpinnerUntilResolved(msg, fetchVar))
 			.then(res => {
 				if (!res || !Object.prototype.hasOwnProperty.call(res, 'return_value')){
 					throw res;
 				}
-				this.ui.stdout.write(`${res.return_value}${os.EOL}`);
+				if (json){
+					this.ui.stdout.write(`${new JSONResult(null, res).toString()}${os.EOL}`);
+				} else {
+					this.ui.stdout.write(`${res.return_value}${os.EOL}`);
+				}
 			})
 			.catch(error => {
 				let message = `Error calling function: \`${fn}\``;
@@ -51,7 +56,7 @@ module.exports = class FunctionCommand extends CLICommandBase {
 				if (error && error.statusCode === 404){
 					message = `Function call failed: Function \`${fn}\` not found`;
 				}
-				throw createAPIErrorResult({ error, message });
+				throw createAPIErrorResult({ error, message, json });
 			});
 	}
 };
@@ -66,6 +66,16 @@ describe('Function Command', () => {
 						.to.eql([device, fn, arg, product]);
 				});
 		});
+
+		it('prints the result as JSON', () => {
+			const result = { id: device, connected: true, return_value: 42 };
+			ParticleAPI.prototype.callFunction.resolves(result);
+			return command.callFunction({ json: true, params: { device, function: fn, argument: arg } })
+				.then(() => {
+					expect(JSON.parse(stdout.content)).to.eql({ meta: { version: '1.0.0' }, data: result });
+					expect(command.ui.showBusySpinnerUntilResolved).to.have.property('callCount', 0);
+				});
+		});
 	});
 
 	describe('when the function does not exist', () => {
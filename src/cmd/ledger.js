@@ -0,0 +1,248 @@
+const os = require('os');
+const fs = require('fs-extra');
+const VError = require('verror');
+const settings = require('../../settings');
+const ParticleAPI = require('./api');
+const CLICommandBase = require('./base');
+const { normalizedApiError } = require('../lib/api-client');
+const { JSONResult } = require('../lib/json-result');
+const { errors: { usageError } } = require('../app/command-processor');
+
+
+module.exports = class LedgerCommand extends CLICommandBase {
+	constructor(...args) {
+		super(...args);
+		this.api = createAPI();
+	}
+
+	async list({ org, json }) {
+		const ledgers = await this._runWithSpinner({
+			json,
+			message: `Fetching ledgers for ${getOrgName(org)}...`,
+			errorMessage: 'Error listing ledgers',
+			action: () => this.api.listLedgers({ org }).then(res => res.ledgers || [])
+		});
+
+		if (json) {
+			this.ui.stdout.write(createJSONResult({ org }, ledgers));
+			return;
+		}
+		if (!ledgers.length) {
+			this.ui.stdout.write(`No ledgers found in ${getOrgName(org)}.${os.EOL}`);
+			return;
+		}
+		this.ui.stdout.write(`Ledgers in ${getOrgName(org)}:${os.EOL}`);
+		ledgers.forEach(ledger => {
+			const description = ledger.description ? ` - ${ledger.description}` : '';
+			this.ui.stdout.write(`- ${this.ui.chalk.cyanBright(ledger.name)} (${ledger.scope})${description}${os.EOL}`);
+		});
+	}
+
+	async get({ org, device, product, json, params: { name } }) {
+		const scope = await this._resolveScope({ org, device, product, name, json });
+		const instance = await this._runWithSpinner({
+			json,
+			message: `Fetching ledger ${name} for ${scope.description}...`,
+			errorMessage: `Error getting ledger ${name}`,
+			action: () => this.api.getLedgerInstance({ org, name, scopeValue: scope.value }).then(res => res.instance)
+		});
+
+		if (json) {
+			this.ui.stdout.write(createJSONResult({ org, name, scope: scope.value }, instance));
+			return;
+		}
+		this.ui.stdout.write(`Ledger ${this.ui.chalk.cyanBright(name)} for ${scope.description}`);
+		this.ui.stdout.write(instance.updated_at ? ` (updated at ${instance.updated_at}):${os.EOL}` : `:${os.EOL}`);
+		this.ui.stdout.write(`${JSON.stringify(instance.data, null, 2)}${os.EOL}`);
+	}
+
+	async set({ org, device, product, file, merge, json, params: { name, data } }) {
+		let newData = await parseLedgerData({ data, file });
+		const scope = await this._resolveScope({ org, device, product, name, json });
+		const instance = await this._runWithSpinner({
+			json,
+			message: `Updating ledger ${name} for ${scope.description}...`,
+			errorMessage: `Error updating ledger ${name}`,
+			action: async () => {
+				if (merge) {
+					const { instance: current } = await this.api.getLedgerInstance({ org, name, scopeValue: scope.value });
+					newData = Object.assign({}, current.data, newData);
+				}
+				const res = await this.api.setLedgerInstance({ org, name, scopeValue: scope.value, data: newData });
+				return res.instance;
+			}
+		});
+
+		if (json) {
+			this.ui.stdout.write(createJSONResult({ org, name, scope: scope.value }, instance));
+			return;
+		}
+		this.ui.stdout.write(`Ledger ${this.ui.chalk.cyanBright(name)} updated for ${scope.description}.${os.EOL}`);
+	}
+
+	async delete({ org, device, product, force, json, params: { name } }) {
+		const scope = await this._resolveScope({ org, device, product, name, json });
+
+		if (!force) {
+			const confirm = await this.ui.prompt([{
+				type: 'confirm',
+				name: 'delete',
+				message: `Are you sure you want to delete the data of ledger ${name} for ${scope.description}? This action cannot be undone.`
+			}], { nonInteractiveError: 'Use --force to delete the ledger data in non-interactive mode' });
+			if (!confirm.delete) {
+				this.ui.stdout.write(`Aborted.${os.EOL}`);
+				return;
+			}
+		}
+
+		await this._runWithSpinner({
+			json,
+			message: `Deleting ledger ${name} for ${scope.description}...`,
+			errorMessage: `Error deleting ledger ${name}`,
+			action: () => this.api.deleteLedgerInstance({ org, name, scopeValue: scope.value })
+		});
+
+		if (json) {
+			this.ui.stdout.write(createJSONResult({ org, name, scope: scope.value }, { deleted: true }));
+			return;
+		}
+		this.ui.stdout.write(`Ledger ${this.ui.chalk.cyanBright(name)} data deleted for ${scope.description}.${os.EOL}`);
+	}
+
+	async export({ org, device, product, params: { name, file } }) {
+		const json = !file;
+		const instances = await this._runWithSpinner({
+			json,
+			message: `Exporting ledger ${name} for ${getOrgName(org)}...`,
+			errorMessage: `Error exporting ledger ${name}`,
+			action: async () => {
+				if (device || product) {
+					const scopeValue = device || product;
+					const { instance } = await this.api.getLedgerInstance({ org, name, scopeValue });
+					return [instance];
+				}
+				const { instances = [] } = await this.api.listLedgerInstances({ org, name });
+				return instances;
+			}
+		});
+		const content = JSON.stringify({
+			ledger: name,
+			instances: instances.map(({ scope, data }) => ({ scope, data }))
+		}, null, 2) + os.EOL;
+
+		if (!file) {
+			this.ui.stdout.write(content);
+			return;
+		}
+		await fs.outputFile(file, content);
+		this.ui.stdout.write(`Exported ${instances.length} instance(s) of ledger ${this.ui.chalk.cyanBright(name)} to ${file}${os.EOL}`);
+	}
+
+	async import({ org, name, json, params: { file } }) {
+		let content;
+		try {
+			content = await fs.readJson(file);
+		} catch (error) {
+			throw usageError(`Unable to read ledger export ${file}: ${error.message}`);
+		}
+		const ledgerName = name || content.ledger;
+		if (!ledgerName || !Array.isArray(content.instances)) {
+			throw usageError(`${file} is not a ledger export. Expected { "ledger": "<name>", "instances": [{ "scope": { "value": "<scope>" }, "data": {} }] }`);
+		}
+		const missingScope = content.instances.find(instance => !instance.scope || !instance.scope.value);
+		if (missingScope) {
+			throw usageError(`Every instance in ${file} needs a scope value`);
+		}
+
+		const instances = await this._runWithSpinner({
+			json,
+			message: `Importing ${content.instances.length} instance(s) of ledger ${ledgerName} to ${getOrgName(org)}...`,
+			errorMessage: `Error importing ledger ${ledgerName}`,
+			action: async () => {
+				const imported = [];
+				for (const { scope, data } of content.instances) {
+					const res = await this.api.setLedgerInstance({ org, name: ledgerName, scopeValue: scope.value, data });
+					imported.push(res.instance);
+				}
+				return imported;
+			}
+		});
+
+		if (json) {
+			this.ui.stdout.write(createJSONResult({ org, name: ledgerName }, instances));
+			return;
+		}
+		this.ui.stdout.write(`Imported ${instances.length} instance(s) of ledger ${this.ui.chalk.cyanBright(ledgerName)} to ${getOrgName(org)}.${os.EOL}`);
+	}
+
+	// device and product scoped ledgers are addressed by the device or product id. Owner scoped ledgers
+	// have a single instance whose scope value is looked up from the cloud
+	async _resolveScope({ org, device, product, name, json }) {
+		if (device && product) {
+			throw usageError('Specify either --device or --product, not both');
+		}
+		if (device) {
+			return { value: device, description: `device ${device}` };
+		}
+		if (product) {
+			return { value: product, description: `product ${product}` };
+		}
+		const instances = await this._runWithSpinner({
+			json,
+			message: `Fetching ledger ${name} for ${getOrgName(org)}...`,
+			errorMessage: `Error getting ledger ${name}`,
+			action: () => this.api.listLedgerInstances({ org, name }).then(res => res.instances || [])
+		});
+		const owner = instances.find(instance => instance.scope && instance.scope.type === 'Owner');
+		if (!owner) {
+			throw usageError(`Ledger ${name} is not scoped to ${getOrgName(org)}. Specify the scope with --device or --product`);
+		}
+		return { value: owner.scope.value, description: getOrgName(org) };
+	}
+
+	async _runWithSpinner({ json, message, errorMessage, action }) {
+		const promise = Promise.resolve().then(action)
+			.catch(error => {
+				throw createAPIErrorResult({ error, message: errorMessage, json });
+			});
+		return json ? promise : this.ui.showBusySpinnerUntilResolved(message, promise);
+	}
+};
+
+
+// UTILS //////////////////////////////////////////////////////////////////////
+function createAPI() {
+	return new ParticleAPI(settings.apiUrl, {
+		accessToken: settings.access_token
+	});
+}
+
+function getOrgName(org) {
+	return org || 'your Sandbox';
+}
+
+async function parseLedgerData({ data, file }) {
+	if (!data && !file) {
+		throw usageError('Provide the ledger data as a JSON argument or with --file');
+	}
+	let parsed;
+	try {
+		parsed = file ? await fs.readJson(file) : JSON.parse(data);
+	} catch (error) {
+		throw usageError(`Ledger data must be valid JSON: ${error.message}`);
+	}
+	if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+		throw usageError('Ledger data must be a JSON object');
+	}
+	return parsed;
+}
+
+function createJSONResult(meta, data) {
+	return new JSONResult(meta, data).toString() + os.EOL;
+}
+
+function createAPIErrorResult({ error: e, message, json }) {
+	const error = new VError(normalizedApiError(e), message);
+	error.asJSON = json;
+	return error;
+}
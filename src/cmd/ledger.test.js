@@ -0,0 +1,256 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { expect, sinon } = require('../../test/setup');
+const { PATH_TMP_DIR } = require('../../test/lib/env');
+const LedgerCommand = require('./ledger');
+
+
+describe('Ledger Command', () => {
+	const ownerInstance = {
+		name: 'config',
+		scope: { type: 'Owner', value: 'owner-id', name: 'my-org' },
+		data: { threshold: 10, unit: 'C' },
+		updated_at: '2024-03-01T10:00:00.000Z'
+	};
+	const deviceInstance = {
+		name: 'config',
+		scope: { type: 'Device', value: '0123456789abcdef01234567' },
+		data: { threshold: 20 }
+	};
+	let ledgerCommand;
+
+	beforeEach(() => {
+		fs.emptyDirSync(PATH_TMP_DIR);
+		ledgerCommand = new LedgerCommand();
+		ledgerCommand.ui = {
+			stdout: {
+				write: sinon.stub()
+			},
+			stderr: {
+				write: sinon.stub()
+			},
+			showBusySpinnerUntilResolved: sinon.stub().callsFake((text, promise) => promise),
+			prompt: sinon.stub(),
+			chalk: {
+				cyanBright: sinon.stub().callsFake((str) => str)
+			}
+		};
+	});
+
+	afterEach(() => {
+		sinon.restore();
+		fs.emptyDirSync(PATH_TMP_DIR);
+	});
+
+	function getOutput() {
+		return ledgerCommand.ui.stdout.write.args.map(([text]) => text).join('');
+	}
+
+	describe('list', () => {
+		it('lists the ledgers of an org', async () => {
+			sinon.stub(ledgerCommand.api, 'listLedgers').resolves({
+				ledgers: [{ name: 'config', scope: 'Owner', description: 'Settings' }, { name: 'status', scope: 'Device' }]
+			});
+
+			await ledgerCommand.list({ org: 'my-org' });
+
+			expect(ledgerCommand.api.listLedgers).to.have.been.calledWith({ org: 'my-org' });
+			expect(getOutput()).to.equal([
+				'Ledgers in my-org:',
+				'- config (Owner) - Settings',
+				'- status (Device)',
+				''
+			].join(os.EOL));
+		});
+
+		it('lists the ledgers as JSON', async () => {
+			sinon.stub(ledgerCommand.api, 'listLedgers').resolves({ ledgers: [{ name: 'config', scope: 'Owner' }] });
+
+			await ledgerCommand.list({ json: true });
+
+			expect(JSON.parse(getOutput())).to.eql({
+				meta: { version: '1.0.0' },
+				data: [{ name: 'config', scope: 'Owner' }]
+			});
+			expect(ledgerCommand.ui.showBusySpinnerUntilResolved).to.not.have.been.called;
+		});
+
+		it('wraps API errors', async () => {
+			sinon.stub(ledgerCommand.api, 'listLedgers').rejects(new Error('Not found'));
+			let error;
+			try {
+				await ledgerCommand.list({});
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(error.message).to.equal('Error listing ledgers: Not found');
+		});
+	});
+
+	describe('get', () => {
+		it('shows the data of an owner scoped ledger', async () => {
+			sinon.stub(ledgerCommand.api, 'listLedgerInstances').resolves({ instances: [ownerInstance] });
+			sinon.stub(ledgerCommand.api, 'getLedgerInstance').resolves({ instance: ownerInstance });
+
+			await ledgerCommand.get({ org: 'my-org', params: { name: 'config' } });
+
+			expect(ledgerCommand.api.getLedgerInstance).to.have.been.calledWith({ org: 'my-org', name: 'config', scopeValue: 'owner-id' });
+			expect(getOutput()).to.equal([
+				'Ledger config for my-org (updated at 2024-03-01T10:00:00.000Z):',
+				JSON.stringify(ownerInstance.data, null, 2),
+				''
+			].join(os.EOL));
+		});
+
+		it('shows the data of a device scoped ledger as JSON', async () => {
+			sinon.stub(ledgerCommand.api, 'getLedgerInstance').resolves({ instance: deviceInstance });
+
+			await ledgerCommand.get({ device: deviceInstance.scope.value, json: true, params: { name: 'config' } });
+
+			expect(ledgerCommand.api.getLedgerInstance).to.have.been.calledWith({ org: undefined, name: 'config', scopeValue: deviceInstance.scope.value });
+			expect(JSON.parse(getOutput())).to.eql({
+				meta: { version: '1.0.0', name: 'config', scope: deviceInstance.scope.value },
+				data: deviceInstance
+			});
+		});
+
+		it('throws a usage error when the ledger has no owner scope', async () => {
+			sinon.stub(ledgerCommand.api, 'listLedgerInstances').resolves({ instances: [deviceInstance] });
+			let error;
+			try {
+				await ledgerCommand.get({ params: { name: 'config' } });
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(error.message).to.equal('Ledger config is not scoped to your Sandbox. Specify the scope with --device or --product');
+			expect(error.isUsageError).to.be.true;
+		});
+	});
+
+	describe('set', () => {
+		it('replaces the data of a ledger', async () => {
+			sinon.stub(ledgerCommand.api, 'setLedgerInstance').resolves({ instance: deviceInstance });
+
+			await ledgerCommand.set({ product: '1234', params: { name: 'config', data: '{ "threshold": 20 }' } });
+
+			expect(ledgerCommand.api.setLedgerInstance).to.have.been.calledWith({
+				org: undefined,
+				name: 'config',
+				scopeValue: '1234',
+				data: { threshold: 20 }
+			});
+			expect(getOutput()).to.equal(`Ledger config updated for product 1234.${os.EOL}`);
+		});
+
+		it('merges the data with the current data', async () => {
+			sinon.stub(ledgerCommand.api, 'listLedgerInstances').resolves({ instances: [ownerInstance] });
+			sinon.stub(ledgerCommand.api, 'getLedgerInstance').resolves({ instance: ownerInstance });
+			sinon.stub(ledgerCommand.api, 'setLedgerInstance').resolves({ instance: ownerInstance });
+			const file = path.join(PATH_TMP_DIR, 'data.json');
+			await fs.writeJson(file, { threshold: 30 });
+
+			await ledgerCommand.set({ file, merge: true, params: { name: 'config' } });
+
+			expect(ledgerCommand.api.setLedgerInstance).to.have.been.calledWith({
+				org: undefined,
+				name: 'config',
+				scopeValue: 'owner-id',
+				data: { threshold: 30, unit: 'C' }
+			});
+		});
+
+		it('throws a usage error when the data is not a JSON object', async () => {
+			let error;
+			try {
+				await ledgerCommand.set({ device: 'abc', params: { name: 'config', data: '[1, 2]' } });
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(error.message).to.equal('Ledger data must be a JSON object');
+			expect(error.isUsageError).to.be.true;
+		});
+	});
+
+	describe('delete', () => {
+		it('asks for confirmation before deleting', async () => {
+			sinon.stub(ledgerCommand.api, 'deleteLedgerInstance').resolves({});
+			ledgerCommand.ui.prompt.resolves({ delete: true });
+
+			await ledgerCommand.delete({ device: 'abc', params: { name: 'config' } });
+
+			expect(ledgerCommand.ui.prompt).to.have.been.calledOnce;
+			expect(ledgerCommand.api.deleteLedgerInstance).to.have.been.calledWith({ org: undefined, name: 'config', scopeValue: 'abc' });
+			expect(getOutput()).to.equal(`Ledger config data deleted for device abc.${os.EOL}`);
+		});
+
+		it('does not delete when the user aborts', async () => {
+			sinon.stub(ledgerCommand.api, 'deleteLedgerInstance').resolves({});
+			ledgerCommand.ui.prompt.resolves({ delete: false });
+
+			await ledgerCommand.delete({ device: 'abc', params: { name: 'config' } });
+
+			expect(ledgerCommand.api.deleteLedgerInstance).to.not.have.been.called;
+			expect(getOutput()).to.equal(`Aborted.${os.EOL}`);
+		});
+	});
+
+	describe('export/import', () => {
+		it('exports every instance to a file and imports it back', async () => {
+			const file = path.join(PATH_TMP_DIR, 'config.json');
+			sinon.stub(ledgerCommand.api, 'listLedgerInstances').resolves({ instances: [ownerInstance, deviceInstance] });
+			sinon.stub(ledgerCommand.api, 'setLedgerInstance').callsFake(async ({ scopeValue, data }) => ({ instance: { scope: { value: scopeValue }, data } }));
+
+			await ledgerCommand.export({ org: 'my-org', params: { name: 'config', file } });
+			await ledgerCommand.import({ org: 'other-org', name: 'config-copy', params: { file } });
+
+			expect(await fs.readJson(file)).to.eql({
+				ledger: 'config',
+				instances: [
+					{ scope: ownerInstance.scope, data: ownerInstance.data },
+					{ scope: deviceInstance.scope, data: deviceInstance.data }
+				]
+			});
+			expect(ledgerCommand.api.setLedgerInstance).to.have.been.calledTwice;
+			expect(ledgerCommand.api.setLedgerInstance.secondCall.args[0]).to.eql({
+				org: 'other-org',
+				name: 'config-copy',
+				scopeValue: deviceInstance.scope.value,
+				data: deviceInstance.data
+			});
+			expect(getOutput()).to.equal([
+				`Exported 2 instance(s) of ledger config to ${file}`,
+				'Imported 2 instance(s) of ledger config-copy to other-org.',
+				''
+			].join(os.EOL));
+		});
+
+		it('exports a single instance to stdout', async () => {
+			sinon.stub(ledgerCommand.api, 'getLedgerInstance').resolves({ instance: deviceInstance });
+
+			await ledgerCommand.export({ device: deviceInstance.scope.value, params: { name: 'config' } });
+
+			expect(JSON.parse(getOutput())).to.eql({
+				ledger: 'config',
+				instances: [{ scope: deviceInstance.scope, data: deviceInstance.data }]
+			});
+		});
+
+		it('throws a usage error when importing a file that is not an export', async () => {
+			const file = path.join(PATH_TMP_DIR, 'other.json');
+			await fs.writeJson(file, { foo: 'bar' });
+			let error;
+			try {
+				await ledgerCommand.import({ params: { file } });
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(error.message).to.include(`${file} is not a ledger export`);
+			expect(error.isUsageError).to.be.true;
+		});
+	});
+});
@@ -4,8 +4,16 @@ const fs = require('fs-extra');
 const ParticleAPI = require('./api');
 const settings = require('../../settings');
 const LogicFunction = require('../lib/logic-function');
+const { findTestFixtures, loadTestCases, runTestCase, toJUnitXml } = require('../lib/logic-function-fixtures');
+const { createTrigger, describeTrigger, diffTriggers } = require('../lib/logic-function-triggers');
+const { diffLogicFunctions } = require('../lib/logic-function-diff');
 const logicFunctionTemplatePath = path.join(__dirname, '/../../assets/logicFunction');
 const CLICommandBase = require('./base');
+const { JSONResult } = require('../lib/json-result');
+const { parseDuration, delay } = require('../lib/utilities');
+const { errors: { usageError } } = require('../app/command-processor');
+
+const LOGS_POLL_INTERVAL = 5000;
 
 /**
  * Commands for managing encryption keys.
@@ -71,6 +79,7 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 			filePaths: [logicFunction.configurationPath, logicFunction.sourcePath],
 		});
 		await logicFunction.saveToDisk();
+		await logicFunction.saveDeployedBase();
 		this._printGetOutput({
 			jsonPath: logicFunction.configurationPath,
 			jsPath: logicFunction.sourcePath
@@ -223,7 +232,7 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 		return exists;
 	}
 
-	async execute({ org, name, id, product_id: productId, event_name: eventName, device_id: deviceId, data, payload, params: { filepath } }) {
+	async execute({ org, name, id, product_id: productId, event_name: eventName, device_id: deviceId, data, payload, local, params: { filepath } }) {
 		this._setOrg(org);
 		const logicFunction = await this._pickLogicFunctionFromDisk({ filepath, name, id });
 		const eventData = await this._getExecuteData({
@@ -234,8 +243,10 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 			payload
 		});
 
-		const { status, logs, error } = await this._executeLogicFunctionWithSpinner(logicFunction, eventData);
-		this._printExecuteOutput({ logs, error, status, logicFunction });
+		const { status, logs, error } = local
+			? await this._executeLogicFunctionLocallyWithSpinner(logicFunction, eventData)
+			: await this._executeLogicFunctionWithSpinner(logicFunction, eventData);
+		this._printExecuteOutput({ logs, error, status, logicFunction, local });
 	}
 
 	async _executeLogicFunctionWithSpinner(logicFunction, eventData) {
@@ -243,6 +254,12 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 			`Executing Logic Function ${this.ui.chalk.bold(logicFunction.name)} for ${getOrgName(this.org)}...`
 			,logicFunction.execute(eventData));
 	}
+
+	async _executeLogicFunctionLocallyWithSpinner(logicFunction, eventData) {
+		return this.ui.showBusySpinnerUntilResolved(
+			`Executing Logic Function ${this.ui.chalk.bold(logicFunction.name)} locally...`
+			,logicFunction.executeLocally(eventData));
+	}
 	async _pickLogicFunctionFromDisk({ filepath, name, id, action = 'execute' }) {
 		let { logicFunctions, malformedLogicFunctions } = await LogicFunction.listFromDisk({ filepath, api: this.api, org: this.org });
 		if (name || id) {
@@ -328,10 +345,11 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 		return { error, eventData };
 	}
 
-	_printExecuteOutput({ logs, error, status, logicFunction }) {
+	_printExecuteOutput({ logs, error, status, logicFunction, local }) {
 		this.ui.stdout.write(`${os.EOL}`);
 		const logicFunctionShowName = logicFunction.id ? `${logicFunction.name}(${logicFunction.id})` : logicFunction.name;
-		this.ui.stdout.write(`Logic Function ${this.ui.chalk.cyanBright(logicFunctionShowName)} executed in ${getOrgName(this.org)}${os.EOL}`);
+		const location = local ? 'locally' : `in ${getOrgName(this.org)}`;
+		this.ui.stdout.write(`Logic Function ${this.ui.chalk.cyanBright(logicFunctionShowName)} executed ${location}${os.EOL}`);
 		if (status === 'Success') {
 			this.ui.stdout.write(this.ui.chalk.cyanBright(`Execution Status: ${status}${os.EOL}`));
 			if (logs.length === 0) {
@@ -359,9 +377,156 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 		}
 	}
 
-	async deploy({ org, name, id, product_id: productId, event_name: eventName, device_id: deviceId, data, payload, force, params: { filepath } }) {
+	async test({ org, name, id, junit, params: { filepath } }) {
+		this._setOrg(org);
+		let { logicFunctions, malformedLogicFunctions } = await LogicFunction.listFromDisk({ filepath, api: this.api, org: this.org });
+		if (name || id) {
+			logicFunctions = logicFunctions.filter(lf => (lf.name === name && name) || (lf.id === id && id));
+		}
+		this._printMalformedLogicFunctionsFromDisk(malformedLogicFunctions);
+		if (logicFunctions.length === 0) {
+			this._printListHelperOutput({ fromFile: true });
+			throw new Error('No Logic Functions found');
+		}
+
+		const suites = [];
+		for (const logicFunction of logicFunctions) {
+			const results = await this._runTestFixtures(logicFunction);
+			if (results.length) {
+				suites.push({ name: logicFunction.name, results });
+				this._printTestSuiteOutput({ name: logicFunction.name, results });
+			}
+		}
+
+		if (!suites.length) {
+			this.ui.stdout.write(`No tests found. Add a ${this.ui.chalk.bold('<name>.test.json')} file next to your ${this.ui.chalk.bold('<name>.logic.json')} file.${os.EOL}`);
+			return;
+		}
+		if (junit) {
+			await fs.outputFile(junit, toJUnitXml(suites));
+		}
+		const failed = this._printTestSummaryOutput({ suites, junit });
+		if (failed) {
+			throw new Error(`${failed} Logic Function test(s) failed`);
+		}
+	}
+
+	async _runTestFixtures(logicFunction) {
+		const results = [];
+		for (const file of findTestFixtures(logicFunction)) {
+			for (const testCase of await loadTestCases(file)) {
+				results.push(await runTestCase(logicFunction, testCase));
+			}
+		}
+		return results;
+	}
+
+	_printTestSuiteOutput({ name, results }) {
+		this.ui.stdout.write(`${this.ui.chalk.bold(name)}${os.EOL}`);
+		results.forEach((result) => {
+			if (result.passed) {
+				this.ui.stdout.write(`  ${this.ui.chalk.cyanBright('✓')} ${result.name}${os.EOL}`);
+			} else {
+				this.ui.stdout.write(this.ui.chalk.red(`  ✗ ${result.name}${os.EOL}`));
+				result.failures.forEach((failure) => {
+					this.ui.stdout.write(`      ${failure}${os.EOL}`);
+				});
+			}
+		});
+		this.ui.stdout.write(`${os.EOL}`);
+	}
+
+	_printTestSummaryOutput({ suites, junit }) {
+		const results = suites.reduce((all, suite) => all.concat(suite.results), []);
+		const failed = results.filter(r => !r.passed).length;
+		this.ui.stdout.write(this.ui.chalk.cyanBright(`${results.length - failed} passing${os.EOL}`));
+		if (failed) {
+			this.ui.stdout.write(this.ui.chalk.red(`${failed} failing${os.EOL}`));
+		}
+		if (junit) {
+			this.ui.stdout.write(`JUnit report saved to ${junit}${os.EOL}`);
+		}
+		return failed;
+	}
+
+	async diff({ org, name, id, params: { filepath } }) {
+		this._setOrg(org);
+		const logicFunction = await this._pickLogicFunctionFromDisk({ filepath, name, id, action: 'diff' });
+		const cloudLogicFunctions = await this._getLogicFunctionListWithSpinner();
+		const cloudLogicFunction = cloudLogicFunctions.find(lf => lf.name === logicFunction.name);
+		await this._printLogicFunctionDiff(logicFunction, cloudLogicFunction);
+	}
+
+	async _printLogicFunctionDiff(logicFunction, cloudLogicFunction) {
+		const { chalk } = this.ui;
+		if (!cloudLogicFunction) {
+			this.ui.stdout.write(`Logic Function ${chalk.cyanBright(logicFunction.name)} is not deployed to ${getOrgName(this.org)}. Deploying it will create it.${os.EOL}`);
+			return;
+		}
+		const base = await logicFunction.loadDeployedBase();
+		const { local, cloud, conflicts, outdated, hasChanges } = diffLogicFunctions(cloudLogicFunction, logicFunction, base);
+		if (!base && outdated) {
+			this.ui.stdout.write(chalk.yellow(`Warning: the deployed ${logicFunction.name} is at version ${cloudLogicFunction.version} but your local copy is based on version ${logicFunction.version || 0}. Deploying will overwrite the changes made since.`) + os.EOL);
+		}
+		if (!hasChanges) {
+			this.ui.stdout.write(`No differences between the local and the deployed Logic Function ${chalk.cyanBright(logicFunction.name)}.${os.EOL}`);
+			return;
+		}
+		if (!base) {
+			this.ui.stdout.write(`Differences between the deployed (cloud) and local Logic Function ${chalk.cyanBright(logicFunction.name)}:${os.EOL}`);
+			this._printChanges(local);
+		} else {
+			if (local.hasChanges) {
+				this.ui.stdout.write(`Local changes to ${chalk.cyanBright(logicFunction.name)} since version ${base.version}:${os.EOL}`);
+				this._printChanges(local);
+			} else {
+				this.ui.stdout.write(`No local changes to ${chalk.cyanBright(logicFunction.name)} since version ${base.version}.${os.EOL}`);
+			}
+			if (cloud.hasChanges) {
+				this.ui.stdout.write(chalk.yellow(`Warning: the deployed ${logicFunction.name} changed since version ${base.version}, the version your local copy is based on. Deploying will overwrite these changes:`) + os.EOL);
+				this._printChanges(cloud);
+			}
+			if (conflicts.length) {
+				this.ui.stdout.write(chalk.yellow(`Both the local copy and the cloud changed the ${conflicts.join(', ')}.`) + os.EOL);
+			}
+		}
+		this._printTriggerChanges(logicFunction, cloudLogicFunction);
+	}
+
+	_printChanges({ code, properties }) {
+		const { chalk } = this.ui;
+		properties.forEach(({ name, before, after }) => {
+			this.ui.stdout.write(chalk.red(`-${name}: ${JSON.stringify(before)}`) + os.EOL);
+			this.ui.stdout.write(chalk.green(`+${name}: ${JSON.stringify(after)}`) + os.EOL);
+		});
+		code.forEach(line => {
+			this.ui.stdout.write(this._colorDiffLine(line) + os.EOL);
+		});
+	}
+
+	_colorDiffLine(line) {
+		const { chalk } = this.ui;
+		if (line.startsWith('---') || line.startsWith('+++')) {
+			return chalk.bold(line);
+		}
+		if (line.startsWith('@@')) {
+			return chalk.cyan(line);
+		}
+		if (line.startsWith('-')) {
+			return chalk.red(line);
+		}
+		if (line.startsWith('+')) {
+			return chalk.green(line);
+		}
+		return line;
+	}
+
+	async deploy({ org, name, id, product_id: productId, event_name: eventName, device_id: deviceId, data, payload, force, diff, 'skip-tests': skipTests, params: { filepath } }) {
 		this._setOrg(org);
 		const logicFunction = await this._pickLogicFunctionFromDisk({ filepath, name, id, action: 'deploy' });
+		if (!skipTests) {
+			await this._testBeforeDeploy(logicFunction);
+		}
 		const eventData = await this._getExecuteData({
 			productId,
 			deviceId,
@@ -371,6 +536,11 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 		});
 		const cloudLogicFunctions = await this._getLogicFunctionListWithSpinner();
 		const cloudLogicFunction = cloudLogicFunctions.find(lf => lf.name === logicFunction.name);
+		if (diff) {
+			await this._printLogicFunctionDiff(logicFunction, cloudLogicFunction);
+		} else {
+			this._printTriggerChanges(logicFunction, cloudLogicFunction);
+		}
 		await this._confirmDeploy(logicFunction, force);
 		if (cloudLogicFunction) {
 			await this._promptOverwriteCloudLogicFunction(cloudLogicFunction, force);
@@ -384,9 +554,23 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 		// TODO (hmontero): put an spinner
 		await this._deployLogicFunctionWithSpinner(logicFunction);
 		await logicFunction.saveToDisk();
+		await logicFunction.saveDeployedBase();
 		this._printDeployOutput(logicFunction);
 	}
 
+	// runs the fixture tests of the Logic Function, if it has any, and stops the deploy when one fails
+	async _testBeforeDeploy(logicFunction) {
+		const results = await this._runTestFixtures(logicFunction);
+		if (!results.length) {
+			return;
+		}
+		this._printTestSuiteOutput({ name: logicFunction.name, results });
+		const failed = results.filter(r => !r.passed).length;
+		if (failed) {
+			throw new Error(`${failed} Logic Function test(s) failed. Fix them or deploy with --skip-tests`);
+		}
+	}
+
 	async _deployLogicFunctionWithSpinner(logicFunction) {
 		const logicFunctionShowName = logicFunction.id ? `${logicFunction.name}(${logicFunction.id})` : logicFunction.name;
 		return this.ui.showBusySpinnerUntilResolved(
@@ -394,6 +578,25 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 			,logicFunction.deploy());
 	}
 
+	_printTriggerChanges(logicFunction, cloudLogicFunction) {
+		const { added, removed, changed } = diffTriggers(cloudLogicFunction ? cloudLogicFunction.triggers : [], logicFunction.triggers);
+		if (!added.length && !removed.length && !changed.length) {
+			this.ui.stdout.write(`No trigger changes.${os.EOL}`);
+			return;
+		}
+		this.ui.stdout.write(`Trigger changes:${os.EOL}`);
+		added.forEach(trigger => {
+			this.ui.stdout.write(this.ui.chalk.green(`  + ${describeTrigger(trigger)}`) + os.EOL);
+		});
+		removed.forEach(trigger => {
+			this.ui.stdout.write(this.ui.chalk.red(`  - ${describeTrigger(trigger)}`) + os.EOL);
+		});
+		changed.forEach(({ before, after }) => {
+			const status = !!before.enabled === !!after.enabled ? '' : ` (${after.enabled ? 'enabled' : 'disabled'})`;
+			this.ui.stdout.write(this.ui.chalk.yellow(`  ~ ${describeTrigger(after)}${status}`) + os.EOL);
+		});
+	}
+
 	async _confirmDeploy(logicFunction, force) {
 		const logicFunctionShowName = logicFunction.id ? `${logicFunction.name}(${logicFunction.id})` : logicFunction.name;
 		if (!force) {
@@ -435,6 +638,67 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 		this.ui.stdout.write(`${os.EOL}`);
 	}
 
+	async listTriggers({ org, name, id, params: { filepath } }) {
+		this._setOrg(org);
+		const logicFunction = await this._pickLogicFunctionFromDisk({ filepath, name, id, action: 'list the triggers of' });
+		this._printTriggers(logicFunction);
+	}
+
+	async addTrigger({ org, name, id, event, product, cron, 'start-at': startAt, 'end-at': endAt, params: { filepath } }) {
+		this._setOrg(org);
+		let trigger;
+		try {
+			trigger = createTrigger({ eventName: event, productId: product, cron, startAt, endAt });
+		} catch (error) {
+			throw usageError(error.message);
+		}
+		const logicFunction = await this._pickLogicFunctionFromDisk({ filepath, name, id, action: 'add a trigger to' });
+		const { added } = diffTriggers(logicFunction.triggers, [trigger]);
+		if (!added.length) {
+			throw new Error(`Logic Function ${logicFunction.name} already has the trigger: ${describeTrigger(trigger)}`);
+		}
+		logicFunction.triggers = [...logicFunction.triggers, trigger];
+		await logicFunction.saveToDisk();
+		this.ui.stdout.write(`Added ${describeTrigger(trigger)} to Logic Function ${this.ui.chalk.cyanBright(logicFunction.name)}.${os.EOL}`);
+		this._printTriggers(logicFunction);
+		this._printDeployTriggersHelperOutput();
+	}
+
+	async removeTrigger({ org, name, id, trigger, params: { filepath } }) {
+		this._setOrg(org);
+		if (trigger === undefined) {
+			throw usageError('Specify the trigger to remove with --trigger <index|id>');
+		}
+		const logicFunction = await this._pickLogicFunctionFromDisk({ filepath, name, id, action: 'remove a trigger from' });
+		const index = logicFunction.triggers.findIndex((t, i) => String(i + 1) === String(trigger) || (t.id && t.id === trigger));
+		if (index === -1) {
+			throw new Error(`Trigger ${trigger} not found in Logic Function ${logicFunction.name}`);
+		}
+		const [removed] = logicFunction.triggers.splice(index, 1);
+		await logicFunction.saveToDisk();
+		this.ui.stdout.write(`Removed ${describeTrigger(removed)} from Logic Function ${this.ui.chalk.cyanBright(logicFunction.name)}.${os.EOL}`);
+		this._printTriggers(logicFunction);
+		this._printDeployTriggersHelperOutput();
+	}
+
+	_printTriggers(logicFunction) {
+		if (!logicFunction.triggers.length) {
+			this.ui.stdout.write(`Logic Function ${this.ui.chalk.cyanBright(logicFunction.name)} has no triggers.${os.EOL}`);
+			this.ui.stdout.write(`To add one, run ${this.ui.chalk.yellow('particle logic-function triggers add --event <name> --product <id>')} or ${this.ui.chalk.yellow('--cron <expression>')}${os.EOL}`);
+			return;
+		}
+		this.ui.stdout.write(`Triggers of Logic Function ${this.ui.chalk.cyanBright(logicFunction.name)}:${os.EOL}`);
+		logicFunction.triggers.forEach((trigger, index) => {
+			const status = trigger.enabled === false ? ` ${this.ui.chalk.grey('(disabled)')}` : '';
+			this.ui.stdout.write(`  ${index + 1}. ${describeTrigger(trigger)}${status}${os.EOL}`);
+		});
+	}
+
+	_printDeployTriggersHelperOutput() {
+		this.ui.stdout.write(`${os.EOL}`);
+		this.ui.stdout.write(`To apply the changes, run ${this.ui.chalk.yellow('particle logic-function deploy')}${os.EOL}`);
+	}
+
 	async updateStatus({ org, name, id, force, params: { filepath } }, { enable }) {
 		this._setOrg(org);
 		const cloudLogicFunctions = await this._getLogicFunctionListWithSpinner();
@@ -519,9 +783,116 @@ module.exports = class LogicFunctionsCommand extends CLICommandBase {
 		this.ui.stdout.write(`Logic Function ${name}(${id}) has been successfully deleted.${os.EOL}`);
 	}
 
-	async logs() {
-		// TODO
-		this.ui.stdout.write(`Please visit ${this.ui.chalk.yellow('console.particle.io')} to view logs.${os.EOL}`);
+	async logs({ org, name, id, follow, since, status, json, saveTo }) {
+		this._setOrg(org);
+		const filter = this._createLogicRunFilter({ since, status });
+		const cloudLogicFunctions = json
+			? await LogicFunction.listFromCloud({ org: this.org, api: this.api })
+			: await this._getLogicFunctionListWithSpinner();
+		if (!name && !id) {
+			name = await this._selectLogicFunctionName(cloudLogicFunctions, 'view logs for');
+		}
+		const logicFunction = await LogicFunction.getByIdOrName({ org, id, name, list: cloudLogicFunctions });
+		const seenRunIds = new Set();
+
+		const runs = await this._getLogicFunctionRuns({ logicFunction, filter, seenRunIds });
+		if (json) {
+			await this._writeLogsOutput(createJSONResult({ logicFunction, runs }), saveTo);
+		} else if (!runs.length && !follow) {
+			this.ui.stdout.write(`No runs found for Logic Function ${logicFunction.name}(${logicFunction.id}).${os.EOL}`);
+		} else {
+			for (const run of runs) {
+				await this._writeLogsOutput(this._formatLogicRun(run, { plain: !!saveTo }), saveTo);
+			}
+		}
+
+		if (follow) {
+			if (!json) {
+				this.ui.stderr.write(`Waiting for new runs of ${logicFunction.name}. Hit CTRL-C to stop!${os.EOL}`);
+			}
+			await this._followLogicFunctionRuns({ logicFunction, filter, seenRunIds, json, saveTo });
+		}
+	}
+
+	_createLogicRunFilter({ since, status }) {
+		let sinceDate = null;
+		if (since) {
+			const duration = parseDuration(since);
+			sinceDate = duration === null ? new Date(since) : new Date(Date.now() - duration);
+			if (isNaN(sinceDate.getTime())) {
+				throw usageError(`Invalid --since value: ${since}. Use a duration like 30m, 2h or 7d, or a date`);
+			}
+		}
+		if (status && !['error', 'success'].includes(status)) {
+			throw usageError(`Invalid --status value: ${status}. Use error or success`);
+		}
+		return (run) => {
+			if (sinceDate && new Date(run.started_at) < sinceDate) {
+				return false;
+			}
+			if (status === 'error') {
+				return run.status !== 'Success';
+			}
+			if (status === 'success') {
+				return run.status === 'Success';
+			}
+			return true;
+		};
+	}
+
+	async _getLogicFunctionRuns({ logicFunction, filter, seenRunIds }) {
+		const runs = (await logicFunction.listRuns())
+			.filter(run => !seenRunIds.has(run.id))
+			.sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+		runs.forEach(run => seenRunIds.add(run.id));
+
+		const result = [];
+		for (const run of runs.filter(filter)) {
+			const logs = await logicFunction.getRunLogs(run.id);
+			result.push({ ...run, logs });
+		}
+		return result;
+	}
+
+	async _followLogicFunctionRuns({ logicFunction, filter, seenRunIds, json, saveTo }) {
+		while (await this._waitForNextLogsPoll()) {
+			const runs = await this._getLogicFunctionRuns({ logicFunction, filter, seenRunIds });
+			for (const run of runs) {
+				const output = json
+					? createJSONResult({ logicFunction, runs: [run] })
+					: this._formatLogicRun(run, { plain: !!saveTo });
+				await this._writeLogsOutput(output, saveTo);
+			}
+		}
+	}
+
+	async _waitForNextLogsPoll() {
+		await delay(LOGS_POLL_INTERVAL);
+		return true;
+	}
+
+	_formatLogicRun(run, { plain } = {}) {
+		const colorize = (color, text) => plain ? text : this.ui.chalk[color](text);
+		const statusText = colorize(run.status === 'Success' ? 'cyanBright' : 'red', run.status);
+		const lines = [`Run ${run.id} started at ${run.started_at} (${statusText})`];
+		if (!run.logs.length) {
+			lines.push('	No logs obtained from this run');
+		}
+		run.logs.forEach((log, index) => {
+			lines.push(`	${index + 1}.- ${JSON.stringify(log)}`);
+		});
+		if (run.err) {
+			lines.push(colorize('red', `	Error: ${run.err}`));
+		}
+		return lines.join(os.EOL) + os.EOL;
+	}
+
+	async _writeLogsOutput(output, saveTo) {
+		if (saveTo) {
+			await fs.appendFile(saveTo, output);
+		} else {
+			this.ui.stdout.write(output);
+		}
 	}
 
 	_setOrg(org) {
@@ -566,4 +937,9 @@ function getOrgName(org) {
 	return org || 'your Sandbox';
 }
 
+function createJSONResult({ logicFunction, runs }) {
+	const meta = { logicFunctionId: logicFunction.id, logicFunctionName: logicFunction.name };
+	return new JSONResult(meta, runs).toString() + os.EOL;
+}
+
 module.exports.createAPI = createAPI;
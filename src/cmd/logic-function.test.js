@@ -11,8 +11,13 @@ describe('LogicFunctionCommands', () => {
 	let originalUi = new LogicFunctionCommands().ui;
 	let logicFunc1 = fs.readFileSync(path.join(PATH_FIXTURES_LOGIC_FUNCTIONS, 'logicFunc1.json'), 'utf-8');
 	logicFunc1 = JSON.parse(logicFunc1);
+	const originalEnv = process.env;
 
 	beforeEach(async () => {
+		process.env = {
+			...originalEnv,
+			home: PATH_TMP_DIR,
+		};
 		logicFunctionCommands = new LogicFunctionCommands();
 		logicFunctionCommands.ui = {
 			stdout: {
@@ -30,11 +35,13 @@ describe('LogicFunctionCommands', () => {
 				yellow: sinon.stub().callsFake((str) => str),
 				grey: sinon.stub().callsFake((str) => str),
 				red: sinon.stub().callsFake((str) => str),
+				green: sinon.stub().callsFake((str) => str),
 			},
 		};
 	});
 
 	afterEach(async () => {
+		process.env = originalEnv;
 		sinon.restore();
 		logicFunctionCommands.ui = originalUi;
 		// remove tmp dir
@@ -230,6 +237,31 @@ describe('LogicFunctionCommands', () => {
 			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Logs from Execution:${os.EOL}`);
 		});
 
+		it('executes a Logic Function locally', async () => {
+			const logicFunction = new LogicFunction({
+				name: 'LF1',
+				description: 'Logic Function 1',
+				id: '0021e8f4-64ee-416d-83f3-898aa909fb1b',
+				type: 'JavaScript',
+			});
+			sinon.stub(LogicFunction, 'listFromDisk').resolves({
+				malformedLogicFunctions: [],
+				logicFunctions: [logicFunction]
+			});
+			const executeStub = sinon.stub(logicFunction, 'execute');
+			const executeLocallyStub = sinon.stub(logicFunction, 'executeLocally').resolves({
+				status: 'Success',
+				logs: [{ level: 'Info', message: 'log1' }]
+			});
+
+			await logicFunctionCommands.execute({ data: '{"eventData": "someData"}', local: true, params: {} });
+			expect(executeStub).to.not.have.been.called;
+			expect(executeLocallyStub).to.have.been.calledOnce;
+			expect(logicFunctionCommands.ui.showBusySpinnerUntilResolved).calledWith('Executing Logic Function LF1 locally...');
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Logic Function LF1(0021e8f4-64ee-416d-83f3-898aa909fb1b) executed locally${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Execution Status: Success${os.EOL}`);
+		});
+
 		it('throws an error if there is no Logic Function in the directory', async () => {
 			const logicStub = sinon.stub(LogicFunction, 'listFromDisk').resolves({
 				malformedLogicFunctions: [],
@@ -461,6 +493,57 @@ describe('LogicFunctionCommands', () => {
 		});
 	});
 
+	describe('test', () => {
+		const filepath = path.join(PATH_FIXTURES_LOGIC_FUNCTIONS, 'lf4_proj');
+
+		it('runs the fixtures of the local Logic Functions', async () => {
+			await logicFunctionCommands.test({ params: { filepath } });
+
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`temperature${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`  ✓ publishes the temperature in Fahrenheit${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`  ✓ rejects invalid temperatures${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`2 passing${os.EOL}`);
+		});
+
+		it('saves a JUnit report', async () => {
+			const junit = path.join(PATH_TMP_DIR, 'reports', 'junit.xml');
+
+			await logicFunctionCommands.test({ junit, params: { filepath } });
+
+			const xml = await fs.readFile(junit, 'utf8');
+			expect(xml).to.include('<testsuite name="temperature" tests="2" failures="0"');
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`JUnit report saved to ${junit}${os.EOL}`);
+		});
+
+		it('throws an error when a test fails', async () => {
+			await fs.copy(filepath, PATH_TMP_DIR);
+			await fs.writeJson(path.join(PATH_TMP_DIR, 'temperature.wrong.test.json'), {
+				name: 'expects the wrong value',
+				event: { event_data: '100' },
+				expect: { publishes: [{ data: '100' }] }
+			});
+			let error;
+			try {
+				await logicFunctionCommands.test({ params: { filepath: PATH_TMP_DIR } });
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(error.message).to.equal('1 Logic Function test(s) failed');
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`  ✗ expects the wrong value${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`1 failing${os.EOL}`);
+		});
+
+		it('shows a message when there are no fixtures', async () => {
+			await fs.copy(path.join(filepath, 'temperature.js'), path.join(PATH_TMP_DIR, 'temperature.js'));
+			await fs.copy(path.join(filepath, 'temperature.logic.json'), path.join(PATH_TMP_DIR, 'temperature.logic.json'));
+
+			await logicFunctionCommands.test({ params: { filepath: PATH_TMP_DIR } });
+
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`No tests found. Add a <name>.test.json file next to your <name>.logic.json file.${os.EOL}`);
+		});
+	});
+
 	describe('_validatePaths', () => {
 		afterEach(() => {
 			sinon.restore();
@@ -626,6 +709,98 @@ describe('LogicFunctionCommands', () => {
 		});
 	});
 
+	describe('diff', () => {
+		const filepath = path.join(PATH_FIXTURES_LOGIC_FUNCTIONS, 'lf4_proj');
+		let localLogicFunction;
+
+		beforeEach(async () => {
+			localLogicFunction = await LogicFunction.loadFromDisk({ basePath: filepath, fileName: 'temperature.logic.json' });
+		});
+
+		function createCloudLogicFunction({ code, ...options }) {
+			const cloudLogicFunction = new LogicFunction({
+				name: 'temperature',
+				description: localLogicFunction.description,
+				enabled: true,
+				id: '0021e8f4-64ee-416d-83f3-898aa909fb1b',
+				...options
+			});
+			cloudLogicFunction.files.sourceCode.content = code;
+			return cloudLogicFunction;
+		}
+
+		it('shows the differences with the deployed Logic Function', async () => {
+			const code = localLogicFunction.files.sourceCode.content.replace('9 / 5', '1.8');
+			sinon.stub(LogicFunction, 'listFromCloud').resolves([createCloudLogicFunction({
+				code,
+				enabled: false,
+				triggers: [{ id: 't1', type: 'Scheduled', enabled: true, cron: '0 * * * *' }]
+			})]);
+
+			await logicFunctionCommands.diff({ params: { filepath } });
+
+			const output = logicFunctionCommands.ui.stdout.write.args.map(([line]) => line).join('');
+			expect(output).to.include(`Differences between the deployed (cloud) and local Logic Function temperature:${os.EOL}`);
+			expect(output).to.include(`-enabled: false${os.EOL}+enabled: true${os.EOL}`);
+			expect(output).to.include(`--- cloud/temperature.js${os.EOL}+++ local/temperature.js${os.EOL}`);
+			expect(output).to.match(/\n-.*1\.8.*\n\+.*9 \/ 5/);
+			expect(output).to.include(`  - Scheduled trigger "0 * * * *"${os.EOL}`);
+		});
+
+		it('shows a message when there are no differences', async () => {
+			sinon.stub(LogicFunction, 'listFromCloud').resolves([createCloudLogicFunction({
+				code: localLogicFunction.files.sourceCode.content
+			})]);
+
+			await logicFunctionCommands.diff({ params: { filepath } });
+
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`No differences between the local and the deployed Logic Function temperature.${os.EOL}`);
+		});
+
+		it('warns when the deployed Logic Function is newer than the local copy', async () => {
+			sinon.stub(LogicFunction, 'listFromCloud').resolves([createCloudLogicFunction({
+				code: localLogicFunction.files.sourceCode.content,
+				version: 2
+			})]);
+
+			await logicFunctionCommands.diff({ params: { filepath } });
+
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Warning: the deployed temperature is at version 2 but your local copy is based on version 0. Deploying will overwrite the changes made since.${os.EOL}`);
+		});
+
+		it('separates the local changes from the ones deployed since the local copy was deployed', async () => {
+			localLogicFunction.id = '0021e8f4-64ee-416d-83f3-898aa909fb1b';
+			localLogicFunction.version = 2;
+			const base = createCloudLogicFunction({ code: localLogicFunction.files.sourceCode.content, version: 2 });
+			await base.saveDeployedBase();
+			localLogicFunction.files.sourceCode.content = localLogicFunction.files.sourceCode.content.replace('9 / 5', '1.8');
+			sinon.stub(LogicFunction, 'listFromDisk').resolves({ malformedLogicFunctions: [], logicFunctions: [localLogicFunction] });
+			sinon.stub(LogicFunction, 'listFromCloud').resolves([createCloudLogicFunction({
+				code: base.files.sourceCode.content,
+				description: 'Changed by a teammate',
+				version: 3
+			})]);
+
+			await logicFunctionCommands.diff({ params: { filepath } });
+
+			const output = logicFunctionCommands.ui.stdout.write.args.map(([line]) => line).join('');
+			expect(output).to.include(`Local changes to temperature since version 2:${os.EOL}`);
+			expect(output).to.include(`--- v2/temperature.js${os.EOL}+++ local/temperature.js${os.EOL}`);
+			expect(output).to.match(/\n-.*9 \/ 5.*\n\+.*1\.8/);
+			expect(output).to.include('Warning: the deployed temperature changed since version 2, the version your local copy is based on. Deploying will overwrite these changes:');
+			expect(output).to.include(`-description: "Converts temperatures to Fahrenheit"${os.EOL}+description: "Changed by a teammate"${os.EOL}`);
+			expect(output).to.not.include('Both the local copy and the cloud changed');
+		});
+
+		it('shows a message when the Logic Function is not deployed', async () => {
+			sinon.stub(LogicFunction, 'listFromCloud').resolves([]);
+
+			await logicFunctionCommands.diff({ params: { filepath } });
+
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Logic Function temperature is not deployed to your Sandbox. Deploying it will create it.${os.EOL}`);
+		});
+	});
+
 	describe('deploy', () => {
 		let logicFunctions = [];
 		logicFunctions.push(logicFunc1.logic_functions[0]);
@@ -678,6 +853,7 @@ describe('LogicFunctionCommands', () => {
 			sinon.stub(logicFunctionCommands, '_prompt').resolves({ proceed: true });
 			const deployStub = sinon.stub(logicFunction, 'deploy').resolves(undefined);
 			const saveStub = sinon.stub(logicFunction, 'saveToDisk').resolves(undefined);
+			const saveBaseStub = sinon.stub(logicFunction, 'saveDeployedBase').resolves(undefined);
 			const logicStub = sinon.stub(LogicFunction, 'listFromDisk').resolves({
 				malformedLogicFunctions: [],
 				logicFunctions: [logicFunction]
@@ -687,6 +863,7 @@ describe('LogicFunctionCommands', () => {
 				logs: ['log1', 'log2']
 			});
 			await logicFunctionCommands.deploy({ params: { filepath: 'test/lf1' } });
+			expect(saveBaseStub).to.have.been.calledAfter(deployStub);
 			const expectedPromptCall = {
 				message: `A Logic Function with name ${logicFunction.name} is already available in the cloud your Sandbox.${os.EOL}Proceed and overwrite with the new content?`,
 			};
@@ -700,6 +877,73 @@ describe('LogicFunctionCommands', () => {
 			expect(logicFunction.id).to.equal('0021e8f4-64ee-416d-83f3-898aa909fb1b');
 		});
 
+		it('shows the trigger changes before deploying', async() => {
+			const logicFunction = new LogicFunction({
+				name: 'LF1',
+				description: 'Logic Function 1',
+				type: 'JavaScript',
+				triggers: [
+					{ type: 'Event', enabled: true, product_id: 1, event_name: 'temp' },
+					{ type: 'Scheduled', enabled: false, cron: '0 * * * *' }
+				]
+			});
+			sinon.stub(LogicFunction, 'listFromCloud').resolves([{
+				name: 'LF1',
+				id: '0021e8f4-64ee-416d-83f3-898aa909fb1b',
+				triggers: [
+					{ id: 't1', type: 'Scheduled', enabled: true, cron: '0 * * * *' },
+					{ id: 't2', type: 'Event', enabled: true, product_id: 1, event_name: 'humidity' }
+				]
+			}]);
+			sinon.stub(logicFunctionCommands, '_prompt').resolves({ proceed: true });
+			sinon.stub(logicFunction, 'deploy').resolves(undefined);
+			sinon.stub(logicFunction, 'saveToDisk').resolves(undefined);
+			sinon.stub(LogicFunction, 'listFromDisk').resolves({
+				malformedLogicFunctions: [],
+				logicFunctions: [logicFunction]
+			});
+			sinon.stub(logicFunction, 'execute').resolves({ status: 'Success', logs: [] });
+
+			await logicFunctionCommands.deploy({ params: { filepath: 'test/lf1' } });
+
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Trigger changes:${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`  + Event trigger on "temp" (product 1)${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`  - Event trigger on "humidity" (product 1)${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`  ~ Scheduled trigger "0 * * * *" (disabled)${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).to.have.been.calledBefore(logicFunctionCommands._prompt);
+		});
+
+		it('shows the differences before deploying with --diff', async() => {
+			const logicFunction = new LogicFunction({
+				name: 'LF1',
+				description: 'Logic Function 1',
+				type: 'JavaScript',
+			});
+			logicFunction.files.sourceCode.content = 'new code\n';
+			const cloudLogicFunction = new LogicFunction({
+				name: 'LF1',
+				description: 'Logic Function 1',
+				id: '0021e8f4-64ee-416d-83f3-898aa909fb1b'
+			});
+			cloudLogicFunction.files.sourceCode.content = 'old code\n';
+			sinon.stub(LogicFunction, 'listFromCloud').resolves([cloudLogicFunction]);
+			sinon.stub(logicFunctionCommands, '_prompt').resolves({ proceed: true });
+			sinon.stub(logicFunction, 'deploy').resolves(undefined);
+			sinon.stub(logicFunction, 'saveToDisk').resolves(undefined);
+			sinon.stub(LogicFunction, 'listFromDisk').resolves({
+				malformedLogicFunctions: [],
+				logicFunctions: [logicFunction]
+			});
+			sinon.stub(logicFunction, 'execute').resolves({ status: 'Success', logs: [] });
+
+			await logicFunctionCommands.deploy({ diff: true, params: { filepath: 'test/lf1' } });
+
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`-old code${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`+new code${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`No trigger changes.${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).to.have.been.calledBefore(logicFunctionCommands._prompt);
+		});
+
 		it('throws an error if deployement fails', async() => {
 			const logicFunction = new LogicFunction({
 				name: 'LF1',
@@ -732,6 +976,127 @@ describe('LogicFunctionCommands', () => {
 			expect(error.message).to.contain('Error deploying Logic Function LF1');
 
 		});
+
+		describe('with tests', () => {
+			const filepath = path.join(PATH_FIXTURES_LOGIC_FUNCTIONS, 'lf4_proj');
+
+			beforeEach(async () => {
+				await fs.copy(filepath, PATH_TMP_DIR);
+				await fs.writeJson(path.join(PATH_TMP_DIR, 'temperature.wrong.test.json'), {
+					name: 'expects the wrong value',
+					event: { event_data: '100' },
+					expect: { publishes: [{ data: '100' }] }
+				});
+				sinon.stub(LogicFunction, 'listFromCloud').resolves([]);
+				sinon.stub(logicFunctionCommands, '_prompt').resolves({ proceed: true });
+				sinon.stub(LogicFunction.prototype, 'execute').resolves({ status: 'Success', logs: [] });
+				sinon.stub(LogicFunction.prototype, 'deploy').resolves(undefined);
+				sinon.stub(LogicFunction.prototype, 'saveToDisk').resolves(undefined);
+				sinon.stub(LogicFunction.prototype, 'saveDeployedBase').resolves(undefined);
+			});
+
+			it('runs the tests and does not deploy when one fails', async () => {
+				let error;
+				try {
+					await logicFunctionCommands.deploy({ params: { filepath: PATH_TMP_DIR } });
+				} catch (e) {
+					error = e;
+				}
+
+				expect(error.message).to.equal('1 Logic Function test(s) failed. Fix them or deploy with --skip-tests');
+				expect(logicFunctionCommands.ui.stdout.write).calledWith(`  ✗ expects the wrong value${os.EOL}`);
+				expect(LogicFunction.prototype.deploy).to.not.have.been.called;
+			});
+
+			it('deploys without running the tests with --skip-tests', async () => {
+				await logicFunctionCommands.deploy({ 'skip-tests': true, params: { filepath: PATH_TMP_DIR } });
+
+				expect(logicFunctionCommands.ui.stdout.write).to.not.have.been.calledWith(`  ✗ expects the wrong value${os.EOL}`);
+				expect(LogicFunction.prototype.deploy).to.have.been.calledOnce;
+			});
+		});
+	});
+
+	describe('triggers', () => {
+		const configurationPath = path.join(PATH_TMP_DIR, 'temperature.logic.json');
+		const readTriggers = async () => (await fs.readJson(configurationPath)).logic_function.logic_triggers;
+
+		beforeEach(async () => {
+			await fs.copy(path.join(PATH_FIXTURES_LOGIC_FUNCTIONS, 'lf4_proj'), PATH_TMP_DIR);
+		});
+
+		it('lists the triggers of a Logic Function', async () => {
+			await logicFunctionCommands.addTrigger({ event: 'temp', product: '1234', params: { filepath: PATH_TMP_DIR } });
+			logicFunctionCommands.ui.stdout.write.resetHistory();
+
+			await logicFunctionCommands.listTriggers({ params: { filepath: PATH_TMP_DIR } });
+
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Triggers of Logic Function temperature:${os.EOL}`);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`  1. Event trigger on "temp" (product 1234)${os.EOL}`);
+		});
+
+		it('shows a message when there are no triggers', async () => {
+			await logicFunctionCommands.listTriggers({ params: { filepath: PATH_TMP_DIR } });
+
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Logic Function temperature has no triggers.${os.EOL}`);
+		});
+
+		it('adds event and scheduled triggers', async () => {
+			await logicFunctionCommands.addTrigger({ event: 'temp', product: '1234', params: { filepath: PATH_TMP_DIR } });
+			await logicFunctionCommands.addTrigger({ cron: '*/5 * * * *', 'end-at': '2030-01-01', params: { filepath: PATH_TMP_DIR } });
+
+			expect(await readTriggers()).to.eql([
+				{ type: 'Event', enabled: true, product_id: 1234, event_name: 'temp' },
+				{ type: 'Scheduled', enabled: true, cron: '*/5 * * * *', end_at: '2030-01-01T00:00:00.000Z' }
+			]);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Added Scheduled trigger "*/5 * * * *" until 2030-01-01T00:00:00.000Z to Logic Function temperature.${os.EOL}`);
+		});
+
+		it('throws a usage error for an invalid cron expression', async () => {
+			let error;
+			try {
+				await logicFunctionCommands.addTrigger({ cron: '* * * *', params: { filepath: PATH_TMP_DIR } });
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(error.message).to.include('Invalid cron expression "* * * *"');
+			expect(error.isUsageError).to.be.true;
+			expect(await readTriggers()).to.eql([]);
+		});
+
+		it('rejects duplicated triggers', async () => {
+			await logicFunctionCommands.addTrigger({ event: 'temp', product: '1234', params: { filepath: PATH_TMP_DIR } });
+			let error;
+			try {
+				await logicFunctionCommands.addTrigger({ event: 'temp', product: '1234', params: { filepath: PATH_TMP_DIR } });
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(error.message).to.equal('Logic Function temperature already has the trigger: Event trigger on "temp" (product 1234)');
+		});
+
+		it('removes a trigger by its number', async () => {
+			await logicFunctionCommands.addTrigger({ event: 'temp', product: '1234', params: { filepath: PATH_TMP_DIR } });
+			await logicFunctionCommands.addTrigger({ event: 'humidity', product: '1234', params: { filepath: PATH_TMP_DIR } });
+
+			await logicFunctionCommands.removeTrigger({ trigger: '1', params: { filepath: PATH_TMP_DIR } });
+
+			expect(await readTriggers()).to.eql([{ type: 'Event', enabled: true, product_id: 1234, event_name: 'humidity' }]);
+			expect(logicFunctionCommands.ui.stdout.write).calledWith(`Removed Event trigger on "temp" (product 1234) from Logic Function temperature.${os.EOL}`);
+		});
+
+		it('throws an error if the trigger does not exist', async () => {
+			let error;
+			try {
+				await logicFunctionCommands.removeTrigger({ trigger: '3', params: { filepath: PATH_TMP_DIR } });
+			} catch (_error) {
+				error = _error;
+			}
+
+			expect(error.message).to.equal('Trigger 3 not found in Logic Function temperature');
+		});
 	});
 
 	describe('enable/disable', () => {
@@ -815,4 +1180,99 @@ describe('LogicFunctionCommands', () => {
 			expect(saveStub).to.have.been.calledOnce;
 		});
 	});
+
+	describe('logs', () => {
+		let logicFunction;
+		const runs = [
+			{ id: 'run2', status: 'Exception', started_at: '2024-03-01T10:05:00Z', err: 'Some error' },
+			{ id: 'run1', status: 'Success', started_at: '2024-03-01T10:00:00Z' }
+		];
+
+		beforeEach(() => {
+			logicFunction = new LogicFunction({
+				name: 'LF1',
+				description: 'Logic Function 1',
+				id: '0021e8f4-64ee-416d-83f3-898aa909fb1b',
+				type: 'JavaScript',
+			});
+			sinon.stub(LogicFunction, 'listFromCloud').resolves([logicFunction]);
+			sinon.stub(logicFunction, 'getRunLogs').callsFake(async (runId) => [{ level: 'Info', message: `log from ${runId}` }]);
+		});
+
+		it('shows the logs of every run, oldest first', async () => {
+			sinon.stub(logicFunction, 'listRuns').resolves(runs);
+
+			await logicFunctionCommands.logs({ name: 'LF1' });
+
+			const output = logicFunctionCommands.ui.stdout.write.args.map(a => a[0]).join('');
+			expect(output.indexOf('Run run1')).to.be.lessThan(output.indexOf('Run run2'));
+			expect(output).to.include(`Run run1 started at 2024-03-01T10:00:00Z (Success)${os.EOL}	1.- {"level":"Info","message":"log from run1"}`);
+			expect(output).to.include('	Error: Some error');
+		});
+
+		it('filters runs by status', async () => {
+			sinon.stub(logicFunction, 'listRuns').resolves(runs);
+
+			await logicFunctionCommands.logs({ name: 'LF1', status: 'error' });
+
+			expect(logicFunction.getRunLogs).to.have.been.calledOnceWith('run2');
+		});
+
+		it('filters runs by start time', async () => {
+			const clock = sinon.useFakeTimers(new Date('2024-03-01T10:06:00Z'));
+			sinon.stub(logicFunction, 'listRuns').resolves(runs);
+
+			await logicFunctionCommands.logs({ name: 'LF1', since: '3m' });
+
+			clock.restore();
+			expect(logicFunction.getRunLogs).to.have.been.calledOnceWith('run2');
+		});
+
+		it('throws a usage error for an invalid status', async () => {
+			let error;
+			try {
+				await logicFunctionCommands.logs({ name: 'LF1', status: 'failed' });
+			} catch (_error) {
+				error = _error;
+			}
+			expect(error).to.have.property('isUsageError', true);
+			expect(error.message).to.equal('Invalid --status value: failed. Use error or success');
+		});
+
+		it('shows the logs as JSON', async () => {
+			sinon.stub(logicFunction, 'listRuns').resolves([runs[1]]);
+
+			await logicFunctionCommands.logs({ name: 'LF1', json: true });
+
+			const json = JSON.parse(logicFunctionCommands.ui.stdout.write.firstCall.args[0]);
+			expect(json.meta).to.include({ logicFunctionId: logicFunction.id, logicFunctionName: 'LF1' });
+			expect(json.data).to.eql([{ ...runs[1], logs: [{ level: 'Info', message: 'log from run1' }] }]);
+		});
+
+		it('saves the logs to a file', async () => {
+			const saveTo = path.join(PATH_TMP_DIR, 'logs.txt');
+			sinon.stub(logicFunction, 'listRuns').resolves([runs[1]]);
+
+			await logicFunctionCommands.logs({ name: 'LF1', saveTo });
+
+			const content = await fs.readFile(saveTo, 'utf8');
+			expect(content).to.include('Run run1 started at 2024-03-01T10:00:00Z (Success)');
+			expect(logicFunctionCommands.ui.stdout.write).to.not.have.been.called;
+		});
+
+		it('follows new runs', async () => {
+			const listRuns = sinon.stub(logicFunction, 'listRuns');
+			listRuns.onFirstCall().resolves([runs[1]]);
+			listRuns.onSecondCall().resolves(runs);
+			const poll = sinon.stub(logicFunctionCommands, '_waitForNextLogsPoll');
+			poll.onFirstCall().resolves(true);
+			poll.onSecondCall().resolves(false);
+
+			await logicFunctionCommands.logs({ name: 'LF1', follow: true });
+
+			expect(logicFunction.getRunLogs).to.have.been.calledTwice;
+			expect(logicFunction.getRunLogs.secondCall).to.have.been.calledWith('run2');
+			expect(logicFunctionCommands.ui.stderr.write).to.have.been.calledWith(`Waiting for new runs of LF1. Hit CTRL-C to stop!${os.EOL}`);
+		});
+	});
 });
@@ -4,8 +4,10 @@ const VError = require('verror');
 const settings = require('../../settings');
 const { errors: { usageError } } = require('../app/command-processor');
 const ParticleAPI = require('./api');
+const createApiCache = require('../lib/api-cache');
 const { normalizedApiError } = require('../lib/api-client');
 const { JSONResult } = require('../lib/json-result');
+const { parseDeviceFilter } = require('../lib/device-filter');
 const CLICommandBase = require('./base');
 
 
@@ -121,20 +123,33 @@ module.exports = class ProductCommand extends CLICommandBase {
 			});
 	}
 
-	showDeviceList({ name, page = 1, limit, groups, json, params: { product, device } }){
+	showDeviceList({ name, page, limit, groups, filter, json, params: { product, device } }){
 		if (device){
 			return this.showDeviceDetail({ json, params: { product, device } });
 		}
+		let filterFunc;
+		try {
+			filterFunc = parseDeviceFilter(filter);
+		} catch (error){
+			return Promise.reject(usageError(error.message));
+		}
+		if (filterFunc && (page !== undefined || limit !== undefined)){
+			return Promise.reject(usageError('--filter searches every page and can\'t be used with --page or --limit'));
+		}
 		const msg = `Fetching product ${product} device list`;
-		const fetchData = createAPI().listDevices({ product, page, groups, perPage: limit, deviceName: name });
+		const api = createApiCache(createAPI());
+		const fetchData = filterFunc
+			? listAllDevices(api, { product, groups, deviceName: name })
+			: api.listDevices({ product, page: page || 1, groups, perPage: limit, deviceName: name }).then(res => res.devices);
 		return (json ? fetchData : this.ui.showBusySpinnerUntilResolved(msg, fetchData))
 			.then(res => {
+				const devices = filterFunc ? res.filter(filterFunc) : res;
 				if (json){
 					this.ui.stdout.write(
-						createJSONResult(page, res.devices)
+						createJSONResult(filterFunc ? null : page || 1, devices)
 					);
 				} else {
-					this.ui.logDeviceDetail(res.devices);
+					this.ui.logDeviceDetail(devices);
 				}
 			})
 			.catch(error => {
@@ -152,6 +167,17 @@ function createAPI(){
 	});
 }
 
+async function listAllDevices(api, options){
+	const devices = [];
+	for (let page = 1; ; page++){
+		const { devices: pageDevices = [], meta = {} } = await api.listDevices({ ...options, page, perPage: 100 });
+		devices.push(...pageDevices);
+		if (!meta.total_pages || page >= meta.total_pages){
+			return devices;
+		}
+	}
+}
+
 function createJSONResult(page, data){
 	const meta = typeof page === 'number'
 		? { previous: page - 1, current: page, next: page + 1 }
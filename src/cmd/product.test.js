@@ -0,0 +1,63 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { expect, sinon } = require('../../test/setup');
+const { PATH_TMP_DIR } = require('../../test/lib/env');
+const ParticleAPI = require('./api');
+const ProductCommand = require('./product');
+
+
+describe('Product Command', () => {
+	const originalEnv = process.env;
+	let productCommand;
+
+	beforeEach(() => {
+		process.env = {
+			...originalEnv,
+			home: PATH_TMP_DIR,
+		};
+		productCommand = new ProductCommand();
+		productCommand.ui = {
+			stdout: {
+				write: sinon.stub()
+			}
+		};
+	});
+
+	afterEach(async () => {
+		process.env = originalEnv;
+		sinon.restore();
+		await fs.remove(path.join(PATH_TMP_DIR, '.particle/'));
+	});
+
+	describe('showDeviceList', () => {
+		it('filters the devices of every page', async () => {
+			const listDevices = sinon.stub(ParticleAPI.prototype, 'listDevices');
+			listDevices.withArgs(sinon.match({ page: 1 })).resolves({
+				devices: [{ id: 'abc1', name: 'lab-1', online: true }, { id: 'abc2', name: 'lab-2', online: false }],
+				meta: { total_pages: 2 }
+			});
+			listDevices.withArgs(sinon.match({ page: 2 })).resolves({
+				devices: [{ id: 'abc3', name: 'lab-3', online: true }],
+				meta: { total_pages: 2 }
+			});
+
+			await productCommand.showDeviceList({ filter: 'online', json: true, params: { product: '1234' } });
+
+			expect(listDevices).to.have.been.calledTwice;
+			expect(listDevices).to.have.been.calledWith(sinon.match({ product: '1234', page: 2, perPage: 100 }));
+			const { data } = JSON.parse(productCommand.ui.stdout.write.firstCall.args[0]);
+			expect(data.map(device => device.id)).to.eql(['abc1', 'abc3']);
+		});
+
+		it('rejects --page and --limit with --filter', async () => {
+			let error;
+			try {
+				await productCommand.showDeviceList({ filter: 'online', page: 2, json: true, params: { product: '1234' } });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error.message).to.equal('--filter searches every page and can\'t be used with --page or --limit');
+		});
+	});
+});
@@ -19,6 +19,7 @@ const { ensureError } = require('../lib/utilities');
 const FlashCommand = require('./flash');
 const usbUtils = require('./usb-util');
 const { platformForId } = require('../lib/platform');
+const { JSONResult } = require('../lib/json-result');
 const { FirmwareModuleDisplayNames } = require('../lib/require-optional')('particle-usb');
 
 // TODO: DRY this up somehow
@@ -111,9 +112,15 @@ module.exports = class SerialCommand extends CLICommandBase {
 			});
 	}
 
-	listDevices(){
+	listDevices({ json } = {}){
 		return this.findDevices()
 			.then(devices => {
+				if (json){
+					const data = devices.map(device => _.pick(device, ['port', 'type', 'deviceId']));
+					this.ui.stdout.write(`${new JSONResult(null, data).toString()}${os.EOL}`);
+					return;
+				}
+
 				if (devices.length === 0){
 					this.ui.stdout.write(`${chalk.bold.white('No devices available via serial')}`);
 					return;
@@ -350,8 +357,9 @@ module.exports = class SerialCommand extends CLICommandBase {
 	/**
 	 * Inspects a Particle device and provides module info and asset info
 	 * @param {string} port
+	 * @param {boolean} json - output the module info as JSON
 	 */
-	async inspectDevice({ port }) {
+	async inspectDevice({ port, json }) {
 		let deviceFromSerialPort, deviceId, device;
 
 		try {
@@ -363,11 +371,18 @@ module.exports = class SerialCommand extends CLICommandBase {
 		}
 
 		const platform = platformForId(device.platformId);
-		this.ui.stdout.write(`Device: ${chalk.bold.cyan(deviceId)}${os.EOL}`);
-		this.ui.stdout.write(`Platform: ${platform.id} - ${chalk.bold.cyan(platform.displayName)}${os.EOL}${os.EOL}`);
+		const inspection = { deviceId, platform: { id: platform.id, name: platform.displayName } };
+		if (!json) {
+			this.ui.stdout.write(`Device: ${chalk.bold.cyan(deviceId)}${os.EOL}`);
+			this.ui.stdout.write(`Platform: ${platform.id} - ${chalk.bold.cyan(platform.displayName)}${os.EOL}${os.EOL}`);
+		}
 
 		try {
-			await this._getModuleInfo(device);
+			if (json) {
+				inspection.modules = await this._getModuleData(device);
+			} else {
+				await this._getModuleInfo(device);
+			}
 		} catch (err) {
 			throw new VError(ensureError(err), 'Could not inspect device');
 		}
@@ -376,6 +391,58 @@ module.exports = class SerialCommand extends CLICommandBase {
 		if (device && device.isOpen) {
 			await device.close();
 		}
+
+		if (json) {
+			this.ui.stdout.write(`${new JSONResult(null, inspection).toString()}${os.EOL}`);
+		}
+	}
+
+	/**
+	 * Obtains module info from control requests without printing it
+	 * @param {object} device
+	 * @returns {object[]} the modules with the result of their validity checks
+	 */
+	async _getModuleData(device) {
+		const modules = await device.getFirmwareModuleInfo({ timeout: 5000 });
+		const result = [];
+		let assetInfo;
+
+		for (const m of modules || []) {
+			const errors = m.validityErrors;
+			const info = {
+				type: FirmwareModuleDisplayNames[m.type],
+				index: m.index,
+				version: m.version,
+				size: m.size,
+				maxSize: m.maxSize,
+				checks: {
+					integrity: !errors.includes('INTEGRITY_CHECK_FAILED'),
+					addressRange: !errors.includes('RANGE_CHECK_FAILED'),
+					platform: !errors.includes('PLATFORM_CHECK_FAILED'),
+					dependencies: !errors.includes('DEPENDENCY_CHECK_FAILED')
+				},
+				dependencies: m.dependencies.map(dep => ({
+					type: FirmwareModuleDisplayNames[dep.type],
+					index: dep.index,
+					version: dep.version
+				}))
+			};
+
+			if (m.type === 'USER_PART' && m.hash) {
+				info.uuid = m.hash;
+			}
+
+			if (m.assetDependencies && m.assetDependencies.length > 0) {
+				assetInfo = assetInfo || await device.getAssetInfo({ timeout: 5000 });
+				info.assets = assetInfo.required.map(asset => ({
+					name: asset.name,
+					hash: asset.hash,
+					available: availability(asset, assetInfo.available)
+				}));
+			}
+			result.push(info);
+		}
+		return result;
 	}
 
 	/**
@@ -102,6 +102,45 @@ describe('Serial Command', () => {
 			expect(serial._getModuleInfo).to.have.been.called;
 		});
 
+		it('outputs the module info as JSON', async () => {
+			const device = {
+				isOpen: true,
+				close: sinon.stub(),
+				platformId: PlatformId.P2,
+				getFirmwareModuleInfo: sinon.stub().resolves([{
+					type: 'USER_PART',
+					index: 1,
+					version: 6,
+					size: 4000,
+					maxSize: 8000,
+					hash: 'abcd',
+					validityErrors: ['DEPENDENCY_CHECK_FAILED'],
+					dependencies: [{ type: 'SYSTEM_PART', index: 1, version: 5600 }],
+					assetDependencies: [{ name: 'asset.bin' }]
+				}]),
+				getAssetInfo: sinon.stub().resolves({
+					required: [{ name: 'asset.bin', hash: '1234' }],
+					available: []
+				})
+			};
+			deviceStub.resolves(device);
+			sinon.stub(serial, 'whatSerialPortDidYouMean').resolves({ deviceId: '1234456789abcdef' });
+			sinon.stub(serial.ui.stdout, 'write');
+
+			await serial.inspectDevice({ port: 'xyz', json: true });
+
+			const { data } = JSON.parse(serial.ui.stdout.write.firstCall.args[0]);
+			expect(serial.ui.stdout.write).to.have.been.calledOnce;
+			expect(data.deviceId).to.equal('1234456789abcdef');
+			expect(data.platform).to.eql({ id: PlatformId.P2, name: 'Photon 2 / P2' });
+			expect(data.modules).to.have.lengthOf(1);
+			expect(data.modules[0]).to.include({ index: 1, version: 6, uuid: 'abcd' });
+			expect(data.modules[0].checks).to.eql({ integrity: true, addressRange: true, platform: true, dependencies: false });
+			expect(data.modules[0].dependencies).to.have.lengthOf(1);
+			expect(data.modules[0].assets).to.eql([{ name: 'asset.bin', hash: '1234', available: false }]);
+			expect(device.close).to.have.been.called;
+		});
+
 		it('does not get module info if device id is not obtained', async () => {
 			const fwVer = '5.6.0';
 			const device = {
@@ -0,0 +1,78 @@
+const os = require('os');
+const _ = require('lodash');
+const VError = require('verror');
+const settings = require('../../settings');
+const ParticleAPI = require('./api');
+const CLICommandBase = require('./base');
+const utilities = require('../lib/utilities');
+const createApiCache = require('../lib/api-cache');
+const { normalizedApiError } = require('../lib/api-client');
+const { platformTargets, resolveTarget } = require('../lib/build-targets');
+const { JSONResult } = require('../lib/json-result');
+
+
+module.exports = class TargetsCommand extends CLICommandBase {
+	async list({ all, json, params: { platform } }) {
+		const platformIds = platform ? [this.parsePlatform(platform)] : _.uniq(_.values(utilities.knownPlatformIds()));
+
+		let data;
+		try {
+			data = await createApiCache(createAPI()).listBuildTargets(!all /* onlyFeatured */);
+		} catch (error) {
+			throw new VError(normalizedApiError(error), 'Error listing build targets');
+		}
+
+		const platformNames = _.invert(utilities.knownPlatformIds());
+		const platforms = platformIds
+			.map(platformId => ({ platform: platformNames[platformId], platformId, targets: describeTargets(data, platformId) }))
+			.filter(result => platform || result.targets.length);
+
+		if (json) {
+			this.ui.stdout.write(new JSONResult({ all: !!all }, platforms).toString() + os.EOL);
+			return;
+		}
+
+		platforms.forEach(({ platform, targets }, index) => {
+			if (index) {
+				this.ui.stdout.write(os.EOL);
+			}
+			if (!targets.length) {
+				this.ui.stdout.write(`No firmware versions available for ${platform}.${os.EOL}`);
+				return;
+			}
+			this.ui.stdout.write(`Firmware versions for ${platform}:${os.EOL}`);
+			const width = _.max(targets.map(target => target.version.length));
+			targets.forEach(({ version, tags }) => {
+				this.ui.stdout.write(`  ${version.padEnd(width)}  ${tags.join(', ')}`.trimEnd() + os.EOL);
+			});
+		});
+		if (!all) {
+			this.ui.stdout.write(`${os.EOL}Use --all to include the prerelease and non featured versions.${os.EOL}`);
+		}
+	}
+};
+
+function describeTargets(data, platformId) {
+	const targets = platformTargets(data, platformId);
+	const latest = resolveTarget('latest', targets);
+	const lts = resolveTarget('lts', targets);
+	return targets.map(({ version, prerelease }) => {
+		const tags = [];
+		if (version === latest) {
+			tags.push('latest');
+		}
+		if (version === lts) {
+			tags.push('lts');
+		}
+		if (prerelease) {
+			tags.push('prerelease');
+		}
+		return { version, prerelease, tags };
+	});
+}
+
+function createAPI() {
+	return new ParticleAPI(settings.apiUrl, {
+		accessToken: settings.access_token
+	});
+}
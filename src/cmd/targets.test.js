@@ -0,0 +1,92 @@
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { expect, sinon } = require('../../test/setup');
+const { PATH_TMP_DIR } = require('../../test/lib/env');
+const ParticleAPI = require('./api');
+const TargetsCommand = require('./targets');
+
+
+describe('Targets Command', () => {
+	const originalEnv = process.env;
+	const targets = [
+		{ version: '4.2.0', platforms: [12, 13], prereleases: [] },
+		{ version: '5.6.0', platforms: [13], prereleases: [] },
+		{ version: '6.0.0', platforms: [13], prereleases: [13] }
+	];
+	let targetsCommand;
+
+	beforeEach(() => {
+		process.env = {
+			...originalEnv,
+			home: PATH_TMP_DIR,
+		};
+		targetsCommand = new TargetsCommand();
+		targetsCommand.ui = {
+			stdout: {
+				write: sinon.stub()
+			}
+		};
+		sinon.stub(ParticleAPI.prototype, 'listBuildTargets').resolves({ targets });
+	});
+
+	afterEach(async () => {
+		process.env = originalEnv;
+		sinon.restore();
+		await fs.remove(path.join(PATH_TMP_DIR, '.particle/'));
+	});
+
+	function getOutput() {
+		return targetsCommand.ui.stdout.write.args.map(([text]) => text).join('');
+	}
+
+	describe('list', () => {
+		it('shows the versions of a platform newest first', async () => {
+			await targetsCommand.list({ all: true, params: { platform: 'b' } });
+
+			expect(getOutput()).to.equal([
+				'Firmware versions for boron:',
+				'  6.0.0  prerelease',
+				'  5.6.0  latest',
+				'  4.2.0  lts',
+				''
+			].join(os.EOL));
+			expect(ParticleAPI.prototype.listBuildTargets).to.have.been.calledWith(false);
+		});
+
+		it('shows every platform with versions', async () => {
+			await targetsCommand.list({ params: {} });
+
+			const output = getOutput();
+			expect(output).to.include(`Firmware versions for argon:${os.EOL}  4.2.0  latest, lts${os.EOL}`);
+			expect(output).to.include(`Firmware versions for boron:${os.EOL}`);
+			expect(output).to.not.include('photon');
+			expect(output).to.include('Use --all to include the prerelease and non featured versions.');
+			expect(ParticleAPI.prototype.listBuildTargets).to.have.been.calledWith(true);
+		});
+
+		it('shows the versions as JSON', async () => {
+			await targetsCommand.list({ json: true, params: { platform: '12' } });
+
+			const { meta, data } = JSON.parse(getOutput());
+			expect(meta).to.include({ all: false });
+			expect(data).to.eql([{
+				platform: 'argon',
+				platformId: 12,
+				targets: [{ version: '4.2.0', prerelease: false, tags: ['latest', 'lts'] }]
+			}]);
+		});
+
+		it('rejects unknown platforms', async () => {
+			let error;
+			try {
+				await targetsCommand.list({ params: { platform: 'toaster' } });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error).to.have.property('isUsageError', true);
+			expect(error.message).to.match(/^Unknown platform: toaster\. Platform can be: core, photon/);
+		});
+	});
+});
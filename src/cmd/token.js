@@ -4,6 +4,7 @@ const settings = require('../../settings');
 const ApiClient = require('../lib/api-client');
 const prompts = require('../lib/prompts');
 const CloudCommand = require('./cloud');
+const { JSONResult } = require('../lib/json-result');
 
 
 module.exports = class AccessTokenCommands {
@@ -55,9 +56,22 @@ module.exports = class AccessTokenCommands {
 			});
 	}
 
-	listAccessTokens () {
+	listAccessTokens ({ json } = {}) {
 		const api = new ApiClient();
 		return this.getAccessTokens(api).then((tokens) => {
+			if (json) {
+				const now = (new Date()).toISOString();
+				const data = tokens.map(token => ({
+					client: token.client || token.client_id,
+					token: token.token,
+					expires_at: token.expires_at || null,
+					active: token.token === settings.access_token,
+					expired: now > token.expires_at
+				}));
+				console.log(new JSONResult(null, data).toString());
+				return;
+			}
+
 			const lines = [];
 			for (let i = 0; i < tokens.length; i++) {
 				const token = tokens[i];
@@ -1,10 +1,13 @@
 const { spin } = require('../app/ui');
-const { delay, asyncMapSeries, buildDeviceFilter } = require('../lib/utilities');
+const { delay, asyncMapSeries } = require('../lib/utilities');
+const { parseDeviceFilter } = require('../lib/device-filter');
+const { errors: { usageError } } = require('../app/command-processor');
 const { getDevice, formatDeviceInfo } = require('./device-util');
 const { getUsbDevices, openUsbDevice, openUsbDeviceByIdOrName, TimeoutError, DeviceProtectionError } = require('./usb-util');
 const { systemSupportsUdev, udevRulesInstalled, installUdevRules } = require('./udev');
 const { platformForId, isKnownPlatformId } = require('../lib/platform');
 const ParticleApi = require('./api');
+const { JSONResult } = require('../lib/json-result');
 
 
 module.exports = class UsbCommand {
@@ -16,9 +19,18 @@ module.exports = class UsbCommand {
 	list(args) {
 		const idsOnly = args['ids-only'];
 		const excludeDfu = args['exclude-dfu'];
+		const { json } = args;
 		const filter = args.params.filter;
 
-		const filterFunc = buildDeviceFilter(filter);
+		let filterFunc;
+		try {
+			filterFunc = parseDeviceFilter(filter);
+		} catch (error) {
+			return Promise.reject(usageError(error.message));
+		}
+
+		// Cloud details of each device so filters can use fields like `os` and `lastHeard`
+		const cloudDevices = new Map();
 
 		// Enumerate USB devices
 		return getUsbDevices({ dfuMode: !excludeDfu })
@@ -30,7 +42,7 @@ module.exports = class UsbCommand {
 				return asyncMapSeries(usbDevices, (usbDevice) => {
 					return openUsbDevice(usbDevice, { dfuMode: true })
 						.then(() => {
-							if (!idsOnly) {
+							if (!idsOnly || filterFunc) {
 								return getDevice({
 									id: usbDevice.id,
 									api: this._api,
@@ -59,6 +71,7 @@ module.exports = class UsbCommand {
 							return Promise.all(info);
 						})
 						.then(([device, isInDfuMode, mode]) => {
+							cloudDevices.set(usbDevice.id, device || {});
 							const { name, platform_id: platformID, connected } = device || {};
 							const platform = isKnownPlatformId(usbDevice.platformId) ? platformForId(usbDevice.platformId).displayName :
 								`Platform ${usbDevice.platformId}`;
@@ -84,21 +97,24 @@ module.exports = class UsbCommand {
 				});
 			})
 			.then(devices => {
-				if (idsOnly) {
+				if (!idsOnly) {
+					devices = devices.sort((a, b) => a.name.localeCompare(b.name)); // Sort devices by name
+				}
+
+				if (filterFunc) {
+					devices = devices.filter(device => filterFunc(Object.assign({}, cloudDevices.get(device.id), device)));
+				}
+
+				if (json) {
+					console.log(new JSONResult(null, devices).toString());
+				} else if (idsOnly) {
 					devices.forEach(device => console.log(device.id));
+				} else if (devices.length === 0) {
+					console.log('No devices found.');
 				} else {
-					if (devices.length === 0) {
-						console.log('No devices found.');
-					} else {
-						devices = devices.sort((a, b) => a.name.localeCompare(b.name)); // Sort devices by name
-
-						if (filter) {
-							devices = devices.filter(filterFunc);
-						}
-						devices.forEach(device => {
-							console.log(formatDeviceInfo(device));
-						});
-					}
+					devices.forEach(device => {
+						console.log(formatDeviceInfo(device));
+					});
 				}
 			});
 	}
@@ -10,6 +10,7 @@ const settings = require('../../settings');
 const LegacyApiClient = require('../lib/api-client');
 const ParticleAPI = require('./api');
 const CLICommandBase = require('./base');
+const { JSONResult } = require('../lib/json-result');
 
 const { normalizedApiError } = LegacyApiClient;
 
@@ -19,15 +20,22 @@ module.exports = class VariableCommand extends CLICommandBase {
 		super(...args);
 	}
 
-	listVariables(){
-		return this.getAllVariablesWithCache()
-			.then(devices => this.ui.logDeviceDetail(devices, { varsOnly: true }))
+	listVariables({ json } = {}){
+		return this.getAllVariablesWithCache({ json })
+			.then(devices => {
+				if (json){
+					const data = (devices || []).map(({ id, name, connected, variables }) => ({ id, name, connected, variables: variables || {} }));
+					this.ui.stdout.write(`${new JSONResult(null, data).toString()}${os.EOL}`);
+				} else {
+					this.ui.logDeviceDetail(devices, { varsOnly: true });
+				}
+			})
 			.catch(err => {
 				throw new VError(normalizedApiError(err), 'Error while listing variables');
 			});
 	}
 
-	getValue({ time, product, params: { device, variableName } }){
+	getValue({ time, product, json, params: { device, variableName } }){
 		if (product){
 			if (!device){
 				return this.showUsageError(
@@ -45,13 +53,17 @@ module.exports = class VariableCommand extends CLICommandBase {
 
 			const msg = `Fetching variable ${variableName} from device ${device} in product ${product}`;
 			const fetchVar = createAPI().getVariable(device, variableName, product);
-			return this.ui.showBusySpinnerUntilResolved(msg, fetchVar)
+			return (json ? fetchVar : this.ui.showBusySpinnerUntilResolved(msg, fetchVar))
 				.then(res => {
-					this.ui.stdout.write(`${res.result}${os.EOL}`);
+					if (json){
+						this.ui.stdout.write(`${new JSONResult(null, res).toString()}${os.EOL}`);
+					} else {
+						this.ui.stdout.write(`${res.result}${os.EOL}`);
+					}
 				})
 				.catch(error => {
 					const message = `Error fetching variable: \`${variableName}\``;
-					throw createAPIErrorResult({ error, message });
+					throw createAPIErrorResult({ error, message, json });
 				});
 		}
 
@@ -59,19 +71,19 @@ module.exports = class VariableCommand extends CLICommandBase {
 			.then(() => {
 				if (!device && !variableName){
 					//they just didn't provide any args...
-					return this.listVariables();
+					return this.listVariables({ json });
 				} else if (device && !variableName){
 					//try to figure out if they left off a variable name, or if they want to pull a var from all devices.
-					return this.disambiguateGetValue({ device }).then(({ deviceIds, variableName }) => {
-						return this._getValue(deviceIds, variableName, { time });
+					return this.disambiguateGetValue({ device, json }).then(({ deviceIds, variableName }) => {
+						return this._getValue(deviceIds, variableName, { time, json });
 					});
 				} else if (device === 'all' && variableName){
-					return this.disambiguateGetValue({ variableName }).then(({ deviceIds, variableName }) => {
-						return this._getValue(deviceIds, variableName, { time });
+					return this.disambiguateGetValue({ variableName, json }).then(({ deviceIds, variableName }) => {
+						return this._getValue(deviceIds, variableName, { time, json });
 					});
 				}
 
-				return this._getValue(device, variableName, { time });
+				return this._getValue(device, variableName, { time, json });
 			})
 			.catch(err => {
 				const api = new LegacyApiClient();
@@ -79,7 +91,7 @@ module.exports = class VariableCommand extends CLICommandBase {
 			});
 	}
 
-	_getValue(deviceId, variableName, { time }){
+	_getValue(deviceId, variableName, { time, json }){
 		if (!Array.isArray(deviceId)){
 			deviceId = [deviceId];
 		}
@@ -95,6 +107,16 @@ module.exports = class VariableCommand extends CLICommandBase {
 				const now = moment().format();
 				let hasErrors = false;
 
+				if (json){
+					const errors = filter(results, 'error');
+					if (errors.length){
+						throw new VError(`Some variables could not be read: ${map(errors, 'error').join(', ')}`);
+					}
+					const data = results.map(result => time ? Object.assign({ time: now }, result) : result);
+					this.ui.stdout.write(`${new JSONResult(null, multipleCores ? data : data[0]).toString()}${os.EOL}`);
+					return results;
+				}
+
 				for (let i = 0; i < results.length; i++){
 					const parts = [];
 					const result = results[i];
@@ -162,12 +184,12 @@ module.exports = class VariableCommand extends CLICommandBase {
 			.catch(retry);
 	}
 
-	disambiguateGetValue({ device, variableName }){
+	disambiguateGetValue({ device, variableName, json }){
 		//if their deviceId actually matches a device, list those variables.
 		//if their deviceId is null, get that var from the relevant devices
 
 		//this gets cached after the first request
-		return this.getAllVariablesWithCache()
+		return this.getAllVariablesWithCache({ json })
 			.then((deviceList) => {
 				if (device){
 					const deviceDetail = find(deviceList, (d) => {
@@ -212,12 +234,14 @@ module.exports = class VariableCommand extends CLICommandBase {
 		}
 	}
 
-	getAllVariablesWithCache(){
+	getAllVariablesWithCache({ json } = {}){
 		if (this._cachedVariableList){
 			return Promise.resolve(this._cachedVariableList);
 		}
 
-		this.ui.stdout.write(`polling server to see what devices are online, and what variables are available${os.EOL}`);
+		// keep stdout for the JSON result
+		const status = json ? this.ui.stderr : this.ui.stdout;
+		status.write(`polling server to see what devices are online, and what variables are available${os.EOL}`);
 
 		const api = new LegacyApiClient();
 		api.ensureToken();
@@ -226,7 +250,7 @@ module.exports = class VariableCommand extends CLICommandBase {
 			.then(() => api.listDevices())
 			.then(devices => {
 				if (!devices || (devices.length === 0)){
-					this.ui.stdout.write(`No devices found.${os.EOL}`);
+					status.write(`No devices found.${os.EOL}`);
 					this._cachedVariableList = null;
 				} else {
 					const promises = [];
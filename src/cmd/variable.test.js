@@ -1,6 +1,7 @@
 const os = require('os');
 const { expect, sinon } = require('../../test/setup');
 const { withConsoleStubs } = require('../../test/lib/mocha-utils');
+const LegacyApiClient = require('../lib/api-client');
 const VariableCommand = require('./variable');
 
 
@@ -81,5 +82,44 @@ describe('Variable Command', () => {
 			expect(error).to.have.property('message', 'Error while monitoring variable: whoops!');
 		});
 	});
+
+	describe('Getting a variable', () => {
+		const device = '000000000000000xdeadbeef';
+		const variableName = 'temperature';
+
+		beforeEach(() => {
+			sandbox.stub(LegacyApiClient.prototype, 'ensureToken');
+			sandbox.stub(LegacyApiClient.prototype, 'getVariable');
+		});
+
+		it('Outputs the value as JSON', withConsoleStubs(sandbox, async () => {
+			const cmd = new VariableCommand();
+			const result = { name: variableName, result: 21.5, coreInfo: { deviceID: device } };
+			LegacyApiClient.prototype.getVariable.resolves(result);
+
+			await cmd.getValue({ json: true, params: { device, variableName } });
+
+			expect(process.stdout.write).to.have.callCount(1);
+			expect(JSON.parse(process.stdout.write.firstCall.args[0])).to.eql({
+				meta: { version: '1.0.0' },
+				data: result
+			});
+		}));
+
+		it('Throws when the value could not be read', withConsoleStubs(sandbox, async () => {
+			const cmd = new VariableCommand();
+			LegacyApiClient.prototype.getVariable.resolves({ error: 'Variable not found' });
+			let error;
+
+			try {
+				await cmd.getValue({ json: true, params: { device, variableName } });
+			} catch (e){
+				error = e;
+			}
+
+			expect(process.stdout.write).to.have.callCount(0);
+			expect(error).to.have.property('message', 'Error while reading value: Some variables could not be read: Variable not found');
+		}));
+	});
 });
 
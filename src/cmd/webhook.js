@@ -3,6 +3,7 @@ const VError = require('verror');
 const prompt = require('inquirer').prompt;
 const ApiClient = require('../lib/api-client');
 const { tryParse, getFilenameExt, asyncMapSeries } = require('../lib/utilities');
+const { JSONResult } = require('../lib/json-result');
 
 
 module.exports = class WebhookCommand {
@@ -112,13 +113,18 @@ module.exports = class WebhookCommand {
 			});
 	}
 
-	listHooks() {
+	listHooks({ json } = {}) {
 		const api = new ApiClient();
 
 		api.ensureToken();
 
 		return api.listWebhooks()
 			.then(hooks => {
+				if (json) {
+					console.log(new JSONResult(null, hooks).toString());
+					return;
+				}
+
 				console.log('Found ' + hooks.length + ' hooks registered\n');
 
 				for (let i=0;i < hooks.length;i++) {
@@ -3,6 +3,7 @@ const VError = require('verror');
 const settings = require('../../settings');
 const ApiClient = require('../lib/api-client');
 const spinnerMixin = require('../lib/spinner-mixin');
+const { JSONResult } = require('../lib/json-result');
 
 const arrow = chalk.green('>');
 
@@ -12,7 +13,7 @@ module.exports = class WhoAmICommand {
 		spinnerMixin(this);
 	}
 
-	getUsername(){
+	getUsername({ json } = {}){
 		const api = new ApiClient();
 
 		return Promise.resolve()
@@ -21,7 +22,9 @@ module.exports = class WhoAmICommand {
 					throw new VError('You are not signed in! Please run: `particle login`');
 				}
 
-				this.newSpin('Checking...').start();
+				if (!json){
+					this.newSpin('Checking...').start();
+				}
 
 				return api.getUser();
 			})
@@ -30,7 +33,11 @@ module.exports = class WhoAmICommand {
 
 				this.stopSpin();
 
-				console.log(arrow, username);
+				if (json){
+					console.log(new JSONResult(null, { username }).toString());
+				} else {
+					console.log(arrow, username);
+				}
 				return username;
 			})
 			.catch(error => {
@@ -110,6 +110,23 @@ describe('Whoami Commands', () => {
 			});
 	}));
 
+	it('outputs the username as JSON without a spinner', withConsoleStubs(sandbox, () => {
+		const { whoami, api } = stubForWhoAmI(new WhoAmICommands(), stubs);
+		api.getUser.returns(fakeUserPromise);
+		api.hasToken.returns(true);
+
+		return whoami.getUsername({ json: true })
+			.then(username => {
+				expect(username).to.equal(fakeUser.username);
+				expect(whoami.newSpin).to.have.property('callCount', 0);
+				expect(process.stdout.write).to.have.property('callCount', 1);
+				expect(JSON.parse(process.stdout.write.firstCall.args[0])).to.eql({
+					meta: { version: '1.0.0' },
+					data: { username: fakeUser.username }
+				});
+			});
+	}));
+
 	function expectSuccessMessage(username){
 		expect(process.stdout.write).to.have.property('callCount', 1);
 		expect(process.stdout.write.firstCall.args[0])
@@ -1,51 +1,114 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const settings = require('../../settings');
 const ParticleCache = require('./particle-cache');
 
+const HOUR = 60 * 60 * 1000;
+
+// Read-only requests answered from the cache. `key` picks the arguments that identify a response,
+// `ttl` is how long a response is used without asking the API again (0 means only when the API
+// can't be reached or the CLI is offline) and `notFound` describes a missing response. The responses
+// of `perAccount` requests depend on who is logged in so their key includes the access token hash
+const CACHED_REQUESTS = {
+	getDeviceOsVersions: {
+		name: 'device_os_version',
+		ttl: HOUR,
+		key: (platformId, version) => ({ platformId, version }),
+		notFound: (platformId, version) => `Device OS version not found in cache for platform: ${platformId} version: ${version}`
+	},
+	getDevice: {
+		name: 'device',
+		ttl: 0,
+		perAccount: true,
+		key: ({ deviceId }) => ({ deviceIdOrName: deviceId }),
+		notFound: ({ deviceId }) => `Device ${deviceId} not found in cache`
+	},
+	listDevices: {
+		name: 'devices',
+		ttl: 0,
+		perAccount: true,
+		key: (options = {}) => _.pick(options, ['deviceId', 'deviceName', 'groups', 'sortAttr', 'sortDir', 'page', 'perPage', 'product']),
+		notFound: ({ product } = {}) => `${product ? `Product ${product} device` : 'Device'} list not found in cache`
+	},
+	listBuildTargets: {
+		name: 'build_targets',
+		ttl: HOUR,
+		key: (onlyFeatured) => ({ onlyFeatured: !!onlyFeatured }),
+		notFound: () => 'Build targets not found in cache'
+	},
+	listLibraries: {
+		name: 'libraries',
+		ttl: HOUR,
+		key: (query = {}) => _.omit(query, ['auth']),
+		notFound: () => 'Library list not found in cache'
+	},
+	getLibrary: {
+		name: 'library',
+		ttl: HOUR,
+		key: (query = {}) => _.omit(query, ['auth']),
+		notFound: ({ name } = {}) => `Library ${name} not found in cache`
+	},
+	getLibraryVersions: {
+		name: 'library_versions',
+		ttl: HOUR,
+		key: (query = {}) => _.omit(query, ['auth']),
+		notFound: ({ name } = {}) => `Versions of library ${name} not found in cache`
+	}
+};
+
 class ApiCache {
-	constructor(api) {
+	constructor(api, { offline = global.offline, refresh = global.refreshCache, accessToken = settings.access_token } = {}) {
 		this.api = api;
 		this.cache = new ParticleCache();
+		this.account = accessToken ? hashAccessToken(accessToken) : null;
+		this.offline = !!offline;
+		this.refresh = !!refresh;
 	}
 
-	async getDeviceOsVersions(platformId, version) {
-		const key = this.cache._generateKey('device_os_version', { platformId, version });
-		try {
-			const deviceOsVersion = await this.api.getDeviceOsVersions(platformId, version);
-			this.cache.set(key, deviceOsVersion);
-			return deviceOsVersion;
-		} catch (error) {
-			if (isInternetConnectionError(error)) {
-				const cachedDeviceOsVersion = this.cache.get(key);
-				if (cachedDeviceOsVersion) {
-					return cachedDeviceOsVersion;
-				}
-				throw new Error(`Device OS version not found in cache for platform: ${platformId} version: ${version} and there was an internet connection error`);
+	async _cachedRequest(method, args) {
+		const { name, ttl, perAccount, key: getKeyOptions, notFound } = CACHED_REQUESTS[method];
+		const keyOptions = perAccount ? { ...getKeyOptions(...args), account: this.account } : getKeyOptions(...args);
+		const key = this.cache._generateKey(name, _.omitBy(keyOptions, _.isNil));
 
+		if (this.offline) {
+			const cached = this.cache.get(key);
+			if (cached) {
+				return cached;
+			}
+			throw new Error(`${notFound(...args)} and the CLI is offline`);
+		}
+
+		if (ttl && !this.refresh) {
+			const entry = this.cache.getEntry(key);
+			if (this.cache.isFresh(entry)) {
+				return entry.value;
 			}
-			throw error;
 		}
-	}
 
-	async getDevice({ deviceId: id, auth }) {
-		const key = this.cache._generateKey('device', { deviceIdOrName: id });
 		try {
-			const device = await this.api.getDevice({ deviceId: id, auth });
-			this.cache.set(key, device);
-			return device;
+			const value = await this.api[method](...args);
+			this.cache.set(key, value, { ttl });
+			return value;
 		} catch (error) {
 			if (isInternetConnectionError(error)) {
-				const cachedDevice = this.cache.get(key);
-				if (cachedDevice) {
-					return cachedDevice;
+				const cached = this.cache.get(key);
+				if (cached) {
+					return cached;
 				}
-				throw new Error(`Device ${id} not found in cache and there was an internet connection error`);
+				throw new Error(`${notFound(...args)} and there was an internet connection error`);
 			}
 			throw error;
 		}
 	}
 }
 
+function hashAccessToken(accessToken) {
+	return crypto.createHash('sha256').update(accessToken).digest('hex').substring(0, 16);
+}
+
 function isInternetConnectionError(error) {
-	return error.message.includes('ECONNREFUSED') || error.message.includes('ENOTFOUND') || error.message.includes('Network error');
+	const message = (error && error.message) || String(error);
+	return message.includes('ECONNREFUSED') || message.includes('ENOTFOUND') || message.includes('Network error');
 }
 
 const proxyHandler = {
@@ -54,6 +117,8 @@ const proxyHandler = {
 			return target[prop].bind(target);
 		} else if (prop === 'api') {
 			return createApiCache(target.api);
+		} else if (CACHED_REQUESTS[prop] && typeof target.api[prop] === 'function') {
+			return (...args) => target._cachedRequest(prop, args);
 		} else if (typeof target.api[prop] === 'function') {
 			return target.api[prop].bind(target.api);
 		} else {
@@ -62,8 +127,8 @@ const proxyHandler = {
 	}
 };
 
-function createApiCache(api) {
-	const apiCache = new ApiCache(api);
+function createApiCache(api, options) {
+	const apiCache = new ApiCache(api, options);
 	return new Proxy(apiCache, proxyHandler);
 }
 
@@ -1,11 +1,15 @@
+const crypto = require('crypto');
 const { expect, sinon } = require('../../test/setup');
 const createApiCache = require('./api-cache');
 const ParticleCache = require('./particle-cache');
 
 describe('api-cache', () => {
+	const account = crypto.createHash('sha256').update('abc').digest('hex').substring(0, 16);
+
 	beforeEach(() => {
 		sinon.stub(ParticleCache.prototype, 'get');
 		sinon.stub(ParticleCache.prototype, 'set');
+		sinon.stub(ParticleCache.prototype, 'getEntry').returns(null);
 	});
 
 	afterEach(async () => {
@@ -49,8 +53,8 @@ describe('api-cache', () => {
 				getDevice: sinon.stub().resolves({})
 			};
 
-			const apiCache = createApiCache(api);
-			const expectedKey = apiCache.cache._generateKey('device', { deviceIdOrName: 'abc123' });
+			const apiCache = createApiCache(api, { accessToken: 'abc' });
+			const expectedKey = apiCache.cache._generateKey('device', { deviceIdOrName: 'abc123', account });
 			await apiCache.getDevice({ deviceId: 'abc123', auth: 'abc' });
 			expect(api.getDevice).to.have.been.calledWith({ deviceId: 'abc123', auth: 'abc' });
 			expect(ParticleCache.prototype.set).to.have.been.calledWith(expectedKey, {});
@@ -61,8 +65,8 @@ describe('api-cache', () => {
 			const api = {
 				getDevice: sinon.stub().rejects(new Error('ECONNREFUSED'))
 			};
-			const apiCache = createApiCache(api);
-			const expectedKey = apiCache.cache._generateKey('device', { deviceIdOrName: 'abc123' });
+			const apiCache = createApiCache(api, { accessToken: 'abc' });
+			const expectedKey = apiCache.cache._generateKey('device', { deviceIdOrName: 'abc123', account });
 			try {
 				await apiCache.getDevice({ deviceId: 'abc123', auth: 'abc' });
 			} catch (_error) {
@@ -73,4 +77,106 @@ describe('api-cache', () => {
 			expect(error.message).to.equal('Device abc123 not found in cache and there was an internet connection error');
 		});
 	});
+
+	describe('listDevices', () => {
+		it('caches the device list of a product', async () => {
+			const api = {
+				listDevices: sinon.stub().resolves({ devices: [] })
+			};
+
+			const apiCache = createApiCache(api, { accessToken: 'abc' });
+			const expectedKey = apiCache.cache._generateKey('devices', { page: 1, product: 1234, account });
+			await apiCache.listDevices({ product: 1234, page: 1, groups: undefined });
+			expect(api.listDevices).to.have.been.calledWith({ product: 1234, page: 1, groups: undefined });
+			expect(ParticleCache.prototype.set).to.have.been.calledWith(expectedKey, { devices: [] }, { ttl: 0 });
+		});
+
+		it('keeps the device lists of different accounts apart', async () => {
+			const api = {
+				listDevices: sinon.stub().resolves([])
+			};
+
+			await createApiCache(api, { accessToken: 'abc' }).listDevices();
+			await createApiCache(api, { accessToken: 'def' }).listDevices();
+			const [[firstKey], [secondKey]] = ParticleCache.prototype.set.args;
+			expect(firstKey).to.not.equal(secondKey);
+		});
+
+		it('returns the cached device list when offline', async () => {
+			const api = {
+				listDevices: sinon.stub().resolves([])
+			};
+			ParticleCache.prototype.get.returns([{ id: 'abc123' }]);
+
+			const apiCache = createApiCache(api, { offline: true });
+			const devices = await apiCache.listDevices();
+			expect(devices).to.eql([{ id: 'abc123' }]);
+			expect(api.listDevices).to.not.have.been.called;
+		});
+
+		it('throws if the device list is not cached when offline', async () => {
+			let error;
+			const api = {
+				listDevices: sinon.stub().resolves([])
+			};
+
+			const apiCache = createApiCache(api, { offline: true });
+			try {
+				await apiCache.listDevices({ product: 1234 });
+			} catch (_error) {
+				error = _error;
+			}
+			expect(error.message).to.equal('Product 1234 device list not found in cache and the CLI is offline');
+		});
+	});
+
+	describe('listBuildTargets', () => {
+		it('uses fresh cached responses', async () => {
+			const api = {
+				listBuildTargets: sinon.stub().resolves({ targets: [] })
+			};
+			ParticleCache.prototype.getEntry.returns({ value: { targets: ['cached'] }, createdAt: Date.now(), expiresAt: Date.now() + 1000 });
+
+			const apiCache = createApiCache(api);
+			const targets = await apiCache.listBuildTargets(true);
+			expect(targets).to.eql({ targets: ['cached'] });
+			expect(api.listBuildTargets).to.not.have.been.called;
+		});
+
+		it('ignores fresh cached responses when refreshing', async () => {
+			const api = {
+				listBuildTargets: sinon.stub().resolves({ targets: [] })
+			};
+			ParticleCache.prototype.getEntry.returns({ value: { targets: ['cached'] }, createdAt: Date.now(), expiresAt: Date.now() + 1000 });
+
+			const apiCache = createApiCache(api, { refresh: true });
+			const targets = await apiCache.listBuildTargets(true);
+			expect(targets).to.eql({ targets: [] });
+			expect(api.listBuildTargets).to.have.been.calledWith(true);
+		});
+	});
+
+	describe('library lookups', () => {
+		it('does not use the access token in the cache key', async () => {
+			const api = {
+				getLibrary: sinon.stub().resolves({ body: { data: {} } })
+			};
+
+			const apiCache = createApiCache(api);
+			const expectedKey = apiCache.cache._generateKey('library', { name: 'neopixel' });
+			await apiCache.getLibrary({ name: 'neopixel', auth: 'abc' });
+			expect(ParticleCache.prototype.set).to.have.been.calledWith(expectedKey, { body: { data: {} } });
+		});
+
+		it('forwards requests that are not cached to the api', async () => {
+			const api = {
+				contributeLibrary: sinon.stub().resolves({ body: {} })
+			};
+
+			const apiCache = createApiCache(api, { offline: true });
+			await apiCache.contributeLibrary({ archive: 'archive' });
+			expect(api.contributeLibrary).to.have.been.calledWith({ archive: 'archive' });
+			expect(ParticleCache.prototype.set).to.not.have.been.called;
+		});
+	});
 });
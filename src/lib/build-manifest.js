@@ -0,0 +1,94 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const propertiesParser = require('properties-parser');
+const { HalModuleParser } = require('binary-version-reader');
+const { platformForId, isKnownPlatformId } = require('./platform');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_SUFFIX = '.build-manifest.json';
+
+/**
+ * Describes everything a compiled binary was built from so the build can be reproduced and checked later
+ * @param {Object} options
+ * @param {Buffer} options.binary - the application binary
+ * @param {Object} options.fileMapping - the files sent to the compiler relative to its basePath
+ * @param {Number} options.platformId
+ * @param {String} [options.targetVersion] - the Device OS version, the latest one when not set
+ * @param {Object[]} [options.assets] - { name, data } of the bundled assets
+ * @param {String} options.cliVersion
+ * @param {Date} [options.createdAt]
+ * @returns {Promise<Object>}
+ */
+async function createBuildManifest({ binary, fileMapping, platformId, targetVersion, assets, cliVersion, createdAt = new Date() }) {
+	const fileInfo = await new HalModuleParser().parseBuffer({ fileBuffer: binary });
+	const targets = Object.keys(fileMapping.map).sort();
+	const sources = [];
+	let properties = {};
+	for (const target of targets) {
+		const content = await fs.readFile(path.resolve(fileMapping.basePath || '', fileMapping.map[target]));
+		sources.push({ file: target.replace(/\\/g, '/'), sha256: sha256(content) });
+		if (path.basename(target) === 'project.properties') {
+			properties = propertiesParser.parse(content.toString('utf8'));
+		}
+	}
+
+	return {
+		manifestVersion: MANIFEST_VERSION,
+		createdAt: createdAt.toISOString(),
+		cliVersion,
+		platform: isKnownPlatformId(platformId) ? platformForId(platformId).name : null,
+		platformId,
+		targetVersion: targetVersion || 'latest',
+		binary: {
+			size: binary.length,
+			crc: fileInfo.crc.actualCrc,
+			sha256: fileInfo.suffixInfo.fwUniqueId
+		},
+		sources,
+		libraries: Object.keys(properties)
+			.filter(key => key.startsWith('dependencies.'))
+			.map(key => ({ name: key.slice('dependencies.'.length), version: properties[key] })),
+		assets: (assets || []).map(({ name, data }) => ({ name, sha256: sha256(data) }))
+	};
+}
+
+/**
+ * Compares a parsed binary and its assets to the manifest written when it was compiled
+ * @param {Object} manifest - created by `createBuildManifest`
+ * @param {Object} fileInfo - the application binary parsed by `HalModuleParser`
+ * @param {Object[]} [assets] - { name, data } of the assets in the bundle
+ * @returns {Object[]} { name, expected, actual, ok } for every check
+ */
+function verifyBuildManifest(manifest, fileInfo, assets = []) {
+	const binary = manifest.binary || {};
+	const checks = [
+		{ name: 'platform', expected: manifest.platformId, actual: fileInfo.prefixInfo.platformID },
+		{ name: 'crc', expected: binary.crc, actual: fileInfo.crc.actualCrc },
+		{ name: 'sha256', expected: binary.sha256, actual: fileInfo.suffixInfo.fwUniqueId }
+	];
+	for (const asset of manifest.assets || []) {
+		const bundled = assets.find(({ name }) => name === asset.name);
+		checks.push({ name: `asset ${asset.name}`, expected: asset.sha256, actual: bundled ? sha256(bundled.data) : null });
+	}
+	return checks.map(check => Object.assign(check, { ok: check.expected === check.actual }));
+}
+
+/**
+ * The manifest of `boron_firmware.bin` is `boron_firmware.build-manifest.json`, next to it
+ * @param {String} filename - the binary or bundle
+ * @returns {String}
+ */
+function buildManifestPath(filename) {
+	return path.join(path.dirname(filename), path.basename(filename, path.extname(filename)) + MANIFEST_SUFFIX);
+}
+
+function sha256(data) {
+	return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = {
+	createBuildManifest,
+	verifyBuildManifest,
+	buildManifestPath
+};
@@ -0,0 +1,89 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { HalModuleParser } = require('binary-version-reader');
+const { expect } = require('../../test/setup');
+const { PATH_TMP_DIR, PATH_FIXTURES_BINARIES_DIR } = require('../../test/lib/env');
+const { createBuildManifest, verifyBuildManifest, buildManifestPath } = require('./build-manifest');
+
+
+describe('build-manifest', () => {
+	const projectDir = path.join(PATH_TMP_DIR, 'project');
+	const fileMapping = {
+		basePath: PATH_TMP_DIR,
+		map: {
+			'src/app.cpp': 'project/src/app.cpp',
+			'project.properties': 'project/project.properties'
+		}
+	};
+	const assets = [{ name: 'cat.txt', data: Buffer.from('meow') }];
+	let binary;
+
+	beforeEach(async () => {
+		binary = await fs.readFile(path.join(PATH_FIXTURES_BINARIES_DIR, 'argon_stroby.bin'));
+		await fs.outputFile(path.join(projectDir, 'src/app.cpp'), 'void setup() {}\n');
+		await fs.outputFile(path.join(projectDir, 'project.properties'), 'name=app\ndependencies.neopixel=1.0.4\ndependencies.JsonParserGeneratorRK=0.1.7\n');
+	});
+
+	afterEach(async () => {
+		await fs.remove(projectDir);
+	});
+
+	describe('createBuildManifest', () => {
+		it('describes the binary and what it was built from', async () => {
+			const createdAt = new Date('2026-01-02T03:04:05Z');
+
+			const manifest = await createBuildManifest({ binary, fileMapping, platformId: 12, targetVersion: '5.6.0', assets, cliVersion: '3.22.0', createdAt });
+
+			expect(manifest).to.include({
+				manifestVersion: 1,
+				createdAt: '2026-01-02T03:04:05.000Z',
+				cliVersion: '3.22.0',
+				platform: 'argon',
+				platformId: 12,
+				targetVersion: '5.6.0'
+			});
+			expect(manifest.binary).to.eql({
+				size: binary.length,
+				crc: 'da140931',
+				sha256: 'aa2e89710f3fa2a5d4ebe20d5dd542bfc606c7e863f70f4ad61e71c961ab58e6'
+			});
+			expect(manifest.sources.map(source => source.file)).to.eql(['project.properties', 'src/app.cpp']);
+			expect(manifest.sources[1].sha256).to.match(/^[0-9a-f]{64}$/);
+			expect(manifest.libraries).to.eql([
+				{ name: 'neopixel', version: '1.0.4' },
+				{ name: 'JsonParserGeneratorRK', version: '0.1.7' }
+			]);
+			expect(manifest.assets).to.eql([{ name: 'cat.txt', sha256: '404cdd7bc109c432f8cc2443b45bcfe95980f5107215c645236e577929ac3e52' }]);
+		});
+
+		it('records the latest target when no version is picked', async () => {
+			const manifest = await createBuildManifest({ binary, fileMapping, platformId: 12, cliVersion: '3.22.0' });
+
+			expect(manifest).to.include({ targetVersion: 'latest' });
+			expect(manifest.assets).to.eql([]);
+		});
+	});
+
+	describe('verifyBuildManifest', () => {
+		it('checks the platform, the CRC, the SHA and the assets of a binary', async () => {
+			const manifest = await createBuildManifest({ binary, fileMapping, platformId: 12, assets, cliVersion: '3.22.0' });
+			const fileInfo = await new HalModuleParser().parseBuffer({ fileBuffer: binary });
+
+			expect(verifyBuildManifest(manifest, fileInfo, assets).map(check => check.ok)).to.eql([true, true, true, true]);
+
+			manifest.binary.crc = '00000000';
+			const checks = verifyBuildManifest(manifest, fileInfo, []);
+			expect(checks.filter(check => !check.ok)).to.eql([
+				{ name: 'crc', expected: '00000000', actual: 'da140931', ok: false },
+				{ name: 'asset cat.txt', expected: manifest.assets[0].sha256, actual: null, ok: false }
+			]);
+		});
+	});
+
+	describe('buildManifestPath', () => {
+		it('puts the manifest next to the binary', () => {
+			expect(buildManifestPath(path.join('out', 'boron_firmware.bin'))).to.equal(path.join('out', 'boron_firmware.build-manifest.json'));
+			expect(buildManifestPath('app.zip')).to.equal('app.build-manifest.json');
+		});
+	});
+});
@@ -0,0 +1,58 @@
+const semver = require('semver');
+
+/**
+ * Lists the Device OS versions available for a platform, newest first
+ * @param {Object} data - the response of `listBuildTargets`
+ * @param {Number} platformId
+ * @returns {Object[]} { version, prerelease }
+ */
+function platformTargets(data, platformId) {
+	const targets = data.targets
+		.filter(target => target.platforms.includes(platformId) && semver.valid(target.version))
+		.map(target => ({
+			version: target.version,
+			prerelease: !!semver.prerelease(target.version) || (target.prereleases || []).includes(platformId)
+		}));
+	return targets.sort((a, b) => semver.rcompare(a.version, b.version));
+}
+
+/**
+ * Long term support releases are the even major versions starting with 2.x
+ * @param {String} version
+ * @returns {Boolean}
+ */
+function isLts(version) {
+	const major = semver.major(version);
+	return major >= 2 && major % 2 === 0;
+}
+
+/**
+ * Picks the version matching `target` among the versions of a platform
+ * @param {String} target - a version, a semver range like `^5.5`, `latest` or `lts`
+ * @param {Object[]} targets - created by `platformTargets`
+ * @param {Object} [options]
+ * @param {Boolean} [options.prerelease] - `latest`, `lts` and ranges can pick prereleases. An exact version is always accepted
+ * @returns {String|null} the matching version, or null when none matches
+ */
+function resolveTarget(target, targets, { prerelease = false } = {}) {
+	if (targets.some(t => t.version === target)) {
+		return target;
+	}
+	const candidates = targets.filter(t => prerelease || !t.prerelease).map(t => t.version);
+	if (target === 'latest') {
+		return candidates[0] || null;
+	}
+	if (target === 'lts') {
+		return candidates.find(isLts) || null;
+	}
+	if (!semver.validRange(target)) {
+		return null;
+	}
+	return semver.maxSatisfying(candidates, target, { includePrerelease: prerelease });
+}
+
+module.exports = {
+	platformTargets,
+	isLts,
+	resolveTarget
+};
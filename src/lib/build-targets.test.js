@@ -0,0 +1,78 @@
+const { expect } = require('../../test/setup');
+const { platformTargets, isLts, resolveTarget } = require('./build-targets');
+
+
+describe('build-targets', () => {
+	const data = {
+		targets: [
+			{ version: '4.2.0', platforms: [12, 13], prereleases: [] },
+			{ version: '5.5.0', platforms: [12, 13], prereleases: [] },
+			{ version: '5.6.0', platforms: [13], prereleases: [] },
+			{ version: '6.1.0', platforms: [13], prereleases: [13] },
+			{ version: '6.0.0-beta.1', platforms: [13], prereleases: [] },
+			{ version: '4.0.0', platforms: [13], prereleases: [] }
+		]
+	};
+	const boron = platformTargets(data, 13);
+
+	describe('platformTargets', () => {
+		it('lists the versions of the platform newest first', () => {
+			expect(boron).to.eql([
+				{ version: '6.1.0', prerelease: true },
+				{ version: '6.0.0-beta.1', prerelease: true },
+				{ version: '5.6.0', prerelease: false },
+				{ version: '5.5.0', prerelease: false },
+				{ version: '4.2.0', prerelease: false },
+				{ version: '4.0.0', prerelease: false }
+			]);
+			expect(platformTargets(data, 12).map(t => t.version)).to.eql(['5.5.0', '4.2.0']);
+		});
+	});
+
+	describe('isLts', () => {
+		it('is true for the even major versions', () => {
+			expect(['2.3.0', '4.2.0', '6.1.0'].map(isLts)).to.eql([true, true, true]);
+			expect(['1.5.2', '3.3.0', '5.6.0'].map(isLts)).to.eql([false, false, false]);
+		});
+	});
+
+	describe('resolveTarget', () => {
+		it('accepts exact versions', () => {
+			expect(resolveTarget('5.5.0', boron)).to.equal('5.5.0');
+			expect(resolveTarget('5.4.0', boron)).to.equal(null);
+		});
+
+		it('picks the newest version in a semver range', () => {
+			expect(resolveTarget('^5.5', boron)).to.equal('5.6.0');
+			expect(resolveTarget('>=4.2 <5', boron)).to.equal('4.2.0');
+			expect(resolveTarget('5.5.x', boron)).to.equal('5.5.0');
+			expect(resolveTarget('^7', boron)).to.equal(null);
+			expect(resolveTarget('not a version', boron)).to.equal(null);
+		});
+
+		it('resolves latest and lts to stable versions', () => {
+			expect(resolveTarget('latest', boron)).to.equal('5.6.0');
+			expect(resolveTarget('lts', boron)).to.equal('4.2.0');
+		});
+
+		it('accepts exact prerelease versions', () => {
+			const featured = platformTargets({
+				targets: [
+					{ version: '6.2.0-rc.1', platforms: [13], prereleases: [] },
+					{ version: '5.6.0', platforms: [13], prereleases: [] }
+				]
+			}, 13);
+
+			expect(resolveTarget('6.2.0-rc.1', featured)).to.equal('6.2.0-rc.1');
+			expect(resolveTarget('6.1.0', boron)).to.equal('6.1.0');
+			expect(resolveTarget('latest', featured)).to.equal('5.6.0');
+		});
+
+		it('only picks prereleases for latest, lts and ranges when allowed', () => {
+			expect(resolveTarget('^6.0.0-beta', boron)).to.equal(null);
+			expect(resolveTarget('^6.0.0-beta', boron, { prerelease: true })).to.equal('6.1.0');
+			expect(resolveTarget('latest', boron, { prerelease: true })).to.equal('6.1.0');
+			expect(resolveTarget('lts', boron, { prerelease: true })).to.equal('6.1.0');
+		});
+	});
+});
@@ -0,0 +1,63 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const DAY = 24 * 60 * 60 * 1000;
+// a pinned target always builds the same binary but the latest target moves with Device OS releases
+const PINNED_TARGET_TTL = 30 * DAY;
+const LATEST_TARGET_TTL = DAY;
+
+/**
+ * Hashes everything a cloud compile depends on: the uploaded files and their content, the platform and the target
+ * @param {Object} options
+ * @param {Object} options.fileMapping - the files uploaded to the compile server relative to its basePath
+ * @param {Number} options.platformId
+ * @param {String} [options.targetVersion] - the Device OS version, the latest one when not set
+ * @returns {Promise<String>}
+ */
+async function hashCompileInputs({ fileMapping, platformId, targetVersion }) {
+	const hash = crypto.createHash('sha256');
+	hash.update(JSON.stringify({ platformId, targetVersion: targetVersion || 'latest' }));
+	for (const target of Object.keys(fileMapping.map).sort()) {
+		const content = await fs.readFile(path.resolve(fileMapping.basePath || '', fileMapping.map[target]));
+		hash.update(`\0${target.replace(/\\/g, '/')}\0${content.length}\0`);
+		hash.update(content);
+	}
+	return hash.digest('hex');
+}
+
+/**
+ * Reads a compile result stored by `writeCachedCompile`
+ * @param {ParticleCache} cache
+ * @param {String} hash - created by `hashCompileInputs`
+ * @returns {Object|null} { binary, sizeInfo } or null when nothing fresh is cached
+ */
+function readCachedCompile(cache, hash) {
+	const entry = cache.getEntry(cache._generateKey('compile', { hash }));
+	if (!cache.isFresh(entry) || !entry.value || !entry.value.binary) {
+		return null;
+	}
+	return { binary: Buffer.from(entry.value.binary, 'base64'), sizeInfo: entry.value.sizeInfo };
+}
+
+/**
+ * Stores the binary and size info returned by the compile server.
+ * The results that are out of date are removed at the same time so binaries don't pile up in the cache
+ * @param {ParticleCache} cache
+ * @param {String} hash - created by `hashCompileInputs`
+ * @param {Object} result
+ * @param {Buffer} result.binary
+ * @param {String} [result.sizeInfo]
+ * @param {String} [result.targetVersion]
+ */
+function writeCachedCompile(cache, hash, { binary, sizeInfo, targetVersion }) {
+	const ttl = targetVersion ? PINNED_TARGET_TTL : LATEST_TARGET_TTL;
+	cache.clear({ expired: true, request: 'compile' });
+	cache.set(cache._generateKey('compile', { hash }), { binary: binary.toString('base64'), sizeInfo }, { ttl });
+}
+
+module.exports = {
+	hashCompileInputs,
+	readCachedCompile,
+	writeCachedCompile
+};
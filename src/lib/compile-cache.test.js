@@ -0,0 +1,86 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { expect } = require('../../test/setup');
+const ParticleCache = require('./particle-cache');
+const { PATH_TMP_DIR } = require('../../test/lib/env');
+const { hashCompileInputs, readCachedCompile, writeCachedCompile } = require('./compile-cache');
+
+
+describe('compile-cache', () => {
+	const originalEnv = process.env;
+	const projectDir = path.join(PATH_TMP_DIR, 'project');
+	const fileMapping = {
+		basePath: PATH_TMP_DIR,
+		map: {
+			'src/app.cpp': 'project/src/app.cpp',
+			'project.properties': 'project/project.properties'
+		}
+	};
+
+	beforeEach(async () => {
+		process.env = {
+			...originalEnv,
+			home: PATH_TMP_DIR,
+		};
+		await fs.outputFile(path.join(projectDir, 'src/app.cpp'), 'void setup() {}\n');
+		await fs.outputFile(path.join(projectDir, 'project.properties'), 'name=app\n');
+	});
+
+	afterEach(async () => {
+		process.env = originalEnv;
+		await fs.remove(path.join(PATH_TMP_DIR, '.particle/'));
+		await fs.remove(projectDir);
+	});
+
+	describe('hashCompileInputs', () => {
+		it('is the same for the same sources, platform and target', async () => {
+			const hash = await hashCompileInputs({ fileMapping, platformId: 13, targetVersion: '5.6.0' });
+			const reordered = { basePath: PATH_TMP_DIR, map: { 'project.properties': 'project/project.properties', 'src/app.cpp': 'project/src/app.cpp' } };
+
+			expect(hash).to.match(/^[0-9a-f]{64}$/);
+			expect(await hashCompileInputs({ fileMapping: reordered, platformId: 13, targetVersion: '5.6.0' })).to.equal(hash);
+		});
+
+		it('changes with the content of the files, the platform and the target', async () => {
+			const hash = await hashCompileInputs({ fileMapping, platformId: 13 });
+
+			expect(await hashCompileInputs({ fileMapping, platformId: 12 })).to.not.equal(hash);
+			expect(await hashCompileInputs({ fileMapping, platformId: 13, targetVersion: '5.6.0' })).to.not.equal(hash);
+			await fs.outputFile(path.join(projectDir, 'src/app.cpp'), 'void setup() { Serial.begin(); }\n');
+			expect(await hashCompileInputs({ fileMapping, platformId: 13 })).to.not.equal(hash);
+		});
+	});
+
+	describe('readCachedCompile', () => {
+		it('reads the binary and size info stored by writeCachedCompile', () => {
+			const cache = new ParticleCache();
+			writeCachedCompile(cache, 'abc', { binary: Buffer.from([0, 1, 2, 255]), sizeInfo: 'text data bss', targetVersion: '5.6.0' });
+
+			const result = readCachedCompile(cache, 'abc');
+
+			expect(result.binary.equals(Buffer.from([0, 1, 2, 255]))).to.equal(true);
+			expect(result.sizeInfo).to.equal('text data bss');
+			expect(readCachedCompile(cache, 'def')).to.equal(null);
+		});
+
+		it('ignores results that are out of date', () => {
+			const cache = new ParticleCache();
+			cache.set(cache._generateKey('compile', { hash: 'abc' }), { binary: 'AAE=', sizeInfo: '' }, { ttl: 0 });
+
+			expect(readCachedCompile(cache, 'abc')).to.equal(null);
+		});
+	});
+
+	describe('writeCachedCompile', () => {
+		it('removes the compile results that are out of date', () => {
+			const cache = new ParticleCache();
+			const deviceKey = cache._generateKey('device', { deviceIdOrName: 'abc123' });
+			cache.set(cache._generateKey('compile', { hash: 'abc' }), { binary: 'AAE=', sizeInfo: '' }, { ttl: 0 });
+			cache.set(deviceKey, { id: 'abc123' });
+
+			writeCachedCompile(cache, 'def', { binary: Buffer.from([0, 1]), targetVersion: '5.6.0' });
+
+			expect(cache.list().map(entry => entry.key).sort()).to.eql([cache._generateKey('compile', { hash: 'def' }), deviceKey].sort());
+		});
+	});
+});
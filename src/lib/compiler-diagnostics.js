@@ -0,0 +1,116 @@
+const os = require('os');
+const chalk = require('chalk');
+
+const FORMATS = ['pretty', 'gcc'];
+
+// `src/app.cpp:12:5: error: 'foo' was not declared in this scope`, the column is optional
+const DIAGNOSTIC = /^(.+?):(\d+):(?:(\d+):)?\s*(fatal error|error|warning|note):\s*(.*)$/;
+// `app.cpp:(.text.setup+0x4): undefined reference to 'foo'`
+const LINKER_ERROR = /^(.+?):\(.+?\):\s*(.*)$/;
+// `collect2: error: ld returned 1 exit status`
+const TOOL_ERROR = /^([\w.-]+):\s*(fatal error|error|warning):\s*(.*)$/;
+
+const SEVERITY_COLORS = {
+	error: chalk.red,
+	warning: chalk.yellow,
+	note: chalk.cyan
+};
+
+/**
+ * Parses the output of the compiler into diagnostics
+ * @param {String} output - what GCC printed on the compile server
+ * @param {Object} [options]
+ * @param {Object} [options.fileMap] - the paths on the compile server mapped to the local paths they were uploaded from
+ * @returns {Object[]} diagnostics with file, line, column, severity and message
+ */
+function parseDiagnostics(output, { fileMap = {} } = {}) {
+	const diagnostics = [];
+
+	for (const line of String(output || '').split(/\r?\n/)) {
+		let match = DIAGNOSTIC.exec(line);
+		if (match) {
+			const [, file, lineNumber, column, severity, message] = match;
+			diagnostics.push({
+				file: toLocalPath(file, fileMap),
+				line: Number(lineNumber),
+				column: column ? Number(column) : null,
+				severity: severity === 'fatal error' ? 'error' : severity,
+				message
+			});
+			continue;
+		}
+
+		match = TOOL_ERROR.exec(line);
+		if (match) {
+			const [, , severity, message] = match;
+			diagnostics.push({ file: null, line: null, column: null, severity: severity === 'fatal error' ? 'error' : severity, message });
+			continue;
+		}
+
+		match = LINKER_ERROR.exec(line);
+		if (match && /undefined reference|multiple definition/.test(match[2])) {
+			diagnostics.push({ file: toLocalPath(match[1], fileMap), line: null, column: null, severity: 'error', message: match[2] });
+		}
+	}
+	return diagnostics;
+}
+
+/**
+ * Renders diagnostics for the terminal or, with the gcc format, for editor problem matchers
+ * @param {Object[]} diagnostics - created by `parseDiagnostics`
+ * @param {Object} [options]
+ * @param {String} [options.format] - pretty or gcc
+ * @returns {String}
+ */
+function formatDiagnostics(diagnostics, { format = 'pretty' } = {}) {
+	switch (format) {
+		case 'gcc':
+			return diagnostics.map(diagnostic => {
+				return `${formatLocation(diagnostic) || 'particle'}: ${diagnostic.severity}: ${diagnostic.message}`;
+			}).join(os.EOL) + os.EOL;
+		case 'pretty': {
+			const lines = diagnostics.map(diagnostic => {
+				const location = formatLocation(diagnostic);
+				const severity = SEVERITY_COLORS[diagnostic.severity](diagnostic.severity);
+				return `${location ? `${chalk.bold(location)} ` : ''}${severity} ${diagnostic.message}`;
+			});
+			lines.push('', summarize(diagnostics));
+			return lines.join(os.EOL) + os.EOL;
+		}
+		default:
+			throw new Error(`Unknown format: ${format}. Format can be: ${FORMATS.join(', ')}`);
+	}
+}
+
+function formatLocation({ file, line, column }) {
+	if (!file) {
+		return '';
+	}
+	return [file, line, column].filter(part => part !== null).join(':');
+}
+
+function summarize(diagnostics) {
+	const count = (severity, label) => {
+		const total = diagnostics.filter(diagnostic => diagnostic.severity === severity).length;
+		return `${total} ${label}${total === 1 ? '' : 's'}`;
+	};
+	return `${count('error', 'error')}, ${count('warning', 'warning')}`;
+}
+
+// the server sees paths like `/workspace/src/app.cpp` for the `src/app.cpp` key of the file map
+function toLocalPath(serverPath, fileMap) {
+	const normalized = serverPath.replace(/\\/g, '/');
+	const key = Object.keys(fileMap)
+		.filter(name => {
+			const relative = name.replace(/\\/g, '/');
+			return normalized === relative || normalized.endsWith(`/${relative}`);
+		})
+		.sort((a, b) => b.length - a.length)[0];
+	return key ? fileMap[key] : serverPath;
+}
+
+module.exports = {
+	FORMATS,
+	parseDiagnostics,
+	formatDiagnostics
+};
@@ -0,0 +1,83 @@
+const os = require('os');
+const chalk = require('chalk');
+const { expect } = require('../../test/setup');
+const { parseDiagnostics, formatDiagnostics } = require('./compiler-diagnostics');
+
+
+describe('compiler-diagnostics', () => {
+	const output = [
+		'make -C ../modules/boron/user-part all',
+		'../../../build/target/user/platform-13-m/src/app.cpp: In function \'void setup()\':',
+		'/workspace/src/app.cpp:12:5: error: \'foo\' was not declared in this scope',
+		'   foo();',
+		'     ^',
+		'/workspace/lib/sensor/src/sensor.h:3:1: warning: \'int bar\' defined but not used [-Wunused-variable]',
+		'/workspace/src/app.cpp:4: note: in expansion of macro \'DEBUG\'',
+		'app.cpp:(.text.loop+0x8): undefined reference to `baz()\'',
+		'collect2: error: ld returned 1 exit status',
+		'make[1]: *** [target/app.elf] Error 1'
+	].join('\n');
+	const fileMap = {
+		'src/app.cpp': 'project/src/app.cpp',
+		'lib/sensor/src/sensor.h': 'project/lib/sensor/src/sensor.h'
+	};
+
+	describe('parseDiagnostics', () => {
+		it('parses the errors, warnings and notes with local paths', () => {
+			expect(parseDiagnostics(output, { fileMap })).to.eql([
+				{ file: 'project/src/app.cpp', line: 12, column: 5, severity: 'error', message: '\'foo\' was not declared in this scope' },
+				{ file: 'project/lib/sensor/src/sensor.h', line: 3, column: 1, severity: 'warning', message: '\'int bar\' defined but not used [-Wunused-variable]' },
+				{ file: 'project/src/app.cpp', line: 4, column: null, severity: 'note', message: 'in expansion of macro \'DEBUG\'' },
+				{ file: 'app.cpp', line: null, column: null, severity: 'error', message: 'undefined reference to `baz()\'' },
+				{ file: null, line: null, column: null, severity: 'error', message: 'ld returned 1 exit status' }
+			]);
+		});
+
+		it('keeps the server paths without a file map', () => {
+			const [diagnostic] = parseDiagnostics('/workspace/src/app.cpp:1:2: fatal error: Particle.h: No such file or directory');
+
+			expect(diagnostic).to.eql({ file: '/workspace/src/app.cpp', line: 1, column: 2, severity: 'error', message: 'Particle.h: No such file or directory' });
+		});
+
+		it('returns nothing for output without diagnostics', () => {
+			expect(parseDiagnostics('Compiler timed out')).to.eql([]);
+			expect(parseDiagnostics()).to.eql([]);
+		});
+	});
+
+	describe('formatDiagnostics', () => {
+		const diagnostics = parseDiagnostics(output, { fileMap }).slice(0, 3);
+
+		beforeEach(() => {
+			chalk.enabled = false;
+		});
+
+		afterEach(() => {
+			chalk.enabled = true;
+		});
+
+		it('formats for the terminal', () => {
+			expect(formatDiagnostics(diagnostics)).to.equal([
+				'project/src/app.cpp:12:5 error \'foo\' was not declared in this scope',
+				'project/lib/sensor/src/sensor.h:3:1 warning \'int bar\' defined but not used [-Wunused-variable]',
+				'project/src/app.cpp:4 note in expansion of macro \'DEBUG\'',
+				'',
+				'1 error, 1 warning',
+				''
+			].join(os.EOL));
+		});
+
+		it('formats like GCC', () => {
+			expect(formatDiagnostics(diagnostics, { format: 'gcc' })).to.equal([
+				'project/src/app.cpp:12:5: error: \'foo\' was not declared in this scope',
+				'project/lib/sensor/src/sensor.h:3:1: warning: \'int bar\' defined but not used [-Wunused-variable]',
+				'project/src/app.cpp:4: note: in expansion of macro \'DEBUG\'',
+				''
+			].join(os.EOL));
+		});
+
+		it('throws for unknown formats', () => {
+			expect(() => formatDiagnostics(diagnostics, { format: 'msvc' })).to.throw('Unknown format: msvc. Format can be: pretty, gcc');
+		});
+	});
+});
@@ -0,0 +1,359 @@
+const semver = require('semver');
+const { knownPlatformIds, knownPlatformIdsWithAliases, parseDuration } = require('./utilities');
+
+// Fields that can be compared in a filter expression. `type` decides which operators and values are valid
+const FIELDS = {
+	id: { type: 'string', get: device => device.id },
+	name: { type: 'string', get: device => device.name },
+	platform: { type: 'platform', get: device => device.platform_id },
+	online: { type: 'boolean', get: device => !!(device.connected || device.online) },
+	os: { type: 'version', get: device => device.system_firmware_version },
+	lastHeard: { type: 'date', get: device => device.last_heard },
+	product: { type: 'number', get: device => device.product_id },
+	iccid: { type: 'string', get: device => device.iccid },
+	serial: { type: 'string', get: device => device.serial_number }
+};
+
+const OPERATORS = ['==', '!=', '!~', '<=', '>=', '=', '~', '<', '>'];
+
+const OPERATORS_BY_TYPE = {
+	string: ['=', '!=', '~', '!~'],
+	platform: ['=', '!='],
+	boolean: ['=', '!='],
+	version: ['=', '!=', '<', '<=', '>', '>='],
+	date: ['<', '<=', '>', '>='],
+	number: ['=', '!=', '<', '<=', '>', '>=']
+};
+
+/**
+ * Parses a device filter into a function that tells if a device matches it.
+ *
+ * A filter is a keyword (`online`, `offline`, a platform name, a device id or name), a comparison
+ * like `platform=boron`, `name~^lab-`, `os<4.0.0` or `lastHeard<7d`, or several of them combined
+ * with `and`, `or`, `not` and parentheses. Values with spaces are quoted.
+ *
+ * @param {String} [filter]
+ * @param {Object} [options]
+ * @param {Number} [options.now] - the time durations like `7d` are relative to
+ * @returns {Function|null} the filter function or null when there is no filter
+ * @throws {Error} when the filter can't be parsed
+ */
+function parseDeviceFilter(filter, { now = Date.now() } = {}) {
+	if (!filter || !String(filter).trim()) {
+		return null;
+	}
+	return new Parser(String(filter), now).parse();
+}
+
+/**
+ * Describes the filters for the help of the commands that accept them
+ * @param {String} [name] - how the command takes the filter
+ * @returns {String}
+ */
+function describeDeviceFilter(name = 'Param filter') {
+	return `${name} can be: online, offline, a platform name ` +
+		`(${Object.keys(knownPlatformIds()).join(', ')}), a device ID or name, ` +
+		'or an expression combining comparisons with and, or, not and parentheses like `platform=boron and online and name~^lab-`. ' +
+		`Fields are ${Object.keys(FIELDS).join(', ')}. os compares Device OS versions (os<4.0.0) ` +
+		'and lastHeard compares how long ago a device was heard from (lastHeard<7d) or a date (lastHeard<2024-01-31)';
+}
+
+function tokenize(text) {
+	const tokens = [];
+	let index = 0;
+
+	while (index < text.length) {
+		const char = text[index];
+		if (/\s/.test(char)) {
+			index++;
+			continue;
+		}
+		let token;
+		if (char === '(' || char === ')') {
+			token = { type: char, value: char, length: 1 };
+		} else if (char === '"' || char === '\'') {
+			token = readQuoted(text, index);
+		} else {
+			token = readOperator(text, index) || readWord(text, index);
+		}
+		tokens.push(Object.assign({ position: index }, token));
+		index += token.length;
+	}
+	return tokens;
+}
+
+function readQuoted(text, start) {
+	const quote = text[start];
+	let value = '';
+	let end = start + 1;
+	while (end < text.length && text[end] !== quote) {
+		if (text[end] === '\\' && end + 1 < text.length) {
+			end++;
+		}
+		value += text[end];
+		end++;
+	}
+	if (end >= text.length) {
+		throw filterError(text, start, 'the quoted value is not closed');
+	}
+	return { type: 'value', value, quoted: true, length: end + 1 - start };
+}
+
+function readOperator(text, start) {
+	const operator = OPERATORS.find(op => text.startsWith(op, start));
+	return operator && { type: 'operator', value: operator === '==' ? '=' : operator, length: operator.length };
+}
+
+function readWord(text, start) {
+	const match = /^[^\s()=!<>~"']+/.exec(text.slice(start));
+	if (!match) {
+		throw filterError(text, start, `unexpected "${text[start]}"`);
+	}
+	return { type: 'value', value: match[0], length: match[0].length };
+}
+
+class Parser {
+	constructor(text, now) {
+		this.text = text;
+		this.now = now;
+		this.tokens = tokenize(text);
+		this.index = 0;
+	}
+
+	parse() {
+		const predicate = this.parseOr();
+		const token = this.peek();
+		if (token) {
+			throw this.error(token, token.type === ')' ? 'unexpected ")"' : `expected "and" or "or" before "${token.value}"`);
+		}
+		return predicate;
+	}
+
+	parseOr() {
+		const predicates = [this.parseAnd()];
+		while (this.acceptKeyword('or')) {
+			predicates.push(this.parseAnd());
+		}
+		return predicates.length === 1 ? predicates[0] : device => predicates.some(predicate => predicate(device));
+	}
+
+	parseAnd() {
+		const predicates = [this.parseNot()];
+		while (this.acceptKeyword('and')) {
+			predicates.push(this.parseNot());
+		}
+		return predicates.length === 1 ? predicates[0] : device => predicates.every(predicate => predicate(device));
+	}
+
+	parseNot() {
+		if (this.acceptKeyword('not')) {
+			const predicate = this.parseNot();
+			return device => !predicate(device);
+		}
+		return this.parsePrimary();
+	}
+
+	parsePrimary() {
+		const token = this.next();
+		if (!token) {
+			throw filterError(this.text, this.text.length, 'expected a condition');
+		}
+		if (token.type === '(') {
+			const predicate = this.parseOr();
+			const closing = this.next();
+			if (!closing || closing.type !== ')') {
+				throw filterError(this.text, closing ? closing.position : this.text.length, 'expected ")"');
+			}
+			return predicate;
+		}
+		if (token.type !== 'value' || (!token.quoted && isKeyword(token.value))) {
+			throw this.error(token, `expected a condition instead of "${token.value}"`);
+		}
+		const operator = this.peek();
+		if (operator && operator.type === 'operator') {
+			this.next();
+			return this.parseComparison(token, operator);
+		}
+		return this.parseShorthand(token);
+	}
+
+	// the filters supported before expressions: online, offline, a platform name, a device id or name
+	parseShorthand({ value, quoted }) {
+		const platforms = knownPlatformIdsWithAliases();
+		if (!quoted && value === 'online') {
+			return FIELDS.online.get;
+		}
+		if (!quoted && value === 'offline') {
+			return device => !FIELDS.online.get(device);
+		}
+		if (!quoted && platforms[value] !== undefined) {
+			return device => device.platform_id === platforms[value];
+		}
+		return device => device.id === value || device.name === value;
+	}
+
+	parseComparison(fieldToken, operatorToken) {
+		const fieldName = findField(fieldToken.value);
+		if (!fieldName) {
+			throw this.error(fieldToken, `unknown field "${fieldToken.value}". Fields are ${Object.keys(FIELDS).join(', ')}`);
+		}
+		const field = FIELDS[fieldName];
+		const operator = operatorToken.value;
+		if (!OPERATORS_BY_TYPE[field.type].includes(operator)) {
+			throw this.error(operatorToken, `"${operator}" can't be used with ${fieldName}. Use ${OPERATORS_BY_TYPE[field.type].join(', ')}`);
+		}
+		const valueToken = this.next();
+		if (!valueToken || valueToken.type !== 'value') {
+			throw filterError(this.text, valueToken ? valueToken.position : this.text.length, `expected a value after "${operator}"`);
+		}
+		const compare = this.createComparison(field.type, fieldName, operator, valueToken);
+		return device => compare(field.get(device));
+	}
+
+	createComparison(type, fieldName, operator, token) {
+		switch (type) {
+			case 'string':
+				return this.compareString(operator, token);
+			case 'platform':
+				return this.comparePlatform(operator, token);
+			case 'boolean':
+				return this.compareBoolean(fieldName, operator, token);
+			case 'version':
+				return this.compareVersion(operator, token);
+			case 'date':
+				return this.compareDate(operator, token);
+			case 'number':
+				return this.compareNumber(fieldName, operator, token);
+		}
+	}
+
+	compareString(operator, token) {
+		const { value } = token;
+		if (operator === '~' || operator === '!~') {
+			let pattern;
+			try {
+				pattern = new RegExp(value);
+			} catch (error) {
+				throw this.error(token, `invalid regular expression "${value}"`);
+			}
+			return actual => (actual !== undefined && actual !== null && pattern.test(actual)) === (operator === '~');
+		}
+		return actual => (actual === value) === (operator === '=');
+	}
+
+	comparePlatform(operator, token) {
+		const { value } = token;
+		const platforms = knownPlatformIdsWithAliases();
+		const platformId = /^\d+$/.test(value) ? Number(value) : platforms[value.toLowerCase()];
+		if (platformId === undefined) {
+			throw this.error(token, `unknown platform "${value}"`);
+		}
+		return actual => (actual === platformId) === (operator === '=');
+	}
+
+	compareBoolean(fieldName, operator, token) {
+		const { value } = token;
+		if (value !== 'true' && value !== 'false') {
+			throw this.error(token, `${fieldName} must be compared to true or false`);
+		}
+		return actual => (actual === (value === 'true')) === (operator === '=');
+	}
+
+	compareVersion(operator, token) {
+		const expected = semver.coerce(token.value);
+		if (!expected) {
+			throw this.error(token, `invalid version "${token.value}"`);
+		}
+		return actual => {
+			const version = actual && semver.coerce(actual);
+			return !!version && compareValues(semver.compare(version, expected), operator);
+		};
+	}
+
+	compareDate(operator, token) {
+		const { value } = token;
+		const duration = parseDuration(value);
+		if (duration !== null) {
+			// `lastHeard<7d` means heard from less than 7 days ago so the age is compared
+			return actual => compareValues(Math.sign(this.now - parseDate(actual) - duration), operator);
+		}
+		const date = Date.parse(value);
+		if (isNaN(date)) {
+			throw this.error(token, `invalid duration or date "${value}". Use a duration like 30m, 12h, 7d or a date like 2024-01-31`);
+		}
+		return actual => compareValues(Math.sign(parseDate(actual) - date), operator);
+	}
+
+	compareNumber(fieldName, operator, token) {
+		const { value } = token;
+		if (!/^\d+$/.test(value)) {
+			throw this.error(token, `${fieldName} must be compared to a number`);
+		}
+		return actual => actual !== undefined && actual !== null && compareValues(Math.sign(actual - Number(value)), operator);
+	}
+
+	peek() {
+		return this.tokens[this.index];
+	}
+
+	next() {
+		return this.tokens[this.index++];
+	}
+
+	acceptKeyword(keyword) {
+		const token = this.peek();
+		if (token && token.type === 'value' && !token.quoted && token.value.toLowerCase() === keyword) {
+			this.index++;
+			return true;
+		}
+		return false;
+	}
+
+	error(token, message) {
+		return filterError(this.text, token.position, message);
+	}
+}
+
+// devices that were never heard from are treated as heard from a very long time ago
+function parseDate(value) {
+	const date = value ? Date.parse(value) : NaN;
+	return isNaN(date) ? -Infinity : date;
+}
+
+function compareValues(comparison, operator) {
+	switch (operator) {
+		case '=':
+			return comparison === 0;
+		case '!=':
+			return comparison !== 0;
+		case '<':
+			return comparison < 0;
+		case '<=':
+			return comparison <= 0;
+		case '>':
+			return comparison > 0;
+		case '>=':
+			return comparison >= 0;
+	}
+	return false;
+}
+
+function isKeyword(value) {
+	return ['and', 'or', 'not'].includes(value.toLowerCase());
+}
+
+// fields are matched without case and underscores so `lastHeard`, `last_heard` and `lastheard` are the same
+function findField(name) {
+	const normalized = name.replace(/_/g, '').toLowerCase();
+	return Object.keys(FIELDS).find(field => field.toLowerCase() === normalized);
+}
+
+function filterError(text, position, message) {
+	return new Error(`Invalid device filter \`${text}\`: ${message} at position ${position + 1}`);
+}
+
+module.exports = {
+	FIELDS,
+	parseDeviceFilter,
+	describeDeviceFilter
+};
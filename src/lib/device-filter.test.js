@@ -0,0 +1,97 @@
+const { expect } = require('../../test/setup');
+const { parseDeviceFilter, describeDeviceFilter } = require('./device-filter');
+
+
+describe('device-filter', () => {
+	const now = Date.parse('2024-03-10T00:00:00.000Z');
+	const devices = [{
+		id: '0123456789abcdef01234567',
+		name: 'lab-boron',
+		platform_id: 13,
+		connected: true,
+		system_firmware_version: '3.3.1',
+		last_heard: '2024-03-09T12:00:00.000Z',
+		product_id: 13
+	}, {
+		id: '1123456789abcdef01234567',
+		name: 'lab-p2',
+		platform_id: 32,
+		connected: false,
+		system_firmware_version: '5.6.0',
+		last_heard: '2024-01-01T00:00:00.000Z',
+		product_id: 12345
+	}, {
+		id: '2123456789abcdef01234567',
+		name: 'kitchen',
+		platform_id: 13,
+		connected: false
+	}];
+
+	function matching(filter) {
+		return devices.filter(parseDeviceFilter(filter, { now })).map(device => device.name);
+	}
+
+	describe('parseDeviceFilter', () => {
+		it('returns null without a filter', () => {
+			expect(parseDeviceFilter()).to.equal(null);
+			expect(parseDeviceFilter('  ')).to.equal(null);
+		});
+
+		it('supports the keywords', () => {
+			expect(matching('online')).to.eql(['lab-boron']);
+			expect(matching('offline')).to.eql(['lab-p2', 'kitchen']);
+			expect(matching('boron')).to.eql(['lab-boron', 'kitchen']);
+			expect(matching('kitchen')).to.eql(['kitchen']);
+			expect(matching('1123456789abcdef01234567')).to.eql(['lab-p2']);
+		});
+
+		it('compares fields', () => {
+			expect(matching('platform=boron')).to.eql(['lab-boron', 'kitchen']);
+			expect(matching('platform != 32')).to.eql(['lab-boron', 'kitchen']);
+			expect(matching('name~^lab-')).to.eql(['lab-boron', 'lab-p2']);
+			expect(matching('name!~^lab-')).to.eql(['kitchen']);
+			expect(matching('name="kitchen"')).to.eql(['kitchen']);
+			expect(matching('online=false')).to.eql(['lab-p2', 'kitchen']);
+			expect(matching('product>=12345')).to.eql(['lab-p2']);
+		});
+
+		it('compares Device OS versions', () => {
+			expect(matching('os<4.0.0')).to.eql(['lab-boron']);
+			expect(matching('os>=5.6')).to.eql(['lab-p2']);
+		});
+
+		it('compares when devices were last heard from', () => {
+			expect(matching('lastHeard<7d')).to.eql(['lab-boron']);
+			expect(matching('last_heard>30d')).to.eql(['lab-p2', 'kitchen']);
+			expect(matching('lastHeard>2024-02-01')).to.eql(['lab-boron']);
+		});
+
+		it('combines conditions', () => {
+			expect(matching('platform=boron and online and name~^lab-')).to.eql(['lab-boron']);
+			expect(matching('online or platform=p2')).to.eql(['lab-boron', 'lab-p2']);
+			expect(matching('not online and (platform=p2 or name=kitchen)')).to.eql(['lab-p2', 'kitchen']);
+			expect(matching('NOT offline')).to.eql(['lab-boron']);
+		});
+
+		it('explains where the filter is invalid', () => {
+			expect(() => parseDeviceFilter('colour=red')).to.throw('Invalid device filter `colour=red`: unknown field "colour". Fields are id, name, platform, online, os, lastHeard, product, iccid, serial at position 1');
+			expect(() => parseDeviceFilter('os~4')).to.throw('Invalid device filter `os~4`: "~" can\'t be used with os. Use =, !=, <, <=, >, >= at position 3');
+			expect(() => parseDeviceFilter('platform=toaster')).to.throw('Invalid device filter `platform=toaster`: unknown platform "toaster" at position 10');
+			expect(() => parseDeviceFilter('lastHeard<soon')).to.throw('Invalid device filter `lastHeard<soon`: invalid duration or date "soon". Use a duration like 30m, 12h, 7d or a date like 2024-01-31 at position 11');
+			expect(() => parseDeviceFilter('name~[')).to.throw('Invalid device filter `name~[`: invalid regular expression "[" at position 6');
+			expect(() => parseDeviceFilter('(online and boron')).to.throw('Invalid device filter `(online and boron`: expected ")" at position 18');
+			expect(() => parseDeviceFilter('online boron')).to.throw('Invalid device filter `online boron`: expected "and" or "or" before "boron" at position 8');
+			expect(() => parseDeviceFilter('online and')).to.throw('Invalid device filter `online and`: expected a condition at position 11');
+			expect(() => parseDeviceFilter('name="lab')).to.throw('Invalid device filter `name="lab`: the quoted value is not closed at position 6');
+		});
+	});
+
+	describe('describeDeviceFilter', () => {
+		it('lists the platforms and fields', () => {
+			const description = describeDeviceFilter('Option --filter');
+
+			expect(description).to.match(/^Option --filter can be: online, offline, a platform name \(core, photon/);
+			expect(description).to.include('Fields are id, name, platform, online, os, lastHeard, product, iccid, serial.');
+		});
+	});
+});
@@ -0,0 +1,163 @@
+const os = require('os');
+const path = require('path');
+const { platformForId, isKnownPlatformId } = require('./platform');
+
+// Columns of an inventory in their default order with how each one is read from a device
+const COLUMNS = {
+	id: device => device.id,
+	name: device => device.name || null,
+	platform: device => platformName(device),
+	os_version: device => device.system_firmware_version || null,
+	last_heard: device => device.last_heard || null,
+	ip: device => device.last_ip_address || null,
+	iccid: device => device.iccid || null,
+	serial: device => device.serial_number || null,
+	functions: device => device.functions || [],
+	variables: device => device.variables || {}
+};
+
+const FORMATS = ['csv', 'json', 'yaml'];
+
+const FORMATS_BY_EXTENSION = {
+	'.csv': 'csv',
+	'.json': 'json',
+	'.yaml': 'yaml',
+	'.yml': 'yaml'
+};
+
+function platformName(device) {
+	const platformId = device.platform_id !== undefined ? device.platform_id : device.product_id;
+	return isKnownPlatformId(platformId) ? platformForId(platformId).name : null;
+}
+
+/**
+ * Parses the columns requested on the command line
+ * @param {String|String[]} [columns] - comma separated column names, all the columns when not set
+ * @returns {String[]} the column names
+ */
+function parseColumns(columns) {
+	if (!columns || !columns.length) {
+		return Object.keys(COLUMNS);
+	}
+	const names = [].concat(columns).join(',').split(',').map(name => name.trim()).filter(Boolean);
+	const unknown = names.filter(name => !COLUMNS[name]);
+	if (unknown.length) {
+		throw new Error(`Unknown column: ${unknown.join(', ')}. Columns can be: ${Object.keys(COLUMNS).join(', ')}`);
+	}
+	return names;
+}
+
+/**
+ * Guesses the format of an inventory from the extension of the file it is saved to
+ * @param {String} file
+ * @returns {String|undefined} csv, json or yaml
+ */
+function formatForFile(file) {
+	return file ? FORMATS_BY_EXTENSION[path.extname(file).toLowerCase()] : undefined;
+}
+
+/**
+ * Creates one row per device with the requested columns
+ * @param {Object[]} devices - devices with their functions and variables
+ * @param {String[]} columns
+ * @returns {Object[]}
+ */
+function createInventory(devices, columns) {
+	return devices.map(device => columns.reduce((row, column) => {
+		row[column] = COLUMNS[column](device);
+		return row;
+	}, {}));
+}
+
+/**
+ * Renders an inventory
+ * @param {Object[]} rows - created by `createInventory`
+ * @param {Object} options
+ * @param {String} options.format - csv, json or yaml
+ * @param {String[]} options.columns
+ * @returns {String}
+ */
+function formatInventory(rows, { format, columns }) {
+	switch (format) {
+		case 'csv':
+			return toCSV(rows, columns);
+		case 'json':
+			return JSON.stringify(rows, null, 2) + os.EOL;
+		case 'yaml':
+			return toYAML(rows);
+		default:
+			throw new Error(`Unknown format: ${format}. Format can be: ${FORMATS.join(', ')}`);
+	}
+}
+
+function toCSV(rows, columns) {
+	const lines = [columns.map(csvField).join(',')];
+	for (const row of rows) {
+		lines.push(columns.map(column => csvField(csvValue(row[column]))).join(','));
+	}
+	return lines.join(os.EOL) + os.EOL;
+}
+
+// lists go in a single cell separated by semicolons, variables with their type
+function csvValue(value) {
+	if (Array.isArray(value)) {
+		return value.join(';');
+	}
+	if (value && typeof value === 'object') {
+		return Object.keys(value).map(key => `${key}:${value[key]}`).join(';');
+	}
+	return value === null || value === undefined ? '' : String(value);
+}
+
+function csvField(value) {
+	return /[",\r\n]/.test(value) || value !== value.trim() ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function toYAML(rows) {
+	if (!rows.length) {
+		return `[]${os.EOL}`;
+	}
+	const lines = [];
+	for (const row of rows) {
+		Object.keys(row).forEach((key, index) => {
+			const prefix = index === 0 ? '- ' : '  ';
+			lines.push(...yamlEntry(prefix, key, row[key]));
+		});
+	}
+	return lines.join(os.EOL) + os.EOL;
+}
+
+function yamlEntry(prefix, key, value) {
+	if (Array.isArray(value)) {
+		return value.length
+			? [`${prefix}${key}:`, ...value.map(item => `    - ${yamlScalar(item)}`)]
+			: [`${prefix}${key}: []`];
+	}
+	if (value && typeof value === 'object') {
+		const keys = Object.keys(value);
+		return keys.length
+			? [`${prefix}${key}:`, ...keys.map(name => `    ${yamlScalar(name)}: ${yamlScalar(value[name])}`)]
+			: [`${prefix}${key}: {}`];
+	}
+	return [`${prefix}${key}: ${yamlScalar(value)}`];
+}
+
+// strings are always quoted so ids made of digits or names like `yes` keep their type
+function yamlScalar(value) {
+	if (value === null || value === undefined) {
+		return 'null';
+	}
+	if (typeof value === 'number' || typeof value === 'boolean') {
+		return String(value);
+	}
+	return JSON.stringify(String(value));
+}
+
+module.exports = {
+	COLUMNS,
+	FORMATS,
+	parseColumns,
+	formatForFile,
+	createInventory,
+	formatInventory
+};
@@ -0,0 +1,98 @@
+const os = require('os');
+const { expect } = require('../../test/setup');
+const { COLUMNS, parseColumns, formatForFile, createInventory, formatInventory } = require('./device-inventory');
+
+
+describe('device-inventory', () => {
+	const devices = [{
+		id: '0123456789abcdef01234567',
+		name: 'kitchen, north',
+		platform_id: 32,
+		system_firmware_version: '5.6.0',
+		last_heard: '2024-03-01T10:00:00.000Z',
+		last_ip_address: '10.0.0.2',
+		serial_number: 'P2ABC',
+		functions: ['toggle', 'reset'],
+		variables: { temp: 'double', label: 'string' }
+	}, {
+		id: '1123456789abcdef01234567',
+		name: 'say "hi"',
+		product_id: 99999
+	}];
+
+	describe('parseColumns', () => {
+		it('returns every column by default', () => {
+			expect(parseColumns()).to.eql(Object.keys(COLUMNS));
+		});
+
+		it('accepts comma separated and repeated columns', () => {
+			expect(parseColumns('id, name')).to.eql(['id', 'name']);
+			expect(parseColumns(['id', 'ip,serial'])).to.eql(['id', 'ip', 'serial']);
+		});
+
+		it('throws for unknown columns', () => {
+			expect(() => parseColumns('id,owner')).to.throw('Unknown column: owner. Columns can be: id, name, platform, os_version, last_heard, ip, iccid, serial, functions, variables');
+		});
+	});
+
+	describe('formatForFile', () => {
+		it('uses the file extension', () => {
+			expect(formatForFile('fleet.CSV')).to.equal('csv');
+			expect(formatForFile('fleet.yml')).to.equal('yaml');
+			expect(formatForFile('fleet.txt')).to.equal(undefined);
+			expect(formatForFile()).to.equal(undefined);
+		});
+	});
+
+	describe('createInventory', () => {
+		it('reads the columns of each device', () => {
+			const rows = createInventory(devices, ['id', 'platform', 'os_version', 'ip', 'variables']);
+
+			expect(rows).to.eql([
+				{ id: devices[0].id, platform: 'p2', os_version: '5.6.0', ip: '10.0.0.2', variables: devices[0].variables },
+				{ id: devices[1].id, platform: null, os_version: null, ip: null, variables: {} }
+			]);
+		});
+	});
+
+	describe('formatInventory', () => {
+		const columns = ['id', 'name', 'functions', 'variables'];
+		const rows = createInventory(devices, columns);
+
+		it('formats as CSV', () => {
+			expect(formatInventory(rows, { format: 'csv', columns })).to.equal([
+				'id,name,functions,variables',
+				'0123456789abcdef01234567,"kitchen, north",toggle;reset,temp:double;label:string',
+				'1123456789abcdef01234567,"say ""hi""",,',
+				''
+			].join(os.EOL));
+		});
+
+		it('formats as JSON', () => {
+			expect(JSON.parse(formatInventory(rows, { format: 'json', columns }))).to.eql(rows);
+		});
+
+		it('formats as YAML', () => {
+			expect(formatInventory(rows, { format: 'yaml', columns })).to.equal([
+				'- id: "0123456789abcdef01234567"',
+				'  name: "kitchen, north"',
+				'  functions:',
+				'    - "toggle"',
+				'    - "reset"',
+				'  variables:',
+				'    "temp": "double"',
+				'    "label": "string"',
+				'- id: "1123456789abcdef01234567"',
+				'  name: "say \\"hi\\""',
+				'  functions: []',
+				'  variables: {}',
+				''
+			].join(os.EOL));
+			expect(formatInventory([], { format: 'yaml', columns })).to.equal(`[]${os.EOL}`);
+		});
+
+		it('throws for unknown formats', () => {
+			expect(() => formatInventory(rows, { format: 'xml', columns })).to.throw('Unknown format: xml. Format can be: csv, json, yaml');
+		});
+	});
+});
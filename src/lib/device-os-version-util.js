@@ -1,10 +1,12 @@
-const { ensureFolder } = require('../../settings');
+const settings = require('../../settings');
 const deviceConstants = require('@particle/device-constants');
 const path = require('path');
 const os = require('os');
 const request = require('request');
 const fs = require('fs-extra');
-const { HalModuleParser } = require('binary-version-reader');
+const semver = require('semver');
+const { HalModuleParser, ModuleInfo } = require('binary-version-reader');
+const { platformForId } = require('./platform');
 
 /**
  * Download the binaries for the given platform and version by default the latest version is downloaded
@@ -12,9 +14,14 @@ const { HalModuleParser } = require('binary-version-reader');
  * @param {number} platformId - the platform id
  * @param {string} version - the version to download (default: latest)
  * @param {Object} ui - allow us to interact in the console
+ * @param {boolean} quiet - do not show the download progress
+ * @param {boolean} offline - only use the binaries already in the local store
  * @returns {Promise<*[]>} - true if successful
  */
-async function downloadDeviceOsVersionBinaries({ api, platformId, version='latest', ui }){
+async function downloadDeviceOsVersionBinaries({ api, platformId, version='latest', ui, quiet = false, offline = global.offline }){
+	if (offline) {
+		return findStoredDeviceOsBinaries({ platformId, version });
+	}
 	try {
 		// get platform by id from device-constants
 		const platform = Object.values(deviceConstants).filter(p => p.public).find(p => p.id === platformId);
@@ -36,15 +43,20 @@ async function downloadDeviceOsVersionBinaries({ api, platformId, version='lates
 		if (modulesToDownload.length > 0) {
 			const description = `Downloading Device OS ${version}`;
 
-			await ui.showBusySpinnerUntilResolved(description, Promise.all(modulesToDownload.map(async (module) => {
+			const download = Promise.all(modulesToDownload.map(async (module) => {
 				await downloadBinary({
 					platformName: platform.name,
 					module,
 					baseUrl: deviceOsVersion.base_url,
 					version: deviceOsVersion.version
 				});
-			})));
-			ui.stdout.write(`Downloaded Device OS ${version}${os.EOL}`);
+			}));
+			if (quiet) {
+				await download;
+			} else {
+				await ui.showBusySpinnerUntilResolved(description, download);
+				ui.stdout.write(`Downloaded Device OS ${version}${os.EOL}`);
+			}
 		}
 
 		const binaryPath = getBinaryPath(deviceOsVersion.version, platform.name);
@@ -82,8 +94,115 @@ async function isModuleDownloaded(module, version, platformName) {
  * @returns {string} - the path to the binaries
  */
 function getBinaryPath(version, platformName) {
-	const particleDir = ensureFolder();
-	return path.join(particleDir, 'device-os-flash/binaries/', version, platformName);
+	return path.join(getStorePath(), version, platformName);
+}
+
+/**
+ * Get the directory of the local store of Device OS binaries, one folder per version and platform.
+ * The deviceOsBinariesPath setting points it at a directory shared between machines
+ * @returns {string} - the path to the store
+ */
+function getStorePath() {
+	return settings.deviceOsBinariesPath || path.join(settings.ensureFolder(), 'device-os-flash/binaries');
+}
+
+/**
+ * List the Device OS versions in the local store
+ * @param platformName - only list the versions of this platform
+ * @returns {Promise<Object[]>} - { version, platform, path, files, size } by platform then newest version first
+ */
+async function listStoredDeviceOsVersions({ platformName } = {}) {
+	const storePath = getStorePath();
+	const stored = [];
+	for (const version of (await readDirectories(storePath)).filter(version => semver.valid(version))) {
+		for (const platform of await readDirectories(path.join(storePath, version))) {
+			const directory = path.join(storePath, version, platform);
+			const files = (await fs.readdir(directory)).filter(file => path.extname(file) === '.bin').sort();
+			if ((platformName && platform !== platformName) || !files.length) {
+				continue;
+			}
+			let size = 0;
+			for (const file of files) {
+				size += (await fs.stat(path.join(directory, file))).size;
+			}
+			stored.push({ version, platform, path: directory, files, size });
+		}
+	}
+	return stored.sort((a, b) => a.platform.localeCompare(b.platform) || semver.rcompare(a.version, b.version));
+}
+
+/**
+ * Get the binaries of a Device OS version from the local store without contacting the cloud
+ * @param platformId - the platform id
+ * @param version - the version, latest is the newest version in the store
+ * @returns {Promise<string[]>} - the paths to the binaries
+ */
+async function findStoredDeviceOsBinaries({ platformId, version = 'latest' }) {
+	const platformName = platformForId(platformId).name;
+	const stored = await listStoredDeviceOsVersions({ platformName });
+	const entry = version === 'latest' ? stored[0] : stored.find(e => e.version === version);
+	if (!entry) {
+		throw new Error(`Device OS ${version} for ${platformName} is not in the local store ${getStorePath()}. ` +
+			`Download it with \`particle device-os download ${platformName} ${version}\``);
+	}
+	return entry.files.map(file => path.join(entry.path, file));
+}
+
+/**
+ * Find which Device OS version in the local store has the system part an application depends on
+ * @param platformId - the platform id
+ * @param moduleVersion - the module version of the system part, like 4100
+ * @returns {Promise<string|null>} - the Device OS version or null if it is not in the store
+ */
+async function findStoredDeviceOsVersion({ platformId, moduleVersion }) {
+	const stored = await listStoredDeviceOsVersions({ platformName: platformForId(platformId).name });
+	for (const entry of stored) {
+		for (const file of entry.files) {
+			const { prefixInfo } = await new HalModuleParser().parseFile(path.join(entry.path, file));
+			if (prefixInfo.moduleFunction === ModuleInfo.FunctionType.SYSTEM_PART && prefixInfo.moduleVersion === moduleVersion) {
+				return entry.version;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Remove the older Device OS versions from the local store
+ * @param platformName - only prune the versions of this platform
+ * @param keep - how many of the newest versions of each platform to keep
+ * @returns {Promise<Object[]>} - the removed versions, as listed by `listStoredDeviceOsVersions`
+ */
+async function pruneStoredDeviceOsVersions({ platformName, keep = 1 } = {}) {
+	const stored = await listStoredDeviceOsVersions({ platformName });
+	const removed = stored.filter((entry, index) => {
+		const newer = stored.slice(0, index).filter(e => e.platform === entry.platform);
+		return newer.length >= keep;
+	});
+	for (const entry of removed) {
+		await fs.remove(entry.path);
+		const versionPath = path.dirname(entry.path);
+		if (!(await fs.readdir(versionPath)).length) {
+			await fs.remove(versionPath);
+		}
+	}
+	return removed;
+}
+
+async function readDirectories(directory) {
+	let names;
+	try {
+		names = await fs.readdir(directory);
+	} catch (error) {
+		return [];
+	}
+	const directories = [];
+	for (const name of names) {
+		if ((await fs.stat(path.join(directory, name))).isDirectory()) {
+			directories.push(name);
+		}
+	}
+	return directories;
 }
 
 /**
@@ -154,5 +273,10 @@ async function downloadFile({ url, directory, filename }) {
 }
 
 module.exports = {
-	downloadDeviceOsVersionBinaries
+	downloadDeviceOsVersionBinaries,
+	getStorePath,
+	listStoredDeviceOsVersions,
+	findStoredDeviceOsBinaries,
+	findStoredDeviceOsVersion,
+	pruneStoredDeviceOsVersions
 };
@@ -1,7 +1,13 @@
 const { expect, sinon } = require('../../test/setup');
 const fs = require('fs-extra');
 const path = require('path');
-const { downloadDeviceOsVersionBinaries } = require('./device-os-version-util');
+const {
+	downloadDeviceOsVersionBinaries,
+	listStoredDeviceOsVersions,
+	findStoredDeviceOsBinaries,
+	findStoredDeviceOsVersion,
+	pruneStoredDeviceOsVersions
+} = require('./device-os-version-util');
 const nock = require('nock');
 const { PATH_TMP_DIR } = require('../../test/lib/env');
 const UI = require('./ui');
@@ -125,3 +131,104 @@ describe('downloadDeviceOsVersionBinaries', () => {
 	// 	expect(spy).to.have.been.calledOnce;
 	// });
 });
+
+describe('local Device OS store', () => {
+	const originalEnv = process.env;
+	const storePath = path.join(PATH_TMP_DIR, '.particle/device-os-flash/binaries');
+	const systemPart = path.join(__dirname, '../../test/__fixtures__/binaries/argon-system-part1@4.1.0.bin');
+
+	async function store(version, platform, filename = `${platform}-system-part1@${version}.bin`) {
+		await fs.copy(systemPart, path.join(storePath, version, platform, filename));
+	}
+
+	beforeEach(async () => {
+		process.env = {
+			...originalEnv,
+			home: PATH_TMP_DIR,
+		};
+		await store('4.1.0', 'argon');
+		await store('5.6.0', 'argon');
+		await store('5.6.0', 'boron');
+	});
+	afterEach(async () => {
+		process.env = originalEnv;
+		sinon.restore();
+		await fs.remove(storePath);
+	});
+
+	describe('listStoredDeviceOsVersions', () => {
+		it('lists the stored versions by platform, newest first', async () => {
+			const stored = await listStoredDeviceOsVersions();
+
+			expect(stored.map(({ platform, version }) => `${platform}@${version}`)).to.eql(['argon@5.6.0', 'argon@4.1.0', 'boron@5.6.0']);
+			expect(stored[0]).to.include({ path: path.join(storePath, '5.6.0', 'argon'), size: fs.statSync(systemPart).size });
+			expect(stored[0].files).to.eql(['argon-system-part1@5.6.0.bin']);
+		});
+
+		it('lists the versions of a platform', async () => {
+			const stored = await listStoredDeviceOsVersions({ platformName: 'boron' });
+
+			expect(stored.map(({ version }) => version)).to.eql(['5.6.0']);
+		});
+	});
+
+	describe('findStoredDeviceOsBinaries', () => {
+		it('finds the binaries of a version', async () => {
+			const files = await findStoredDeviceOsBinaries({ platformId: 12, version: '4.1.0' });
+
+			expect(files).to.eql([path.join(storePath, '4.1.0', 'argon', 'argon-system-part1@4.1.0.bin')]);
+		});
+
+		it('finds the newest version for latest', async () => {
+			const files = await findStoredDeviceOsBinaries({ platformId: 12 });
+
+			expect(files).to.eql([path.join(storePath, '5.6.0', 'argon', 'argon-system-part1@5.6.0.bin')]);
+		});
+
+		it('fails when the version is not stored', async () => {
+			let error;
+			try {
+				await findStoredDeviceOsBinaries({ platformId: 13, version: '4.1.0' });
+			} catch (e) {
+				error = e;
+			}
+			expect(error.message).to.equal(`Device OS 4.1.0 for boron is not in the local store ${storePath}. ` +
+				'Download it with `particle device-os download boron 4.1.0`');
+		});
+
+		it('is used by downloadDeviceOsVersionBinaries when offline', async () => {
+			const api = { getDeviceOsVersions: sinon.stub().rejects(new Error('offline')) };
+
+			const files = await downloadDeviceOsVersionBinaries({ api, platformId: 13, version: '5.6.0', offline: true });
+
+			expect(api.getDeviceOsVersions).to.not.have.been.called;
+			expect(files).to.eql([path.join(storePath, '5.6.0', 'boron', 'boron-system-part1@5.6.0.bin')]);
+		});
+	});
+
+	describe('findStoredDeviceOsVersion', () => {
+		it('finds the version that has the system part', async () => {
+			await fs.remove(path.join(storePath, '5.6.0', 'argon'));
+
+			expect(await findStoredDeviceOsVersion({ platformId: 12, moduleVersion: 4100 })).to.equal('4.1.0');
+			expect(await findStoredDeviceOsVersion({ platformId: 12, moduleVersion: 5600 })).to.equal(null);
+		});
+	});
+
+	describe('pruneStoredDeviceOsVersions', () => {
+		it('keeps the newest version of each platform', async () => {
+			const removed = await pruneStoredDeviceOsVersions();
+
+			expect(removed.map(({ platform, version }) => `${platform}@${version}`)).to.eql(['argon@4.1.0']);
+			expect(fs.existsSync(path.join(storePath, '4.1.0'))).to.be.false;
+			expect((await listStoredDeviceOsVersions()).length).to.equal(2);
+		});
+
+		it('prunes the versions of a platform', async () => {
+			const removed = await pruneStoredDeviceOsVersions({ platformName: 'boron', keep: 0 });
+
+			expect(removed.map(({ platform, version }) => `${platform}@${version}`)).to.eql(['boron@5.6.0']);
+			expect(fs.existsSync(path.join(storePath, '5.6.0', 'argon'))).to.be.true;
+		});
+	});
+});
@@ -16,8 +16,10 @@ const ensureError = utilities.ensureError;
 // Flashing an NCP firmware can take a few minutes
 const FLASH_TIMEOUT = 4 * 60000;
 
-async function flashFiles({ device, flashSteps, resetAfterFlash = true, ui }) {
-	const progress = _createFlashProgress({ flashSteps, ui });
+// the journal, when given, records every flashed step of a session started with `journal.start`
+async function flashFiles({ device, flashSteps, resetAfterFlash = true, ui, multiBar, label, journal }) {
+	const progress = _createFlashProgress({ flashSteps, ui, multiBar, label });
+	const deviceId = device.id;
 	let success = false;
 	try {
 		for (const step of flashSteps) {
@@ -29,6 +31,12 @@ async function flashFiles({ device, flashSteps, resetAfterFlash = true, ui }) {
 				const altSetting = 0;
 				device = await _flashDeviceInDfuMode(device, step.data, { name: step.name, altSetting: altSetting, startAddr: step.address, progress: progress });
 			}
+			if (journal) {
+				journal.stepDone(deviceId, step);
+			}
+		}
+		if (journal) {
+			journal.finish(deviceId);
 		}
 		success = true;
 	} finally {
@@ -130,15 +138,21 @@ async function _flashDeviceInDfuMode(device, data, { name, altSetting, startAddr
 	return device;
 }
 
-function _createFlashProgress({ flashSteps, ui }) {
+// when flashing many devices at once, each one gets a bar of the shared multiBar and its lines are prefixed with its label
+function _createFlashProgress({ flashSteps, ui, multiBar, label }) {
 	const NORMAL_MULTIPLIER = 10; // flashing in normal mode is slower so count each byte more
 	const { isInteractive } = ui;
+	const prefix = label ? `${label}: ` : '';
 	let progressBar;
 	if (isInteractive) {
-		progressBar = ui.createProgressBar();
 		// double the size to account for the erase and programming steps
 		const total = flashSteps.reduce((total, step) => total + step.data.length * 2 * (step.flashMode === 'normal' ? NORMAL_MULTIPLIER : 1), 0);
-		progressBar.start(total, 0, { description: 'Preparing to flash' });
+		if (multiBar) {
+			progressBar = multiBar.create(total, 0, { description: 'Preparing to flash', label });
+		} else {
+			progressBar = ui.createProgressBar();
+			progressBar.start(total, 0, { description: 'Preparing to flash' });
+		}
 	}
 
 	let flashMultiplier = 1;
@@ -152,7 +166,7 @@ function _createFlashProgress({ flashSteps, ui }) {
 				if (isInteractive) {
 					progressBar.update({ description });
 				} else {
-					ui.stdout.write(`${description}${os.EOL}`);
+					ui.stdout.write(`${prefix}${description}${os.EOL}`);
 				}
 				step = flashSteps.find(step => step.name === payload.filename);
 				flashMultiplier = step.flashMode === 'normal' ? NORMAL_MULTIPLIER : 1;
@@ -163,7 +177,7 @@ function _createFlashProgress({ flashSteps, ui }) {
 				if (isInteractive) {
 					progressBar.update({ description });
 				} else {
-					ui.stdout.write(`${description}${os.EOL}`);
+					ui.stdout.write(`${prefix}${description}${os.EOL}`);
 				}
 				break;
 			case 'erased':
@@ -185,7 +199,7 @@ function _createFlashProgress({ flashSteps, ui }) {
 					progressBar.update({ description });
 					progressBar.increment(payload.bytes * flashMultiplier);
 				} else {
-					ui.stdout.write(`${description}${os.EOL}`);
+					ui.stdout.write(`${prefix}${description}${os.EOL}`);
 				}
 				break;
 			case 'downloaded':
@@ -199,7 +213,7 @@ function _createFlashProgress({ flashSteps, ui }) {
 					progressBar.update({ description });
 					progressBar.stop();
 				} else {
-					ui.stdout.write(`${description}${os.EOL}`);
+					ui.stdout.write(`${prefix}${description}${os.EOL}`);
 				}
 				break;
 		}
@@ -208,20 +222,23 @@ function _createFlashProgress({ flashSteps, ui }) {
 
 function filterModulesToFlash({ modules, platformId, allowAll = false }) {
 	const platform = PLATFORMS.find(p => p.id === platformId);
-	const filteredModules = [];
-	// remove encrypted files
-	for (const moduleInfo of modules) {
-		const moduleType = moduleTypeFromNumber(moduleInfo.prefixInfo.moduleFunction);
-		const platformModule = platform.firmwareModules.find(m => m.type === moduleType && m.index === moduleInfo.prefixInfo.moduleIndex);
-		// filter encrypted modules
-		const isEncrypted = platformModule && platformModule.encrypted;
-		const isRadioStack = moduleInfo.prefixInfo.moduleFunction === ModuleInfo.FunctionType.RADIO_STACK;
-		const isNcpFirmware = moduleInfo.prefixInfo.moduleFunction === ModuleInfo.FunctionType.NCP_FIRMWARE;
-		if (!isEncrypted && (!isRadioStack || allowAll) && (!isNcpFirmware || allowAll)) {
-			filteredModules.push(moduleInfo);
-		}
+	return modules.filter(moduleInfo => !_filterReason({ moduleInfo, platform, allowAll }));
+}
+
+// why a module is left out of a flash, null when it is flashed
+function _filterReason({ moduleInfo, platform, allowAll = false }) {
+	const moduleType = moduleTypeFromNumber(moduleInfo.prefixInfo.moduleFunction);
+	const platformModule = platform.firmwareModules.find(m => m.type === moduleType && m.index === moduleInfo.prefixInfo.moduleIndex);
+	if (platformModule && platformModule.encrypted) {
+		return 'encrypted module';
+	}
+	if (!allowAll && moduleInfo.prefixInfo.moduleFunction === ModuleInfo.FunctionType.RADIO_STACK) {
+		return 'radio stack is not flashed over USB';
 	}
-	return filteredModules;
+	if (!allowAll && moduleInfo.prefixInfo.moduleFunction === ModuleInfo.FunctionType.NCP_FIRMWARE) {
+		return 'NCP firmware is not flashed over USB';
+	}
+	return null;
 }
 
 async function parseModulesToFlash({ files }) {
@@ -327,6 +344,113 @@ async function createFlashSteps({ modules, isInDfuMode, factory, platformId }) {
 	}
 }
 
+/**
+ * Describes what flashing the steps would do without writing to the device
+ * @param {Object} options
+ * @param {Object[]} options.flashSteps - created by `createFlashSteps`
+ * @param {Object[]} options.modules - the parsed modules, including the ones `filterModulesToFlash` leaves out
+ * @param {Number} options.platformId
+ * @param {Object} [options.device] - the open device, asked for the assets it already has when not in DFU mode
+ * @returns {Promise<Object[]>} { name, module, version, mode, address, size, skip } in flashing order
+ */
+async function describeFlashSteps({ flashSteps, modules, platformId, device }) {
+	const platform = PLATFORMS.find(p => p.id === platformId);
+	const plan = [];
+	for (const step of flashSteps) {
+		const moduleInfo = modules.find(m => path.basename(m.filename) === step.name);
+		let skip = null;
+		if (step.checkSkip) {
+			if (device && !device.isInDfuMode) {
+				skip = await step.checkSkip(device) ? 'already on the device' : null;
+			} else {
+				skip = 'if already on the device';
+			}
+		}
+		plan.push(Object.assign({ name: step.name }, _describeModule(moduleInfo), {
+			mode: step.flashMode,
+			address: step.address === undefined ? null : `0x${step.address.toString(16)}`,
+			size: step.data.length,
+			skip
+		}));
+	}
+
+	for (const moduleInfo of modules) {
+		const skip = _filterReason({ moduleInfo, platform });
+		if (skip) {
+			plan.push(Object.assign({ name: path.basename(moduleInfo.filename) }, _describeModule(moduleInfo), {
+				mode: null,
+				address: null,
+				size: moduleInfo.fileBuffer.length,
+				skip
+			}));
+		}
+	}
+	return plan;
+}
+
+/**
+ * Reads the module table back from a flashed device and compares it to the modules of the flash steps
+ * @param {Object} options
+ * @param {Object} options.device - the flashed device, open or closed
+ * @param {Object[]} options.flashSteps - created by `createFlashSteps`
+ * @param {Object[]} options.modules - the parsed modules the steps were created from
+ * @returns {Promise<Object[]>} { name, module, check, expected, actual, ok } for every flashed module
+ */
+async function verifyFlashedModules({ device, flashSteps, modules }) {
+	device = await usbUtils.reopenInNormalMode(device);
+	try {
+		return await checkFlashedModules({ device, flashSteps, modules });
+	} finally {
+		await device.close();
+	}
+}
+
+/**
+ * Compares the module table of a device open in normal mode to the modules of the flash steps
+ * @param {Object} options
+ * @param {Object} options.device - the device, open and not in DFU mode
+ * @param {Object[]} options.flashSteps - created by `createFlashSteps`
+ * @param {Object[]} options.modules - the parsed modules the steps were created from
+ * @returns {Promise<Object[]>} { name, module, check, expected, actual, ok } for every module of the steps
+ */
+async function checkFlashedModules({ device, flashSteps, modules }) {
+	const deviceModules = await device.getFirmwareModuleInfo({ timeout: 5000 });
+	// only the asset steps can be skipped
+	const { available: availableAssets } = flashSteps.some(step => step.checkSkip) ? await device.getAssetInfo({ timeout: 5000 }) : { available: [] };
+	const checks = [];
+	for (const step of flashSteps) {
+		// the step invalidating the former user part doesn't flash a module
+		const moduleInfo = modules.find(m => path.basename(m.filename) === step.name);
+		if (!moduleInfo) {
+			continue;
+		}
+		const { module } = _describeModule(moduleInfo);
+		const { moduleFunction, moduleIndex, moduleVersion } = moduleInfo.prefixInfo;
+		if (moduleFunction === ModuleInfo.FunctionType.ASSET) {
+			const hash = _get256Hash(moduleInfo);
+			checks.push({ name: step.name, module, check: 'hash', expected: hash, actual: availableAssets.some(asset => asset.hash === hash) ? hash : null });
+			continue;
+		}
+
+		// the device names the module types like the keys of FunctionType
+		const type = Object.keys(ModuleInfo.FunctionType).find(key => ModuleInfo.FunctionType[key] === moduleFunction);
+		const deviceModule = deviceModules.find(m => m.type === type && m.index === moduleIndex);
+		checks.push({ name: step.name, module, check: 'version', expected: moduleVersion, actual: deviceModule ? deviceModule.version : null });
+		if (moduleFunction === ModuleInfo.FunctionType.USER_PART && deviceModule && /[^0]/.test(deviceModule.hash || '')) {
+			checks.push({ name: step.name, module, check: 'hash', expected: moduleInfo.suffixInfo.fwUniqueId, actual: deviceModule.hash });
+		}
+	}
+	return checks.map(check => Object.assign(check, { ok: check.expected === check.actual }));
+}
+
+function _describeModule(moduleInfo) {
+	if (!moduleInfo) {
+		return { module: null, version: null };
+	}
+	const { moduleFunction, moduleIndex, moduleVersion } = moduleInfo.prefixInfo;
+	return { module: `${moduleTypeFromNumber(moduleFunction)} ${moduleIndex}`, version: moduleVersion };
+}
+
 function _skipAsset(module, existingAssets) {
 	const hashAssetToBeFlashed = _get256Hash(module);
 	return existingAssets.some((asset) => hashAssetToBeFlashed === asset.hash);
@@ -356,9 +480,13 @@ module.exports = {
 	filterModulesToFlash,
 	parseModulesToFlash,
 	createFlashSteps,
+	describeFlashSteps,
+	verifyFlashedModules,
+	checkFlashedModules,
 	prepareDeviceForFlash,
 	validateDFUSupport,
 	getFileFlashInfo,
 	_get256Hash,
-	_skipAsset
+	_skipAsset,
+	_createFlashProgress
 };
@@ -3,13 +3,17 @@ const { HalModuleParser, firmwareTestHelper, ModuleInfo, createAssetModule } = r
 const chalk = require('chalk');
 const usbUtils = require('../cmd/usb-util');
 const {
+	flashFiles,
 	createFlashSteps,
+	describeFlashSteps,
+	verifyFlashedModules,
 	filterModulesToFlash,
 	prepareDeviceForFlash,
 	validateDFUSupport,
 	getFileFlashInfo,
 	_get256Hash,
-	_skipAsset
+	_skipAsset,
+	_createFlashProgress
 } = require('./flash-helper');
 const { PATH_TMP_DIR } = require('../../test/lib/env');
 const path = require('path');
@@ -401,6 +405,140 @@ describe('flash-helper', () => {
 		});
 	});
 
+	describe('flashFiles', () => {
+		afterEach(() => {
+			sinon.restore();
+		});
+
+		it('records the flashed steps in the journal', async () => {
+			const device = { id: 'abc123', isInDfuMode: true, isOpen: true, writeOverDfu: sinon.stub().resolves(), reset: sinon.stub().resolves(), close: sinon.stub().resolves() };
+			device.writeOverDfu.onSecondCall().rejects(new Error('USB error'));
+			sinon.stub(usbUtils, 'reopenDevice').callsFake(async (device) => device);
+			const journal = { stepDone: sinon.stub(), finish: sinon.stub() };
+			const flashSteps = [
+				{ name: 'system-part1.bin', flashMode: 'dfu', address: 0x30000, data: Buffer.from('system') },
+				{ name: 'app.bin', flashMode: 'dfu', address: 0xb4000, data: Buffer.from('app') }
+			];
+			const ui = { isInteractive: false, stdout: { write: sinon.stub() } };
+
+			let error;
+			try {
+				await flashFiles({ device, flashSteps, ui, journal });
+			} catch (e) {
+				error = e;
+			}
+
+			expect(error.message).to.match(/^Writing over DFU failed/);
+			expect(journal.stepDone).to.have.been.calledOnceWith('abc123', flashSteps[0]);
+			expect(journal.finish).to.not.have.been.called;
+
+			device.writeOverDfu.resolves();
+			await flashFiles({ device, flashSteps: flashSteps.slice(1), ui, journal });
+			expect(journal.finish).to.have.been.calledOnceWith('abc123');
+		});
+	});
+
+	describe('describeFlashSteps', () => {
+		let modules;
+		beforeEach(async () => {
+			const [asset1] = await createAssetModules();
+			const { ncp } = await createExtraModules();
+			modules = [...await createModules(), asset1, ncp];
+		});
+
+		it('describes the steps in flashing order and the modules left out', async () => {
+			const flashSteps = await createFlashSteps({ modules: filterModulesToFlash({ modules, platformId: 6 }), isInDfuMode: false, platformId: 6 });
+			const device = {
+				isInDfuMode: false,
+				getAssetInfo: sinon.stub().resolves({ available: [{ name: 'asset1.bin', hash: '8e3dd2ea9ff3da70862a52621f7c1dc81c2b184cb886a324a3f430ec11efd3f2' }] })
+			};
+
+			const plan = await describeFlashSteps({ flashSteps, modules, platformId: 6, device });
+
+			expect(plan.map(step => step.name)).to.eql(['preBootloader.bin', 'bootloader.bin', 'systemPart1.bin', 'systemPart2.bin', 'userPart1.bin', 'asset1.bin', 'ncp.bin']);
+			expect(plan[0]).to.include({ module: 'bootloader 0', version: 1200, mode: 'normal', address: null, skip: null });
+			expect(plan[2]).to.eql({
+				name: 'systemPart1.bin',
+				module: 'systemPart 1',
+				version: 4100,
+				mode: 'dfu',
+				address: '0x8000000',
+				size: modules[2].fileBuffer.length,
+				skip: null
+			});
+			expect(plan[5]).to.include({ module: 'asset 0', mode: 'normal', skip: 'already on the device' });
+			expect(plan[6]).to.include({ mode: null, skip: 'NCP firmware is not flashed over USB' });
+		});
+
+		it('can not tell which assets are on a device in DFU mode', async () => {
+			const flashSteps = await createFlashSteps({ modules: filterModulesToFlash({ modules, platformId: 6 }), isInDfuMode: true, platformId: 6 });
+
+			const plan = await describeFlashSteps({ flashSteps, modules, platformId: 6, device: { isInDfuMode: true } });
+
+			expect(plan.map(step => step.mode)).to.eql(['dfu', 'dfu', 'dfu', 'normal', 'normal', 'normal', null]);
+			expect(plan.find(step => step.name === 'asset1.bin')).to.include({ skip: 'if already on the device' });
+		});
+	});
+
+	describe('verifyFlashedModules', () => {
+		let modules, flashSteps, device;
+		beforeEach(async () => {
+			const [asset1] = await createAssetModules();
+			modules = [...await createModules(), asset1];
+			flashSteps = await createFlashSteps({ modules, isInDfuMode: false, platformId: 6 });
+			device = {
+				getFirmwareModuleInfo: sinon.stub().resolves([
+					{ type: 'BOOTLOADER', index: 0, version: 1200, hash: '' },
+					{ type: 'BOOTLOADER', index: 2, version: 1210, hash: '' },
+					{ type: 'SYSTEM_PART', index: 1, version: 4100, hash: '' },
+					{ type: 'SYSTEM_PART', index: 2, version: 4100, hash: '' },
+					{ type: 'USER_PART', index: 1, version: 4100, hash: modules[4].suffixInfo.fwUniqueId }
+				]),
+				getAssetInfo: sinon.stub().resolves({ available: [{ name: 'asset1.bin', hash: '8e3dd2ea9ff3da70862a52621f7c1dc81c2b184cb886a324a3f430ec11efd3f2' }] }),
+				close: sinon.stub().resolves()
+			};
+			sinon.stub(usbUtils, 'reopenInNormalMode').resolves(device);
+		});
+
+		afterEach(() => {
+			sinon.restore();
+		});
+
+		it('checks the version of every flashed module and the hash of the application and the assets', async () => {
+			const checks = await verifyFlashedModules({ device: {}, flashSteps, modules });
+
+			expect(checks.map(({ name, check, ok }) => `${name} ${check} ${ok}`)).to.eql([
+				'preBootloader.bin version true',
+				'bootloader.bin version true',
+				'systemPart1.bin version true',
+				'systemPart2.bin version true',
+				'userPart1.bin version true',
+				'userPart1.bin hash true',
+				'asset1.bin hash true'
+			]);
+			expect(device.close).to.have.been.calledOnce;
+		});
+
+		it('reports the modules that do not match', async () => {
+			device.getFirmwareModuleInfo.resolves([
+				{ type: 'SYSTEM_PART', index: 1, version: 4000, hash: '' },
+				{ type: 'USER_PART', index: 1, version: 4100, hash: 'ff' }
+			]);
+			device.getAssetInfo.resolves({ available: [] });
+
+			const checks = await verifyFlashedModules({ device: {}, flashSteps, modules });
+
+			expect(checks.filter(check => !check.ok).map(({ name, check, expected, actual }) => ({ name, check, expected, actual }))).to.eql([
+				{ name: 'preBootloader.bin', check: 'version', expected: 1200, actual: null },
+				{ name: 'bootloader.bin', check: 'version', expected: 1210, actual: null },
+				{ name: 'systemPart1.bin', check: 'version', expected: 4100, actual: 4000 },
+				{ name: 'systemPart2.bin', check: 'version', expected: 4100, actual: null },
+				{ name: 'userPart1.bin', check: 'hash', expected: modules[4].suffixInfo.fwUniqueId, actual: 'ff' },
+				{ name: 'asset1.bin', check: 'hash', expected: '8e3dd2ea9ff3da70862a52621f7c1dc81c2b184cb886a324a3f430ec11efd3f2', actual: null }
+			]);
+		});
+	});
+
 	describe('prepareDeviceForFlash', () => {
 		let reopenInNormalStub, reopenStub, reopenInDfuModeStub;
 		beforeEach(() => {
@@ -667,4 +805,33 @@ describe('flash-helper', () => {
 			expect(res).to.equal(false);
 		});
 	});
+
+	describe('_createFlashProgress', () => {
+		const flashSteps = [{ name: 'app.bin', flashMode: 'dfu', data: Buffer.alloc(100) }];
+
+		it('prefixes the lines with the label of the device', () => {
+			const ui = { isInteractive: false, stdout: { write: sinon.stub() } };
+
+			const progress = _createFlashProgress({ flashSteps, ui, label: 'abc123' });
+			progress({ event: 'flash-file', filename: 'app.bin' });
+			progress({ event: 'finish', success: true });
+
+			expect(ui.stdout.write.args.map(([text]) => text.trim())).to.eql(['abc123: Flashing app.bin', 'abc123: Flash success!']);
+		});
+
+		it('adds a bar for the device to the shared progress display', () => {
+			const bar = { update: sinon.stub(), increment: sinon.stub(), stop: sinon.stub() };
+			const multiBar = { create: sinon.stub().returns(bar) };
+			const ui = { isInteractive: true, createProgressBar: sinon.stub() };
+
+			const progress = _createFlashProgress({ flashSteps, ui, multiBar, label: 'abc123' });
+			progress({ event: 'finish', success: false });
+
+			expect(multiBar.create).to.have.been.calledWith(200, 0, { description: 'Preparing to flash', label: 'abc123' });
+			expect(ui.createProgressBar).to.not.have.been.called;
+			expect(bar.update).to.have.been.calledWith({ description: 'Flash failed.' });
+			expect(bar.stop).to.have.been.calledOnce;
+		});
+	});
 });
+
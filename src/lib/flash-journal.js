@@ -0,0 +1,104 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const settings = require('../../settings');
+
+
+/**
+ * Records the steps of a local flash as they complete so a flash interrupted halfway can be resumed
+ */
+class FlashJournal {
+	constructor() {
+		const particleDir = settings.ensureFolder();
+		this.path = path.join(particleDir, 'flash-sessions');
+	}
+
+	/**
+	 * Finds the flash of a device that started but never finished
+	 * @param {String} deviceId
+	 * @returns {Object|null} { deviceId, startedAt, steps: [{ name, sha256, done }] } or null if there is none
+	 */
+	find(deviceId) {
+		try {
+			return fs.readJsonSync(this._filename(deviceId));
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Records the steps about to be flashed, replacing any earlier session of the device
+	 * @param {String} deviceId
+	 * @param {Object[]} flashSteps - created by `createFlashSteps`
+	 */
+	start(deviceId, flashSteps) {
+		this._write({
+			deviceId,
+			startedAt: Date.now(),
+			steps: flashSteps.map(step => ({ name: step.name, sha256: stepHash(step), done: false }))
+		});
+	}
+
+	/**
+	 * Marks a step as flashed
+	 * @param {String} deviceId
+	 * @param {Object} step
+	 */
+	stepDone(deviceId, step) {
+		const session = this.find(deviceId);
+		if (!session) {
+			return;
+		}
+		const hash = stepHash(step);
+		session.steps.forEach(s => {
+			if (s.name === step.name && s.sha256 === hash) {
+				s.done = true;
+			}
+		});
+		this._write(session);
+	}
+
+	/**
+	 * Forgets the session once every step is flashed
+	 * @param {String} deviceId
+	 */
+	finish(deviceId) {
+		fs.removeSync(this._filename(deviceId));
+	}
+
+	/**
+	 * The steps left to flash when resuming a session. The device may be in a different mode than when the
+	 * session started so the steps can be in another order, but they must be the same
+	 * @param {Object} session - returned by `find`
+	 * @param {Object[]} flashSteps - created by `createFlashSteps` for this flash
+	 * @returns {Object[]|null} the steps not flashed yet or null if the session was flashing other files
+	 */
+	static remainingSteps(session, flashSteps) {
+		const recorded = session.steps || [];
+		const same = recorded.length === flashSteps.length && flashSteps.every(step => {
+			const hash = stepHash(step);
+			return recorded.some(s => s.name === step.name && s.sha256 === hash);
+		});
+		if (!same) {
+			return null;
+		}
+		return flashSteps.filter(step => {
+			const hash = stepHash(step);
+			return !recorded.some(s => s.name === step.name && s.sha256 === hash && s.done);
+		});
+	}
+
+	_filename(deviceId) {
+		return path.join(this.path, `${deviceId}.json`);
+	}
+
+	_write(session) {
+		fs.outputJsonSync(this._filename(session.deviceId), session);
+	}
+}
+
+function stepHash(step) {
+	return crypto.createHash('sha256').update(step.data).digest('hex');
+}
+
+module.exports = FlashJournal;
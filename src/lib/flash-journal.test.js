@@ -0,0 +1,66 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { expect } = require('../../test/setup');
+const { PATH_TMP_DIR } = require('../../test/lib/env');
+const FlashJournal = require('./flash-journal');
+
+
+describe('FlashJournal', () => {
+	const originalEnv = process.env;
+	const deviceId = '0123456789abcdef01234567';
+	const flashSteps = [
+		{ name: 'system-part1.bin', flashMode: 'dfu', address: 0x30000, data: Buffer.from('system') },
+		{ name: 'app.bin', flashMode: 'dfu', address: 0xb4000, data: Buffer.from('app') },
+		{ name: 'asset.bin', flashMode: 'normal', data: Buffer.from('asset') }
+	];
+
+	beforeEach(() => {
+		process.env = {
+			...originalEnv,
+			home: PATH_TMP_DIR,
+		};
+	});
+
+	afterEach(async () => {
+		process.env = originalEnv;
+		await fs.remove(path.join(PATH_TMP_DIR, '.particle/'));
+	});
+
+	it('records the flashed steps of a device until the flash finishes', () => {
+		const journal = new FlashJournal();
+
+		journal.start(deviceId, flashSteps);
+		journal.stepDone(deviceId, flashSteps[0]);
+
+		const session = journal.find(deviceId);
+		expect(session).to.include({ deviceId });
+		expect(session.steps.map(({ name, done }) => `${name} ${done}`)).to.eql(['system-part1.bin true', 'app.bin false', 'asset.bin false']);
+		expect(session.steps[0].sha256).to.match(/^[0-9a-f]{64}$/);
+
+		journal.finish(deviceId);
+		expect(journal.find(deviceId)).to.equal(null);
+	});
+
+	describe('remainingSteps', () => {
+		it('returns the steps not flashed yet, in the order of the new flash', () => {
+			const journal = new FlashJournal();
+			journal.start(deviceId, flashSteps);
+			journal.stepDone(deviceId, flashSteps[1]);
+
+			const reordered = [flashSteps[2], flashSteps[0], flashSteps[1]];
+			const remaining = FlashJournal.remainingSteps(journal.find(deviceId), reordered);
+
+			expect(remaining.map(step => step.name)).to.eql(['asset.bin', 'system-part1.bin']);
+		});
+
+		it('returns null when the session flashed other files', () => {
+			const journal = new FlashJournal();
+			journal.start(deviceId, flashSteps);
+
+			const changed = [flashSteps[0], { name: 'app.bin', flashMode: 'dfu', address: 0xb4000, data: Buffer.from('new app') }, flashSteps[2]];
+
+			expect(FlashJournal.remainingSteps(journal.find(deviceId), changed)).to.equal(null);
+			expect(FlashJournal.remainingSteps(journal.find(deviceId), flashSteps.slice(1))).to.equal(null);
+		});
+	});
+});
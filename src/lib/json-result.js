@@ -37,6 +37,11 @@ module.exports.JSONErrorResult = class JSONErrorResult extends Error {
 			error[name] = this[name];
 		}
 
+		// machine readable details like the diagnostics of a failed compile
+		if (cause.details !== undefined){
+			error.details = cause.details;
+		}
+
 		return { meta, error };
 	}
 };
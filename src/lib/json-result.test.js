@@ -88,6 +88,15 @@ describe('JSON Formatted Command Results', () => {
 			expect(obj.error.message).to.equal('test');
 		});
 
+		it('Serializes the details of the error', () => {
+			const cause = new Error('test');
+			cause.details = { diagnostics: [] };
+			const obj = JSON.parse(`${new JSONErrorResult(cause)}`);
+
+			expect(obj.error).to.have.all.keys('message', 'stack', 'details');
+			expect(obj.error.details).to.eql({ diagnostics: [] });
+		});
+
 		it('Converts result to string', () => {
 			const cause = new Error('test');
 			const result = new JSONErrorResult(cause);
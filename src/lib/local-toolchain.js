@@ -0,0 +1,97 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const utilities = require('./utilities');
+
+const TARGET_FILE = 'app';
+
+/**
+ * Compiles applications with a Device OS source tree and gcc-arm installed on this computer instead of the compile server.
+ * The files are laid out the way the compile server sees them and the result has the same shape: the binary and
+ * the output of `arm-none-eabi-size` for the memory stats.
+ */
+class LocalToolchain {
+	/**
+	 * @param {Object} options
+	 * @param {String} options.deviceOsPath - the Device OS source tree, its version is the target of the build
+	 * @param {String} [options.gccArmPath] - the `bin` directory of gcc-arm, gcc-arm is found in the PATH when not set
+	 */
+	constructor({ deviceOsPath, gccArmPath } = {}) {
+		this.deviceOsPath = deviceOsPath;
+		this.gccArmPath = gccArmPath;
+	}
+
+	/**
+	 * @param {Object} options
+	 * @param {Object} options.fileMapping - the files to compile, like the ones uploaded to the compile server
+	 * @param {Number} options.platformId
+	 * @returns {Promise<Object>} { binary, sizeInfo }
+	 * @throws {Error} with the compiler output in `compilerOutput` when the build fails
+	 */
+	async compile({ fileMapping, platformId }) {
+		await this.validate();
+
+		const buildDir = await fs.mkdtemp(path.join(os.tmpdir(), 'particle-build-'));
+		const appDir = path.join(buildDir, 'app');
+		const targetDir = path.join(buildDir, 'target');
+		try {
+			for (const [target, source] of Object.entries(fileMapping.map)) {
+				await fs.copy(path.resolve(fileMapping.basePath || '', source), path.join(appDir, target));
+			}
+			await this._run('make', this._makeArgs({ platformId, appDir, targetDir }));
+
+			const binary = await fs.readFile(path.join(targetDir, `${TARGET_FILE}.bin`));
+			const { stdout } = await this._run(this._tool('arm-none-eabi-size'), [path.join(targetDir, `${TARGET_FILE}.elf`)]);
+			return { binary, sizeInfo: stdout };
+		} finally {
+			await fs.remove(buildDir);
+		}
+	}
+
+	async validate() {
+		if (!this.deviceOsPath) {
+			throw new Error('Set the Device OS source tree to compile with the local toolchain: particle config set deviceOsPath /path/to/device-os');
+		}
+		if (!await fs.exists(path.join(this.deviceOsPath, 'main', 'makefile'))) {
+			throw new Error(`${this.deviceOsPath} is not a Device OS source tree. Change it with: particle config set deviceOsPath /path/to/device-os`);
+		}
+	}
+
+	_makeArgs({ platformId, appDir, targetDir }) {
+		const args = [
+			'-s',
+			'-C', path.join(this.deviceOsPath, 'main'),
+			'all',
+			`PLATFORM_ID=${platformId}`,
+			`APPDIR=${appDir}`,
+			`TARGET_DIR=${targetDir}`,
+			`TARGET_FILE=${TARGET_FILE}`
+		];
+		if (this.gccArmPath) {
+			// the Device OS makefiles prefix the compiler with it so it must end with a separator
+			args.push(`GCC_ARM_PATH=${path.join(this.gccArmPath, path.sep)}`);
+		}
+		return args;
+	}
+
+	_tool(name) {
+		return this.gccArmPath ? path.join(this.gccArmPath, name) : name;
+	}
+
+	async _run(command, args) {
+		let output;
+		try {
+			output = await utilities.deferredSpawnProcess(command, args);
+		} catch (result) {
+			if (result instanceof Error) {
+				throw new Error(`Unable to run ${command}: ${result.message}`);
+			}
+			const error = new Error(`${command} failed`);
+			error.compilerOutput = Buffer.concat(result.stderr.concat(result.stdout)).toString();
+			throw error;
+		}
+		return { stdout: Buffer.concat(output.stdout).toString() };
+	}
+}
+
+module.exports = LocalToolchain;
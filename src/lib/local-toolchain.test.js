@@ -0,0 +1,82 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { expect, sinon } = require('../../test/setup');
+const { PATH_TMP_DIR } = require('../../test/lib/env');
+const utilities = require('./utilities');
+const LocalToolchain = require('./local-toolchain');
+
+
+describe('LocalToolchain', () => {
+	const deviceOsPath = path.join(PATH_TMP_DIR, 'device-os');
+	const sizeInfo = '   text\t   data\t    bss\t    dec\t    hex\tfilename\n   4000\t   1000\t   2000\t   7000\t   1b58\tapp.elf\n';
+	const fileMapping = { basePath: PATH_TMP_DIR, map: { [path.join('src', 'app.cpp')]: path.join('project', 'src', 'app.cpp') } };
+	let appFiles;
+
+	beforeEach(async () => {
+		appFiles = null;
+		await fs.outputFile(path.join(deviceOsPath, 'main', 'makefile'), '');
+		await fs.outputFile(path.join(PATH_TMP_DIR, 'project', 'src', 'app.cpp'), 'void setup() {}\n');
+		sinon.stub(utilities, 'deferredSpawnProcess').callsFake(async (command, args) => {
+			if (command === 'make') {
+				const option = (name) => args.find(arg => arg.startsWith(`${name}=`)).slice(name.length + 1);
+				appFiles = await fs.readdir(path.join(option('APPDIR'), 'src'));
+				await fs.outputFile(path.join(option('TARGET_DIR'), 'app.bin'), 'firmware');
+				return { stdout: [], stderr: [] };
+			}
+			return { stdout: [Buffer.from(sizeInfo)], stderr: [] };
+		});
+	});
+
+	afterEach(async () => {
+		sinon.restore();
+		await fs.emptyDir(PATH_TMP_DIR);
+	});
+
+	it('builds the application with the Device OS makefiles', async () => {
+		const toolchain = new LocalToolchain({ deviceOsPath, gccArmPath: '/opt/gcc-arm/bin' });
+
+		const result = await toolchain.compile({ fileMapping, platformId: 13 });
+
+		expect(result.binary.toString()).to.equal('firmware');
+		expect(result.sizeInfo).to.equal(sizeInfo);
+		expect(appFiles).to.eql(['app.cpp']);
+		const [command, args] = utilities.deferredSpawnProcess.firstCall.args;
+		expect(command).to.equal('make');
+		expect(args).to.include.members(['-C', path.join(deviceOsPath, 'main'), 'all', 'PLATFORM_ID=13', 'TARGET_FILE=app']);
+		expect(args).to.include(`GCC_ARM_PATH=${path.join('/opt/gcc-arm/bin', path.sep)}`);
+		expect(utilities.deferredSpawnProcess.secondCall.args[0]).to.equal(path.join('/opt/gcc-arm/bin', 'arm-none-eabi-size'));
+	});
+
+	it('adds the compiler output to the error when the build fails', async () => {
+		utilities.deferredSpawnProcess.callsFake(async () => {
+			throw { stdout: [], stderr: [Buffer.from('src/app.cpp:1:1: error: expected declaration')] };
+		});
+		const toolchain = new LocalToolchain({ deviceOsPath });
+		let error;
+		try {
+			await toolchain.compile({ fileMapping, platformId: 13 });
+		} catch (e) {
+			error = e;
+		}
+
+		expect(error).to.have.property('message', 'make failed');
+		expect(error).to.have.property('compilerOutput', 'src/app.cpp:1:1: error: expected declaration');
+	});
+
+	it('needs a Device OS source tree', async () => {
+		const errors = [];
+		for (const options of [{}, { deviceOsPath: PATH_TMP_DIR }]) {
+			try {
+				await new LocalToolchain(options).compile({ fileMapping, platformId: 13 });
+			} catch (error) {
+				errors.push(error.message);
+			}
+		}
+
+		expect(errors).to.eql([
+			'Set the Device OS source tree to compile with the local toolchain: particle config set deviceOsPath /path/to/device-os',
+			`${PATH_TMP_DIR} is not a Device OS source tree. Change it with: particle config set deviceOsPath /path/to/device-os`
+		]);
+		expect(utilities.deferredSpawnProcess).to.have.property('callCount', 0);
+	});
+});
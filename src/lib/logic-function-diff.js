@@ -0,0 +1,179 @@
+const _ = require('lodash');
+const { diffTriggers } = require('./logic-function-triggers');
+
+const CONTEXT_LINES = 3;
+
+/**
+ * Creates a unified diff between two texts
+ * @param {String} before
+ * @param {String} after
+ * @param {Object} options
+ * @param {String} options.fromFile - label of the original text
+ * @param {String} options.toFile - label of the modified text
+ * @param {Number} [options.context] - number of unchanged lines shown around each change
+ * @returns {String[]} the lines of the diff, empty when the texts are the same
+ */
+function unifiedDiff(before, after, { fromFile, toFile, context = CONTEXT_LINES }) {
+	const operations = diffLines(splitLines(before), splitLines(after));
+	const hunks = groupHunks(operations, context);
+	if (!hunks.length) {
+		return [];
+	}
+	return [`--- ${fromFile}`, `+++ ${toFile}`, ..._.flatMap(hunks, formatHunk)];
+}
+
+function splitLines(text) {
+	const lines = (text || '').split(/\r?\n/);
+	if (lines[lines.length - 1] === '') {
+		lines.pop();
+	}
+	return lines;
+}
+
+// longest common subsequence of the lines after trimming the common prefix and suffix
+function diffLines(a, b) {
+	let start = 0;
+	while (start < a.length && start < b.length && a[start] === b[start]) {
+		start++;
+	}
+	let endA = a.length;
+	let endB = b.length;
+	while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+		endA--;
+		endB--;
+	}
+	const n = endA - start;
+	const m = endB - start;
+	const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+	for (let i = n - 1; i >= 0; i--) {
+		for (let j = m - 1; j >= 0; j--) {
+			lengths[i][j] = a[start + i] === b[start + j]
+				? lengths[i + 1][j + 1] + 1
+				: Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+		}
+	}
+
+	const operations = a.slice(0, start).map(line => ({ type: ' ', line }));
+	let i = 0;
+	let j = 0;
+	while (i < n || j < m) {
+		if (i < n && j < m && a[start + i] === b[start + j]) {
+			operations.push({ type: ' ', line: a[start + i] });
+			i++;
+			j++;
+		} else if (i < n && (j === m || lengths[i + 1][j] >= lengths[i][j + 1])) {
+			operations.push({ type: '-', line: a[start + i] });
+			i++;
+		} else {
+			operations.push({ type: '+', line: b[start + j] });
+			j++;
+		}
+	}
+	return operations.concat(a.slice(endA).map(line => ({ type: ' ', line })));
+}
+
+function groupHunks(operations, context) {
+	const changes = operations.reduce((indexes, op, index) => op.type === ' ' ? indexes : indexes.concat(index), []);
+	const hunks = [];
+	for (const index of changes) {
+		const last = hunks[hunks.length - 1];
+		if (last && index - last.end - 1 <= context * 2) {
+			last.end = index;
+		} else {
+			hunks.push({ start: index, end: index });
+		}
+	}
+	return hunks.map(({ start, end }) => {
+		const from = Math.max(0, start - context);
+		const to = Math.min(operations.length, end + context + 1);
+		const preceding = operations.slice(0, from);
+		return {
+			oldStart: preceding.filter(op => op.type !== '+').length,
+			newStart: preceding.filter(op => op.type !== '-').length,
+			operations: operations.slice(from, to)
+		};
+	});
+}
+
+function formatHunk({ oldStart, newStart, operations }) {
+	const oldCount = operations.filter(op => op.type !== '+').length;
+	const newCount = operations.filter(op => op.type !== '-').length;
+	const range = (start, count) => `${count ? start + 1 : start},${count}`;
+	return [
+		`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`,
+		...operations.map(op => `${op.type}${op.line}`)
+	];
+}
+
+/**
+ * Compares a Logic Function deployed in the cloud with its local copy. With the base, the version both
+ * were last in sync at, the local and the cloud changes are diffed separately from it
+ * @param {LogicFunction} cloudLogicFunction
+ * @param {LogicFunction} localLogicFunction
+ * @param {LogicFunction} [baseLogicFunction] - returned by `loadDeployedBase`
+ * @returns {Object} { base, local, cloud, conflicts, outdated, hasChanges } where local and cloud contain
+ * { code, properties, triggers, hasChanges }: the lines of a unified diff of the source code, the changed
+ * properties as { name, before, after } and the result of `diffTriggers`. Without a base, local compares the
+ * cloud to the local copy and cloud is null. `base` is the version of the base and `conflicts` names what
+ * changed differently on both sides. `outdated` is set when the cloud changed since the local copy's version
+ */
+function diffLogicFunctions(cloudLogicFunction, localLogicFunction, baseLogicFunction) {
+	const fileName = localLogicFunction.files.sourceCode.name;
+	if (!baseLogicFunction) {
+		const local = compareLogicFunctions(cloudLogicFunction, localLogicFunction, { fromFile: `cloud/${fileName}`, toFile: `local/${fileName}` });
+		return {
+			base: null,
+			local,
+			cloud: null,
+			conflicts: [],
+			outdated: (cloudLogicFunction.version || 0) > (localLogicFunction.version || 0),
+			hasChanges: local.hasChanges
+		};
+	}
+
+	const fromFile = `v${baseLogicFunction.version}/${fileName}`;
+	const local = compareLogicFunctions(baseLogicFunction, localLogicFunction, { fromFile, toFile: `local/${fileName}` });
+	const cloud = compareLogicFunctions(baseLogicFunction, cloudLogicFunction, { fromFile, toFile: `cloud/${fileName}` });
+	const conflicts = [];
+	if (local.code.length && cloud.code.length && localLogicFunction.files.sourceCode.content !== cloudLogicFunction.files.sourceCode.content) {
+		conflicts.push('source code');
+	}
+	local.properties
+		.filter(({ name, after }) => cloud.properties.some(property => property.name === name && property.after !== after))
+		.forEach(({ name }) => conflicts.push(name));
+	if (hasTriggerChanges(local.triggers) && hasTriggerChanges(cloud.triggers) &&
+		hasTriggerChanges(diffTriggers(cloudLogicFunction.triggers, localLogicFunction.triggers))) {
+		conflicts.push('triggers');
+	}
+	return {
+		base: baseLogicFunction.version,
+		local,
+		cloud,
+		conflicts,
+		outdated: cloud.hasChanges,
+		hasChanges: local.hasChanges || cloud.hasChanges
+	};
+}
+
+function compareLogicFunctions(before, after, labels) {
+	const code = unifiedDiff(before.files.sourceCode.content, after.files.sourceCode.content, labels);
+	const properties = ['description', 'enabled']
+		.filter(name => before[name] !== after[name])
+		.map(name => ({ name, before: before[name], after: after[name] }));
+	const triggers = diffTriggers(before.triggers, after.triggers);
+	return {
+		code,
+		properties,
+		triggers,
+		hasChanges: code.length > 0 || properties.length > 0 || hasTriggerChanges(triggers)
+	};
+}
+
+function hasTriggerChanges({ added, removed, changed }) {
+	return added.length > 0 || removed.length > 0 || changed.length > 0;
+}
+
+module.exports = {
+	unifiedDiff,
+	diffLogicFunctions
+};
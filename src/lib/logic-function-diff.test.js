@@ -0,0 +1,128 @@
+const { expect } = require('../../test/setup');
+const LogicFunction = require('./logic-function');
+const { unifiedDiff, diffLogicFunctions } = require('./logic-function-diff');
+
+describe('Logic Function diff', () => {
+	describe('unifiedDiff', () => {
+		const labels = { fromFile: 'cloud/lf.js', toFile: 'local/lf.js' };
+
+		it('returns no lines when the texts are the same', () => {
+			expect(unifiedDiff('a\nb\n', 'a\nb\n', labels)).to.eql([]);
+		});
+
+		it('shows changed lines with their context', () => {
+			const before = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'].join('\n');
+			const after = ['1', '2', 'three', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13'].join('\n');
+
+			expect(unifiedDiff(before, after, labels)).to.eql([
+				'--- cloud/lf.js',
+				'+++ local/lf.js',
+				'@@ -1,6 +1,6 @@',
+				' 1',
+				' 2',
+				'-3',
+				'+three',
+				' 4',
+				' 5',
+				' 6',
+				'@@ -10,3 +10,4 @@',
+				' 10',
+				' 11',
+				' 12',
+				'+13'
+			]);
+		});
+
+		it('merges changes that are close to each other', () => {
+			expect(unifiedDiff('a\nb\nc\nd\n', 'A\nb\nc\nD\n', { ...labels, context: 1 })).to.eql([
+				'--- cloud/lf.js',
+				'+++ local/lf.js',
+				'@@ -1,4 +1,4 @@',
+				'-a',
+				'+A',
+				' b',
+				' c',
+				'-d',
+				'+D'
+			]);
+		});
+
+		it('compares against empty texts', () => {
+			expect(unifiedDiff('', 'a\n', labels)).to.eql(['--- cloud/lf.js', '+++ local/lf.js', '@@ -0,0 +1,1 @@', '+a']);
+			expect(unifiedDiff('a\n', undefined, labels)).to.eql(['--- cloud/lf.js', '+++ local/lf.js', '@@ -1,1 +0,0 @@', '-a']);
+		});
+	});
+
+	describe('diffLogicFunctions', () => {
+		function createLogicFunction({ code, ...options }) {
+			const logicFunction = new LogicFunction({ name: 'LF1', type: 'JavaScript', ...options });
+			logicFunction.files.sourceCode.content = code;
+			return logicFunction;
+		}
+
+		it('finds no changes between identical Logic Functions', () => {
+			const cloud = createLogicFunction({ code: 'a\n', description: 'desc', enabled: true, version: 2 });
+			const local = createLogicFunction({ code: 'a\n', description: 'desc', enabled: true, version: 2 });
+
+			const diff = diffLogicFunctions(cloud, local);
+
+			expect(diff.hasChanges).to.be.false;
+			expect(diff.outdated).to.be.false;
+		});
+
+		it('compares code, description, enabled state and triggers', () => {
+			const cloud = createLogicFunction({
+				code: 'a\n',
+				description: 'old',
+				enabled: true,
+				version: 3,
+				triggers: [{ id: '1', type: 'Scheduled', enabled: true, cron: '* * * * *' }]
+			});
+			const local = createLogicFunction({ code: 'b\n', description: 'new', enabled: true, version: 2 });
+
+			const diff = diffLogicFunctions(cloud, local);
+
+			expect(diff.hasChanges).to.be.true;
+			expect(diff.outdated).to.be.true;
+			expect(diff.base).to.equal(null);
+			expect(diff.local.code).to.eql(['--- cloud/lf1.js', '+++ local/lf1.js', '@@ -1,1 +1,1 @@', '-a', '+b']);
+			expect(diff.local.properties).to.eql([{ name: 'description', before: 'old', after: 'new' }]);
+			expect(diff.local.triggers.removed).to.have.lengthOf(1);
+		});
+
+		it('separates the local and the cloud changes from the base', () => {
+			const base = createLogicFunction({ code: 'a\nb\nc\n', description: 'desc', enabled: true, version: 2 });
+			const local = createLogicFunction({ code: 'A\nb\nc\n', description: 'desc', enabled: true, version: 2 });
+			const cloud = createLogicFunction({ code: 'a\nb\nc\n', description: 'teammate', enabled: true, version: 3 });
+
+			const diff = diffLogicFunctions(cloud, local, base);
+
+			expect(diff).to.include({ base: 2, outdated: true, hasChanges: true });
+			expect(diff.local.code).to.eql(['--- v2/lf1.js', '+++ local/lf1.js', '@@ -1,3 +1,3 @@', '-a', '+A', ' b', ' c']);
+			expect(diff.local.properties).to.eql([]);
+			expect(diff.cloud.code).to.eql([]);
+			expect(diff.cloud.properties).to.eql([{ name: 'description', before: 'desc', after: 'teammate' }]);
+			expect(diff.conflicts).to.eql([]);
+		});
+
+		it('finds what changed differently on both sides', () => {
+			const base = createLogicFunction({ code: 'a\n', enabled: true, version: 2 });
+			const local = createLogicFunction({ code: 'b\n', enabled: false, version: 2, triggers: [{ type: 'Scheduled', enabled: true, cron: '* * * * *' }] });
+			const cloud = createLogicFunction({ code: 'c\n', enabled: false, version: 3, triggers: [{ id: '1', type: 'Scheduled', enabled: true, cron: '0 * * * *' }] });
+
+			const diff = diffLogicFunctions(cloud, local, base);
+
+			expect(diff.conflicts).to.eql(['source code', 'triggers']);
+		});
+
+		it('has no changes when neither side changed from the base', () => {
+			const base = createLogicFunction({ code: 'a\n', version: 2 });
+			const local = createLogicFunction({ code: 'a\n', version: 2 });
+			const cloud = createLogicFunction({ code: 'a\n', version: 2 });
+
+			const diff = diffLogicFunctions(cloud, local, base);
+
+			expect(diff).to.include({ outdated: false, hasChanges: false });
+		});
+	});
+});
@@ -0,0 +1,158 @@
+const path = require('path');
+const fs = require('fs-extra');
+const _ = require('lodash');
+const { globList } = require('./utilities');
+
+const FIXTURE_EXTENSION = '.test.json';
+
+/**
+ * Finds the test fixtures that belong to a Logic Function.
+ * Fixtures live next to the `.logic.json` file and are named
+ * `<name>.test.json` or `<name>.<case>.test.json`
+ *
+ * @param {LogicFunction} logicFunction
+ * @returns {String[]} paths of the fixture files
+ */
+function findTestFixtures(logicFunction) {
+	const baseName = logicFunction.files.configuration.name.replace(/\.logic\.json$/, '');
+	return globList(logicFunction.path, [`${baseName}${FIXTURE_EXTENSION}`, `${baseName}.*${FIXTURE_EXTENSION}`]).sort();
+}
+
+/**
+ * Loads the test cases from a fixture file. A fixture file contains a single
+ * test case or an array of them:
+ *
+ * {
+ *   "name": "publishes the temperature",
+ *   "event": { "event_name": "temp", "event_data": "21", "device_id": "...", "product_id": 0 },
+ *   "ledgers": { "my-ledger": { "data": { ... } }, "device-ledger?deviceId=...": { "data": { ... } } },
+ *   "expect": {
+ *     "publishes": [{ "name": "temp-f", "data": "69.8" }],
+ *     "ledgerWrites": [{ "name": "my-ledger", "action": "set" }],
+ *     "error": "part of the error message"
+ *   }
+ * }
+ *
+ * @param {String} file - path to the fixture file
+ * @returns {Promise<Object[]>} the test cases
+ */
+async function loadTestCases(file) {
+	let content;
+	try {
+		content = await fs.readJson(file);
+	} catch (error) {
+		throw new Error(`Unable to parse test fixture ${path.basename(file)}: ${error.message}`);
+	}
+	const cases = Array.isArray(content) ? content : [content];
+	return cases.map((testCase, index) => ({
+		name: testCase.name || `${path.basename(file, FIXTURE_EXTENSION)} #${index + 1}`,
+		file,
+		event: testCase.event || {},
+		ledgers: testCase.ledgers || {},
+		expect: testCase.expect || {}
+	}));
+}
+
+/**
+ * Runs a test case against a Logic Function with the local runtime
+ * @param {LogicFunction} logicFunction
+ * @param {Object} testCase - as returned by `loadTestCases`
+ * @returns {Promise<Object>} the test case with its result, failures and duration
+ */
+async function runTestCase(logicFunction, testCase) {
+	const start = Date.now();
+	const result = await logicFunction.executeLocally({ event: testCase.event }, { ledgers: testCase.ledgers });
+	const failures = checkExpectations(testCase.expect, result);
+	return {
+		...testCase,
+		result,
+		failures,
+		passed: failures.length === 0,
+		duration: Date.now() - start
+	};
+}
+
+function checkExpectations(expected, result) {
+	const failures = [];
+
+	if (expected.error === undefined) {
+		if (result.status !== 'Success') {
+			failures.push(`Expected no error but got: ${result.error}`);
+		}
+	} else if (result.status === 'Success') {
+		failures.push(`Expected an error matching "${expected.error}" but the Logic Function succeeded`);
+	} else if (!String(result.error).includes(expected.error)) {
+		failures.push(`Expected an error matching "${expected.error}" but got: ${result.error}`);
+	}
+
+	if (expected.publishes !== undefined) {
+		failures.push(...compareRecords('publish', expected.publishes, result.publishes));
+	}
+
+	if (expected.ledgerWrites !== undefined) {
+		failures.push(...compareRecords('ledger write', expected.ledgerWrites, result.ledgerWrites));
+	}
+	return failures;
+}
+
+// every expected record must match the actual record at the same position on the properties it specifies
+function compareRecords(kind, expected, actual) {
+	if (expected.length !== actual.length) {
+		return [`Expected ${expected.length} ${kind}(s) but got ${actual.length}: ${JSON.stringify(actual)}`];
+	}
+	return expected.reduce((failures, record, index) => {
+		if (!_.isMatch(actual[index], record)) {
+			failures.push(`Expected ${kind} #${index + 1} to match ${JSON.stringify(record)} but got ${JSON.stringify(actual[index])}`);
+		}
+		return failures;
+	}, []);
+}
+
+/**
+ * Generates a JUnit XML report
+ * @param {Object[]} suites - list of { name, results } where results are returned by `runTestCase`
+ * @returns {String} the XML report
+ */
+function toJUnitXml(suites) {
+	const count = (results, predicate) => results.filter(predicate).length;
+	const seconds = (ms) => (ms / 1000).toFixed(3);
+	const all = _.flatMap(suites, suite => suite.results);
+	const lines = [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		`<testsuites name="Logic Functions" tests="${all.length}" failures="${count(all, r => !r.passed)}">`
+	];
+
+	for (const { name, results } of suites) {
+		const time = seconds(_.sumBy(results, 'duration'));
+		lines.push(`  <testsuite name="${escapeXml(name)}" tests="${results.length}" failures="${count(results, r => !r.passed)}" time="${time}">`);
+		for (const result of results) {
+			const attributes = `classname="${escapeXml(name)}" name="${escapeXml(result.name)}" time="${seconds(result.duration)}"`;
+			if (result.passed) {
+				lines.push(`    <testcase ${attributes}/>`);
+			} else {
+				lines.push(`    <testcase ${attributes}>`);
+				lines.push(`      <failure message="${escapeXml(result.failures[0])}">${escapeXml(result.failures.join('\n'))}</failure>`);
+				lines.push('    </testcase>');
+			}
+		}
+		lines.push('  </testsuite>');
+	}
+	lines.push('</testsuites>');
+	return lines.join('\n') + '\n';
+}
+
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+module.exports = {
+	findTestFixtures,
+	loadTestCases,
+	runTestCase,
+	toJUnitXml
+};
@@ -0,0 +1,131 @@
+const path = require('path');
+const { expect } = require('../../test/setup');
+const { PATH_FIXTURES_LOGIC_FUNCTIONS } = require('../../test/lib/env');
+const LogicFunction = require('./logic-function');
+const { findTestFixtures, loadTestCases, runTestCase, toJUnitXml } = require('./logic-function-fixtures');
+
+describe('Logic Function fixtures', () => {
+	const basePath = path.join(PATH_FIXTURES_LOGIC_FUNCTIONS, 'lf4_proj');
+	let logicFunction;
+
+	beforeEach(async () => {
+		logicFunction = await LogicFunction.loadFromDisk({ basePath, fileName: 'temperature.logic.json' });
+	});
+
+	describe('findTestFixtures', () => {
+		it('finds the fixtures next to the Logic Function', () => {
+			const files = findTestFixtures(logicFunction);
+
+			expect(files.map(f => path.basename(f))).to.eql([
+				'temperature.invalid.test.json',
+				'temperature.test.json'
+			]);
+		});
+	});
+
+	describe('loadTestCases', () => {
+		it('loads a single test case', async () => {
+			const cases = await loadTestCases(path.join(basePath, 'temperature.test.json'));
+
+			expect(cases).to.have.lengthOf(1);
+			expect(cases[0].name).to.equal('publishes the temperature in Fahrenheit');
+			expect(cases[0].event).to.have.property('event_data', '21');
+			expect(cases[0].ledgers).to.have.property('temperature');
+		});
+
+		it('loads an array of test cases', async () => {
+			const cases = await loadTestCases(path.join(basePath, 'temperature.invalid.test.json'));
+
+			expect(cases).to.have.lengthOf(1);
+			expect(cases[0].name).to.equal('rejects invalid temperatures');
+			expect(cases[0].ledgers).to.eql({});
+		});
+
+		it('throws if the fixture is not valid JSON', async () => {
+			let error;
+			try {
+				await loadTestCases(path.join(basePath, 'temperature.js'));
+			} catch (_error) {
+				error = _error;
+			}
+			expect(error.message).to.include('Unable to parse test fixture temperature.js');
+		});
+	});
+
+	describe('runTestCase', () => {
+		it('passes when the expectations are met', async () => {
+			for (const file of findTestFixtures(logicFunction)) {
+				for (const testCase of await loadTestCases(file)) {
+					const result = await runTestCase(logicFunction, testCase);
+					expect(result.failures).to.eql([]);
+					expect(result.passed).to.be.true;
+				}
+			}
+		});
+
+		it('fails when the publishes do not match', async () => {
+			const result = await runTestCase(logicFunction, {
+				name: 'wrong publish',
+				event: { event_data: '0' },
+				ledgers: {},
+				expect: { publishes: [{ name: 'temperature-f', data: '0.0' }] }
+			});
+
+			expect(result.passed).to.be.false;
+			expect(result.failures).to.eql([
+				'Expected publish #1 to match {"name":"temperature-f","data":"0.0"} but got {"name":"temperature-f","data":"32.0"}'
+			]);
+		});
+
+		it('fails when an unexpected error is thrown', async () => {
+			const result = await runTestCase(logicFunction, {
+				name: 'unexpected error',
+				event: { event_data: 'cold' },
+				ledgers: {},
+				expect: {}
+			});
+
+			expect(result.passed).to.be.false;
+			expect(result.failures).to.eql(['Expected no error but got: Error: Invalid temperature: cold']);
+		});
+
+		it('fails when an expected error is not thrown', async () => {
+			const result = await runTestCase(logicFunction, {
+				name: 'missing error',
+				event: { event_data: '10' },
+				ledgers: {},
+				expect: { error: 'Invalid', ledgerWrites: [] }
+			});
+
+			expect(result.passed).to.be.false;
+			expect(result.failures).to.have.lengthOf(2);
+			expect(result.failures[0]).to.equal('Expected an error matching "Invalid" but the Logic Function succeeded');
+			expect(result.failures[1]).to.match(/^Expected 0 ledger write\(s\) but got 1/);
+		});
+	});
+
+	describe('toJUnitXml', () => {
+		it('generates a JUnit report', () => {
+			const xml = toJUnitXml([{
+				name: 'temperature',
+				results: [
+					{ name: 'passes', passed: true, failures: [], duration: 5 },
+					{ name: 'fails <badly>', passed: false, failures: ['Expected "a"', 'Expected b'], duration: 1500 }
+				]
+			}]);
+
+			expect(xml).to.equal([
+				'<?xml version="1.0" encoding="UTF-8"?>',
+				'<testsuites name="Logic Functions" tests="2" failures="1">',
+				'  <testsuite name="temperature" tests="2" failures="1" time="1.505">',
+				'    <testcase classname="temperature" name="passes" time="0.005"/>',
+				'    <testcase classname="temperature" name="fails &lt;badly&gt;" time="1.500">',
+				'      <failure message="Expected &quot;a&quot;">Expected &quot;a&quot;\nExpected b</failure>',
+				'    </testcase>',
+				'  </testsuite>',
+				'</testsuites>',
+				''
+			].join('\n'));
+		});
+	});
+});
@@ -0,0 +1,250 @@
+const vm = require('vm');
+const util = require('util');
+
+const DEFAULT_TIMEOUT = 10000;
+const LEDGER_MERGE = 'Merge';
+const LEDGER_REPLACE = 'Replace';
+
+/**
+ * Runs Logic Function source code on this machine instead of the cloud.
+ *
+ * The source is evaluated inside a Node `vm` context with stubbed
+ * `particle:core` and `particle:encoding` modules. Publishes and ledger
+ * writes are recorded instead of being sent anywhere so callers can
+ * inspect what the function would have done.
+ *
+ * Ledgers are stored by name, and by name and scope values for scoped
+ * ledgers like `ledger('sensors', { deviceId })` which is stored as
+ * `sensors?deviceId=<id>`.
+ */
+class LogicFunctionRuntime {
+	constructor({ ledgers = {}, timeout = DEFAULT_TIMEOUT } = {}) {
+		this.ledgers = cloneJSON(ledgers);
+		this.timeout = timeout;
+		this.logs = [];
+		this.publishes = [];
+		this.ledgerWrites = [];
+		this.context = {};
+	}
+
+	/**
+	 * Executes the Logic Function
+	 * @param {Object} options
+	 * @param {String} options.code - source code of the Logic Function
+	 * @param {Object} options.event - event payload as built by `logic-function execute`
+	 * @param {Object} [options.functionInfo] - owner and id of the Logic Function
+	 * @returns {Promise<Object>} status, logs and error in the shape returned by the cloud,
+	 * plus the recorded publishes and ledger writes
+	 */
+	async execute({ code, event, functionInfo = {} }) {
+		this.context = buildFunctionContext({ event, functionInfo });
+		let status = 'Success';
+		let error;
+
+		let timer;
+		try {
+			const sandbox = this._load(code);
+			await Promise.race([
+				this._run(sandbox),
+				new Promise((resolve, reject) => {
+					timer = setTimeout(() => reject(new Error(`Script execution timed out after ${this.timeout}ms`)), this.timeout);
+				})
+			]);
+		} catch (e) {
+			status = 'Exception';
+			error = formatError(e);
+		} finally {
+			clearTimeout(timer);
+		}
+
+		return {
+			status,
+			error,
+			logs: this.logs,
+			publishes: this.publishes,
+			ledgerWrites: this.ledgerWrites,
+			ledgers: this.ledgers
+		};
+	}
+
+	_run(sandbox) {
+		return new Promise((resolve, reject) => {
+			sandbox.__context = this.context;
+			sandbox.__resolve = resolve;
+			sandbox.__reject = reject;
+			// run the entry point inside the sandbox too so the timeout also applies to it. The sandbox has its
+			// own microtask queue so the code after an `await` runs under the timeout as well, and settling
+			// through host callbacks keeps the result from being stuck in that queue
+			vm.runInContext('Promise.resolve(__exports.default(__context)).then(__resolve, __reject)', sandbox, { timeout: this.timeout });
+		});
+	}
+
+	_load(code) {
+		const exported = {};
+		const modules = {
+			'particle:core': this._createCoreModule(),
+			'particle:encoding': createEncodingModule()
+		};
+		const sandbox = vm.createContext({
+			console: this._createConsole(),
+			__exports: exported,
+			__import: (name) => {
+				if (!modules[name]) {
+					throw new Error(`Cannot find module '${name}'`);
+				}
+				return modules[name];
+			}
+		}, { microtaskMode: 'afterEvaluate' });
+		vm.runInContext(transformModuleSyntax(code), sandbox, { timeout: this.timeout });
+
+		if (typeof exported.default !== 'function') {
+			throw new Error('Logic Function must export a default function');
+		}
+		return sandbox;
+	}
+
+	_createConsole() {
+		const log = (level) => (...args) => {
+			this.logs.push({ level, message: util.format(...args) });
+		};
+		return {
+			log: log('Info'),
+			info: log('Info'),
+			debug: log('Debug'),
+			warn: log('Warn'),
+			error: log('Error')
+		};
+	}
+
+	_createCoreModule() {
+		return {
+			MERGE: LEDGER_MERGE,
+			REPLACE: LEDGER_REPLACE,
+			getContext: () => this.context,
+			publish: (name, data, options = {}) => {
+				if (!name) {
+					throw new Error('Event name is required');
+				}
+				const eventData = (data === undefined || typeof data === 'string') ? data : JSON.stringify(data);
+				this.publishes.push({ name, data: eventData, ...options });
+				return null;
+			},
+			ledger: (name, scopeValues = {}) => this._createLedger(name, scopeValues)
+		};
+	}
+
+	_createLedger(name, scopeValues) {
+		const ledgers = this.ledgers;
+		const writes = this.ledgerWrites;
+		const key = ledgerKey(name, scopeValues);
+		return {
+			get() {
+				const ledger = ledgers[key] || { data: {} };
+				return { updatedAt: ledger.updatedAt || null, data: cloneJSON(ledger.data) };
+			},
+			set(data, setMode = LEDGER_REPLACE) {
+				if (![LEDGER_MERGE, LEDGER_REPLACE].includes(setMode)) {
+					throw new Error(`Invalid ledger set mode: ${setMode}`);
+				}
+				const current = ledgers[key] ? ledgers[key].data : {};
+				const value = setMode === LEDGER_MERGE ? { ...current, ...cloneJSON(data) } : cloneJSON(data);
+				ledgers[key] = { updatedAt: new Date().toISOString(), data: value };
+				writes.push({ name, action: 'set', setMode, data: cloneJSON(data), scope: scopeValues });
+				return null;
+			},
+			delete() {
+				delete ledgers[key];
+				writes.push({ name, action: 'delete', scope: scopeValues });
+				return null;
+			}
+		};
+	}
+}
+
+function ledgerKey(name, scopeValues) {
+	const scope = Object.keys(scopeValues || {}).sort().map(field => `${field}=${scopeValues[field]}`);
+	return scope.length ? `${name}?${scope.join('&')}` : name;
+}
+
+/**
+ * Rewrites the ES module syntax supported by Logic Functions into plain
+ * statements that can be evaluated by `vm.runInContext`
+ * @param {String} code - Logic Function source code
+ * @returns {String} the transformed source code
+ */
+function transformModuleSyntax(code) {
+	return code
+		// import * as Particle from 'particle:core';
+		.replace(/import\s+\*\s+as\s+([\w$]+)\s+from\s+(['"])([^'"]+)\2;?/g,
+			'const $1 = __import(\'$3\');')
+		// import Particle, { publish } from 'particle:core';
+		.replace(/import\s+([\w$]+)\s*,\s*\{([^}]*)\}\s+from\s+(['"])([^'"]+)\3;?/g,
+			(match, name, names, quote, module) => `const ${name} = __import('${module}'); const {${toDestructuring(names)}} = ${name};`)
+		// import { publish, ledger } from 'particle:core';
+		.replace(/import\s+\{([^}]*)\}\s+from\s+(['"])([^'"]+)\2;?/g,
+			(match, names, quote, module) => `const {${toDestructuring(names)}} = __import('${module}');`)
+		// import Particle from 'particle:core';
+		.replace(/import\s+([\w$]+)\s+from\s+(['"])([^'"]+)\2;?/g,
+			'const $1 = __import(\'$3\');')
+		// export default [async] function main() {}
+		.replace(/export\s+default\s+(async\s+)?function\b/g, '__exports.default = $1function')
+		// export default main;
+		.replace(/export\s+default\s+/g, '__exports.default = ');
+}
+
+function toDestructuring(names) {
+	return names.replace(/\s+as\s+/g, ': ');
+}
+
+function buildFunctionContext({ event: payload = {}, functionInfo }) {
+	const now = new Date().toISOString();
+	const event = payload.event || {};
+	return {
+		functionInfo: {
+			ownerId: functionInfo.ownerId || '',
+			logicFunctionId: functionInfo.logicFunctionId || ''
+		},
+		trigger: {
+			triggerEventId: event.event_id,
+			triggeredAt: now
+		},
+		event: {
+			publishedAt: event.published_at || now,
+			eventName: event.event_name,
+			eventData: event.event_data,
+			deviceId: event.device_id,
+			productId: event.product_id,
+			userId: event.user_id
+		}
+	};
+}
+
+function createEncodingModule() {
+	const toBuffer = (input) => Buffer.from(typeof input === 'string' ? input : Uint8Array.from(input));
+	return {
+		bytesToString: (input) => Buffer.from(Uint8Array.from(input)).toString('utf8'),
+		stringToBytes: (input) => Array.from(Buffer.from(input, 'utf8')),
+		base64Encode: (input) => toBuffer(input).toString('base64'),
+		base64Decode: (input) => Array.from(Buffer.from(input, 'base64')),
+		base85Encode: () => {
+			throw new Error('base85Encode is not supported when executing locally');
+		},
+		base85Decode: () => {
+			throw new Error('base85Decode is not supported when executing locally');
+		}
+	};
+}
+
+function formatError(error) {
+	if (error && error.name && error.message !== undefined) {
+		return `${error.name}: ${error.message}`;
+	}
+	return String(error);
+}
+
+function cloneJSON(value) {
+	return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = LogicFunctionRuntime;
+module.exports.transformModuleSyntax = transformModuleSyntax;
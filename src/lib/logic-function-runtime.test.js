@@ -0,0 +1,209 @@
+const { expect } = require('../../test/setup');
+const LogicFunctionRuntime = require('./logic-function-runtime');
+const { transformModuleSyntax } = LogicFunctionRuntime;
+
+describe('LogicFunctionRuntime', () => {
+	const event = {
+		event: {
+			event_name: 'my-event',
+			event_data: 'my-event-data',
+			product_id: 1,
+			device_id: 'my-device-id',
+		}
+	};
+
+	describe('execute', () => {
+		it('executes the default export and collects logs', async () => {
+			const code = 'export default function main() {\n  console.log(\'Hello\', 42);\n}';
+			const runtime = new LogicFunctionRuntime();
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Success');
+			expect(result.error).to.be.undefined;
+			expect(result.logs).to.eql([{ level: 'Info', message: 'Hello 42' }]);
+		});
+
+		it('supports async functions', async () => {
+			const code = 'export default async function main() {\n  await Promise.resolve();\n  console.warn(\'done\');\n}';
+			const runtime = new LogicFunctionRuntime();
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Success');
+			expect(result.logs).to.eql([{ level: 'Warn', message: 'done' }]);
+		});
+
+		it('passes the event context to the function', async () => {
+			const code = [
+				'import Particle from \'particle:core\';',
+				'export default function main({ event }) {',
+				'  console.log(event.eventName, event.eventData, event.deviceId, event.productId);',
+				'  console.log(Particle.getContext().event.eventName);',
+				'}'
+			].join('\n');
+			const runtime = new LogicFunctionRuntime();
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.logs.map(l => l.message)).to.eql([
+				'my-event my-event-data my-device-id 1',
+				'my-event'
+			]);
+		});
+
+		it('records publishes', async () => {
+			const code = [
+				'import { publish } from \'particle:core\';',
+				'export default function main() {',
+				'  publish(\'evt-1\', \'hello\');',
+				'  publish(\'evt-2\', { temp: 20 }, { productId: 1234 });',
+				'}'
+			].join('\n');
+			const runtime = new LogicFunctionRuntime();
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.publishes).to.eql([
+				{ name: 'evt-1', data: 'hello' },
+				{ name: 'evt-2', data: '{"temp":20}', productId: 1234 }
+			]);
+		});
+
+		it('reads and writes ledgers', async () => {
+			const code = [
+				'import * as Particle from \'particle:core\';',
+				'export default function main() {',
+				'  const ledger = Particle.ledger(\'counter\');',
+				'  const { data } = ledger.get();',
+				'  ledger.set({ count: data.count + 1 }, Particle.MERGE);',
+				'  Particle.ledger(\'other\').delete();',
+				'}'
+			].join('\n');
+			const runtime = new LogicFunctionRuntime({
+				ledgers: { counter: { data: { count: 1, name: 'my counter' } }, other: { data: {} } }
+			});
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Success');
+			expect(result.ledgers.counter.data).to.eql({ count: 2, name: 'my counter' });
+			expect(result.ledgers).to.not.have.property('other');
+			expect(result.ledgerWrites).to.eql([
+				{ name: 'counter', action: 'set', setMode: 'Merge', data: { count: 2 }, scope: {} },
+				{ name: 'other', action: 'delete', scope: {} }
+			]);
+		});
+
+		it('keeps the ledgers of each scope apart', async () => {
+			const code = [
+				'import { ledger } from \'particle:core\';',
+				'export default function main() {',
+				'  const { data } = ledger(\'sensors\', { deviceId: \'abc\' }).get();',
+				'  ledger(\'sensors\', { deviceId: \'def\' }).set({ count: data.count + 1 });',
+				'}'
+			].join('\n');
+			const runtime = new LogicFunctionRuntime({
+				ledgers: { sensors: { data: { count: 10 } }, 'sensors?deviceId=abc': { data: { count: 1 } } }
+			});
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Success');
+			expect(result.ledgers.sensors.data).to.eql({ count: 10 });
+			expect(result.ledgers['sensors?deviceId=abc'].data).to.eql({ count: 1 });
+			expect(result.ledgers['sensors?deviceId=def'].data).to.eql({ count: 2 });
+		});
+
+		it('supports particle:encoding', async () => {
+			const code = [
+				'import { base64Encode } from \'particle:encoding\';',
+				'export default function main() {',
+				'  console.log(base64Encode(\'hello\'));',
+				'}'
+			].join('\n');
+			const runtime = new LogicFunctionRuntime();
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.logs).to.eql([{ level: 'Info', message: 'aGVsbG8=' }]);
+		});
+
+		it('returns an exception status when the function throws', async () => {
+			const code = 'export default function main() {\n  console.log(\'before\');\n  throw new Error(\'boom\');\n}';
+			const runtime = new LogicFunctionRuntime();
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Exception');
+			expect(result.error).to.equal('Error: boom');
+			expect(result.logs).to.eql([{ level: 'Info', message: 'before' }]);
+		});
+
+		it('returns an exception status when importing an unknown module', async () => {
+			const code = 'import fs from \'fs\';\nexport default function main() {}';
+			const runtime = new LogicFunctionRuntime();
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Exception');
+			expect(result.error).to.equal('Error: Cannot find module \'fs\'');
+		});
+
+		it('returns an exception status when there is no default export', async () => {
+			const code = 'function main() {}';
+			const runtime = new LogicFunctionRuntime();
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Exception');
+			expect(result.error).to.equal('Error: Logic Function must export a default function');
+		});
+
+		it('stops functions that run for too long', async () => {
+			const code = 'export default function main() {\n  while (true) {}\n}';
+			const runtime = new LogicFunctionRuntime({ timeout: 50 });
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Exception');
+			expect(result.error).to.match(/timed out/);
+		});
+
+		it('stops async functions that run for too long after an await', async () => {
+			const code = 'export default async function main() {\n  await null;\n  for (;;) {}\n}';
+			const runtime = new LogicFunctionRuntime({ timeout: 50 });
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Exception');
+			expect(result.error).to.match(/timed out/);
+		});
+
+		it('stops functions that return a promise that never settles', async () => {
+			const code = 'export default function main() {\n  return new Promise(() => {});\n}';
+			const runtime = new LogicFunctionRuntime({ timeout: 50 });
+
+			const result = await runtime.execute({ code, event });
+
+			expect(result.status).to.equal('Exception');
+			expect(result.error).to.equal('Error: Script execution timed out after 50ms');
+		});
+	});
+
+	describe('transformModuleSyntax', () => {
+		it('rewrites imports and default exports', () => {
+			const code = [
+				'import Particle from \'particle:core\';',
+				'import { publish as send, ledger } from "particle:core";',
+				'export default function main() {}'
+			].join('\n');
+
+			expect(transformModuleSyntax(code)).to.equal([
+				'const Particle = __import(\'particle:core\');',
+				'const { publish: send, ledger } = __import(\'particle:core\');',
+				'__exports.default = function main() {}'
+			].join('\n'));
+		});
+	});
+});
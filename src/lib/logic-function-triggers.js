@@ -0,0 +1,186 @@
+const _ = require('lodash');
+
+const CRON_FIELDS = [
+	{ name: 'minute', min: 0, max: 59 },
+	{ name: 'hour', min: 0, max: 23 },
+	{ name: 'day of month', min: 1, max: 31 },
+	{ name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+	{ name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+/**
+ * Validates a standard 5 field cron expression (minute hour day-of-month month day-of-week)
+ * @param {String} expression
+ * @returns {String|null} a description of the problem or null if the expression is valid
+ */
+function validateCron(expression) {
+	const fields = String(expression || '').trim().split(/\s+/);
+	if (fields.length !== CRON_FIELDS.length) {
+		return `expected ${CRON_FIELDS.length} fields (minute hour day-of-month month day-of-week) but got ${fields[0] ? fields.length : 0}`;
+	}
+	for (let i = 0; i < fields.length; i++) {
+		const error = validateCronField(fields[i], CRON_FIELDS[i]);
+		if (error) {
+			return `invalid ${CRON_FIELDS[i].name} "${fields[i]}": ${error}`;
+		}
+	}
+	return null;
+}
+
+function validateCronField(field, spec) {
+	for (const part of field.split(',')) {
+		const [range, step, ...rest] = part.split('/');
+		if (rest.length || (step !== undefined && !/^[1-9]\d*$/.test(step))) {
+			return 'invalid step';
+		}
+		if (range === '*') {
+			continue;
+		}
+		const bounds = range.split('-');
+		if (bounds.length > 2) {
+			return 'invalid range';
+		}
+		const values = bounds.map(value => parseCronValue(value, spec));
+		if (values.some(value => value === null)) {
+			return `values must be between ${spec.min} and ${spec.max}`;
+		}
+		if (values.length === 2 && values[0] > values[1]) {
+			return 'range start must not be greater than its end';
+		}
+	}
+	return null;
+}
+
+function parseCronValue(value, spec) {
+	if (spec.names && spec.names.includes(value.toUpperCase())) {
+		return spec.names.indexOf(value.toUpperCase()) + (spec.min === 1 ? 1 : 0);
+	}
+	if (!/^\d+$/.test(value)) {
+		return null;
+	}
+	const number = Number(value);
+	return (number < spec.min || number > spec.max) ? null : number;
+}
+
+/**
+ * Creates the configuration of a new trigger
+ * @param {Object} options
+ * @param {String} [options.eventName] - creates an event trigger for this event name
+ * @param {Number} [options.productId] - product whose events trigger the Logic Function
+ * @param {String} [options.cron] - creates a scheduled trigger with this cron expression
+ * @param {String} [options.startAt] - ISO date when the schedule starts
+ * @param {String} [options.endAt] - ISO date when the schedule ends
+ * @returns {Object} the trigger as stored in `logic_triggers`
+ */
+function createTrigger({ eventName, productId, cron, startAt, endAt }) {
+	if (eventName && cron) {
+		throw new Error('A trigger can be either an event or a schedule, not both');
+	}
+	if (eventName) {
+		const product = Number(productId);
+		if (!Number.isInteger(product) || product <= 0) {
+			throw new Error('Event triggers need the id of the product whose events trigger the Logic Function');
+		}
+		return { type: 'Event', enabled: true, product_id: product, event_name: eventName };
+	}
+	if (cron) {
+		const error = validateCron(cron);
+		if (error) {
+			throw new Error(`Invalid cron expression "${cron}": ${error}`);
+		}
+		const trigger = { type: 'Scheduled', enabled: true, cron: cron.trim().split(/\s+/).join(' ') };
+		if (startAt) {
+			trigger.start_at = toISODate(startAt, 'start');
+		}
+		if (endAt) {
+			trigger.end_at = toISODate(endAt, 'end');
+		}
+		return trigger;
+	}
+	throw new Error('Specify an event name or a cron schedule for the trigger');
+}
+
+function toISODate(value, name) {
+	const date = new Date(value);
+	if (isNaN(date.getTime())) {
+		throw new Error(`Invalid ${name} date: ${value}`);
+	}
+	return date.toISOString();
+}
+
+/**
+ * Describes a trigger in a single line
+ * @param {Object} trigger
+ * @returns {String}
+ */
+function describeTrigger(trigger) {
+	switch (trigger.type) {
+		case 'Event':
+			return `Event trigger on "${trigger.event_name}"${trigger.product_id ? ` (product ${trigger.product_id})` : ''}`;
+		case 'Scheduled': {
+			const range = [
+				trigger.start_at ? ` from ${trigger.start_at}` : '',
+				trigger.end_at ? ` until ${trigger.end_at}` : ''
+			].join('');
+			return `Scheduled trigger "${trigger.cron}"${range}`;
+		}
+		case 'LedgerChange':
+			return `Ledger change trigger on "${trigger.ledger_name}"${trigger.change_type ? ` (${trigger.change_type})` : ''}`;
+		default:
+			return `${trigger.type} trigger`;
+	}
+}
+
+// identifies a trigger by what it reacts to, ignoring the values generated by the cloud
+function triggerKey(trigger) {
+	switch (trigger.type) {
+		case 'Event':
+			return `Event:${trigger.product_id}:${trigger.event_name}`;
+		case 'Scheduled':
+			return `Scheduled:${trigger.cron}`;
+		case 'LedgerChange':
+			return `LedgerChange:${trigger.ledger_name}:${trigger.change_type}`;
+		default:
+			return JSON.stringify(_.omit(trigger, ['id', 'logic_function_id', 'version']));
+	}
+}
+
+/**
+ * Compares two lists of triggers
+ * @param {Object[]} before - e.g. the triggers deployed in the cloud
+ * @param {Object[]} after - e.g. the triggers in the local configuration
+ * @returns {Object} { added, removed, changed } where changed contains { before, after } pairs
+ */
+function diffTriggers(before = [], after = []) {
+	const beforeByKey = _.keyBy(before, triggerKey);
+	const afterByKey = _.keyBy(after, triggerKey);
+	const added = after.filter(trigger => !beforeByKey[triggerKey(trigger)]);
+	const removed = before.filter(trigger => !afterByKey[triggerKey(trigger)]);
+	const changed = after
+		.filter(trigger => beforeByKey[triggerKey(trigger)])
+		.map(trigger => ({ before: beforeByKey[triggerKey(trigger)], after: trigger }))
+		.filter(({ before, after }) => !!before.enabled !== !!after.enabled || scheduleChanged(before, after));
+	return { added, removed, changed };
+}
+
+// the cloud sets the start date when it is not provided so only compare it when set locally
+function scheduleChanged(before, after) {
+	if (before.type !== 'Scheduled') {
+		return false;
+	}
+	return (!!after.start_at && !sameDate(before.start_at, after.start_at)) || !sameDate(before.end_at, after.end_at);
+}
+
+function sameDate(a, b) {
+	if (!a || !b) {
+		return !a && !b;
+	}
+	return new Date(a).getTime() === new Date(b).getTime();
+}
+
+module.exports = {
+	validateCron,
+	createTrigger,
+	describeTrigger,
+	diffTriggers
+};
@@ -0,0 +1,108 @@
+const { expect } = require('../../test/setup');
+const { validateCron, createTrigger, describeTrigger, diffTriggers } = require('./logic-function-triggers');
+
+describe('Logic Function triggers', () => {
+	describe('validateCron', () => {
+		it('accepts valid expressions', () => {
+			expect(validateCron('* * * * *')).to.be.null;
+			expect(validateCron('*/15 0-6,22 1 JAN-jun mon-FRI')).to.be.null;
+			expect(validateCron(' 0  8 * * 7 ')).to.be.null;
+		});
+
+		it('rejects expressions with the wrong number of fields', () => {
+			expect(validateCron('* * * *')).to.equal('expected 5 fields (minute hour day-of-month month day-of-week) but got 4');
+			expect(validateCron('')).to.equal('expected 5 fields (minute hour day-of-month month day-of-week) but got 0');
+		});
+
+		it('rejects values out of range', () => {
+			expect(validateCron('60 * * * *')).to.equal('invalid minute "60": values must be between 0 and 59');
+			expect(validateCron('* * 0 * *')).to.equal('invalid day of month "0": values must be between 1 and 31');
+			expect(validateCron('* * * FOO *')).to.equal('invalid month "FOO": values must be between 1 and 12');
+		});
+
+		it('rejects invalid steps and ranges', () => {
+			expect(validateCron('*/0 * * * *')).to.equal('invalid minute "*/0": invalid step');
+			expect(validateCron('* 10-2 * * *')).to.equal('invalid hour "10-2": range start must not be greater than its end');
+			expect(validateCron('* * * * 1-2-3')).to.equal('invalid day of week "1-2-3": invalid range');
+		});
+	});
+
+	describe('createTrigger', () => {
+		it('creates an event trigger', () => {
+			expect(createTrigger({ eventName: 'temp', productId: '1234' })).to.eql({
+				type: 'Event',
+				enabled: true,
+				product_id: 1234,
+				event_name: 'temp'
+			});
+		});
+
+		it('requires a product for event triggers', () => {
+			expect(() => createTrigger({ eventName: 'temp' })).to.throw('Event triggers need the id of the product');
+			expect(() => createTrigger({ eventName: 'temp', productId: 'abc' })).to.throw('Event triggers need the id of the product');
+		});
+
+		it('creates a scheduled trigger', () => {
+			expect(createTrigger({ cron: '0  * * * *', startAt: '2024-01-01', endAt: '2024-02-01T12:00:00Z' })).to.eql({
+				type: 'Scheduled',
+				enabled: true,
+				cron: '0 * * * *',
+				start_at: '2024-01-01T00:00:00.000Z',
+				end_at: '2024-02-01T12:00:00.000Z'
+			});
+		});
+
+		it('rejects invalid schedules', () => {
+			expect(() => createTrigger({ cron: '* * *' })).to.throw('Invalid cron expression "* * *"');
+			expect(() => createTrigger({ cron: '* * * * *', endAt: 'tomorrow' })).to.throw('Invalid end date: tomorrow');
+		});
+
+		it('requires either an event or a schedule', () => {
+			expect(() => createTrigger({})).to.throw('Specify an event name or a cron schedule for the trigger');
+			expect(() => createTrigger({ eventName: 'temp', productId: 1, cron: '* * * * *' })).to.throw('not both');
+		});
+	});
+
+	describe('describeTrigger', () => {
+		it('describes every kind of trigger', () => {
+			expect(describeTrigger({ type: 'Event', event_name: 'temp', product_id: 1234 })).to.equal('Event trigger on "temp" (product 1234)');
+			expect(describeTrigger({ type: 'Scheduled', cron: '* * * * *', end_at: '2024-01-01T00:00:00.000Z' })).to.equal('Scheduled trigger "* * * * *" until 2024-01-01T00:00:00.000Z');
+			expect(describeTrigger({ type: 'LedgerChange', ledger_name: 'config', change_type: 'Set' })).to.equal('Ledger change trigger on "config" (Set)');
+		});
+	});
+
+	describe('diffTriggers', () => {
+		const cloudTriggers = [
+			{ id: '1', type: 'Event', enabled: true, product_id: 1, event_name: 'temp' },
+			{ id: '2', type: 'Scheduled', enabled: true, cron: '* * * * *', start_at: '2024-01-01T00:00:00Z' },
+			{ id: '3', type: 'Event', enabled: true, product_id: 1, event_name: 'humidity' }
+		];
+
+		it('ignores the values generated by the cloud', () => {
+			const localTriggers = [
+				{ type: 'Event', enabled: true, product_id: 1, event_name: 'temp' },
+				{ type: 'Scheduled', enabled: true, cron: '* * * * *' },
+				{ type: 'Event', enabled: true, product_id: 1, event_name: 'humidity' }
+			];
+
+			expect(diffTriggers(cloudTriggers, localTriggers)).to.eql({ added: [], removed: [], changed: [] });
+		});
+
+		it('finds added, removed and changed triggers', () => {
+			const localTriggers = [
+				{ type: 'Event', enabled: false, product_id: 1, event_name: 'temp' },
+				{ type: 'Scheduled', enabled: true, cron: '* * * * *', start_at: '2024-01-01T00:00:00.000Z', end_at: '2025-01-01T00:00:00.000Z' },
+				{ type: 'Event', enabled: true, product_id: 2, event_name: 'humidity' }
+			];
+
+			const { added, removed, changed } = diffTriggers(cloudTriggers, localTriggers);
+
+			expect(added).to.eql([localTriggers[2]]);
+			expect(removed).to.eql([cloudTriggers[2]]);
+			expect(changed).to.eql([
+				{ before: cloudTriggers[0], after: localTriggers[0] },
+				{ before: cloudTriggers[1], after: localTriggers[1] }
+			]);
+		});
+	});
+});
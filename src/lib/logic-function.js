@@ -6,6 +6,7 @@ const VError = require('verror');
 const { normalizedApiError } = require('./api-client');
 const { slugify, globList } = require('./utilities');
 const templateProcessor = require('./template-processor');
+const LogicFunctionRuntime = require('./logic-function-runtime');
 
 class LogicFunction {
 	constructor({ org, name, id, description, type, enabled, _path, version, triggers, api = createAPI() }) {
@@ -169,6 +170,15 @@ class LogicFunction {
 		}
 	}
 
+	async executeLocally(trigger, { ledgers } = {}) {
+		const runtime = new LogicFunctionRuntime({ ledgers });
+		return runtime.execute({
+			code: this.files.sourceCode.content,
+			event: trigger,
+			functionInfo: { logicFunctionId: this.id }
+		});
+	}
+
 	async deploy() {
 		const logicFunctionRequestData = {
 			name: this.name,
@@ -225,6 +235,31 @@ class LogicFunction {
 		}
 	}
 
+	async listRuns() {
+		try {
+			const response = await this.api.listLogicFunctionRuns({
+				org: this.org,
+				id: this.id
+			});
+			return response.logic_runs || [];
+		} catch (e) {
+			throw createAPIErrorResult({ error: e, message: 'Error listing Logic Function runs' });
+		}
+	}
+
+	async getRunLogs(runId) {
+		try {
+			const response = await this.api.getLogicFunctionRunLogs({
+				org: this.org,
+				id: this.id,
+				runId
+			});
+			return response.logs || [];
+		} catch (e) {
+			throw createAPIErrorResult({ error: e, message: 'Error getting Logic Function run logs' });
+		}
+	}
+
 	copyFromOtherLogicFunction(logicFunction) {
 		this.name = logicFunction.name;
 		this.org = logicFunction.org;
@@ -306,6 +341,48 @@ class LogicFunction {
 		}
 	}
 
+	/**
+	 * Remembers the deployed source and configuration as the base that later diffs compare both the local
+	 * copy and the cloud to, so changes deployed by others can be told apart from the local ones
+	 */
+	async saveDeployedBase(){
+		if (!this.id) {
+			return;
+		}
+		await fs.outputJson(deployedBasePath(this.id), {
+			id: this.id,
+			name: this.name,
+			version: this.version,
+			description: this.description,
+			enabled: this.enabled,
+			type: this.type,
+			code: this.files.sourceCode.content,
+			triggers: this.triggers
+		});
+	}
+
+	/**
+	 * The Logic Function as it was deployed at the version the local copy is based on
+	 * @returns {Promise<LogicFunction|null>} null when that version wasn't deployed or fetched from this computer
+	 */
+	async loadDeployedBase(){
+		if (!this.id) {
+			return null;
+		}
+		let base;
+		try {
+			base = await fs.readJson(deployedBasePath(this.id));
+		} catch (error) {
+			return null;
+		}
+		if (base.version !== this.version) {
+			return null;
+		}
+		const logicFunction = new LogicFunction({ org: this.org, ...base, api: this.api });
+		logicFunction.files.sourceCode.content = base.code;
+		return logicFunction;
+	}
+
 	_toJSONString(){
 		return JSON.stringify({
 			logic_function: {
@@ -334,6 +411,10 @@ class LogicFunction {
 	}
 }
 
+function deployedBasePath(id) {
+	return path.join(settings.ensureFolder(), 'logic-functions', `${id}.json`);
+}
+
 function createAPI() {
 	return new ParticleAPI(settings.apiUrl, {
 		accessToken: settings.access_token
@@ -123,6 +123,41 @@ describe('LogicFunction', () => {
 			expect(sourceCode).to.equal(logicFunction.files.sourceCode.content);
 		});
 	});
+	describe('deployed base', () => {
+		const originalEnv = process.env;
+
+		beforeEach(() => {
+			process.env = {
+				...originalEnv,
+				home: PATH_TMP_DIR,
+			};
+		});
+
+		afterEach(() => {
+			process.env = originalEnv;
+		});
+
+		it('loads the deployed Logic Function the local copy is based on', async () => {
+			const deployed = new LogicFunction({ name: 'LF1', id: 'lf1-id', description: 'deployed', enabled: true, version: 3 });
+			deployed.files.sourceCode.content = 'deployed code';
+			await deployed.saveDeployedBase();
+			const local = new LogicFunction({ name: 'LF1', id: 'lf1-id', description: 'local', version: 3 });
+
+			const base = await local.loadDeployedBase();
+
+			expect(base).to.include({ id: 'lf1-id', name: 'LF1', description: 'deployed', enabled: true, version: 3 });
+			expect(base.files.sourceCode.content).to.equal('deployed code');
+		});
+
+		it('ignores the base of another version', async () => {
+			const deployed = new LogicFunction({ name: 'LF1', id: 'lf1-id', version: 3 });
+			await deployed.saveDeployedBase();
+			const local = new LogicFunction({ name: 'LF1', id: 'lf1-id', version: 2 });
+
+			expect(await local.loadDeployedBase()).to.equal(null);
+			expect(await new LogicFunction({ name: 'LF1' }).loadDeployedBase()).to.equal(null);
+		});
+	});
 	describe('initFromTemplate', () => {
 		afterEach(() => {
 			sinon.restore();
@@ -320,6 +355,67 @@ describe('LogicFunction', () => {
 		});
 	});
 
+	describe('executeLocally', () => {
+		afterEach(() => {
+			sinon.restore();
+			fs.emptyDirSync(PATH_TMP_DIR);
+		});
+		it('executes a Logic Function without contacting the cloud', async () => {
+			const trigger = {
+				event: {
+					event_name: 'my-event',
+					event_data: 'my-event-data',
+					product_id: 1,
+					device_id: 'my-device-id',
+				}
+			};
+			const lf1 = await createLogicFunction({ name: 'lf1', description: 'Logic Function 1 on SandBox' });
+			const executeResult = await lf1.executeLocally(trigger);
+			expect(nock.isDone()).to.be.true;
+			expect(executeResult).to.have.property('status', 'Success');
+			expect(executeResult.logs).to.deep.equal([{ level: 'Info', message: 'Hello from logic function!' }]);
+		});
+	});
+
+	describe('runs', () => {
+		afterEach(() => {
+			sinon.restore();
+			fs.emptyDirSync(PATH_TMP_DIR);
+		});
+		it('lists the runs of a Logic Function', async () => {
+			nock('https://api.particle.io/v1/', )
+				.intercept('/logic/functions/1234/runs', 'GET')
+				.reply(200, { logic_runs: [{ id: 'run1', status: 'Success' }] });
+			const lf1 = await createLogicFunction({ name: 'lf1', description: 'Logic Function 1 on SandBox' });
+			lf1.id = '1234';
+			const runs = await lf1.listRuns();
+			expect(runs).to.eql([{ id: 'run1', status: 'Success' }]);
+		});
+		it('gets the logs of a run', async () => {
+			nock('https://api.particle.io/v1/orgs/', )
+				.intercept('/my-org/logic/functions/1234/runs/run1/logs', 'GET')
+				.reply(200, { logs: [{ level: 'Info', message: 'abc1' }] });
+			const lf1 = await createLogicFunction({ name: 'lf1', description: 'Logic Function 1 on my-org' });
+			lf1.id = '1234';
+			lf1.org = 'my-org';
+			const logs = await lf1.getRunLogs('run1');
+			expect(logs).to.eql([{ level: 'Info', message: 'abc1' }]);
+		});
+		it('propagates errors', async () => {
+			nock('https://api.particle.io/v1/', )
+				.intercept('/logic/functions/1234/runs', 'GET')
+				.reply(500, { error: 'Internal Server Error' } );
+			const lf1 = await createLogicFunction({ name: 'lf1', description: 'Logic Function 1 on SandBox' });
+			lf1.id = '1234';
+			try {
+				await lf1.listRuns();
+				expect.fail('Should have thrown an error');
+			} catch (error) {
+				expect(error.message).to.equal('Error listing Logic Function runs: Internal Server Error');
+			}
+		});
+	});
+
 	describe('deploy', () => {
 		afterEach(() => {
 			sinon.restore();
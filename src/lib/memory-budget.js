@@ -0,0 +1,139 @@
+const path = require('path');
+const fs = require('fs-extra');
+const settings = require('../../settings');
+const { platformForId, isKnownPlatformId } = require('./platform');
+
+const LABELS = { flash: 'Flash', ram: 'RAM' };
+const UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 };
+
+/**
+ * Gets how much memory the user application can use on a platform.
+ * The platform descriptions have no RAM size so RAM is only checked against an explicit `ramBudget`
+ * @param {Number} platformId
+ * @returns {Object} { flash, ram } in bytes, null when the limit is not known
+ */
+function platformMemoryLimits(platformId) {
+	if (!isKnownPlatformId(platformId)) {
+		return { flash: null, ram: null };
+	}
+	const modules = platformForId(platformId).firmwareModules || [];
+	const userPart = modules.find(module => module.type === 'userPart');
+	return { flash: (userPart && userPart.maxSize) || null, ram: null };
+}
+
+/**
+ * Reads the `flashBudget` and `ramBudget` of a project.
+ * Budgets are bytes like `200000`, `200K` or `1.5M`, or a percentage of the platform limit like `90%`
+ * @param {Object} properties - the content of project.properties
+ * @param {Object} limits - created by `platformMemoryLimits`
+ * @returns {Object} { flash, ram } in bytes, null when there is no budget
+ * @throws {Error} when a budget can't be parsed
+ */
+function readMemoryBudgets(properties, limits) {
+	const budgets = {};
+	for (const name of Object.keys(LABELS)) {
+		const property = `${name}Budget`;
+		const value = properties && properties[property];
+		budgets[name] = value ? parseBudget(property, value, limits[name]) : null;
+	}
+	return budgets;
+}
+
+function parseBudget(property, value, limit) {
+	const match = /^\s*(\d+(?:\.\d+)?)\s*(%|b|kb?|mb?)?\s*$/i.exec(value);
+	if (!match) {
+		throw new Error(`Invalid ${property} "${value}" in project.properties. Use bytes like 200000, 200K, 1.5M or a percentage of the platform limit like 90%`);
+	}
+	const amount = Number(match[1]);
+	const unit = (match[2] || 'b').toLowerCase();
+	if (unit === '%') {
+		if (!limit) {
+			throw new Error(`${property} can't be a percentage in project.properties because the platform limit is not known`);
+		}
+		return Math.floor(limit * amount / 100);
+	}
+	return Math.floor(amount * UNITS[unit]);
+}
+
+/**
+ * Compares the memory used by a build to the limits, budgets and previous build
+ * @param {Object} stats - { flash, ram } used by the build
+ * @param {Object} options
+ * @param {Object} options.limits - created by `platformMemoryLimits`
+ * @param {Object} options.budgets - created by `readMemoryBudgets`
+ * @param {Object} [options.previous] - { flash, ram } used by the last build
+ * @returns {Object} { usage, errors, warnings } where usage has the used bytes and percentage of the budget or limit
+ */
+function checkMemoryUsage(stats, { limits, budgets, previous }) {
+	const usage = {};
+	const errors = [];
+	const warnings = [];
+
+	for (const name of Object.keys(LABELS)) {
+		const used = stats[name];
+		const limit = limits[name];
+		const budget = budgets[name];
+		const last = previous && typeof previous[name] === 'number' ? previous[name] : null;
+		const max = budget || limit;
+		usage[name] = { used, limit, budget, percent: max ? Math.round(used * 1000 / max) / 10 : null, previous: last };
+
+		if (limit && used > limit) {
+			errors.push(`${LABELS[name]} use of ${used} bytes exceeds the ${limit} bytes available on this platform`);
+		} else if (budget && used > budget) {
+			errors.push(`${LABELS[name]} use of ${used} bytes exceeds the budget of ${budget} bytes set in project.properties`);
+		}
+		if (last !== null && used > last) {
+			warnings.push(`${LABELS[name]} use grew by ${used - last} bytes since the last build (${last} bytes)`);
+		}
+	}
+	return { usage, errors, warnings };
+}
+
+/**
+ * Reads the memory used by the last build of a project for a platform
+ * @param {Object} options
+ * @param {String} options.project - the path of the project
+ * @param {Number} options.platformId
+ * @returns {Object|null} { flash, ram } or null when the project wasn't built for the platform yet
+ */
+function readLastBuild({ project, platformId }) {
+	return readBuildHistory()[buildHistoryKey({ project, platformId })] || null;
+}
+
+/**
+ * Records the memory used by a build so the next build of the project for the platform is compared to it.
+ * The history is kept apart from the cached cloud responses so clearing the cache doesn't lose it
+ * @param {Object} options
+ * @param {String} options.project - the path of the project
+ * @param {Number} options.platformId
+ * @param {Object} stats - { flash, ram } used by the build
+ */
+function saveLastBuild({ project, platformId }, stats) {
+	const history = readBuildHistory();
+	history[buildHistoryKey({ project, platformId })] = stats;
+	fs.outputJsonSync(buildHistoryPath(), history);
+}
+
+function readBuildHistory() {
+	try {
+		return fs.readJsonSync(buildHistoryPath());
+	} catch (error) {
+		return {};
+	}
+}
+
+function buildHistoryPath() {
+	return path.join(settings.ensureFolder(), 'build-history.json');
+}
+
+function buildHistoryKey({ project, platformId }) {
+	return `${platformId}:${project}`;
+}
+
+module.exports = {
+	platformMemoryLimits,
+	readMemoryBudgets,
+	checkMemoryUsage,
+	readLastBuild,
+	saveLastBuild
+};
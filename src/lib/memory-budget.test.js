@@ -0,0 +1,101 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { expect } = require('../../test/setup');
+const { PATH_TMP_DIR } = require('../../test/lib/env');
+const ParticleCache = require('./particle-cache');
+const { PlatformId } = require('./platform');
+const { platformMemoryLimits, readMemoryBudgets, checkMemoryUsage, readLastBuild, saveLastBuild } = require('./memory-budget');
+
+
+describe('memory-budget', () => {
+	describe('platformMemoryLimits', () => {
+		it('returns the size of the user application', () => {
+			expect(platformMemoryLimits(PlatformId.BORON)).to.eql({ flash: 262144, ram: null });
+			expect(platformMemoryLimits(PlatformId.P2)).to.eql({ flash: 1572864, ram: null });
+		});
+
+		it('returns no limits for unknown platforms', () => {
+			expect(platformMemoryLimits(12345)).to.eql({ flash: null, ram: null });
+		});
+	});
+
+	describe('readMemoryBudgets', () => {
+		const limits = { flash: 262144, ram: null };
+
+		it('reads bytes, kilobytes, megabytes and percentages', () => {
+			expect(readMemoryBudgets({ flashBudget: '200000', ramBudget: '64K' }, limits)).to.eql({ flash: 200000, ram: 65536 });
+			expect(readMemoryBudgets({ flashBudget: '0.5M' }, limits)).to.eql({ flash: 524288, ram: null });
+			expect(readMemoryBudgets({ flashBudget: '50%' }, limits)).to.eql({ flash: 131072, ram: null });
+			expect(readMemoryBudgets({}, limits)).to.eql({ flash: null, ram: null });
+		});
+
+		it('throws for invalid budgets', () => {
+			expect(() => readMemoryBudgets({ flashBudget: 'lots' }, limits)).to.throw('Invalid flashBudget "lots" in project.properties. Use bytes like 200000, 200K, 1.5M or a percentage of the platform limit like 90%');
+			expect(() => readMemoryBudgets({ ramBudget: '90%' }, limits)).to.throw('ramBudget can\'t be a percentage in project.properties because the platform limit is not known');
+		});
+	});
+
+	describe('checkMemoryUsage', () => {
+		const limits = { flash: 262144, ram: null };
+
+		it('computes the percentage of the budget or the platform limit', () => {
+			const { usage, errors, warnings } = checkMemoryUsage({ flash: 131072, ram: 1000 }, { limits, budgets: { flash: null, ram: 4000 } });
+
+			expect(usage).to.eql({
+				flash: { used: 131072, limit: 262144, budget: null, percent: 50, previous: null },
+				ram: { used: 1000, limit: null, budget: 4000, percent: 25, previous: null }
+			});
+			expect(errors).to.eql([]);
+			expect(warnings).to.eql([]);
+		});
+
+		it('reports exceeded budgets and limits', () => {
+			const { errors } = checkMemoryUsage({ flash: 300000, ram: 5000 }, { limits, budgets: { flash: 200000, ram: 4000 } });
+
+			expect(errors).to.eql([
+				'Flash use of 300000 bytes exceeds the 262144 bytes available on this platform',
+				'RAM use of 5000 bytes exceeds the budget of 4000 bytes set in project.properties'
+			]);
+		});
+
+		it('warns when the build grew since the last one', () => {
+			const { usage, warnings } = checkMemoryUsage({ flash: 1200, ram: 900 }, { limits, budgets: { flash: null, ram: null }, previous: { flash: 1000, ram: 1000 } });
+
+			expect(usage.flash.previous).to.equal(1000);
+			expect(warnings).to.eql(['Flash use grew by 200 bytes since the last build (1000 bytes)']);
+		});
+	});
+
+	describe('readLastBuild', () => {
+		const originalEnv = process.env;
+
+		beforeEach(() => {
+			process.env = {
+				...originalEnv,
+				home: PATH_TMP_DIR,
+			};
+		});
+
+		afterEach(async () => {
+			process.env = originalEnv;
+			await fs.remove(path.join(PATH_TMP_DIR, '.particle/'));
+		});
+
+		it('reads the last build of the project for the platform', () => {
+			saveLastBuild({ project: '/app', platformId: 13 }, { flash: 1000, ram: 500 });
+			saveLastBuild({ project: '/app', platformId: 12 }, { flash: 2000, ram: 600 });
+
+			expect(readLastBuild({ project: '/app', platformId: 13 })).to.eql({ flash: 1000, ram: 500 });
+			expect(readLastBuild({ project: '/other', platformId: 13 })).to.equal(null);
+		});
+
+		it('keeps the history when the expired cached responses are cleared', () => {
+			saveLastBuild({ project: '/app', platformId: 13 }, { flash: 1000, ram: 500 });
+
+			new ParticleCache().clear({ expired: true });
+
+			expect(readLastBuild({ project: '/app', platformId: 13 })).to.eql({ flash: 1000, ram: 500 });
+			expect(new ParticleCache().list()).to.eql([]);
+		});
+	});
+});
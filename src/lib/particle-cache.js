@@ -11,16 +11,86 @@ class ParticleCache {
 	}
 
 	get(key) {
+		const entry = this.getEntry(key);
+		return entry ? entry.value : null;
+	}
+
+	/**
+	 * Reads a cache entry with its metadata
+	 * @param {String} key
+	 * @returns {Object|null} { value, createdAt, expiresAt } or null if the entry does not exist
+	 */
+	getEntry(key) {
+		let content;
 		try {
-			return fs.readJsonSync(path.join(this.path, `${key}.json`));
+			content = fs.readJsonSync(path.join(this.path, `${key}.json`));
 		} catch (error) {
 			return null;
 		}
+		// entries written by older versions contain the value only and never expire
+		if (!isEntry(content)) {
+			return { value: content, createdAt: null, expiresAt: null };
+		}
+		return content;
+	}
 
+	/**
+	 * Stores a value in the cache
+	 * @param {String} key
+	 * @param {*} value
+	 * @param {Object} [options]
+	 * @param {Number} [options.ttl] - milliseconds the value is considered fresh, 0 means it always needs to be refreshed
+	 */
+	set(key, value, { ttl = 0 } = {}) {
+		const createdAt = Date.now();
+		fs.outputJsonSync(path.join(this.path, `${key}.json`), {
+			createdAt,
+			expiresAt: createdAt + ttl,
+			value
+		});
 	}
 
-	set(key, value) {
-		fs.outputJsonSync(path.join(this.path, `${key}.json`), value);
+	isFresh(entry) {
+		return !!entry && !!entry.expiresAt && entry.expiresAt > Date.now();
+	}
+
+	/**
+	 * Lists the entries in the cache
+	 * @returns {Object[]} { key, request, size, createdAt, expiresAt, fresh } for each entry
+	 */
+	list() {
+		let files;
+		try {
+			files = fs.readdirSync(this.path).filter(file => file.endsWith('.json'));
+		} catch (error) {
+			return [];
+		}
+		return files.map(file => {
+			const key = path.basename(file, '.json');
+			const { size } = fs.statSync(path.join(this.path, file));
+			const entry = this.getEntry(key) || {};
+			return {
+				key,
+				request: key.substring(0, key.lastIndexOf('_')) || key,
+				size,
+				createdAt: entry.createdAt || null,
+				expiresAt: entry.expiresAt || null,
+				fresh: this.isFresh(entry)
+			};
+		});
+	}
+
+	/**
+	 * Removes entries from the cache
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.expired] - only remove the entries that are no longer fresh
+	 * @param {String} [options.request] - only remove the entries of this request, like `compile`
+	 * @returns {Number} the number of removed entries
+	 */
+	clear({ expired = false, request } = {}) {
+		const entries = this.list().filter(entry => (!expired || !entry.fresh) && (!request || entry.request === request));
+		entries.forEach(({ key }) => fs.removeSync(path.join(this.path, `${key}.json`)));
+		return entries.length;
 	}
 
 	_generateKey(requestName, options) {
@@ -28,6 +98,12 @@ class ParticleCache {
 	}
 }
 
+function isEntry(content) {
+	return !!content && typeof content === 'object' &&
+		Object.prototype.hasOwnProperty.call(content, 'createdAt') &&
+		Object.prototype.hasOwnProperty.call(content, 'value');
+}
+
 function hashOptions(options) {
 	let optionsString = '';
 	const optionKeys = Object.keys(options);
@@ -38,4 +38,56 @@ describe('Cache', () => {
 		const result = cache.get(key);
 		expect(result).to.eql({ deviceId: 'abc123' });
 	});
+
+	it('stores when the entry was created and when it expires', () => {
+		const cache = new ParticleCache();
+		const key = cache._generateKey('test', { test: 'test' });
+		cache.set(key, { deviceId: 'abc123' }, { ttl: 60000 });
+		const entry = cache.getEntry(key);
+		expect(entry.value).to.eql({ deviceId: 'abc123' });
+		expect(entry.expiresAt - entry.createdAt).to.equal(60000);
+		expect(cache.isFresh(entry)).to.be.true;
+	});
+
+	it('considers entries without ttl out of date', () => {
+		const cache = new ParticleCache();
+		const key = cache._generateKey('test', { test: 'test' });
+		cache.set(key, { deviceId: 'abc123' });
+		expect(cache.isFresh(cache.getEntry(key))).to.be.false;
+	});
+
+	it('reads entries written by previous versions', () => {
+		const cache = new ParticleCache();
+		const key = cache._generateKey('device', { deviceIdOrName: 'abc123' });
+		fs.outputJsonSync(path.join(cache.path, `${key}.json`), { id: 'abc123' });
+		expect(cache.get(key)).to.eql({ id: 'abc123' });
+		expect(cache.isFresh(cache.getEntry(key))).to.be.false;
+	});
+
+	it('lists and clears the entries', () => {
+		const cache = new ParticleCache();
+		const freshKey = cache._generateKey('build_targets', { onlyFeatured: true });
+		const expiredKey = cache._generateKey('device', { deviceIdOrName: 'abc123' });
+		cache.set(freshKey, { targets: [] }, { ttl: 60000 });
+		cache.set(expiredKey, { id: 'abc123' });
+
+		const entries = cache.list();
+		expect(entries.map(e => [e.request, e.fresh]).sort()).to.eql([['build_targets', true], ['device', false]]);
+		expect(entries[0].size).to.be.greaterThan(0);
+
+		expect(cache.clear({ expired: true })).to.equal(1);
+		expect(cache.list().map(e => e.key)).to.eql([freshKey]);
+		expect(cache.clear()).to.equal(1);
+		expect(cache.list()).to.eql([]);
+	});
+
+	it('clears the entries of one request', () => {
+		const cache = new ParticleCache();
+		const deviceKey = cache._generateKey('device', { deviceIdOrName: 'abc123' });
+		cache.set(cache._generateKey('compile', { hash: 'abc' }), { binary: 'AAE=' });
+		cache.set(deviceKey, { id: 'abc123' });
+
+		expect(cache.clear({ expired: true, request: 'compile' })).to.equal(1);
+		expect(cache.list().map(e => e.key)).to.eql([deviceKey]);
+	});
 });
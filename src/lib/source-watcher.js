@@ -0,0 +1,136 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const glob = require('glob');
+const chalk = require('chalk');
+const moment = require('moment');
+const { hashCompileInputs } = require('./compile-cache');
+
+const DEBOUNCE_MS = 300;
+
+/**
+ * Builds the sources once, then again every time they change until the watcher is closed.
+ *
+ * Every directory under the watched paths is watched but a build only starts when the files picked by
+ * `collect` or their content changed, so the include and ignore rules apply and writing the built binary
+ * next to the sources doesn't start another build.
+ *
+ * @param {Object} options
+ * @param {String[]} options.paths - the files and directories passed to the command
+ * @param {Function} options.collect - resolves to the file mapping of the sources, like `_handleMultiFileArgs`
+ * @param {Function} options.run - builds the sources and resolves to a short description of what was done
+ * @param {Object} options.ui
+ * @param {Boolean} [options.followSymlinks]
+ * @param {Number} [options.debounce] - milliseconds to wait for more changes before building
+ * @param {Function} [options.watch] - `fs.watch` or a replacement with the same signature
+ * @returns {Promise<Object>} { close } once the first build is done
+ */
+async function watchSources({ paths, collect, run, ui, followSymlinks, debounce = DEBOUNCE_MS, watch = fs.watch }) {
+	const watchers = new Map();
+	let lastHash = null;
+	let timer = null;
+	let running = false;
+	let pending = false;
+	let closed = false;
+
+	const status = (symbol, message) => {
+		ui.stdout.write(`${symbol} ${chalk.dim(moment().format('HH:mm:ss'))} ${message}${os.EOL}`);
+	};
+
+	// resolves to true when the build succeeded
+	const build = async () => {
+		const started = Date.now();
+		try {
+			const description = await run();
+			status(chalk.green('✓'), `${description} ${chalk.dim(`(${((Date.now() - started) / 1000).toFixed(1)}s)`)}`);
+			return true;
+		} catch (error) {
+			status(chalk.red('✗'), error.message);
+			return false;
+		}
+	};
+
+	const updateWatchers = () => {
+		const dirs = watchedDirectories(paths, followSymlinks);
+		for (const [dir, watcher] of watchers) {
+			if (!dirs.includes(dir)) {
+				watcher.close();
+				watchers.delete(dir);
+			}
+		}
+		for (const dir of dirs.filter(dir => !watchers.has(dir))) {
+			try {
+				watchers.set(dir, watch(dir, schedule));
+			} catch (error) {
+				// the directory was removed since it was listed, the next update will notice
+			}
+		}
+	};
+
+	const check = async () => {
+		if (running) {
+			pending = true;
+			return;
+		}
+		running = true;
+		try {
+			const fileMapping = await collect();
+			const hash = fileMapping && await hashCompileInputs({ fileMapping });
+			// a failed build is retried on the next change even if the sources are the same
+			if (hash && hash !== lastHash && await build()) {
+				lastHash = hash;
+			}
+		} catch (error) {
+			status(chalk.red('✗'), error.message);
+		} finally {
+			running = false;
+		}
+		if (!closed) {
+			updateWatchers();
+		}
+		if (pending && !closed) {
+			pending = false;
+			schedule();
+		}
+	};
+
+	function schedule() {
+		clearTimeout(timer);
+		timer = setTimeout(check, debounce);
+	}
+
+	await check();
+	ui.stdout.write(`Watching ${paths.join(', ')} for changes. Press Ctrl-C to stop.${os.EOL}`);
+
+	return {
+		close() {
+			closed = true;
+			clearTimeout(timer);
+			watchers.forEach(watcher => watcher.close());
+			watchers.clear();
+		}
+	};
+}
+
+function watchedDirectories(paths, followSymlinks) {
+	const dirs = new Set();
+	for (const file of paths) {
+		let stats;
+		try {
+			stats = fs.statSync(file);
+		} catch (error) {
+			continue;
+		}
+		if (!stats.isDirectory()) {
+			dirs.add(path.resolve(path.dirname(file)));
+			continue;
+		}
+		dirs.add(path.resolve(file));
+		glob.sync('**/', { cwd: file, follow: !!followSymlinks }).forEach(dir => dirs.add(path.resolve(file, dir)));
+	}
+	return Array.from(dirs);
+}
+
+module.exports = {
+	watchSources
+};
@@ -0,0 +1,95 @@
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const { expect, sinon } = require('../../test/setup');
+const { PATH_TMP_DIR } = require('../../test/lib/env');
+const { delay } = require('./utilities');
+const { watchSources } = require('./source-watcher');
+
+
+describe('source-watcher', () => {
+	const projectDir = path.join(PATH_TMP_DIR, 'project');
+	const fileMapping = { basePath: PATH_TMP_DIR, map: { 'src/app.cpp': 'project/src/app.cpp' } };
+	let output, watchers, watcher, ui;
+
+	const watch = (dir, listener) => {
+		const fake = { dir, listener, close: sinon.spy() };
+		watchers.push(fake);
+		return fake;
+	};
+
+	const change = async () => {
+		watchers.forEach(fake => fake.listener('change', 'app.cpp'));
+		await delay(50);
+	};
+
+	beforeEach(async () => {
+		output = '';
+		watchers = [];
+		ui = { stdout: { write: (text) => (output += text) } };
+		chalk.enabled = false;
+		await fs.outputFile(path.join(projectDir, 'src/app.cpp'), 'void setup() {}\n');
+	});
+
+	afterEach(async () => {
+		chalk.enabled = true;
+		if (watcher) {
+			watcher.close();
+		}
+		await fs.remove(projectDir);
+	});
+
+	it('builds the sources and watches every directory of the project', async () => {
+		const run = sinon.stub().resolves('Compiled for boron');
+
+		watcher = await watchSources({ paths: [projectDir], collect: async () => fileMapping, run, ui, debounce: 1, watch });
+
+		expect(run).to.have.property('callCount', 1);
+		expect(output).to.match(/^✓ \d\d:\d\d:\d\d Compiled for boron \(\d+\.\ds\)\r?\n/);
+		expect(output).to.include(`Watching ${projectDir} for changes. Press Ctrl-C to stop.`);
+		expect(watchers.map(fake => fake.dir)).to.eql([path.resolve(projectDir), path.resolve(projectDir, 'src')]);
+	});
+
+	it('builds again when the content of a source changes', async () => {
+		const run = sinon.stub().resolves('Compiled for boron');
+		watcher = await watchSources({ paths: [projectDir], collect: async () => fileMapping, run, ui, debounce: 1, watch });
+
+		await change();
+		expect(run).to.have.property('callCount', 1);
+
+		await fs.outputFile(path.join(projectDir, 'src/app.cpp'), 'void setup() { Serial.begin(); }\n');
+		await change();
+		expect(run).to.have.property('callCount', 2);
+	});
+
+	it('shows why a build failed and keeps watching', async () => {
+		const run = sinon.stub().rejects(new Error('Compiler encountered an error'));
+
+		watcher = await watchSources({ paths: [projectDir], collect: async () => fileMapping, run, ui, debounce: 1, watch });
+
+		expect(output).to.match(/^✗ \d\d:\d\d:\d\d Compiler encountered an error\r?\n/);
+		expect(watchers).to.have.lengthOf(2);
+	});
+
+	it('builds the same sources again after a failed build', async () => {
+		const run = sinon.stub();
+		run.onFirstCall().rejects(new Error('Network error'));
+		run.resolves('Compiled for boron');
+		watcher = await watchSources({ paths: [projectDir], collect: async () => fileMapping, run, ui, debounce: 1, watch });
+
+		await change();
+		expect(run).to.have.property('callCount', 2);
+
+		await change();
+		expect(run).to.have.property('callCount', 2);
+	});
+
+	it('stops watching when closed', async () => {
+		const run = sinon.stub().resolves('Compiled for boron');
+		watcher = await watchSources({ paths: [projectDir], collect: async () => fileMapping, run, ui, debounce: 1, watch });
+
+		watcher.close();
+
+		watchers.forEach(fake => expect(fake.close).to.have.property('callCount', 1));
+	});
+});
@@ -47,6 +47,14 @@ module.exports = class UI {
 		}, cliProgress.Presets.shades_classic);
 	}
 
+	createMultiProgressBar() {
+		return new cliProgress.MultiBar({
+			format: '[{bar}] {percentage}% | {label} | {description}',
+			barsize: 25,
+			clearOnComplete: false
+		}, cliProgress.Presets.shades_classic);
+	}
+
 	showBusySpinnerUntilResolved(text, promise){
 		if (this.quiet){
 			return promise;
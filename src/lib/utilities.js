@@ -79,6 +79,9 @@ module.exports = {
 					});
 				}
 
+				// the command could not be started, e.g. it is not installed
+				child.on('error', reject);
+
 				child.on('close', (code) => {
 					let output = { stdout: stdout, stderr: errors };
 					if (!code){
@@ -157,6 +160,20 @@ module.exports = {
 		}, []);
 	},
 
+	// runs `fn` for each item with at most `limit` calls in flight, results keep the order of `array`
+	asyncMapLimit(array, limit, fn){
+		const results = new Array(array.length);
+		let next = 0;
+		const worker = async () => {
+			while (next < array.length){
+				const index = next++;
+				results[index] = await fn(array[index], index, array);
+			}
+		};
+		const workers = Array.from({ length: Math.max(1, Math.min(limit, array.length)) }, worker);
+		return Promise.all(workers).then(() => results);
+	},
+
 	// TODO (mirande): replace w/ @particle/async-utils
 	enforceTimeout(promise, ms){
 		const delay = new Promise((resolve) => setTimeout(resolve, ms).unref());
@@ -356,27 +373,32 @@ module.exports = {
 
 	/**
 	 * Generates a filter function to be used with `Array.filter()` when filtering a list of Devices
-	 * by some value. Supports `online`, `offline`, Platform Name, Device ID, or Device Name
+	 * by some value. Supports `online`, `offline`, Platform Name, Device ID, Device Name and the
+	 * expressions described in `device-filter.js`
 	 *
 	 * @param {string} filter - Filter value to use for filtering a list of devices
 	 * @returns {function|null}
+	 * @throws {Error} when the filter is not a valid expression
 	 */
 	buildDeviceFilter(filter) {
-		const { knownPlatformIds } = module.exports;
-		let filterFunc = null;
-		if (filter){
-			const platforms = knownPlatformIds();
-			if (filter === 'online') {
-				filterFunc = (d) => d.connected;
-			} else if (filter === 'offline') {
-				filterFunc = (d) => !d.connected;
-			} else if (Object.keys(platforms).indexOf(filter) >= 0) {
-				filterFunc = (d) => d.platform_id === platforms[filter];
-			} else {
-				filterFunc = (d) => d.id === filter || d.name === filter;
-			}
+		// required here since device-filter.js depends on this module
+		const { parseDeviceFilter } = require('./device-filter');
+		return parseDeviceFilter(filter);
+	},
+
+	/**
+	 * Converts a duration like `30s`, `15m`, `2h`, `7d` or `1w` into milliseconds
+	 *
+	 * @param {string} duration - Duration made of a number and a unit
+	 * @returns {number|null} the duration in milliseconds or null if it cannot be parsed
+	 */
+	parseDuration(duration) {
+		const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+		const match = /^(\d+(?:\.\d+)?)\s*([smhdw])$/i.exec(String(duration).trim());
+		if (!match){
+			return null;
 		}
-		return filterFunc;
+		return Number(match[1]) * units[match[2].toLowerCase()];
 	},
 
 	ensureError(err){
@@ -228,6 +228,43 @@ describe('Utilities', () => {
 		});
 	});
 
+	describe('parseDuration()', () => {
+		it('converts durations to milliseconds', () => {
+			expect(util.parseDuration('30s')).to.equal(30 * 1000);
+			expect(util.parseDuration('15m')).to.equal(15 * 60 * 1000);
+			expect(util.parseDuration('2h')).to.equal(2 * 60 * 60 * 1000);
+			expect(util.parseDuration('7d')).to.equal(7 * 24 * 60 * 60 * 1000);
+			expect(util.parseDuration('1W')).to.equal(7 * 24 * 60 * 60 * 1000);
+		});
+
+		it('returns null when the duration cannot be parsed', () => {
+			expect(util.parseDuration('2024-01-01')).to.equal(null);
+			expect(util.parseDuration('7')).to.equal(null);
+			expect(util.parseDuration('')).to.equal(null);
+		});
+	});
+
+	describe('asyncMapLimit()', () => {
+		it('keeps the order of the results without exceeding the limit', async () => {
+			let running = 0;
+			let maxRunning = 0;
+			const results = await util.asyncMapLimit([30, 10, 20, 0, 5], 2, async (ms, index) => {
+				running++;
+				maxRunning = Math.max(maxRunning, running);
+				await util.delay(ms);
+				running--;
+				return index * 2;
+			});
+
+			expect(results).to.eql([0, 2, 4, 6, 8]);
+			expect(maxRunning).to.equal(2);
+		});
+
+		it('resolves empty arrays', async () => {
+			expect(await util.asyncMapLimit([], 3, () => {})).to.eql([]);
+		});
+	});
+
 	describe('filenameNoExt()', () => {
 		it('returns the filename without the extension', () => {
 			expect(util.filenameNoExt('foo')).to.eql('foo');
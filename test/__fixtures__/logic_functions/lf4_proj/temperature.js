@@ -0,0 +1,12 @@
+import Particle from 'particle:core';
+
+export default function main({ event }) {
+	const celsius = parseFloat(event.eventData);
+	if (isNaN(celsius)) {
+		throw new Error(`Invalid temperature: ${event.eventData}`);
+	}
+	const ledger = Particle.ledger('temperature');
+	const { data } = ledger.get();
+	ledger.set({ last: celsius, max: Math.max(celsius, data.max || celsius) }, Particle.MERGE);
+	Particle.publish('temperature-f', (celsius * 9 / 5 + 32).toFixed(1), { productId: event.productId });
+}
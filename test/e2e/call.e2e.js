@@ -13,6 +13,9 @@ describe('Call Commands [@device]', () => {
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
 		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 		'',
 		'Options:',
 		'  --product  Target a device within the given Product ID or Slug  [string]',
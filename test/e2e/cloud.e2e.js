@@ -40,7 +40,10 @@ describe('Cloud Commands [@device]', () => {
 		'',
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
-		'  -q, --quiet    Decreases how much logging to display  [count]'
+		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]'
 	];
 
 	before(async () => {
@@ -230,23 +233,39 @@ describe('Cloud Commands [@device]', () => {
 	describe('Cloud Flash Subcommand', () => {
 		const help = [
 			'Pass a binary, source file, or source directory to a device!',
-			'Usage: particle cloud flash [options] <device> [files...]',
+			'Usage: particle cloud flash [options] [device] [files...]',
 			'',
 			'Global Options:',
 			'  -v, --verbose  Increases how much logging to display  [count]',
 			'  -q, --quiet    Decreases how much logging to display  [count]',
+			'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+			'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+			'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 			'',
 			'Options:',
-			'  --target          The firmware version to compile against. Defaults to latest version, or version on device for cellular.  [string]',
+			'  --target          The firmware version to compile against: a version, a semver range like ^5.5, latest or lts. Defaults to latest version, or version on device for cellular.  [string]',
+			'  --all-targets     Let --target pick prerelease and non featured firmware versions  [boolean]',
 			'  --followSymlinks  Follow symlinks when collecting files  [boolean]',
+			'  --cache           Reuse the binary of an earlier compile of the same sources, platform and target. Use --no-cache to always compile in the cloud  [boolean] [default: true]',
 			'  --product         Target a device within the given Product ID or Slug  [string]',
+			'  --watch           Compile and flash again every time the source files change  [boolean]',
+			'  --filter          Flash every device matching a filter instead of a single device. See `particle help cloud list`  [string]',
+			'  --devices-file    Flash the devices listed in a file, one device ID or name per line  [string]',
+			'  --parallel        How many devices are flashed at the same time when flashing many devices  [number] [default: 5]',
+			'  --retry-offline   Seconds to wait for the offline devices to come online when flashing many devices  [number] [default: 0]',
 			'',
 			'Examples:',
-			'  particle cloud flash blue                                      Compile the source code in the current directory in the cloud and flash to device `blue`',
-			'  particle cloud flash green tinker                              Flash the default `tinker` app to device `green`',
-			'  particle cloud flash red blink.ino                             Compile `blink.ino` in the cloud and flash to device `red`',
-			'  particle cloud flash orange firmware.bin                       Flash a pre-compiled `firmware.bin` binary to device `orange`',
-			'  particle cloud flash 0123456789abcdef01234567 --product 12345  Compile the source code in the current directory in the cloud and flash to device `0123456789abcdef01234567` within product `12345`',
+			'  particle cloud flash blue                                                                  Compile the source code in the current directory in the cloud and flash to device `blue`',
+			'  particle cloud flash green tinker                                                          Flash the default `tinker` app to device `green`',
+			'  particle cloud flash red blink.ino                                                         Compile `blink.ino` in the cloud and flash to device `red`',
+			'  particle cloud flash orange firmware.bin                                                   Flash a pre-compiled `firmware.bin` binary to device `orange`',
+			'  particle cloud flash 0123456789abcdef01234567 --product 12345                              Compile the source code in the current directory in the cloud and flash to device `0123456789abcdef01234567` within product `12345`',
+			'  particle cloud flash blue project --watch                                                  Compile the project directory and flash it to device `blue` every time a source file changes',
+			'  particle cloud flash blue,green,red project                                                Compile the project directory once and flash it to devices `blue`, `green` and `red`',
+			'  particle cloud flash project --filter "platform=boron and name~^lab-" --retry-offline 600  Flash the project directory to the Boron devices whose name starts with `lab-`, waiting up to 10 minutes for the offline ones',
+			'  particle cloud flash firmware.bin --devices-file fleet.txt --json                          Flash `firmware.bin` to the devices listed in `fleet.txt` and show the result of each device as JSON',
+			'',
+			'Separate devices with commas to flash many devices. With `--filter` or `--devices-file` the first param is a file, not a device',
 		];
 
 		it('Flashes firmware', async () => {
@@ -488,19 +507,24 @@ describe('Cloud Commands [@device]', () => {
 	describe('Cloud Nyan Subcommand', () => {
 		const help = [
 			'Make your device shout rainbows',
-			'Usage: particle cloud nyan [options] <device> [onOff]',
+			'Usage: particle cloud nyan [options] [device] [onOff]',
 			'',
 			'Global Options:',
 			'  -v, --verbose  Increases how much logging to display  [count]',
 			'  -q, --quiet    Decreases how much logging to display  [count]',
+			'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+			'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+			'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 			'',
 			'Options:',
 			'  --product  Target a device within the given Product ID or Slug  [string]',
+			'  --filter   Signal every online device matching a filter instead of a single device. See `particle help cloud list`  [string]',
 			'',
 			'Examples:',
-			'  particle cloud nyan blue                  Make the device named `blue` start signaling',
-			'  particle cloud nyan blue off              Make the device named `blue` stop signaling',
-			'  particle cloud nyan blue --product 12345  Make the device named `blue` within product `12345` start signaling',
+			'  particle cloud nyan blue                                          Make the device named `blue` start signaling',
+			'  particle cloud nyan blue off                                      Make the device named `blue` stop signaling',
+			'  particle cloud nyan blue --product 12345                          Make the device named `blue` within product `12345` start signaling',
+			'  particle cloud nyan off --filter "platform=boron and name~^lab-"  Make the Boron devices whose name starts with `lab-` stop signaling',
 		];
 
 		it('Starts a device signaling', async () => {
@@ -16,22 +16,41 @@ describe('Compile Commands', () => {
 	const minBinSize = 3500;
 	const help = [
 		'Compile a source file, or directory using the cloud compiler',
-		'Usage: particle compile [options] <deviceType> [files...]',
+		'Usage: particle compile [options] [deviceType] [files...]',
 		'',
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
 		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 		'',
 		'Options:',
-		'  --target          The firmware version to compile against. Defaults to latest version, or version on device for cellular.  [string]',
-		'  --followSymlinks  Follow symlinks when collecting files  [boolean]',
-		'  --saveTo          Filename for the compiled binary  [string]',
+		'  --target           The firmware version to compile against: a version, a semver range like ^5.5, latest or lts. Defaults to latest version, or version on device for cellular.  [string]',
+		'  --all-targets      Let --target pick prerelease and non featured firmware versions  [boolean]',
+		'  --followSymlinks   Follow symlinks when collecting files  [boolean]',
+		'  --cache            Reuse the binary of an earlier compile of the same sources, platform and target. Use --no-cache to always compile in the cloud  [boolean] [default: true]',
+		'  --saveTo           Filename for the compiled binary  [string]',
+		'  --platforms        Comma separated platforms to compile for at the same time. Each binary is saved with the platform added to its name  [string]',
+		'  --format           How to show compiler errors: pretty or gcc (file:line:column: severity: message for editor problem matchers)  [string]',
+		'  --dry-run          Show the files that would be uploaded and why, without compiling  [boolean]',
+		'  --watch            Compile again every time the source files change  [boolean]',
+		'  --local-toolchain  Compile with the Device OS source tree and gcc-arm installed on this computer instead of the cloud compiler  [boolean]',
+		'  --manifest         Save a build manifest describing the sources, libraries, assets and firmware version next to the binary  [boolean]',
 		'',
 		'Examples:',
-		'  particle compile photon                                  Compile the source code in the current directory in the cloud for a `photon`',
-		'  particle compile electron project --saveTo electron.bin  Compile the source code in the project directory in the cloud for an `electron` and save it to a file named `electron.bin`',
+		'  particle compile photon                                     Compile the source code in the current directory in the cloud for a `photon`',
+		'  particle compile electron project --saveTo electron.bin     Compile the source code in the project directory in the cloud for an `electron` and save it to a file named `electron.bin`',
+		'  particle compile boron,argon,p2 project --saveTo app.bin    Compile the project directory for `boron`, `argon` and `p2` and save the binaries to `app_boron.bin`, `app_argon.bin` and `app_p2.bin`',
+		'  particle compile boron --format gcc                         Compile for a `boron` and show compiler errors the way GCC does',
+		'  particle compile boron project --target ^5.5                Compile the project directory for a `boron` against the newest 5.x firmware version from 5.5 on',
+		'  particle compile boron project --dry-run                    Show the files of the project directory that would be uploaded to the compile server',
+		'  particle compile boron project --no-cache                   Compile the project directory in the cloud even when it was compiled before without changes',
+		'  particle compile boron project --watch                      Compile the project directory for a `boron` every time a source file changes',
+		'  particle compile boron project --local-toolchain            Compile the project directory for a `boron` without the cloud, using the deviceOsPath and gccArmPath settings',
+		'  particle compile boron project --saveTo app.bin --manifest  Compile the project directory for a `boron` and describe the build in `app.build-manifest.json`',
 		'',
-		'Param deviceType can be: core, c, photon, p, p1, electron, e, argon, a, boron, b, xenon, x, esomx, bsom, b5som, tracker, assettracker, trackerm, p2, photon2, msom, muon',
+		'Param deviceType can be: core, c, photon, p, p1, electron, e, argon, a, boron, b, xenon, x, esomx, bsom, b5som, tracker, assettracker, trackerm, p2, photon2, msom, muon. Set flashBudget and ramBudget in project.properties (bytes like 200K, or a percentage of the platform limit like 90% for flashBudget) to fail when the firmware gets too big. RAM is only checked against ramBudget since the RAM limit of the platforms is not known. The local toolchain uses the Device OS source tree set with `particle config set deviceOsPath <path>` and gcc-arm from the PATH or `particle config set gccArmPath <path>`',
 	];
 
 	beforeEach(async () => {
@@ -54,7 +73,7 @@ describe('Compile Commands', () => {
 	it('Shows `help` content when run without arguments', async () => {
 		const { stdout, stderr, exitCode } = await cli.run('compile');
 
-		expect(stdout).to.equal('Parameter \'deviceType\' is required.');
+		expect(stdout).to.equal('`deviceType` parameter or `--platforms` option is required');
 		expect(stderr.split('\n')).to.include.members(help);
 		expect(exitCode).to.equal(1);
 	});
@@ -509,8 +528,19 @@ describe('Compile Commands', () => {
 		const { stdout, stderr, exitCode } = await cli.run(args, { cwd });
 
 		expect(stdout).to.include('Compiling code for photon');
-		expect(stdout).to.include('Compile failed: make -C ../modules/photon/user-part all');
-		expect(stdout).to.include('error: \'asdfjasfjdkl\' does not name a type');
+		expect(stdout).to.match(/fail\.cpp:\d+:\d+ error 'asdfjasfjdkl' does not name a type/);
+		expect(stdout).to.include('Compile failed: Compiler encountered an error');
+		expect(stderr).to.equal('');
+		expect(exitCode).to.equal(1);
+	});
+
+	it('Fails to compile invalid code with errors in the gcc format', async () => {
+		const platform = 'photon';
+		const cwd = path.join(PATH_FIXTURES_PROJECTS_DIR, 'fail');
+		const args = ['compile', platform, '.', '--format', 'gcc'];
+		const { stdout, stderr, exitCode } = await cli.run(args, { cwd });
+
+		expect(stdout).to.match(/^fail\.cpp:\d+:\d+: error: 'asdfjasfjdkl' does not name a type$/m);
 		expect(stderr).to.equal('');
 		expect(exitCode).to.equal(1);
 	});
@@ -9,7 +9,10 @@ describe('Doctor Commands [@device]', () => {
 		'',
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
-		'  -q, --quiet    Decreases how much logging to display  [count]'
+		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]'
 	];
 
 	it('Shows `help` content', async () => {
@@ -18,6 +18,9 @@ describe('Flash Commands [@device]', () => {
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
 		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 		'',
 		'Options:',
 		'  --cloud             Flash over the air to the device. Default if no other flag provided  [boolean]',
@@ -28,23 +31,39 @@ describe('Flash Commands [@device]', () => {
 		'  --yes               Answer yes to all questions  [boolean]',
 		'  --target            The firmware version to compile against. Defaults to latest version.  [string]',
 		'  --application-only  Do not update Device OS when flashing locally  [boolean]',
+		'  --watch             Compile and flash again every time the source files change  [boolean]',
+		'  --all               Flash locally to every device connected over USB at the same time  [boolean]',
+		'  --devices           Flash locally to these devices connected over USB at the same time  [array]',
+		'  --dry-run           Show the steps of a local flash, after downloading any Device OS binaries it needs, without writing to the device  [boolean]',
+		'  --verify            After a local flash, read the modules back from the device and fail if they do not match the flashed ones  [boolean]',
+		'  --cache             Reuse the binary of an earlier compile of the same sources, platform and target. Use --no-cache to always compile in the cloud  [boolean] [default: true]',
 		'  --port              Use this serial port instead of auto-detecting. Useful if there are more than 1 connected device. Only available for serial  [string]',
 		'',
 		'Examples:',
-		'  particle flash red                          Compile the source code in the current directory in the cloud and flash to device red',
-		'  particle flash green tinker                 Flash the default Tinker app to device green',
-		'  particle flash blue app.ino --target 5.0.0  Compile app.ino in the cloud using the 5.0.0 firmware and flash to device blue',
-		'  particle flash cyan firmware.bin            Flash the pre-compiled binary to device cyan',
-		'  particle flash --local                      Compile the source code in the current directory in the cloud and flash to the device connected over USB',
-		'  particle flash --local --target 5.0.0       Compile the source code in the current directory in the cloud against the target version and flash to the device connected over USB',
-		'  particle flash --local application.bin      Flash the pre-compiled binary to the device connected over USB',
-		'  particle flash --local application.zip      Flash the pre-compiled binary and assets from the bundle to the device connected over USB',
-		'  particle flash --local tinker               Flash the default Tinker app to the device connected over USB',
-		'  particle flash --usb firmware.bin           Flash the binary over USB',
+		'  particle flash red                                                      Compile the source code in the current directory in the cloud and flash to device red',
+		'  particle flash green tinker                                             Flash the default Tinker app to device green',
+		'  particle flash blue app.ino --target 5.0.0                              Compile app.ino in the cloud using the 5.0.0 firmware and flash to device blue',
+		'  particle flash cyan firmware.bin                                        Flash the pre-compiled binary to device cyan',
+		'  particle flash --local                                                  Compile the source code in the current directory in the cloud and flash to the device connected over USB',
+		'  particle flash --local <deviceId> application.bin                       Compile the source code in the current directory in the cloud and flash to the device connected over USB',
+		'  particle flash --local --target 5.0.0                                   Compile the source code in the current directory in the cloud against the target version and flash to the device connected over USB',
+		'  particle flash --local application.bin                                  Flash the pre-compiled binary to the device connected over USB',
+		'  particle flash --local application.zip                                  Flash the pre-compiled binary and assets from the bundle to the device connected over USB',
+		'  particle flash --local tinker                                           Flash the default Tinker app to the device connected over USB',
+		'  particle flash --local application.bin --all                            Flash the pre-compiled binary to every device connected over USB',
+		'  particle flash --local application.zip --devices <deviceId> <deviceId>  Flash the pre-compiled binary and assets from the bundle to two of the devices connected over USB',
+		'  particle flash --local application.zip --dry-run                        Show in which order and mode the modules of the bundle would be flashed to the device connected over USB',
+		'  particle flash --local application.bin --all --verify                   Flash the pre-compiled binary to every device connected over USB and check that each device runs it',
+		'  particle flash --local application.bin --offline                        Flash the pre-compiled binary to the device connected over USB using the Device OS binaries stored on this computer',
+		'  particle flash --local --watch                                          Compile the source code in the current directory and flash it to the device connected over USB every time a source file changes',
+		'  particle flash --usb firmware.bin                                       Flash the binary over USB',
 		'',
 		'When passing the --local flag, Device OS will be updated if the version on the device is outdated.',
 		'When passing both the --local and --target flash, Device OS will be updated to the target version.',
-		'To avoid this behavior, pass the --application-only flag.'
+		'To avoid this behavior, pass the --application-only flag.',
+		'When passing --all or --devices, the code is compiled once per platform and the devices are flashed at the same time.',
+		'When a local flash is interrupted, the next local flash of the same files to that device alone offers to resume it. --all and --devices flash every module again.',
+		'When passing both the --local and --offline flags, Device OS is only taken from the binaries stored by `particle device-os download`.'
 	];
 
 	before(async () => {
@@ -10,17 +10,20 @@ describe('Help & Unknown Command / Argument Handling', () => {
 		'Commands:',
 		'  binary          Inspect binaries',
 		'  bundle          Creates a bundle of application binary and assets',
+		'  cache           Manage the cached cloud responses used when offline',
 		'  call            Call a particular function on a device',
 		'  cloud           Access Particle cloud functionality',
 		'  compile         Compile a source file, or directory using the cloud compiler',
 		'  config          Configure and switch between multiple accounts',
 		'  device          Manipulate a device',
+		'  device-os       Manage the Device OS binaries stored for flashing without internet',
 		'  doctor          NOT SUPPORTED. Go to the device doctor tool at docs.particle.io/tools/doctor',
 		'  flash           Send firmware to your device',
 		'  function        Call functions on your device',
 		'  get             Retrieve a value from your device',
 		'  identify        Ask for and display device ID via serial',
 		'  keys            Manage your device\'s key pair and server public key',
+		'  ledger          Manage the data stored in Ledgers',
 		'  library         Manage firmware libraries',
 		'  list            Display a list of your devices, as well as their variables and functions',
 		'  logic-function  Create, execute, and deploy Logic Functions',
@@ -35,6 +38,7 @@ describe('Help & Unknown Command / Argument Handling', () => {
 		'  serial          Simple serial interface to your devices',
 		'  setup           NOT SUPPORTED. Go to setup.particle.io with your browser',
 		'  subscribe       Listen to device event stream',
+		'  targets         List the firmware versions available to compile against',
 		'  token           Manage access tokens (require username/password)',
 		'  udp             Talk UDP to repair devices, run patches, check Wi-Fi, and more!',
 		'  update          Update Device OS on a device via USB',
@@ -45,25 +49,31 @@ describe('Help & Unknown Command / Argument Handling', () => {
 		'  whoami          prints signed-in username'
 	];
 
-	const allCmds = ['binary inspect', 'binary', 'bundle', 'call', 'cloud list',
+	const allCmds = ['binary inspect', 'binary', 'bundle', 'cache status',
+		'cache clear', 'cache', 'call', 'cloud list',
 		'cloud claim', 'cloud remove', 'cloud name', 'cloud flash',
 		'cloud compile', 'cloud nyan', 'cloud login', 'cloud logout',
 		'cloud', 'compile', 'config', 'device add', 'device remove',
-		'device rename', 'device doctor', 'device', 'doctor', 'flash',
+		'device rename', 'device doctor', 'device', 'device-os download',
+		'device-os list', 'device-os prune', 'device-os', 'doctor', 'flash',
 		'function list', 'function call', 'function', 'get', 'identify',
 		'keys new', 'keys load', 'keys save', 'keys send', 'keys doctor',
-		'keys server', 'keys address', 'keys', 'library add',
+		'keys server', 'keys address', 'keys', 'ledger list', 'ledger get',
+		'ledger set', 'ledger delete', 'ledger export', 'ledger import', 'ledger',
+		'library add',
 		'library create', 'library copy', 'library list', 'library migrate',
 		'library search', 'library upload', 'library publish', 'library view',
 		'library', 'list', 'logic-function list', 'logic-function get',
-		'logic-function create', 'logic-function execute','logic-function deploy', 'logic-function disable',
-		'logic-function enable', 'logic-function delete', 'logic-function logs', 'logic-function',
+		'logic-function create', 'logic-function execute', 'logic-function test', 'logic-function diff', 'logic-function deploy', 'logic-function disable',
+		'logic-function enable', 'logic-function delete', 'logic-function logs',
+		'logic-function triggers list', 'logic-function triggers add', 'logic-function triggers remove',
+		'logic-function triggers', 'logic-function',
 		'login', 'logout', 'monitor', 'nyan', 'preprocess',
 		'product device list', 'product device add', 'product device remove',
-		'product device', 'product', 'project create', 'project', 'publish',
+		'product device', 'product', 'project create', 'project files', 'project', 'publish',
 		'serial list', 'serial monitor', 'serial identify', 'serial wifi',
 		'serial mac', 'serial inspect', 'serial flash',
-		'serial', 'setup', 'subscribe', 'token list', 'token revoke',
+		'serial', 'setup', 'subscribe', 'targets list', 'targets', 'token list', 'token revoke',
 		'token create', 'token', 'udp send', 'udp listen', 'udp', 'update',
 		'update-cli', 'usb list', 'usb start-listening', 'usb listen',
 		'usb stop-listening', 'usb safe-mode', 'usb dfu', 'usb reset',
@@ -16,8 +16,21 @@ describe('List Commands', () => {
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
 		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 		'',
-		'Param filter can be: online, offline, a platform name (core, photon, p1, electron, argon, boron, xenon, esomx, bsom, b5som, tracker, trackerm, p2, msom), a device ID or name'
+		'Options:',
+		'  --format   Export the devices as csv, json or yaml  [string]',
+		'  --output   Save the export to a file instead of printing it. The format defaults to the file extension  [string]',
+		'  --columns  Comma separated columns to export: id, name, platform, os_version, last_heard, ip, iccid, serial, functions, variables  [string]',
+		'',
+		'Examples:',
+		'  particle list                                                    Shows your devices with their variables and functions',
+		'  particle list --format csv --output fleet.csv                    Saves an inventory of your devices to fleet.csv',
+		'  particle list online --format yaml --columns id,name,os_version  Prints the id, name and Device OS version of your online devices as YAML',
+		'',
+		'Param filter can be: online, offline, a platform name (core, photon, p1, electron, argon, boron, xenon, esomx, bsom, b5som, tracker, trackerm, p2, msom), a device ID or name, or an expression combining comparisons with and, or, not and parentheses like `platform=boron and online and name~^lab-`. Fields are id, name, platform, online, os, lastHeard, product, iccid, serial. os compares Device OS versions (os<4.0.0) and lastHeard compares how long ago a device was heard from (lastHeard<7d) or a date (lastHeard<2024-01-31)'
 	];
 
 	before(async () => {
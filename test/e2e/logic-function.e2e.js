@@ -13,28 +13,36 @@ describe('Logic Function Commands', () => {
 		'Help:  particle help logic-function <command>',
 		'',
 		'Commands:',
-		'  list     Lists the deployed Logic Functions.',
-		'           Alias: this command can be also executed as lf list [options]',
-		'  get      Downloads the Logic Function.',
-		'           Alias: this command can be also executed as lf get [options]',
-		'  create   Creates a Logic Function.',
-		'           Alias: this command can be also executed as lf create [options]',
-		'  execute  Executes a Logic Function with user provided data.',
-		'           Alias: this command can be also executed as lf execute [options]',
-		'  deploy   Deploys a Logic Function to the cloud.',
-		'           Alias: this command can be also executed as lf deploy [options]',
-		'  disable  Disables a Logic Function in the cloud.',
-		'           Alias: this command can be also executed as lf disable [options]',
-		'  enable   Enables a Logic Function in the cloud.',
-		'           Alias: this command can be also executed as lf enable [options]',
-		'  delete   Deletes a Logic Function from the cloud.',
-		'           Alias: this command can be also executed as lf delete [options]',
-		'  logs     Shows logs from a Logic Function.',
-		'           Alias: this command can be also executed as lf logs [options]',
+		'  list      Lists the deployed Logic Functions.',
+		'            Alias: this command can be also executed as lf list [options]',
+		'  get       Downloads the Logic Function.',
+		'            Alias: this command can be also executed as lf get [options]',
+		'  create    Creates a Logic Function.',
+		'            Alias: this command can be also executed as lf create [options]',
+		'  execute   Executes a Logic Function with user provided data.',
+		'            Alias: this command can be also executed as lf execute [options]',
+		'  test      Runs the test fixtures of the local Logic Functions.',
+		'            Alias: this command can be also executed as lf test [options]',
+		'  diff      Shows the differences between a local and a deployed Logic Function.',
+		'            Alias: this command can be also executed as lf diff [options]',
+		'  deploy    Deploys a Logic Function to the cloud.',
+		'            Alias: this command can be also executed as lf deploy [options]',
+		'  disable   Disables a Logic Function in the cloud.',
+		'            Alias: this command can be also executed as lf disable [options]',
+		'  enable    Enables a Logic Function in the cloud.',
+		'            Alias: this command can be also executed as lf enable [options]',
+		'  delete    Deletes a Logic Function from the cloud.',
+		'            Alias: this command can be also executed as lf delete [options]',
+		'  logs      Shows logs from a Logic Function.',
+		'            Alias: this command can be also executed as lf logs [options]',
+		'  triggers  Manage the triggers of a local Logic Function',
 		'',
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
 		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 		''
 	];
 
@@ -25,7 +25,10 @@ describe('Product Commands', () => {
 		'',
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
-		'  -q, --quiet    Decreases how much logging to display  [count]'
+		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]'
 	];
 
 	before(async () => {
@@ -287,6 +290,9 @@ describe('Product Commands', () => {
 			'Global Options:',
 			'  -v, --verbose  Increases how much logging to display  [count]',
 			'  -q, --quiet    Decreases how much logging to display  [count]',
+			'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+			'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+			'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 			'',
 			'Options:',
 			'  --file, -f  Path to single column .txt file with list of IDs, S/Ns, IMEIs, or ICCIDs of the devices to add  [string]',
@@ -447,6 +453,9 @@ describe('Product Commands', () => {
 			'Global Options:',
 			'  -v, --verbose  Increases how much logging to display  [count]',
 			'  -q, --quiet    Decreases how much logging to display  [count]',
+			'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+			'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+			'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 			'',
 			'Examples:',
 			'  particle product device remove 12345 0123456789abcdef01234567  Remove device id `0123456789abcdef01234567` from product `12345`'
@@ -20,10 +20,14 @@ describe('Project Commands', () => {
 		'',
 		'Commands:',
 		'  create  Create a new project in the current or specified directory',
+		'  files   Show the files uploaded to the compile server and the rules that include or exclude them',
 		'',
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
-		'  -q, --quiet    Decreases how much logging to display  [count]'
+		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]'
 	];
 
 	afterEach(async () => {
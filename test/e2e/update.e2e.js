@@ -14,14 +14,20 @@ describe('Update Commands [@device]', () => {
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
 		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 		'',
 		'Options:',
 		'  --target  The Device OS version to update. Defaults to latest version.  [string]',
 		'',
 		'Examples:',
-		'  particle update                      Update Device OS on the device connected over USB',
-		'  particle update red                  Update Device OS on device red',
-		'  particle update --target 5.0.0 blue  Update Device OS on device blue to version 5.0.0',
+		'  particle update                           Update Device OS on the device connected over USB',
+		'  particle update red                       Update Device OS on device red',
+		'  particle update --target 5.0.0 blue       Update Device OS on device blue to version 5.0.0',
+		'  particle update --target 5.0.0 --offline  Update Device OS to version 5.0.0 using the binaries stored by `particle device-os download`',
+		'',
+		'When passing --offline, the Device OS binaries are only taken from the local store. Without --target the newest stored version is used',
 	];
 
 	before(async () => {
@@ -27,7 +27,10 @@ describe('Variable Commands [@device]', () => {
 		'',
 		'Global Options:',
 		'  -v, --verbose  Increases how much logging to display  [count]',
-		'  -q, --quiet    Decreases how much logging to display  [count]'
+		'  -q, --quiet    Decreases how much logging to display  [count]',
+		'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+		'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+		'  --json         Output JSON formatted data instead of human friendly text  [boolean]'
 	];
 
 	before(async () => {
@@ -115,6 +118,9 @@ describe('Variable Commands [@device]', () => {
 			'Global Options:',
 			'  -v, --verbose  Increases how much logging to display  [count]',
 			'  -q, --quiet    Decreases how much logging to display  [count]',
+			'  --offline      Use cached cloud responses instead of contacting the cloud  [boolean]',
+			'  --refresh      Ignore cached cloud responses and fetch them again  [boolean]',
+			'  --json         Output JSON formatted data instead of human friendly text  [boolean]',
 			'',
 			'Options:',
 			'  --time     Show the time when the variable was received  [boolean]',